@@ -12,9 +12,24 @@ import ProfileScreen from './components/ProfileScreen';
 import MainTabNavigator from './components/MainTabNavigator';
 import VotingScreen from './components/VotingScreen';
 import ResultsScreen from './components/ResultsScreen';
+import GroupInsightsScreen from './components/GroupInsightsScreen';
+import RecipeEditorScreen from './components/RecipeEditorScreen';
+import GroupSettingsScreen from './components/GroupSettingsScreen';
 
 const Stack = createStackNavigator();
 
+// Invite links (studentenhapp://join/CODE) open the groups tab with the code
+// filled in. A cold start skips SignIn, so MainTabs checks the session itself
+// and GroupsScreen keeps the code until the user has signed in.
+const linking = {
+  prefixes: ['studentenhapp://'],
+  config: {
+    screens: {
+      MainTabs: 'join/:joinCode'
+    }
+  }
+};
+
 export default function App() {
   let [fontsLoaded] = useFonts({
     PlayfairDisplay_400Regular,
@@ -30,7 +45,7 @@ export default function App() {
 
   return (
     <AppStateProvider>
-      <NavigationContainer>
+      <NavigationContainer linking={linking}>
         <StatusBar style="dark" />
         <Stack.Navigator
           initialRouteName="SignIn"
@@ -45,6 +60,9 @@ export default function App() {
           <Stack.Screen name="Profile" component={ProfileScreen} />
           <Stack.Screen name="VotingScreen" component={VotingScreen} />
           <Stack.Screen name="ResultsScreen" component={ResultsScreen} />
+          <Stack.Screen name="GroupInsightsScreen" component={GroupInsightsScreen} />
+          <Stack.Screen name="RecipeEditorScreen" component={RecipeEditorScreen} />
+          <Stack.Screen name="GroupSettingsScreen" component={GroupSettingsScreen} />
         </Stack.Navigator>
       </NavigationContainer>
     </AppStateProvider>
@@ -0,0 +1,449 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { getGroupInsights } from '../lib/insightsService';
+import { getGroupMembers } from '../lib/groupsService';
+import { supabase } from '../lib/supabase';
+
+export default function GroupInsightsScreen({ route, navigation }) {
+  const { groupName, groupId, returnToGroupModal } = route.params;
+
+  // Custom back navigation function
+  const handleBackNavigation = () => {
+    if (returnToGroupModal) {
+      // Navigate back to MainTabs with parameters to reopen group modal
+      navigation.navigate('MainTabs', {
+        switchToGroupsTab: true,
+        reopenGroupModal: true,
+        groupId: groupId
+      });
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  const [loading, setLoading] = useState(true);
+  const [insights, setInsights] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadInsights();
+  }, []);
+
+  const loadInsights = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [insightsResult, membersResult, { data: { user } }] = await Promise.all([
+        getGroupInsights(groupId),
+        getGroupMembers(groupId),
+        supabase.auth.getUser()
+      ]);
+
+      if (!insightsResult.success) {
+        setError(insightsResult.error);
+        return;
+      }
+
+      setInsights(insightsResult.insights);
+      setMembers(membersResult.success ? membersResult.members || [] : []);
+      setCurrentUserId(user?.id || null);
+    } catch (loadError) {
+      console.error('❌ Error loading insights:', loadError);
+      setError('An unexpected error occurred while loading insights');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getMemberName = (userId) => {
+    if (userId === currentUserId) return 'You';
+    const member = members.find(m => m.user_id === userId);
+    return member?.user_name || member?.full_name || 'Former member';
+  };
+
+  const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes} min`;
+    if (minutes < 24 * 60) {
+      const hours = Math.floor(minutes / 60);
+      const remainingMinutes = minutes % 60;
+      return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+    }
+    return `${Math.round(minutes / (24 * 60))} days`;
+  };
+
+  // Bar widths are relative to the busiest entry
+  const renderCountBars = (entries, emptyText) => {
+    if (entries.length === 0) {
+      return <Text style={styles.emptyText}>{emptyText}</Text>;
+    }
+    const max = entries[0].count;
+    return entries.map(entry => (
+      <View key={entry.label} style={styles.barRow}>
+        <Text style={styles.barLabel}>{entry.label}</Text>
+        <View style={styles.barTrack}>
+          <View style={[styles.barFill, { width: `${(entry.count / max) * 100}%` }]} />
+        </View>
+        <Text style={styles.barCount}>{entry.count}</Text>
+      </View>
+    ));
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#8B7355" />
+          <Text style={styles.loadingText}>Looking back at past dinners...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.errorContainer}>
+          <Text style={styles.errorTitle}>Unable to Load Insights</Text>
+          <Text style={styles.errorText}>{error}</Text>
+
+          <TouchableOpacity style={styles.retryButton} onPress={loadInsights}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.backButton} onPress={handleBackNavigation}>
+            <Text style={styles.backButtonText}>← Back to Group</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={handleBackNavigation}>
+          <Text style={styles.backArrow}>←</Text>
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerCenter}>
+          <Text style={styles.groupNameText}>{groupName}</Text>
+          <Text style={styles.headerSubtext}>Insights</Text>
+        </View>
+
+        <View style={styles.headerRight} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
+        {insights.sessionCount === 0 ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Nothing to Show Yet</Text>
+            <Text style={styles.emptyText}>
+              Insights appear once the group has finished its first voting session.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.summaryText}>
+              Based on {insights.sessionCount} past {insights.sessionCount === 1 ? 'dinner' : 'dinners'}
+            </Text>
+
+            {/* Most-Loved Recipes */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Most-Loved Recipes</Text>
+              {insights.lovedRecipes.length === 0 ? (
+                <Text style={styles.emptyText}>No meal has won a vote yet.</Text>
+              ) : (
+                insights.lovedRecipes.map((recipe, index) => (
+                  <View key={`${recipe.name}-${index}`} style={styles.row}>
+                    <Text style={styles.rowTitle}>{index + 1}. {recipe.name}</Text>
+                    <Text style={styles.rowMeta}>
+                      {recipe.wins} {recipe.wins === 1 ? 'win' : 'wins'} · {recipe.loveRate}% yes · offered {recipe.offered}x
+                    </Text>
+                  </View>
+                ))
+              )}
+            </View>
+
+            {/* Attendance */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Who Comes to Dinner</Text>
+              {insights.attendance.map(member => (
+                <View key={member.userId} style={styles.row}>
+                  <Text style={styles.rowTitle}>{getMemberName(member.userId)}</Text>
+                  <Text style={styles.rowMeta}>
+                    Ate {member.accepted} of {member.invited} · {member.attendanceRate}% attendance
+                    {member.noShows > 0 ? ` · ${member.noShows} no ${member.noShows === 1 ? 'answer' : 'answers'}` : ''}
+                  </Text>
+                  <Text style={styles.rowMeta}>
+                    {member.averageResponseMinutes !== null
+                      ? `Answers in ${formatMinutes(member.averageResponseMinutes)} on average`
+                      : 'No answer times recorded yet'}
+                  </Text>
+                </View>
+              ))}
+            </View>
+
+            {/* Declines */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Declined Proposals</Text>
+              <Text style={styles.highlightText}>{insights.declines.declineRate}%</Text>
+              <Text style={styles.rowMeta}>
+                {insights.declines.declined} of {insights.declines.responses} answers were a no
+                {insights.declines.sessionsWithoutDiners > 0
+                  ? ` · ${insights.declines.sessionsWithoutDiners} ${insights.declines.sessionsWithoutDiners === 1 ? 'dinner' : 'dinners'} with nobody eating`
+                  : ''}
+              </Text>
+            </View>
+
+            {/* Busiest days and times */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Busiest Dinner Days</Text>
+              {renderCountBars(insights.busiest.days, 'No dinner dates recorded yet.')}
+
+              <Text style={[styles.sectionTitle, styles.subsectionTitle]}>Busiest Dinner Times</Text>
+              {renderCountBars(insights.busiest.times, 'No dinner times recorded yet.')}
+            </View>
+
+            {/* Taste overlap */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Taste Twins</Text>
+              {insights.tasteOverlap.length === 0 ? (
+                <Text style={styles.emptyText}>
+                  Members need to vote on a few of the same meals before their tastes can be compared.
+                </Text>
+              ) : (
+                insights.tasteOverlap.map(pair => (
+                  <View key={pair.userIds.join('|')} style={styles.row}>
+                    <Text style={styles.rowTitle}>
+                      {getMemberName(pair.userIds[0])} & {getMemberName(pair.userIds[1])}
+                    </Text>
+                    <Text style={styles.rowMeta}>
+                      Agree on {pair.overlap}% of meals ({pair.agreed} of {pair.shared})
+                    </Text>
+                  </View>
+                ))
+              )}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FEFEFE',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  loadingText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    color: '#6B6B6B',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  errorTitle: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 24,
+    lineHeight: 30,
+    color: '#2D2D2D',
+    textAlign: 'center',
+    marginBottom: 16,
+    letterSpacing: 0.3,
+  },
+  errorText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#6B6B6B',
+    textAlign: 'center',
+    marginBottom: 32,
+    letterSpacing: 0.1,
+  },
+  retryButton: {
+    backgroundColor: '#8B7355',
+    borderRadius: 12,
+    paddingHorizontal: 32,
+    paddingVertical: 16,
+    marginBottom: 16,
+  },
+  retryButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 20,
+    color: '#FEFEFE',
+    letterSpacing: 0.3,
+  },
+  backButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 12,
+    paddingHorizontal: 32,
+    paddingVertical: 16,
+  },
+  backButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    letterSpacing: 0.3,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F5F3F0',
+  },
+  headerBackButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: '#F5F3F0',
+  },
+  backArrow: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 18,
+    color: '#8B7355',
+    marginRight: 6,
+  },
+  backText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#8B7355',
+    letterSpacing: 0.2,
+  },
+  headerCenter: {
+    alignItems: 'center',
+  },
+  groupNameText: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 18,
+    lineHeight: 24,
+    color: '#2D2D2D',
+    letterSpacing: 0.3,
+  },
+  headerSubtext: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 18,
+    color: '#6B6B6B',
+    marginTop: 2,
+  },
+  headerRight: {
+    width: 100,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 48,
+  },
+  summaryText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    marginBottom: 16,
+  },
+  section: {
+    backgroundColor: '#F8F6F3',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+  },
+  sectionTitle: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#2D2D2D',
+    marginBottom: 8,
+  },
+  subsectionTitle: {
+    marginTop: 16,
+  },
+  emptyText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#6B6B6B',
+  },
+  row: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E6E3',
+  },
+  rowTitle: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+  },
+  rowMeta: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 12,
+    lineHeight: 16,
+    color: '#6B6B6B',
+    marginTop: 2,
+  },
+  highlightText: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 28,
+    lineHeight: 34,
+    color: '#8B7355',
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  barLabel: {
+    width: 48,
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    color: '#2D2D2D',
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#E8E6E3',
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  barFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#8B7355',
+  },
+  barCount: {
+    width: 24,
+    textAlign: 'right',
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    color: '#6B6B6B',
+  },
+});
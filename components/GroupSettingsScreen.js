@@ -0,0 +1,501 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, TextInput, ActivityIndicator, Alert } from 'react-native';
+import { getGroupSettings, updateGroupSettings } from '../lib/groupSettingsService';
+import { getGroupRole } from '../lib/groupsService';
+import { hasGroupPermission, GROUP_PERMISSIONS, PERMISSION_DENIED_MESSAGES } from '../lib/groupPermissions';
+import { VOTING_MODE_LABELS } from '../lib/voteTallyService';
+import { DIETARY_RESTRICTION_OPTIONS, ALLERGEN_OPTIONS, ALLERGEN_LABELS } from '../lib/dietaryProfile';
+import {
+  DEFAULT_GROUP_SETTINGS,
+  DEADLINE_OFFSET_OPTIONS,
+  GROUP_SETTINGS_LIMITS,
+  settingsToDraft,
+  validateGroupSettingsDraft,
+  describeDeadlineOffset
+} from '../lib/groupSettings';
+
+const DIETARY_LABELS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  'dairy-free': 'Dairy-free'
+};
+
+export default function GroupSettingsScreen({ route, navigation }) {
+  const { groupId, groupName, returnToGroupModal } = route.params;
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState(settingsToDraft(DEFAULT_GROUP_SETTINGS));
+  const [errors, setErrors] = useState({});
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, [groupId]);
+
+  // Same as GroupInsightsScreen: go back into the group's modal
+  const handleBackNavigation = () => {
+    if (returnToGroupModal) {
+      navigation.navigate('MainTabs', {
+        switchToGroupsTab: true,
+        reopenGroupModal: true,
+        groupId: groupId
+      });
+    } else {
+      navigation.goBack();
+    }
+  };
+
+  const loadSettings = async () => {
+    setLoading(true);
+    setLoadError(null);
+
+    try {
+      const [settingsResult, roleResult] = await Promise.all([
+        getGroupSettings(groupId),
+        getGroupRole(groupId)
+      ]);
+
+      if (!roleResult.success || !hasGroupPermission(roleResult.role, GROUP_PERMISSIONS.EDIT_GROUP)) {
+        setLoadError(`${PERMISSION_DENIED_MESSAGES.edit_group}.`);
+        return;
+      }
+      if (!settingsResult.success) {
+        setLoadError(settingsResult.error || 'This group no longer exists.');
+        return;
+      }
+
+      setDraft(settingsToDraft(settingsResult.settings));
+    } catch (error) {
+      console.error('❌ Error loading group settings screen:', error);
+      setLoadError('An unexpected error occurred while loading the settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setDraft(current => ({ ...current, [field]: value }));
+    if (errors[field]) {
+      setErrors(current => ({ ...current, [field]: undefined }));
+    }
+  };
+
+  const toggleListValue = (field, value) => {
+    updateField(field, draft[field].includes(value)
+      ? draft[field].filter(item => item !== value)
+      : [...draft[field], value]);
+  };
+
+  const handleSave = async () => {
+    const validation = validateGroupSettingsDraft(draft);
+    if (!validation.valid) {
+      setErrors(validation.errors);
+      Alert.alert('Check the Settings', 'Some fields need your attention before the settings can be saved.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const result = await updateGroupSettings(groupId, draft);
+
+      if (!result.success) {
+        if (result.errors) {
+          setErrors(result.errors);
+        }
+        Alert.alert('Error', result.error || 'Failed to save the settings');
+        return;
+      }
+
+      Alert.alert(
+        'Settings Saved',
+        'New dinner requests for this group start from these settings.',
+        [{ text: 'OK', onPress: handleBackNavigation }]
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderError = (field) => (
+    errors[field] ? <Text style={styles.errorText}>{errors[field]}</Text> : null
+  );
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#8B7355" />
+          <Text style={styles.loadingText}>Loading settings...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <Text style={styles.loadErrorText}>{loadError}</Text>
+          <TouchableOpacity style={styles.backButton} onPress={handleBackNavigation}>
+            <Text style={styles.backButtonText}>← Back</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={handleBackNavigation}>
+          <Text style={styles.backArrow}>←</Text>
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{groupName || 'Group'}</Text>
+          <Text style={styles.headerSubtext}>Settings</Text>
+        </View>
+
+        <View style={styles.headerRight} />
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Name</Text>
+          <TextInput
+            style={[styles.input, errors.name && styles.inputError]}
+            value={draft.name}
+            onChangeText={value => updateField('name', value)}
+            placeholder="e.g. Huize de Kroeg"
+            placeholderTextColor="#A0A0A0"
+            maxLength={GROUP_SETTINGS_LIMITS.nameMax}
+          />
+          {renderError('name')}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Description</Text>
+          <TextInput
+            style={[styles.input, styles.multilineInput, errors.description && styles.inputError]}
+            value={draft.description}
+            onChangeText={value => updateField('description', value)}
+            placeholder="Who eats together and when?"
+            placeholderTextColor="#A0A0A0"
+            maxLength={GROUP_SETTINGS_LIMITS.descriptionMax}
+            multiline
+          />
+          {renderError('description')}
+        </View>
+
+        <Text style={styles.sectionTitle}>Dinner Defaults</Text>
+
+        <View style={styles.numberRow}>
+          <View style={[styles.inputContainer, styles.numberField]}>
+            <Text style={styles.label}>Meals to vote on</Text>
+            <TextInput
+              style={[styles.input, errors.mealCount && styles.inputError]}
+              value={draft.mealCount}
+              onChangeText={value => updateField('mealCount', value)}
+              placeholder="Auto"
+              placeholderTextColor="#A0A0A0"
+              keyboardType="number-pad"
+            />
+            {renderError('mealCount')}
+          </View>
+
+          <View style={[styles.inputContainer, styles.numberField]}>
+            <Text style={styles.label}>Dinner time</Text>
+            <TextInput
+              style={[styles.input, errors.dinnerTime && styles.inputError]}
+              value={draft.dinnerTime}
+              onChangeText={value => updateField('dinnerTime', value)}
+              placeholder="18:30"
+              placeholderTextColor="#A0A0A0"
+              keyboardType="numbers-and-punctuation"
+              maxLength={5}
+            />
+            {renderError('dinnerTime')}
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Replies close before dinner</Text>
+          <View style={styles.chipRow}>
+            {DEADLINE_OFFSET_OPTIONS.map(minutes => renderChip(
+              minutes,
+              describeDeadlineOffset(minutes),
+              draft.deadlineMinutes === minutes,
+              () => updateField('deadlineMinutes', minutes)
+            ))}
+          </View>
+          {renderError('deadlineMinutes')}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Voting mode</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(VOTING_MODE_LABELS).map(([mode, label]) => renderChip(
+              mode,
+              label,
+              draft.votingMode === mode,
+              () => updateField('votingMode', mode)
+            ))}
+          </View>
+          {renderError('votingMode')}
+        </View>
+
+        <Text style={styles.sectionTitle}>Dietary Needs</Text>
+        <Text style={styles.sectionHint}>
+          Every meal the group votes on respects these, on top of each diner's own profile.
+        </Text>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Diet</Text>
+          <View style={styles.chipRow}>
+            {DIETARY_RESTRICTION_OPTIONS.map(restriction => renderChip(
+              restriction,
+              DIETARY_LABELS[restriction],
+              draft.dietaryRestrictions.includes(restriction),
+              () => toggleListValue('dietaryRestrictions', restriction)
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Allergies</Text>
+          <View style={styles.chipRow}>
+            {ALLERGEN_OPTIONS.map(allergen => renderChip(
+              allergen,
+              ALLERGEN_LABELS[allergen],
+              draft.allergens.includes(allergen),
+              () => toggleListValue('allergens', allergen)
+            ))}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.buttonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save Settings'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FEFEFE',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  loadingText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    color: '#6B6B6B',
+    marginTop: 16,
+  },
+  loadErrorText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#6B6B6B',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  backButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 12,
+    paddingHorizontal: 32,
+    paddingVertical: 16,
+  },
+  backButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    letterSpacing: 0.3,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F5F3F0',
+  },
+  headerBackButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: '#F5F3F0',
+  },
+  backArrow: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 18,
+    color: '#8B7355',
+    marginRight: 6,
+  },
+  backText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#8B7355',
+    letterSpacing: 0.2,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+    marginHorizontal: 12,
+  },
+  headerTitle: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 18,
+    lineHeight: 24,
+    color: '#2D2D2D',
+    letterSpacing: 0.3,
+  },
+  headerSubtext: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    color: '#6B6B6B',
+  },
+  headerRight: {
+    width: 100,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 48,
+  },
+  sectionTitle: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 17,
+    lineHeight: 24,
+    color: '#2D2D2D',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  sectionHint: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B6B6B',
+    marginTop: -6,
+    marginBottom: 12,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+    marginBottom: 8,
+    letterSpacing: 0.1,
+  },
+  input: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#2D2D2D',
+    backgroundColor: 'rgba(248, 246, 243, 0.88)',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  inputError: {
+    borderColor: '#CC4444',
+  },
+  multilineInput: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#CC4444',
+    marginTop: 6,
+  },
+  numberRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  numberField: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    backgroundColor: '#F8F6F3',
+  },
+  chipSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  chipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#6B6B6B',
+  },
+  chipTextSelected: {
+    color: '#FEFEFE',
+  },
+  saveButton: {
+    backgroundColor: '#8B7355',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    backgroundColor: '#D0D0D0',
+  },
+  saveButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#FEFEFE',
+    letterSpacing: 0.2,
+  },
+});
@@ -1,14 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, TextInput, ActivityIndicator, Image, Modal, Animated, Clipboard, Alert } from 'react-native';
 import Slider from '@react-native-community/slider';
-import { createGroupInSupabase, joinGroupByCode, getUserGroups, leaveGroup, deleteGroup, getGroupMembers, setFavoriteGroup, getFavoriteGroupId } from '../lib/groupsService';
+import { createGroupInSupabase, joinGroupByCode, getUserGroups, leaveGroup, deleteGroup, getGroupMembers, setFavoriteGroup, getFavoriteGroupId, setGroupMemberRole, removeGroupMember, unbanGroupUser, getGroupBans, transferGroupOwnership, getGroupAuditLog, describeAuditEntry, setGroupCapacity, getGroupWaitlist } from '../lib/groupsService';
+import { GROUP_ROLES, GROUP_ROLE_LABELS, GROUP_PERMISSIONS, normalizeGroupRole, hasGroupPermission, canManageSession, canChangeMemberRole, canRemoveMember, canTransferOwnership } from '../lib/groupPermissions';
 import { getMealOptions } from '../lib/mealRequestService';
-import { getActiveMealRequest, createMealRequest, replaceMealRequest, debugGetActiveRequests, debugCompleteAllActiveRequests, completeMealRequest, getTopVotedMeals, getUserVotingProgress } from '../lib/mealRequestService';
-import { getGroupMemberResponses, getAllDinnerRequests, recordUserResponse, createMealFromRequest, completeDinnerRequest } from '../lib/dinnerRequestService';
+import { getActiveMealRequest, createMealRequest, replaceMealRequest, debugGetActiveRequests, debugCompleteAllActiveRequests, completeMealRequest, getTopVotedMeals, getUserVotingProgress, getGroupVotingProgress, nudgeVoter, getUnseenVotingNudges, markVotingNudgesSeen } from '../lib/mealRequestService';
+import { getGroupMemberResponses, getAllDinnerRequests, createMealFromRequest, completeDinnerRequest } from '../lib/dinnerRequestService';
 import { ensureUserProfile } from '../lib/profileService';
 import { terminatedSessionsService } from '../lib/terminatedSessionsService';
+import { closeGroupSession, SESSION_CLOSE_REASONS, getSessionCloseRules, setSessionCloseRules } from '../lib/sessionCloseService';
+import { CLOSE_RULES, CLOSE_RULE_LABELS, CLOSE_YES_PERCENT_OPTIONS, MIN_QUORUM_OPTIONS } from '../lib/sessionCloseRules';
+import { getSessionHistory, describeHistoryTally } from '../lib/sessionHistoryService';
+import { sessionDeadlineScheduler } from '../lib/sessionDeadlineScheduler';
+import { getGroupShoppingList, setShoppingItemChecked } from '../lib/shoppingListService';
+import { getGroupLedger, recordDinnerExpense, recordSettlement } from '../lib/ledgerService';
+import { formatMoney } from '../lib/costSplitting';
+import { offlineQueue, OFFLINE_ACTIONS } from '../lib/offlineQueue';
+import { getGroupRota, proposeRotaSwap, respondToRotaSwap, setRotaAvailability, setDishwasherRotaEnabled } from '../lib/rotaService';
+import { ROTA_ROLE_LABELS, WEEKDAY_LABELS } from '../lib/rotaPlanner';
+import { getGroupInvites, createGroupInvite, revokeGroupInvite, setGroupRequiresApproval, respondToJoinRequest } from '../lib/groupInviteService';
+import { INVITE_EXPIRY_OPTIONS, INVITE_USE_OPTIONS, INVITE_STATUS, buildInviteLink, parseInviteCode, getInviteStatus, describeInvite } from '../lib/groupInvites';
+import { GROUP_CAPACITY_OPTIONS, DEFAULT_GROUP_CAPACITY, describeGroupCapacity } from '../lib/groupCapacity';
+import { getGroupSettings } from '../lib/groupSettingsService';
+import { DEFAULT_GROUP_SETTINGS, describeGroupDefaults } from '../lib/groupSettings';
+import { useRealtimeSubscriptions } from '../lib/hooks';
 import { supabase } from '../lib/supabase';
 
+// Votes and answers arrive in bursts - wait this long before refreshing
+const REALTIME_REFRESH_DELAY = 500;
+
+// Owner of this screen's deadline closes on the shared scheduler
+const DEADLINE_SCHEDULE_OWNER = 'groups-screen';
+
 // Safe image component for floating drawings
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
   const [imageError, setImageError] = useState(false);
@@ -273,10 +296,8 @@ export default function GroupsScreen({ route, navigation }) {
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [groupDetailAnimation] = useState(new Animated.Value(0));
   const [mealRequestLoading, setMealRequestLoading] = useState(false);
-  const [mealCount, setMealCount] = useState(12); // Default 12 meals, range 3-20
-  
-  // Extra Options states
-  const [difficulty, setDifficulty] = useState('Any'); // 'Easy', 'Medium', 'Hard', 'Any'
+  // Meal count and voting mode for new sessions, edited on GroupSettingsScreen
+  const [groupSettings, setGroupSettings] = useState(DEFAULT_GROUP_SETTINGS);
   
   // Members view states
   const [showMembersView, setShowMembersView] = useState(false);
@@ -286,6 +307,46 @@ export default function GroupsScreen({ route, navigation }) {
   const [dinnerRequestStatus, setDinnerRequestStatus] = useState(null);
   const [membersLoading, setMembersLoading] = useState(false);
   const [membersError, setMembersError] = useState(null);
+  
+  // Balances view states
+  const [groupLedger, setGroupLedger] = useState(null);
+  const [ledgerLoading, setLedgerLoading] = useState(false);
+  const [ledgerSaving, setLedgerSaving] = useState(false);
+
+  // Cooking rota states
+  const [groupRota, setGroupRota] = useState(null);
+  const [rotaSaving, setRotaSaving] = useState(false);
+  const [swapAssignmentId, setSwapAssignmentId] = useState(null);
+
+  // Voting progress states
+  const [votingProgress, setVotingProgress] = useState(null);
+  const [nudgingUserId, setNudgingUserId] = useState(null);
+  const [roleSavingUserId, setRoleSavingUserId] = useState(null);
+
+  // Member moderation states
+  const [expandedMemberId, setExpandedMemberId] = useState(null);
+  const [banReason, setBanReason] = useState('');
+  const [groupBans, setGroupBans] = useState([]);
+  const [groupAuditLog, setGroupAuditLog] = useState(null);
+
+  // Invite states (admins only)
+  const [groupInvites, setGroupInvites] = useState(null);
+  const [inviteExpiryHours, setInviteExpiryHours] = useState(INVITE_EXPIRY_OPTIONS[0].hours);
+  const [inviteMaxUses, setInviteMaxUses] = useState(INVITE_USE_OPTIONS[0].maxUses);
+  const [invitesSaving, setInvitesSaving] = useState(false);
+
+  // Capacity states
+  const [groupWaitlist, setGroupWaitlist] = useState([]);
+  const [capacitySaving, setCapacitySaving] = useState(false);
+
+  // Early-close rule states
+  const [closeRules, setCloseRules] = useState(null);
+  const [closeRulesSaving, setCloseRulesSaving] = useState(false);
+
+  // Session history states
+  const [sessionHistory, setSessionHistory] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [expandedHistoryId, setExpandedHistoryId] = useState(null);
 
   // Button cooldown protection to prevent accidental rapid presses
   const [buttonCooldown, setButtonCooldown] = useState(false);
@@ -330,10 +391,16 @@ export default function GroupsScreen({ route, navigation }) {
   // State for storing terminated session results (top 3 meals) - persistent per group
   const [terminatedSessionResults, setTerminatedSessionResults] = useState(new Map()); // groupId -> results
   const [userVotingComplete, setUserVotingComplete] = useState(new Map()); // groupId -> boolean
+  const [shoppingLists, setShoppingLists] = useState(new Map()); // groupId -> shopping list for the winning meal
   
   // Local state for instant button display when user clicks YES (optimistic UI)
   const [userLocallyAcceptedRequest, setUserLocallyAcceptedRequest] = useState(false);
   const [favoriteGroupId, setFavoriteGroupId] = useState(null);
+  
+  // Refs read by the deadline scheduler listener, which outlives any single render
+  const selectedGroupIdRef = useRef(null);
+  const deadlineCloseHandlerRef = useRef(() => {});
+  const realtimeRefreshTimerRef = useRef(null);
 
     // Main effect - handles initial load and user changes
   useEffect(() => {
@@ -414,6 +481,24 @@ export default function GroupsScreen({ route, navigation }) {
     return unsubscribe;
   }, [navigation, groups]); // Added groups dependency to access current groups
 
+  // Opened from an invite link (studentenhapp://join/CODE). The code stays
+  // pending while the user is a guest: signing in remounts this screen with
+  // isGuest false, and the join box opens then.
+  useEffect(() => {
+    if (!route.params?.joinCode) return;
+
+    if (isGuest) {
+      console.log('🔗 Invite link waiting for the user to sign in');
+      return;
+    }
+
+    console.log('🔗 Opening join box for invite link');
+    setJoinCode(parseInviteCode(route.params.joinCode));
+    showJoinModalFunc();
+    // Used up - clear it so the box doesn't open again on the next remount
+    navigation.setParams({ joinCode: undefined });
+  }, [route.params?.joinCode, isGuest]);
+
   // Ensure terminated sessions are loaded whenever groups change
   useEffect(() => {
     if (groups.length > 0) {
@@ -532,6 +617,138 @@ export default function GroupsScreen({ route, navigation }) {
     };
   }, []);
 
+  useEffect(() => {
+    selectedGroupIdRef.current = selectedGroup?.group_id || null;
+  }, [selectedGroup?.group_id]);
+
+  // Keep one deadline close scheduled per group with an active dinner request.
+  // The scheduler is shared with the profile screen, so only this screen's
+  // own schedules are cancelled here.
+  useEffect(() => {
+    const scheduledGroupIds = new Set();
+    
+    groups.forEach(group => {
+      if (group.hasActiveDinnerRequest && group.activeDinnerRequest?.deadline && !group._terminatedSession) {
+        if (sessionDeadlineScheduler.schedule(group.group_id, group.group_name, group.activeDinnerRequest.deadline, DEADLINE_SCHEDULE_OWNER)) {
+          scheduledGroupIds.add(group.group_id);
+        }
+      }
+    });
+    
+    sessionDeadlineScheduler.getScheduled(DEADLINE_SCHEDULE_OWNER).forEach(({ groupId }) => {
+      if (!scheduledGroupIds.has(groupId)) {
+        sessionDeadlineScheduler.cancel(groupId, DEADLINE_SCHEDULE_OWNER);
+      }
+    });
+  }, [groups]);
+
+  deadlineCloseHandlerRef.current = (groupId, result) => {
+    if (!result.success) {
+      return;
+    }
+    
+    if (result.closed) {
+      const group = groups.find(g => g.group_id === groupId);
+      console.log('⏰ Session closed at its deadline for group:', group?.group_name || groupId);
+      applyTerminatedSession(groupId, group?.group_name, result.topResults, result.memberResponses, result.shoppingList);
+    } else if (!isLoadingRef.current) {
+      // Another member's app closed it - pick up the saved results
+      loadUserGroups();
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = sessionDeadlineScheduler.subscribe((groupId, result) => {
+      deadlineCloseHandlerRef.current(groupId, result);
+    });
+    
+    return () => {
+      unsubscribe();
+      sessionDeadlineScheduler.cancelAll(DEADLINE_SCHEDULE_OWNER);
+    };
+  }, []);
+
+  // Live updates for the open group: answers, votes and the session ending
+  // are pushed by Supabase instead of waiting for the next reload
+  const realtimeGroupId = !isGuest && showGroupDetailModal ? selectedGroup?.group_id : null;
+  const realtimeDinnerRequestId = dinnerRequestStatus?.activeRequest?.id || null;
+  const realtimeMealRequestId = selectedGroup?.activeMealRequest?.preloadedForVoting
+    ? null
+    : selectedGroup?.activeMealRequest?.request_id || selectedGroup?.activeMealRequest?.id || null;
+  
+  useRealtimeSubscriptions(
+    realtimeGroupId ? `groups_${realtimeGroupId}` : null,
+    [
+      { table: 'meal_requests', filter: `group_id=eq.${realtimeGroupId}`, event: 'UPDATE' },
+      { table: 'terminated_sessions', filter: `group_id=eq.${realtimeGroupId}` },
+      ...(realtimeDinnerRequestId ? [{ table: 'dinner_request_responses', filter: `request_id=eq.${realtimeDinnerRequestId}` }] : []),
+      ...(realtimeMealRequestId ? [{ table: 'meal_votes', filter: `request_id=eq.${realtimeMealRequestId}` }] : [])
+    ],
+    (table, payload) => handleGroupRealtimeChange(table, payload)
+  );
+
+  useEffect(() => {
+    return () => clearTimeout(realtimeRefreshTimerRef.current);
+  }, []);
+
+  // Nudges from the organiser: picked up live, and on load for ones sent while the app was closed
+  useRealtimeSubscriptions(
+    !isGuest && currentUserId ? `groups_nudges_${currentUserId}` : null,
+    [{ table: 'voting_nudges', filter: `to_user=eq.${currentUserId}`, event: 'INSERT' }],
+    () => showVotingNudges()
+  );
+
+  useEffect(() => {
+    if (!isGuest && currentUserId && groups.length > 0) {
+      showVotingNudges();
+    }
+  }, [isGuest, currentUserId, groups.length]);
+
+  const handleGroupRealtimeChange = (table, payload) => {
+    const groupId = selectedGroupIdRef.current;
+    if (!groupId) return;
+    
+    if (table === 'terminated_sessions') {
+      // The row is deleted when a new request goes out - nothing to show then
+      if (payload.eventType !== 'DELETE' && payload.new) {
+        showRealtimeTerminatedSession(payload.new);
+      }
+      return;
+    }
+    
+    if (table === 'meal_requests') {
+      if (payload.new?.status !== 'active') {
+        console.log('📡 Voting session ended for group:', groupId);
+        loadDinnerRequestStatus(groupId);
+        if (!isLoadingRef.current) {
+          loadUserGroups();
+        }
+      }
+      return;
+    }
+    
+    clearTimeout(realtimeRefreshTimerRef.current);
+    realtimeRefreshTimerRef.current = setTimeout(() => {
+      loadDinnerRequestStatus(groupId);
+      if (realtimeMealRequestId) {
+        checkUserVotingComplete(groupId, realtimeMealRequestId);
+        loadVotingProgress(realtimeMealRequestId);
+      }
+    }, REALTIME_REFRESH_DELAY);
+  };
+
+  // Another member closed the session - show the saved results right away
+  const showRealtimeTerminatedSession = async (session) => {
+    const shoppingResult = await getGroupShoppingList(session.group_id);
+    applyTerminatedSession(
+      session.group_id,
+      session.group_name,
+      session.top_results,
+      session.member_responses,
+      shoppingResult.success ? shoppingResult.list : null
+    );
+  };
+
   // Check if user has completed voting for a group
   const checkUserVotingComplete = async (groupId, requestId) => {
     try {
@@ -580,6 +797,19 @@ export default function GroupsScreen({ route, navigation }) {
             memberResponses: sessionResult.data.member_responses || [],
             terminatedAt: sessionResult.data.terminated_at
           });
+          
+          const shoppingResult = await getGroupShoppingList(group.group_id);
+          if (shoppingResult.success) {
+            setShoppingLists(prev => {
+              const lists = new Map(prev);
+              if (shoppingResult.list) {
+                lists.set(group.group_id, shoppingResult.list);
+              } else {
+                lists.delete(group.group_id);
+              }
+              return lists;
+            });
+          }
         } else {
           console.log(`📊 No terminated session found for group ${group.group_name}`);
         }
@@ -1294,8 +1524,8 @@ export default function GroupsScreen({ route, navigation }) {
         setTimeout(() => {
           try {
             showAlert(
-              'Joined Group', 
-              `Successfully joined "${result.group?.name}"!`,
+              result.pending ? 'Request Sent' : 'Joined Group', 
+              result.pending ? result.message : `Successfully joined "${result.group?.name}"!`,
               'OK'
             );
           } catch (alertError) {
@@ -1320,7 +1550,7 @@ export default function GroupsScreen({ route, navigation }) {
           errorMessage = 'There was a problem accessing the group. Please try again in a moment.';
         }
         
-        showAlert('Cannot Join Group', errorMessage, 'OK');
+        showAlert(result?.waitlisted ? 'Group Is Full' : 'Cannot Join Group', errorMessage, 'OK');
       }
       
     } catch (error) {
@@ -1516,6 +1746,16 @@ export default function GroupsScreen({ route, navigation }) {
     console.log('🔄 Loading dinner request status...');
     loadDinnerRequestStatus(group.group_id);
     
+    loadGroupLedger(group.group_id);
+    loadGroupRota(group.group_id);
+    loadCloseRules(group.group_id);
+    loadSessionHistory(group.group_id);
+    loadGroupModeration(group.group_id, normalizeGroupRole(group.user_role, group.is_creator));
+    loadGroupInvites(group.group_id, normalizeGroupRole(group.user_role, group.is_creator));
+    loadGroupWaitlist(group.group_id, normalizeGroupRole(group.user_role, group.is_creator));
+    loadGroupSettings(group.group_id);
+    setExpandedMemberId(null);
+    
     // Clear any termination flags and set the selected group
     const cleanGroup = { ...group };
     delete cleanGroup._terminatedSession;
@@ -1529,6 +1769,11 @@ export default function GroupsScreen({ route, navigation }) {
     if (cleanGroup.activeMealRequest?.request_id || cleanGroup.activeMealRequest?.id) {
       const requestId = cleanGroup.activeMealRequest?.request_id || cleanGroup.activeMealRequest?.id;
       checkUserVotingComplete(cleanGroup.group_id, requestId);
+      if (!cleanGroup.activeMealRequest?.preloadedForVoting) {
+        loadVotingProgress(requestId);
+      }
+    } else {
+      setVotingProgress(null);
     }
     
     Animated.spring(groupDetailAnimation, {
@@ -1551,6 +1796,13 @@ export default function GroupsScreen({ route, navigation }) {
       setMembersError(null);
       setMemberResponses([]);
       setDinnerRequestStatus(null);
+      setGroupLedger(null);
+      setGroupRota(null);
+      setSwapAssignmentId(null);
+      setVotingProgress(null);
+      setCloseRules(null);
+      setSessionHistory(null);
+      setExpandedHistoryId(null);
       // NOTE: Don't clear terminated session results - they should persist!
       
       Animated.spring(groupDetailAnimation, {
@@ -1626,158 +1878,665 @@ export default function GroupsScreen({ route, navigation }) {
     }
   };
 
-  const loadDinnerRequestStatus = async (groupId = null) => {
+  const loadGroupLedger = async (groupId = null) => {
     const targetGroupId = groupId || selectedGroup?.group_id;
     if (!targetGroupId) return;
-
-    console.log('🍽️ Loading dinner request status for group:', targetGroupId);
     
+    setLedgerLoading(true);
     try {
-      const result = await getGroupMemberResponses(targetGroupId);
-      
+      const result = await getGroupLedger(targetGroupId);
       if (result.success) {
-        console.log('✅ Loaded dinner request status:', result);
-        setDinnerRequestStatus(result.hasActiveRequest ? result : null);
-        setMemberResponses(result.memberResponses || []);
+        setGroupLedger(result);
       } else {
-        console.error('❌ Failed to load dinner request status:', result.error);
-        setDinnerRequestStatus(null);
-        setMemberResponses([]);
+        console.log('❌ Failed to load balances:', result.error);
+        setGroupLedger(null);
       }
-    } catch (error) {
-      console.error('❌ Error loading dinner request status:', error);
-      setDinnerRequestStatus(null);
-      setMemberResponses([]);
+    } finally {
+      setLedgerLoading(false);
     }
   };
 
-  // Flip functions removed - members are now shown directly in the main group view
+  const getMemberDisplayName = (userId) => {
+    if (userId === currentUserId) return 'You';
+    const member = members.find(m => m.user_id === userId);
+    return member?.user_name || member?.full_name || 'Former member';
+  };
 
-  // Role and join date functions removed - no longer needed
+  // What the current user may do in the open group (see lib/groupPermissions.js)
+  const myGroupRole = normalizeGroupRole(selectedGroup?.user_role, selectedGroup?.is_creator);
+  const canEditSelectedGroup = hasGroupPermission(myGroupRole, GROUP_PERMISSIONS.EDIT_GROUP);
+  const canManageActiveSession =
+    canManageSession(myGroupRole, currentUserId, selectedGroup?.activeMealRequest?.requested_by) ||
+    canManageSession(myGroupRole, currentUserId, selectedGroup?.activeDinnerRequest?.requesterId);
 
-  const getMemberResponseStatus = (memberId) => {
-    if (!dinnerRequestStatus || !dinnerRequestStatus.hasActiveRequest) {
-      return null;
+  // Bans for moderators, the audit log for admins
+  const loadGroupModeration = async (groupId, role) => {
+    if (!groupId) return;
+
+    if (hasGroupPermission(role, GROUP_PERMISSIONS.REMOVE_MEMBERS)) {
+      const bansResult = await getGroupBans(groupId);
+      if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+      setGroupBans(bansResult.success ? bansResult.bans : []);
+    } else {
+      setGroupBans([]);
     }
-    
-    const response = memberResponses.find(r => r.userId === memberId);
-    return response ? response.response : 'pending';
-  };
 
-  // Synchronous helper to check if current user accepted the dinner request
-  const currentUserAcceptedDinnerRequest = () => {
-    if (!currentUserId || !selectedGroup?.hasActiveDinnerRequest || !selectedGroup?.dinnerRequestResponses) {
-      return false;
+    if (hasGroupPermission(role, GROUP_PERMISSIONS.VIEW_AUDIT_LOG)) {
+      const logResult = await getGroupAuditLog(groupId);
+      if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+      setGroupAuditLog(logResult.success ? logResult.entries : null);
+    } else {
+      setGroupAuditLog(null);
     }
-    
-    const userResponse = selectedGroup?.dinnerRequestResponses?.find(r => r.userId === currentUserId);
-    const accepted = userResponse?.response === 'accepted';
-    
-    console.log('📋 [USER RESPONSE CHECK] Current user:', currentUserId);
-    console.log('📋 [USER RESPONSE CHECK] User response:', userResponse?.response);
-    console.log('📋 [USER RESPONSE CHECK] Accepted:', accepted);
-    
-    return accepted;
   };
 
-  const getResponseIndicatorStyle = (status) => {
-    switch (status) {
-      case 'accepted':
-        return { backgroundColor: '#8B7355', color: '#FFFFFF' };
-      case 'declined':
-        return { backgroundColor: '#6B6B6B', color: '#FFFFFF' };
-      case 'pending':
-        return { backgroundColor: '#FFC107', color: '#2D2D2D' };
-      default:
-        return null;
+  const loadGroupSettings = async (groupId) => {
+    setGroupSettings(DEFAULT_GROUP_SETTINGS);
+
+    const result = await getGroupSettings(groupId);
+    if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+    if (result.success) {
+      setGroupSettings(result.settings);
+    } else {
+      console.log('❌ Failed to load group settings:', result.error);
     }
   };
 
-  const getResponseText = (status) => {
-    switch (status) {
-      case 'accepted':
-        return 'YES';
-      case 'declined':
-        return 'NO';
-      case 'pending':
-        return 'PENDING';
-      default:
-        return '';
+  const loadGroupInvites = async (groupId, role) => {
+    if (!hasGroupPermission(role, GROUP_PERMISSIONS.MANAGE_INVITES)) {
+      setGroupInvites(null);
+      return;
+    }
+
+    const result = await getGroupInvites(groupId);
+    if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+    if (result.success) {
+      setGroupInvites(result);
+    } else {
+      console.log('❌ Failed to load invites:', result.error);
+      setGroupInvites(null);
     }
   };
 
-  const copyJoinCode = async (joinCode) => {
+  // Runs an invite action, then reloads the section
+  const runInviteAction = async (action, errorTitle) => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId || invitesSaving) return;
+
+    setInvitesSaving(true);
     try {
-      await Clipboard.setString(joinCode);
-      showAlert(
-        'Copied!',
-        `Join code "${joinCode}" copied to clipboard`,
-        'OK'
-      );
-      
-      // Auto-hide after 1.5 seconds
-      setTimeout(() => {
-        hideAlert();
-      }, 1500);
-    } catch (error) {
-      console.error('❌ Error copying to clipboard:', error);
-      showAlert(
-        'Copy Failed',
-        'Could not copy join code to clipboard',
-        'OK'
-      );
+      const result = await action(groupId);
+      if (!result.success) {
+        showAlert(errorTitle, result.error, 'OK');
+        return;
+      }
+      await loadGroupInvites(groupId, myGroupRole);
+      return result;
+    } finally {
+      setInvitesSaving(false);
     }
   };
 
-  const handleDinnerRequestResponse = async (accepted) => {
-    if (!dinnerRequestStatus?.hasActiveRequest) {
-      console.error('❌ No active dinner request to respond to');
+  const handleCreateInvite = async () => {
+    const result = await runInviteAction(
+      groupId => createGroupInvite(groupId, { expiresInHours: inviteExpiryHours, maxUses: inviteMaxUses }),
+      'Could Not Create Invite'
+    );
+    if (result) {
+      copyInviteLink(result.invite.code);
+    }
+  };
+
+  const handleRevokeInvite = (invite) => {
+    Alert.alert(
+      'Revoke Invite',
+      invite.isGroupCode
+        ? `Nobody can join with the group code ${invite.code} any more. Create a new invite to let people in.`
+        : `Nobody can join with ${invite.code} any more.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: () => runInviteAction(groupId => revokeGroupInvite(groupId, invite.id), 'Could Not Revoke Invite')
+        }
+      ]
+    );
+  };
+
+  const handleToggleJoinApproval = () => {
+    const enabled = !groupInvites?.requiresApproval;
+    runInviteAction(groupId => setGroupRequiresApproval(groupId, enabled), 'Could Not Update Group');
+  };
+
+  const handleAnswerJoinRequest = async (request, approve) => {
+    const result = await runInviteAction(
+      groupId => respondToJoinRequest(groupId, request.userId, approve),
+      'Could Not Answer Request'
+    );
+    if (result && approve) {
+      loadGroupMembers(selectedGroup?.group_id);
+      if (result.status === 'waitlisted') {
+        loadGroupWaitlist(selectedGroup?.group_id, myGroupRole);
+        Alert.alert('Group Is Full', `${request.name} is on the waitlist and will be added when a place opens up.`);
+      }
+    }
+  };
+
+  const loadGroupWaitlist = async (groupId, role) => {
+    if (!hasGroupPermission(role, GROUP_PERMISSIONS.EDIT_GROUP)) {
+      setGroupWaitlist([]);
       return;
     }
 
-    const requestId = dinnerRequestStatus.activeRequest.id;
-    const response = accepted ? 'accepted' : 'declined';
-    console.log(`📝 User ${response} the dinner request:`, requestId);
+    const result = await getGroupWaitlist(groupId);
+    if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+    setGroupWaitlist(result.success ? result.waitlist : []);
+  };
+
+  const handleSetCapacity = async (maxMembers) => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId || capacitySaving) return;
 
+    setCapacitySaving(true);
     try {
-      const result = await recordUserResponse(requestId, response);
-      
-      if (result.success) {
-        console.log('✅ Request response saved successfully');
-        
-        let alertMessage = result.message;
-        
-        let mealSessionCreated = false;
-        let newMealRequestId = null;
-        
-        // Show response status (meal session was created when request was sent)
-        if (result.readiness) {
-          alertMessage += `\n\nResponses: ${result.readiness.responses_count}/${result.readiness.total_members} members (${result.readiness.accepted_count} accepted)`;
-          if (result.readiness.is_ready) {
-            alertMessage += `\n\nGreat! Everyone has responded. You can now vote on meals!`;
+      const result = await setGroupCapacity(groupId, maxMembers, members.length);
+      if (!result.success) {
+        showAlert('Could Not Change Group Size', result.error, 'OK');
+        return;
+      }
+
+      setSelectedGroup(prev => (prev ? { ...prev, max_members: maxMembers } : prev));
+      // A bigger group lets the waitlist in
+      await Promise.all([
+        loadGroupMembers(groupId),
+        loadGroupWaitlist(groupId, myGroupRole)
+      ]);
+      loadUserGroups();
+    } finally {
+      setCapacitySaving(false);
+    }
+  };
+
+  // Alert.alert keeps the group open, showAlert would close it
+  const copyInviteLink = async (code) => {
+    try {
+      await Clipboard.setString(buildInviteLink(code));
+      Alert.alert('Invite Link Copied', `${buildInviteLink(code)}\n\nPeople can also type ${code} into the join box.`);
+    } catch (error) {
+      console.error('❌ Error copying invite link:', error);
+      Alert.alert('Copy Failed', 'Could not copy the invite link');
+    }
+  };
+
+  const handleChangeMemberRole = async (member, role) => {
+    const groupId = selectedGroup?.group_id;
+    setRoleSavingUserId(member.user_id);
+    const result = await setGroupMemberRole(groupId, member.user_id, role);
+    setRoleSavingUserId(null);
+
+    if (result.success) {
+      setMembers(prev => prev.map(m => (m.user_id === member.user_id ? { ...m, role } : m)));
+      loadGroupModeration(groupId, myGroupRole);
+    } else {
+      showAlert('Could Not Change Role', result.error, 'OK');
+    }
+  };
+
+  // Alert.alert keeps the group open underneath, unlike showConfirmDialog
+  const handleRemoveMember = (member, ban) => {
+    const groupId = selectedGroup?.group_id;
+    const name = getMemberDisplayName(member.user_id);
+    const reason = banReason.trim();
+
+    Alert.alert(
+      ban ? 'Remove and Ban' : 'Remove Member',
+      ban
+        ? `Remove ${name} and keep them from joining again? You can unban them later.`
+        : `Remove ${name} from ${selectedGroup?.group_name}? They can join again with the group code.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: ban ? 'Ban' : 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setRoleSavingUserId(member.user_id);
+            const result = await removeGroupMember(groupId, member.user_id, { ban, reason });
+            setRoleSavingUserId(null);
+
+            if (result.success) {
+              setMembers(prev => prev.filter(m => m.user_id !== member.user_id));
+              setExpandedMemberId(null);
+              setBanReason('');
+              loadGroupModeration(groupId, myGroupRole);
+              // The freed place may have gone to someone on the waitlist
+              if (groupWaitlist.length > 0) {
+                loadGroupMembers(groupId);
+                loadGroupWaitlist(groupId, myGroupRole);
+              }
+            } else {
+              showAlert(ban ? 'Could Not Ban' : 'Could Not Remove', result.error, 'OK');
+            }
           }
         }
-        
-        showAlert('Response Sent', alertMessage, 'OK');
-        
-        // Refresh the dinner request status and group data
-        await loadDinnerRequestStatus();
-        await loadUserGroups();
-        
-        // IMMEDIATE CROSS-SCREEN SYNC: Update MainProfileScreen (remove notification)
-        if (navigation.getParent()) {
-          navigation.getParent().setParams({ 
-            refreshGroups: Date.now(),
-            immediateResponseFromGroup: {
-              requestId: requestId,
-              response: response,
-              userId: currentUserId,
-              timestamp: Date.now()
+      ]
+    );
+  };
+
+  const handleTransferOwnership = (member) => {
+    const groupId = selectedGroup?.group_id;
+    const name = getMemberDisplayName(member.user_id);
+
+    Alert.alert(
+      'Hand Over Group',
+      `Make ${name} the owner of ${selectedGroup?.group_name}? You stay on as an admin, but only they can delete the group or hand it over again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Hand Over',
+          style: 'destructive',
+          onPress: async () => {
+            setRoleSavingUserId(member.user_id);
+            const result = await transferGroupOwnership(groupId, member.user_id);
+            setRoleSavingUserId(null);
+
+            if (result.success) {
+              setMembers(prev => prev.map(m => {
+                if (m.user_id === member.user_id) return { ...m, role: GROUP_ROLES.ADMIN, is_creator: true };
+                if (m.user_id === currentUserId) return { ...m, role: GROUP_ROLES.ADMIN, is_creator: false };
+                return m;
+              }));
+              setSelectedGroup(prev => (prev ? { ...prev, is_creator: false, user_role: GROUP_ROLES.ADMIN } : prev));
+              setExpandedMemberId(null);
+              loadGroupModeration(groupId, GROUP_ROLES.ADMIN);
+              loadUserGroups();
+            } else {
+              showAlert('Could Not Hand Over Group', result.error, 'OK');
             }
-          });
+          }
         }
+      ]
+    );
+  };
 
-        // IMMEDIATE UI UPDATE: Show voting buttons if user accepted
+  const handleUnbanUser = async (ban) => {
+    const groupId = selectedGroup?.group_id;
+    setRoleSavingUserId(ban.userId);
+    const result = await unbanGroupUser(groupId, ban.userId);
+    setRoleSavingUserId(null);
+
+    if (result.success) {
+      setGroupBans(prev => prev.filter(b => b.userId !== ban.userId));
+      loadGroupModeration(groupId, myGroupRole);
+    } else {
+      showAlert('Could Not Unban', result.error, 'OK');
+    }
+  };
+
+  // Record that the current user paid for the group's last finished dinner
+  const handleRecordDinnerPayment = () => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId) return;
+    
+    showConfirmDialog(
+      'I Paid for Dinner',
+      'Record that you paid for this dinner? The cost is split between everyone who ate.',
+      'I Paid',
+      async () => {
+        setLedgerSaving(true);
+        try {
+          const result = await recordDinnerExpense(groupId);
+          if (result.success) {
+            await loadGroupLedger(groupId);
+          } else {
+            showAlert('Could Not Record Payment', result.error, 'OK');
+          }
+        } finally {
+          setLedgerSaving(false);
+        }
+      }
+    );
+  };
+
+  const handleMarkTransferPaid = (transfer) => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId) return;
+    
+    showConfirmDialog(
+      'Mark as Paid',
+      `${getMemberDisplayName(transfer.from)} paid ${getMemberDisplayName(transfer.to)} ${formatMoney(transfer.amountCents)}?`,
+      'Mark Paid',
+      async () => {
+        setLedgerSaving(true);
+        try {
+          const result = await recordSettlement(groupId, transfer.from, transfer.to, transfer.amountCents);
+          if (result.success) {
+            await loadGroupLedger(groupId);
+          } else {
+            showAlert('Could Not Save Payment', result.error, 'OK');
+          }
+        } finally {
+          setLedgerSaving(false);
+        }
+      }
+    );
+  };
+
+  const loadGroupRota = async (groupId = null) => {
+    const targetGroupId = groupId || selectedGroup?.group_id;
+    if (!targetGroupId) return;
+    
+    const result = await getGroupRota(targetGroupId);
+    if (result.success) {
+      setGroupRota(result);
+    } else {
+      console.log('❌ Failed to load rota:', result.error);
+      setGroupRota(null);
+    }
+  };
+
+  // Runs a rota change, then reloads the rota so everyone's view matches the server
+  const runRotaAction = async (action, errorTitle) => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId) return;
+    
+    setRotaSaving(true);
+    try {
+      const result = await action(groupId);
+      if (!result.success) {
+        showAlert(errorTitle, result.error, 'OK');
+      }
+      await loadGroupRota(groupId);
+    } finally {
+      setRotaSaving(false);
+    }
+  };
+
+  const handleProposeRotaSwap = (assignment, toUserId) => {
+    setSwapAssignmentId(null);
+    showConfirmDialog(
+      'Swap Turn',
+      `Ask ${getMemberDisplayName(toUserId)} to take over as ${ROTA_ROLE_LABELS[assignment.role].toLowerCase()}?`,
+      'Ask',
+      () => runRotaAction(() => proposeRotaSwap(assignment.assignmentId, toUserId), 'Could Not Propose Swap')
+    );
+  };
+
+  const handleRespondToRotaSwap = (swap, accept) => {
+    runRotaAction(() => respondToRotaSwap(swap.id, accept), 'Could Not Answer Swap');
+  };
+
+  const handleToggleUnavailableDay = (weekday) => {
+    const current = groupRota?.myUnavailableWeekdays || [];
+    const weekdays = current.includes(weekday)
+      ? current.filter(day => day !== weekday)
+      : [...current, weekday];
+    
+    // Show the change straight away, the reload corrects it if saving fails
+    setGroupRota(prev => prev ? { ...prev, myUnavailableWeekdays: weekdays } : prev);
+    runRotaAction(groupId => setRotaAvailability(groupId, weekdays), 'Could Not Save Availability');
+  };
+
+  const handleToggleDishwasherRota = () => {
+    const enabled = !groupRota?.dishwasherEnabled;
+    runRotaAction(groupId => setDishwasherRotaEnabled(groupId, enabled), 'Could Not Update Rota');
+  };
+
+  // Page 0 replaces the list, later pages are appended to it
+  const loadSessionHistory = async (groupId, page = 0) => {
+    setHistoryLoading(true);
+    try {
+      const result = await getSessionHistory(groupId, page);
+      if (!result.success) {
+        console.log('❌ Failed to load session history:', result.error);
+        if (page === 0) setSessionHistory(null);
+        return;
+      }
+      if (selectedGroupIdRef.current && selectedGroupIdRef.current !== groupId) return;
+      
+      setSessionHistory(prev => ({
+        page,
+        hasMore: result.hasMore,
+        sessions: page === 0 || !prev ? result.sessions : [...prev.sessions, ...result.sessions]
+      }));
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const loadCloseRules = async (groupId) => {
+    const result = await getSessionCloseRules(groupId);
+    if (result.success) {
+      setCloseRules(result.rules);
+    } else {
+      console.log('❌ Failed to load voting rules:', result.error);
+      setCloseRules(null);
+    }
+  };
+
+  const handleChangeCloseRules = async (changes) => {
+    const groupId = selectedGroup?.group_id;
+    if (!groupId || !closeRules) return;
+    
+    const previous = closeRules;
+    const next = { ...closeRules, ...changes };
+    setCloseRules(next);
+    setCloseRulesSaving(true);
+    try {
+      const result = await setSessionCloseRules(groupId, next);
+      if (!result.success) {
+        setCloseRules(previous);
+        showAlert('Could Not Save Voting Rules', result.error, 'OK');
+      }
+    } finally {
+      setCloseRulesSaving(false);
+    }
+  };
+
+  const loadVotingProgress = async (requestId) => {
+    if (!requestId) {
+      setVotingProgress(null);
+      return;
+    }
+    
+    const result = await getGroupVotingProgress(requestId);
+    if (result.success) {
+      setVotingProgress({ ...result, requestId });
+    } else {
+      console.log('⚠️ Could not load voting progress:', result.error);
+    }
+  };
+
+  // Members behind the group's average get flagged as lagging
+  const laggingThreshold = votingProgress?.members.length
+    ? votingProgress.members.reduce((sum, progress) => sum + progress.votedCount, 0) / votingProgress.members.length
+    : 0;
+
+  const handleNudgeMember = async (member) => {
+    if (!votingProgress?.requestId || nudgingUserId) return;
+    
+    setNudgingUserId(member.user_id);
+    const result = await nudgeVoter(votingProgress.requestId, member.user_id);
+    setNudgingUserId(null);
+    
+    if (result.success) {
+      showAlert('Nudge Sent', `${getMemberDisplayName(member.user_id)} has been reminded to vote.`, 'OK');
+    } else {
+      showAlert('Nudge', result.error || 'Could not send the nudge. Please try again.', 'OK');
+    }
+  };
+
+  const showVotingNudges = async () => {
+    const result = await getUnseenVotingNudges();
+    if (!result.success || result.nudges.length === 0) return;
+    
+    await markVotingNudgesSeen(result.nudges.map(nudge => nudge.id));
+    
+    // Several nudges for the same session only need one reminder
+    const nudge = result.nudges[result.nudges.length - 1];
+    const group = groups.find(g => g.group_id === nudge.groupId);
+    
+    if (!group || selectedGroupIdRef.current === nudge.groupId) {
+      showAlert('Time to Vote', `${nudge.groupName} is waiting for your votes.`, 'OK');
+    } else {
+      showAlert('Time to Vote', `${nudge.groupName} is waiting for your votes.`, 'Vote Now', () => openGroupDetailModal(group));
+    }
+  };
+
+  const loadDinnerRequestStatus = async (groupId = null) => {
+    const targetGroupId = groupId || selectedGroup?.group_id;
+    if (!targetGroupId) return;
+
+    console.log('🍽️ Loading dinner request status for group:', targetGroupId);
+    
+    try {
+      const result = await getGroupMemberResponses(targetGroupId);
+      
+      if (result.success) {
+        console.log('✅ Loaded dinner request status:', result);
+        setDinnerRequestStatus(result.hasActiveRequest ? result : null);
+        setMemberResponses(result.memberResponses || []);
+      } else {
+        console.error('❌ Failed to load dinner request status:', result.error);
+        setDinnerRequestStatus(null);
+        setMemberResponses([]);
+      }
+    } catch (error) {
+      console.error('❌ Error loading dinner request status:', error);
+      setDinnerRequestStatus(null);
+      setMemberResponses([]);
+    }
+  };
+
+  // Flip functions removed - members are now shown directly in the main group view
+
+  // Role and join date functions removed - no longer needed
+
+  const getMemberResponseStatus = (memberId) => {
+    if (!dinnerRequestStatus || !dinnerRequestStatus.hasActiveRequest) {
+      return null;
+    }
+    
+    const response = memberResponses.find(r => r.userId === memberId);
+    return response ? response.response : 'pending';
+  };
+
+  // Synchronous helper to check if current user accepted the dinner request
+  const currentUserAcceptedDinnerRequest = () => {
+    if (!currentUserId || !selectedGroup?.hasActiveDinnerRequest || !selectedGroup?.dinnerRequestResponses) {
+      return false;
+    }
+    
+    const userResponse = selectedGroup?.dinnerRequestResponses?.find(r => r.userId === currentUserId);
+    const accepted = userResponse?.response === 'accepted';
+    
+    console.log('📋 [USER RESPONSE CHECK] Current user:', currentUserId);
+    console.log('📋 [USER RESPONSE CHECK] User response:', userResponse?.response);
+    console.log('📋 [USER RESPONSE CHECK] Accepted:', accepted);
+    
+    return accepted;
+  };
+
+  const getResponseIndicatorStyle = (status) => {
+    switch (status) {
+      case 'accepted':
+        return { backgroundColor: '#8B7355', color: '#FFFFFF' };
+      case 'declined':
+        return { backgroundColor: '#6B6B6B', color: '#FFFFFF' };
+      case 'pending':
+        return { backgroundColor: '#FFC107', color: '#2D2D2D' };
+      default:
+        return null;
+    }
+  };
+
+  const getResponseText = (status) => {
+    switch (status) {
+      case 'accepted':
+        return 'YES';
+      case 'declined':
+        return 'NO';
+      case 'pending':
+        return 'PENDING';
+      default:
+        return '';
+    }
+  };
+
+  const copyJoinCode = async (joinCode) => {
+    try {
+      await Clipboard.setString(joinCode);
+      showAlert(
+        'Copied!',
+        `Join code "${joinCode}" copied to clipboard`,
+        'OK'
+      );
+      
+      // Auto-hide after 1.5 seconds
+      setTimeout(() => {
+        hideAlert();
+      }, 1500);
+    } catch (error) {
+      console.error('❌ Error copying to clipboard:', error);
+      showAlert(
+        'Copy Failed',
+        'Could not copy join code to clipboard',
+        'OK'
+      );
+    }
+  };
+
+  const handleDinnerRequestResponse = async (accepted) => {
+    if (!dinnerRequestStatus?.hasActiveRequest) {
+      console.error('❌ No active dinner request to respond to');
+      return;
+    }
+
+    const requestId = dinnerRequestStatus.activeRequest.id;
+    const response = accepted ? 'accepted' : 'declined';
+    console.log(`📝 User ${response} the dinner request:`, requestId);
+
+    try {
+      const result = await offlineQueue.perform(OFFLINE_ACTIONS.DINNER_RESPONSE, { requestId, response });
+      
+      if (result.queued) {
+        showAlert('Saved Offline', "You're offline. Your response will be sent as soon as you're back online.", 'OK');
+      } else if (result.success) {
+        console.log('✅ Request response saved successfully');
+        
+        let alertMessage = result.message;
+        
+        let mealSessionCreated = false;
+        let newMealRequestId = null;
+        
+        // Show response status (meal session was created when request was sent)
+        if (result.readiness) {
+          alertMessage += `\n\nResponses: ${result.readiness.responses_count}/${result.readiness.total_members} members (${result.readiness.accepted_count} accepted)`;
+          if (result.readiness.is_ready) {
+            alertMessage += `\n\nGreat! Everyone has responded. You can now vote on meals!`;
+          }
+        }
+        
+        showAlert('Response Sent', alertMessage, 'OK');
+        
+        // Refresh the dinner request status and group data
+        await loadDinnerRequestStatus();
+        await loadUserGroups();
+        
+        // IMMEDIATE CROSS-SCREEN SYNC: Update MainProfileScreen (remove notification)
+        if (navigation.getParent()) {
+          navigation.getParent().setParams({ 
+            refreshGroups: Date.now(),
+            immediateResponseFromGroup: {
+              requestId: requestId,
+              response: response,
+              userId: currentUserId,
+              timestamp: Date.now()
+            }
+          });
+        }
+
+        // IMMEDIATE UI UPDATE: Show voting buttons if user accepted
         if (accepted && selectedGroup) {
           console.log('✅ [GROUP PAGE] User accepted - showing voting buttons immediately');
           
@@ -1883,7 +2642,8 @@ export default function GroupsScreen({ route, navigation }) {
         }, 20000);
       });
       
-      const createPromise = createMealRequest(selectedGroup.group_id, mealCount);
+      // Without a chosen count createMealRequest keeps its own default
+      const createPromise = createMealRequest(selectedGroup.group_id, groupSettings.mealCount ?? undefined, 'random', groupSettings.votingMode);
       const result = await Promise.race([createPromise, requestTimeoutPromise]);
       
       if (result.success) {
@@ -1926,6 +2686,15 @@ export default function GroupsScreen({ route, navigation }) {
           const existingReq = result.existingRequest;
           const mealCount = existingReq.mealOptions?.length || existingReq.totalOptions || 0;
           
+          if (!existingReq.canReplace) {
+            showAlert(
+              'Active Request Found',
+              `${existingReq.requesterName} is running a voting session with ${mealCount} meal options. Only they, a moderator or an admin can replace it.`,
+              'OK'
+            );
+            return;
+          }
+          
           // Simple confirmation without complex modal states
           console.log('🔄 Active request found, asking user for replacement');
           
@@ -1963,7 +2732,8 @@ export default function GroupsScreen({ route, navigation }) {
         if (result.error.includes('Database setup required')) {
           alertTitle = 'Setup Required';
           alertMessage = 'The meal request feature needs to be set up in the database. Please try again in a few moments or contact support if this persists.';
-        } else if (result.error.includes('already has an active meal request')) {
+        } else if (result.error.includes('already has an active meal request') &&
+          hasGroupPermission(myGroupRole, GROUP_PERMISSIONS.USE_DEBUG_TOOLS)) {
           alertTitle = 'Active Request Exists';
           alertMessage = 'This group already has an active meal request. You can view the voting session or clear old requests if needed.';
           
@@ -2017,7 +2787,7 @@ export default function GroupsScreen({ route, navigation }) {
     });
     
     try {
-      const replacePromise = replaceMealRequest(selectedGroup.group_id, mealCount, existingRequestId);
+      const replacePromise = replaceMealRequest(selectedGroup.group_id, groupSettings.mealCount ?? undefined, existingRequestId, 'random', groupSettings.votingMode);
       const result = await Promise.race([replacePromise, timeoutPromise]);
       
       if (result.success) {
@@ -2156,6 +2926,94 @@ export default function GroupsScreen({ route, navigation }) {
     }
   };
 
+  // Tick a shopping list item off for the whole group (optimistic)
+  const handleToggleShoppingItem = async (groupId, item) => {
+    const updateItem = (checked) => {
+      setShoppingLists(prev => {
+        const list = prev.get(groupId);
+        if (!list) return prev;
+        
+        const lists = new Map(prev);
+        const items = list.items.map(listItem => (listItem.id === item.id ? { ...listItem, checked } : listItem));
+        lists.set(groupId, {
+          ...list,
+          items,
+          aisles: list.aisles.map(aisle => ({
+            ...aisle,
+            items: aisle.items.map(listItem => (listItem.id === item.id ? { ...listItem, checked } : listItem))
+          })),
+          checkedCount: items.filter(listItem => listItem.checked).length
+        });
+        return lists;
+      });
+    };
+    
+    updateItem(!item.checked);
+    const result = await setShoppingItemChecked(item.id, !item.checked);
+    if (!result.success) {
+      updateItem(item.checked);
+      showAlert('Shopping List', 'Could not update the shopping list. Please try again.', 'OK');
+    }
+  };
+
+  // Clear a closed session from local state and show its saved results
+  const applyTerminatedSession = (groupId, groupName, topResults, memberResponses, shoppingList = null) => {
+    const terminatedAt = new Date().toISOString();
+    const clearedRequestInfo = {
+      hasActiveDinnerRequest: false,
+      hasActiveMealRequest: false,
+      activeDinnerRequest: null,
+      activeMealRequest: null,
+      dinnerRequestResponses: [],
+      dinnerRequestSummary: null,
+      // Mark as terminated to prevent background refresh from overriding
+      _terminatedSession: true,
+      _terminatedAt: terminatedAt
+    };
+    
+    setSelectedGroup(prev => (prev && prev.group_id === groupId ? { ...prev, ...clearedRequestInfo } : prev));
+    if (selectedGroupIdRef.current === groupId) {
+      // Reset local acceptance state when session is terminated
+      setUserLocallyAcceptedRequest(false);
+    }
+    
+    setGroups(prevGroups => prevGroups.map(group => (
+      group.group_id === groupId ? { ...group, ...clearedRequestInfo } : group
+    )));
+    
+    setTerminatedSessionResults(prev => {
+      const newMap = new Map(prev);
+      newMap.set(groupId, {
+        groupId,
+        groupName,
+        results: topResults && topResults.length > 0 ? topResults : [],
+        memberResponses: memberResponses || [],
+        terminatedAt
+      });
+      return newMap;
+    });
+    
+    setShoppingLists(prev => {
+      const lists = new Map(prev);
+      if (shoppingList) {
+        lists.set(groupId, shoppingList);
+      } else {
+        lists.delete(groupId);
+      }
+      return lists;
+    });
+    
+    if (selectedGroupIdRef.current === groupId) {
+      loadSessionHistory(groupId);
+    }
+    
+    // Wait before server refresh to ensure database updates complete
+    setTimeout(() => {
+      console.log('🔄 Performing delayed server refresh after termination...');
+      loadUserGroups();
+    }, 3000);
+  };
+
   // Terminate Session Function
   const handleTerminateSession = async () => {
     if (!selectedGroup || !selectedGroup.activeMealRequest) {
@@ -2192,50 +3050,26 @@ export default function GroupsScreen({ route, navigation }) {
         setMealRequestLoading(true);
         
         try {
-          // STEP 1: Get top 3 voted meals before terminating the session
-          console.log('🏆 Getting top 3 results before termination...');
-          const topResultsResponse = await getTopVotedMeals(requestId);
-          
-          let topResults = null;
-          if (topResultsResponse.success && topResultsResponse.topMeals && topResultsResponse.topMeals.length > 0) {
-            topResults = topResultsResponse.topMeals.slice(0, 3); // Ensure we only get top 3
-            console.log('✅ Successfully retrieved top 3 results:', topResults);
-          } else {
-            console.warn('⚠️ Could not get top results:', topResultsResponse.error);
-            console.warn('⚠️ Response structure:', topResultsResponse);
-            
-            // Try alternative approach - get voting results directly
-            console.log('🔄 Attempting to get voting results as fallback...');
-            const { getVotingResults } = require('../lib/mealRequestService');
-            const votingResultsResponse = await getVotingResults(requestId);
-            
-            if (votingResultsResponse.success && votingResultsResponse.results && votingResultsResponse.results.length > 0) {
-              // Sort by yes votes and take top 3
-              const sortedResults = votingResultsResponse.results
-                .sort((a, b) => (b.yes_votes || 0) - (a.yes_votes || 0))
-                .slice(0, 3);
-              
-              topResults = sortedResults;
-              console.log('✅ Retrieved top 3 results from voting results fallback:', topResults);
-            } else {
-              console.warn('⚠️ Could not get voting results either:', votingResultsResponse.error);
-            }
-          }
-          
-          // Get final member responses (who is eating and who isn't)
-          const finalMemberResponses = selectedGroup.dinnerRequestResponses || [];
-          
-          // STEP 2: Save terminated session to permanent storage
-          console.log('💾 Saving terminated session to database...');
-          const saveResult = await terminatedSessionsService.saveTerminatedSession(
+          const closeResult = await closeGroupSession(
             selectedGroup.group_id,
             selectedGroup.group_name,
-            topResults && topResults.length > 0 ? topResults : [],
-            finalMemberResponses
+            SESSION_CLOSE_REASONS.MANUAL
           );
           
-          if (!saveResult.success) {
-            console.error('❌ Failed to save terminated session:', saveResult.error);
+          if (closeResult.quorumNotMet) {
+            showAlert('Quorum Not Reached', closeResult.error, 'OK');
+            setMealRequestLoading(false);
+            return;
+          }
+          
+          if (closeResult.permissionDenied) {
+            showAlert('Not Allowed', closeResult.error, 'OK');
+            setMealRequestLoading(false);
+            return;
+          }
+          
+          if (!closeResult.success) {
+            console.error('❌ Failed to close session:', closeResult.error);
             showAlert(
               'Save Error',
               'Failed to save session results. Please try again.',
@@ -2245,87 +3079,27 @@ export default function GroupsScreen({ route, navigation }) {
             return;
           }
           
-          // STEP 3: Clean up all active session data
-          console.log('🧹 Cleaning up all active session data...');
-          const cleanupResult = await terminatedSessionsService.cleanupActiveSession(selectedGroup.group_id);
-          
-          if (!cleanupResult.success && !cleanupResult.partialSuccess) {
-            console.warn('⚠️ Failed to cleanup active session:', cleanupResult.error);
-            // Continue anyway - the session is still saved and terminated
-          } else if (cleanupResult.partialSuccess) {
-            console.warn('⚠️ Partial cleanup success:', cleanupResult.error);
-            // Continue anyway - most cleanup was successful
+          if (!closeResult.closed) {
+            // Another member (or the deadline) closed it first
+            showAlert(
+              'Session Already Ended',
+              'This voting session has already been closed. Refreshing results...',
+              'OK'
+            );
+            loadUserGroups();
+            return;
           }
           
+          const topResults = closeResult.topResults;
           console.log('✅ Session terminated and saved successfully');
           
-          // STEP 4: COMPLETELY CLEAR all request information from local state
-          if (selectedGroup) {
-            console.log('🧹 Completely clearing all request information from selectedGroup');
-            setSelectedGroup(prev => ({
-              ...prev,
-              hasActiveDinnerRequest: false,
-              hasActiveMealRequest: false,
-              activeDinnerRequest: null,
-              activeMealRequest: null,
-              dinnerRequestResponses: [],
-              dinnerRequestSummary: null,
-              // Mark as terminated to prevent any background updates from overriding
-              _terminatedSession: true,
-              _terminatedAt: new Date().toISOString()
-            }));
-            
-            // Reset local acceptance state when session is terminated
-            setUserLocallyAcceptedRequest(false);
-          }
-          
-          // STEP 5: COMPLETELY CLEAR all request information from groups list
-          console.log('🧹 Completely clearing all request information from groups list...');
-          setGroups(prevGroups => {
-            const updatedGroups = prevGroups.map(group => {
-              if (group.group_id === selectedGroup.group_id) {
-                console.log('🧹 Completely clearing request info from group:', group.group_name);
-                return {
-                  ...group,
-                  hasActiveDinnerRequest: false,
-                  hasActiveMealRequest: false,
-                  activeDinnerRequest: null,
-                  activeMealRequest: null,
-                  dinnerRequestResponses: [],
-                  dinnerRequestSummary: null,
-                  // Mark as terminated to prevent background refresh from overriding
-                  _terminatedSession: true,
-                  _terminatedAt: new Date().toISOString()
-                };
-              }
-              return group;
-            });
-            console.log('✅ Completely cleared all request information from groups');
-            return updatedGroups;
-          });
-          
-          // STEP 6: Update local terminated sessions state for immediate display
-          console.log('📊 Updating local terminated sessions state for immediate display');
-          setTerminatedSessionResults(prev => {
-            const newMap = new Map(prev);
-            newMap.set(selectedGroup.group_id, {
-              groupId: selectedGroup.group_id,
-              groupName: selectedGroup.group_name,
-              results: topResults && topResults.length > 0 ? topResults : [],
-              memberResponses: finalMemberResponses,
-              terminatedAt: new Date().toISOString()
-            });
-            console.log('📊 Local terminated sessions updated:', newMap);
-            return newMap;
-          });
-          
-          // STEP 7: Wait longer before server refresh to ensure database updates complete
-          // The terminated sessions should persist because they're now in the database
-          setTimeout(() => {
-            console.log('🔄 Performing delayed server refresh after termination...');
-            console.log('📊 Current terminated sessions before refresh:', terminatedSessionResults.size);
-            loadUserGroups();
-          }, 3000); // Increased delay to allow database updates to complete
+          applyTerminatedSession(
+            selectedGroup.group_id,
+            selectedGroup.group_name,
+            topResults,
+            closeResult.memberResponses,
+            closeResult.shoppingList
+          );
           
           // Show success message with results info
           const resultsCount = topResults ? topResults.length : 0;
@@ -2445,9 +3219,13 @@ export default function GroupsScreen({ route, navigation }) {
           {/* Overlay with Sign In Button */}
           <View style={styles.signInOverlay}>
             <View style={styles.signInCard}>
-              <Text style={styles.signInTitle}>Sign In to View Groups</Text>
+              <Text style={styles.signInTitle}>
+                {route.params?.joinCode ? 'Sign In to Join the Group' : 'Sign In to View Groups'}
+              </Text>
               <Text style={styles.signInSubtitle}>
-                Create cooking groups, share recipes, and plan meals together with friends and family
+                {route.params?.joinCode
+                  ? 'Your invite opens as soon as you have signed in'
+                  : 'Create cooking groups, share recipes, and plan meals together with friends and family'}
               </Text>
               <TouchableOpacity 
                 style={styles.signInButton}
@@ -2552,7 +3330,7 @@ export default function GroupsScreen({ route, navigation }) {
                           ? 'Voting' 
                           : group.hasActiveDinnerRequest 
                             ? 'Dinner Request'
-                            : (group.is_creator ? 'Admin' : group.user_role)}
+                            : GROUP_ROLE_LABELS[normalizeGroupRole(group.user_role, group.is_creator)]}
                       </Text>
                     </View>
                   </View>
@@ -2561,7 +3339,7 @@ export default function GroupsScreen({ route, navigation }) {
                 <View style={styles.groupDetails}>
                   <View style={styles.membersDetail}>
                     <Text style={styles.detailLabel}>Members</Text>
-                    <Text style={styles.detailValue}>{group.member_count}</Text>
+                    <Text style={styles.detailValue}>{group.member_count}/{group.max_members || DEFAULT_GROUP_CAPACITY}</Text>
                   </View>
                   <View style={styles.groupDetail}>
                     <Text style={styles.detailLabel}>Created</Text>
@@ -2694,10 +3472,9 @@ export default function GroupsScreen({ route, navigation }) {
                 <TextInput
                   style={styles.input}
                   value={joinCode}
-                  onChangeText={(text) => setJoinCode(text.toUpperCase())}
-                  placeholder="Enter 8-character join code"
+                  onChangeText={(text) => setJoinCode(parseInviteCode(text) || text.toUpperCase())}
+                  placeholder="Enter a join code or paste an invite link"
                   placeholderTextColor="#A0A0A0"
-                  maxLength={8}
                   autoCapitalize="characters"
                 />
               </View>
@@ -2888,25 +3665,156 @@ export default function GroupsScreen({ route, navigation }) {
               {selectedGroup && (
                 <View style={styles.groupModalInfo}>
 
-                  {selectedGroup.group_description && (
+                  {(selectedGroup.group_description || canEditSelectedGroup) && (
                     <View style={styles.groupModalDescription}>
                       <Text style={styles.groupModalSectionTitle}>Description</Text>
-                      <Text style={styles.groupDescriptionText}>{selectedGroup.group_description}</Text>
+                      {selectedGroup.group_description ? (
+                        <Text style={styles.groupDescriptionText}>{selectedGroup.group_description}</Text>
+                      ) : (
+                        <Text style={styles.ledgerEmptyText}>No description yet.</Text>
+                      )}
+                      <Text style={styles.ledgerMeta}>{describeGroupDefaults(groupSettings)}</Text>
+
+                      {canEditSelectedGroup && (
+                        <TouchableOpacity
+                          style={[styles.rotaChip, styles.rotaSettingButton]}
+                          onPress={() => {
+                            hideGroupDetailModal();
+                            navigation.navigate('GroupSettingsScreen', {
+                              groupName: selectedGroup?.group_name,
+                              groupId: selectedGroup?.group_id,
+                              returnToGroupModal: true
+                            });
+                          }}
+                        >
+                          <Text style={styles.rotaChipText}>Group Settings</Text>
+                        </TouchableOpacity>
+                      )}
                     </View>
                   )}
 
-                  <View style={styles.groupModalDescription}>
-                    <Text style={styles.groupModalSectionTitle}>Join Code</Text>
-                    <View style={styles.joinCodeContainer}>
-                      <Text style={styles.joinCodeDisplay}>{selectedGroup.join_code}</Text>
-                      <TouchableOpacity 
-                        style={styles.copyButton}
-                        onPress={() => copyJoinCode(selectedGroup.join_code)}
+                  {groupInvites ? (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Invites</Text>
+                      {groupInvites.invites.map(invite => {
+                        const active = getInviteStatus(invite) === INVITE_STATUS.ACTIVE;
+                        return (
+                          <View key={invite.id} style={styles.ledgerRow}>
+                            <View style={styles.historyRowText}>
+                              <Text style={[styles.ledgerName, !active && styles.inviteInactive]}>
+                                {invite.code}{invite.isGroupCode ? ' (group code)' : ''}
+                              </Text>
+                              <Text style={styles.ledgerMeta}>{describeInvite(invite)}</Text>
+                            </View>
+                            {active && (
+                              <View style={styles.inviteActions}>
+                                <TouchableOpacity style={styles.nudgeButton} onPress={() => copyInviteLink(invite.code)}>
+                                  <Text style={styles.nudgeButtonText}>Copy Link</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                  style={[styles.nudgeButton, styles.memberActionDanger, invitesSaving && styles.buttonDisabled]}
+                                  onPress={() => handleRevokeInvite(invite)}
+                                  disabled={invitesSaving}
+                                >
+                                  <Text style={[styles.nudgeButtonText, styles.memberActionDangerText]}>Revoke</Text>
+                                </TouchableOpacity>
+                              </View>
+                            )}
+                          </View>
+                        );
+                      })}
+
+                      <Text style={styles.membersTitle}>New invite expires</Text>
+                      <View style={styles.rotaChipRow}>
+                        {INVITE_EXPIRY_OPTIONS.map(option => (
+                          <TouchableOpacity
+                            key={option.label}
+                            style={[styles.rotaChip, inviteExpiryHours === option.hours && styles.rotaChipSelected]}
+                            onPress={() => setInviteExpiryHours(option.hours)}
+                          >
+                            <Text style={[styles.rotaChipText, inviteExpiryHours === option.hours && styles.rotaChipTextSelected]}>
+                              {option.label}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <View style={styles.rotaChipRow}>
+                        {INVITE_USE_OPTIONS.map(option => (
+                          <TouchableOpacity
+                            key={option.label}
+                            style={[styles.rotaChip, inviteMaxUses === option.maxUses && styles.rotaChipSelected]}
+                            onPress={() => setInviteMaxUses(option.maxUses)}
+                          >
+                            <Text style={[styles.rotaChipText, inviteMaxUses === option.maxUses && styles.rotaChipTextSelected]}>
+                              {option.label}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <TouchableOpacity
+                        style={[styles.rotaChip, styles.rotaSettingButton]}
+                        onPress={handleCreateInvite}
+                        disabled={invitesSaving}
                       >
-                        <Text style={styles.copyButtonText}>Copy</Text>
+                        <Text style={styles.rotaChipText}>{invitesSaving ? 'Saving...' : 'Create Invite Link'}</Text>
                       </TouchableOpacity>
+
+                      {canEditSelectedGroup && (
+                        <TouchableOpacity
+                          style={[styles.rotaChip, styles.rotaSettingButton, groupInvites.requiresApproval && styles.rotaChipSelected]}
+                          onPress={handleToggleJoinApproval}
+                          disabled={invitesSaving}
+                        >
+                          <Text style={[styles.rotaChipText, groupInvites.requiresApproval && styles.rotaChipTextSelected]}>
+                            {groupInvites.requiresApproval ? 'Admins accept newcomers: On' : 'Admins accept newcomers: Off'}
+                          </Text>
+                        </TouchableOpacity>
+                      )}
+
+                      {groupInvites.joinRequests.length > 0 && (
+                        <>
+                          <Text style={styles.membersTitle}>Asking to join</Text>
+                          {groupInvites.joinRequests.map(request => (
+                            <View key={request.userId} style={styles.ledgerRow}>
+                              <View style={styles.historyRowText}>
+                                <Text style={styles.ledgerName}>{request.name}</Text>
+                                <Text style={styles.ledgerMeta}>{new Date(request.requestedAt).toLocaleDateString()}</Text>
+                              </View>
+                              <View style={styles.inviteActions}>
+                                <TouchableOpacity
+                                  style={[styles.nudgeButton, invitesSaving && styles.buttonDisabled]}
+                                  onPress={() => handleAnswerJoinRequest(request, true)}
+                                  disabled={invitesSaving}
+                                >
+                                  <Text style={styles.nudgeButtonText}>Accept</Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                  style={[styles.nudgeButton, styles.memberActionDanger, invitesSaving && styles.buttonDisabled]}
+                                  onPress={() => handleAnswerJoinRequest(request, false)}
+                                  disabled={invitesSaving}
+                                >
+                                  <Text style={[styles.nudgeButtonText, styles.memberActionDangerText]}>Decline</Text>
+                                </TouchableOpacity>
+                              </View>
+                            </View>
+                          ))}
+                        </>
+                      )}
                     </View>
-                  </View>
+                  ) : (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Join Code</Text>
+                      <View style={styles.joinCodeContainer}>
+                        <Text style={styles.joinCodeDisplay}>{selectedGroup.join_code}</Text>
+                        <TouchableOpacity 
+                          style={styles.copyButton}
+                          onPress={() => copyJoinCode(selectedGroup.join_code)}
+                        >
+                          <Text style={styles.copyButtonText}>Copy</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
 
 
 
@@ -3034,7 +3942,8 @@ export default function GroupsScreen({ route, navigation }) {
                         <Text style={styles.revealButtonTextNew}>Reveal Results</Text>
                       </TouchableOpacity>
                       
-                      {/* Terminate Session Button */}
+                      {/* Terminate Session Button - the session's starter, moderators and admins */}
+                      {canManageActiveSession && (
                       <TouchableOpacity 
                         style={styles.terminateButtonNew}
                         onPress={() => {
@@ -3045,6 +3954,7 @@ export default function GroupsScreen({ route, navigation }) {
                       >
                         <Text style={styles.terminateButtonTextNew}>Terminate Session</Text>
                       </TouchableOpacity>
+                      )}
                     </View>
                   )}
 
@@ -3070,12 +3980,24 @@ export default function GroupsScreen({ route, navigation }) {
                       <>
                         <View style={styles.membersHeader}>
                           <Text style={styles.membersTitle}>
-                            {members.length} {members.length === 1 ? 'Member' : 'Members'}
+                            {describeGroupCapacity(members.length, selectedGroup?.max_members, groupWaitlist.length)}
                           </Text>
                         </View>
 
                         {members.map((member, index) => {
                           const responseStatus = getMemberResponseStatus(member.user_id);
+                          const memberProgress = selectedGroup?.hasActiveMealRequest && responseStatus !== 'declined'
+                            ? votingProgress?.members.find(p => p.userId === member.user_id)
+                            : null;
+                          const canNudge = memberProgress && !memberProgress.isComplete &&
+                            member.user_id !== currentUserId &&
+                            canManageSession(myGroupRole, currentUserId, votingProgress.requestedBy);
+                          const actor = { userId: currentUserId, role: myGroupRole, isCreator: !!selectedGroup?.is_creator };
+                          const assignableRoles = Object.values(GROUP_ROLES).filter(role => canChangeMemberRole(actor, member, role));
+                          const canRemove = canRemoveMember(actor, member);
+                          const canHandOver = canTransferOwnership(actor, member);
+                          const hasActions = assignableRoles.length > 0 || canRemove || canHandOver;
+                          const expanded = hasActions && expandedMemberId === member.user_id;
                           return (
                             <View key={member.user_id || index} style={styles.memberCard}>
                               <View style={styles.memberInfo}>
@@ -3089,6 +4011,23 @@ export default function GroupsScreen({ route, navigation }) {
                                 </View>
                                 
                                 <View style={styles.memberBadges}>
+                                  {/* Role - tap it for the member actions you're allowed */}
+                                  <TouchableOpacity
+                                    style={[styles.roleBadge, styles.roleBadgeColor, hasActions && styles.roleBadgeEditable]}
+                                    onPress={() => {
+                                      setExpandedMemberId(expanded ? null : member.user_id);
+                                      setBanReason('');
+                                    }}
+                                    disabled={!hasActions || !!roleSavingUserId}
+                                  >
+                                    <Text style={[styles.roleText, styles.roleTextColor]}>
+                                      {roleSavingUserId === member.user_id
+                                        ? 'Saving...'
+                                        : member.is_creator ? 'Owner' : GROUP_ROLE_LABELS[normalizeGroupRole(member.role)]}
+                                      {hasActions && roleSavingUserId !== member.user_id ? (expanded ? ' ▴' : ' ▾') : ''}
+                                    </Text>
+                                  </TouchableOpacity>
+
                                   {/* Dinner Request Response Indicator */}
                                   {responseStatus && (
                                     <View style={[styles.responseIndicator, getResponseIndicatorStyle(responseStatus)]}>
@@ -3097,12 +4036,159 @@ export default function GroupsScreen({ route, navigation }) {
                                       </Text>
                                     </View>
                                   )}
+
+                                  {/* Voting Progress - counts only, never the votes */}
+                                  {memberProgress && (
+                                    <Text style={[
+                                      styles.votingProgressText,
+                                      memberProgress.isComplete && styles.votingProgressDone,
+                                      !memberProgress.isComplete && memberProgress.votedCount < laggingThreshold && styles.votingProgressLagging
+                                    ]}>
+                                      {memberProgress.isComplete
+                                        ? 'Done voting'
+                                        : `Voted ${memberProgress.votedCount}/${memberProgress.totalOptions}`}
+                                    </Text>
+                                  )}
+
+                                  {canNudge && (
+                                    <TouchableOpacity
+                                      style={[styles.nudgeButton, nudgingUserId && styles.buttonDisabled]}
+                                      onPress={() => handleNudgeMember(member)}
+                                      disabled={!!nudgingUserId}
+                                    >
+                                      <Text style={styles.nudgeButtonText}>
+                                        {nudgingUserId === member.user_id ? 'Nudging...' : 'Nudge'}
+                                      </Text>
+                                    </TouchableOpacity>
+                                  )}
                                 </View>
                               </View>
+
+                              {expanded && (
+                                <View style={styles.memberActions}>
+                                  {assignableRoles.length > 0 && (
+                                    <View style={styles.rotaChipRow}>
+                                      {assignableRoles.map(role => (
+                                        <TouchableOpacity
+                                          key={role}
+                                          style={styles.rotaChip}
+                                          onPress={() => handleChangeMemberRole(member, role)}
+                                          disabled={!!roleSavingUserId}
+                                        >
+                                          <Text style={styles.rotaChipText}>Make {GROUP_ROLE_LABELS[role].toLowerCase()}</Text>
+                                        </TouchableOpacity>
+                                      ))}
+                                    </View>
+                                  )}
+
+                                  {canRemove && (
+                                    <>
+                                      <TextInput
+                                        style={styles.banReasonInput}
+                                        value={banReason}
+                                        onChangeText={setBanReason}
+                                        placeholder="Reason for a ban (optional)"
+                                        placeholderTextColor="#999"
+                                        maxLength={200}
+                                      />
+                                      <View style={styles.rotaChipRow}>
+                                        <TouchableOpacity
+                                          style={[styles.rotaChip, styles.memberActionDanger]}
+                                          onPress={() => handleRemoveMember(member, false)}
+                                          disabled={!!roleSavingUserId}
+                                        >
+                                          <Text style={[styles.rotaChipText, styles.memberActionDangerText]}>Remove</Text>
+                                        </TouchableOpacity>
+                                        <TouchableOpacity
+                                          style={[styles.rotaChip, styles.memberActionDanger]}
+                                          onPress={() => handleRemoveMember(member, true)}
+                                          disabled={!!roleSavingUserId}
+                                        >
+                                          <Text style={[styles.rotaChipText, styles.memberActionDangerText]}>Remove & Ban</Text>
+                                        </TouchableOpacity>
+                                      </View>
+                                    </>
+                                  )}
+
+                                  {canHandOver && (
+                                    <View style={styles.rotaChipRow}>
+                                      <TouchableOpacity
+                                        style={styles.rotaChip}
+                                        onPress={() => handleTransferOwnership(member)}
+                                        disabled={!!roleSavingUserId}
+                                      >
+                                        <Text style={styles.rotaChipText}>Make owner</Text>
+                                      </TouchableOpacity>
+                                    </View>
+                                  )}
+                                </View>
+                              )}
                             </View>
                           );
                         })}
 
+                        {canEditSelectedGroup && (
+                          <View style={styles.memberActions}>
+                            <Text style={styles.membersTitle}>Group size</Text>
+                            <View style={styles.rotaChipRow}>
+                              {GROUP_CAPACITY_OPTIONS.map(option => {
+                                const selected = (selectedGroup?.max_members || DEFAULT_GROUP_CAPACITY) === option;
+                                const tooSmall = option < members.length;
+                                return (
+                                  <TouchableOpacity
+                                    key={option}
+                                    style={[styles.rotaChip, selected && styles.rotaChipSelected, tooSmall && styles.buttonDisabled]}
+                                    onPress={() => handleSetCapacity(option)}
+                                    disabled={selected || tooSmall || capacitySaving}
+                                  >
+                                    <Text style={[styles.rotaChipText, selected && styles.rotaChipTextSelected]}>{option}</Text>
+                                  </TouchableOpacity>
+                                );
+                              })}
+                            </View>
+
+                            {groupWaitlist.length > 0 && (
+                              <>
+                                <Text style={styles.membersTitle}>Waitlist</Text>
+                                {groupWaitlist.map((entry, index) => (
+                                  <View key={entry.userId} style={styles.ledgerRow}>
+                                    <Text style={styles.ledgerName}>{index + 1}. {entry.name}</Text>
+                                    <Text style={styles.ledgerMeta}>{new Date(entry.queuedAt).toLocaleDateString()}</Text>
+                                  </View>
+                                ))}
+                                <Text style={styles.ledgerMeta}>
+                                  The next person in line joins automatically when someone leaves or the group gets bigger.
+                                </Text>
+                              </>
+                            )}
+                          </View>
+                        )}
+
+                        {groupBans.length > 0 && (
+                          <View style={styles.memberActions}>
+                            <Text style={styles.membersTitle}>Banned</Text>
+                            {groupBans.map(ban => (
+                              <View key={ban.userId} style={styles.ledgerRow}>
+                                <View style={styles.historyRowText}>
+                                  <Text style={styles.ledgerName}>{ban.name}</Text>
+                                  <Text style={styles.ledgerMeta}>
+                                    {new Date(ban.bannedAt).toLocaleDateString()}{ban.reason ? ` · ${ban.reason}` : ''}
+                                  </Text>
+                                </View>
+                                <TouchableOpacity
+                                  style={[styles.nudgeButton, roleSavingUserId && styles.buttonDisabled]}
+                                  onPress={() => handleUnbanUser(ban)}
+                                  disabled={!!roleSavingUserId}
+                                >
+                                  <Text style={styles.nudgeButtonText}>
+                                    {roleSavingUserId === ban.userId ? 'Unbanning...' : 'Unban'}
+                                  </Text>
+                                </TouchableOpacity>
+                              </View>
+                            ))}
+                          </View>
+                        )}
+
                         {members.length === 0 && (
                           <View style={styles.emptyMembersState}>
                             <Text style={styles.emptyMembersTitle}>No Members Found</Text>
@@ -3148,7 +4234,7 @@ export default function GroupsScreen({ route, navigation }) {
                                         styles.memberResponseStatus,
                                         isEating ? styles.memberResponseEatingText : styles.memberResponseNotEatingText
                                       ]}>
-                                        {isEating ? 'Eating' : 'Not eating'}
+                                        {isEating ? 'Eating' : response.response === 'no_show' ? 'No show' : 'Not eating'}
                                       </Text>
                                     </View>
                                   );
@@ -3175,7 +4261,7 @@ export default function GroupsScreen({ route, navigation }) {
                                         {meal.meal_data?.name || meal.name || 'Unnamed Recipe'}
                                       </Text>
                                       <Text style={styles.resultMealVotes}>
-                                        {meal.yes_votes || 0} yes • {meal.no_votes || 0} no
+                                        {meal.result_summary || `${meal.yes_votes || 0} yes • ${meal.no_votes || 0} no`}
                                       </Text>
                                       {(meal.meal_data?.description || meal.description) && (
                                         <Text style={styles.resultMealDescription} numberOfLines={2}>
@@ -3187,51 +4273,453 @@ export default function GroupsScreen({ route, navigation }) {
                                 );
                               })}
                             </View>
-                          )}
-                          
-                          <TouchableOpacity 
-                            style={styles.clearResultsButton}
-                            onPress={async () => {
-                              console.log('🧹 Clearing all results for group:', selectedGroup?.group_name);
-                              console.log('🧹 Current terminated sessions before clear:', terminatedSessionResults.size);
-                              
-                              // Clear from database
-                              const clearResult = await terminatedSessionsService.clearTerminatedSession(selectedGroup?.group_id);
-                              
-                              if (clearResult.success) {
-                                // Clear from local state
-                                setTerminatedSessionResults(prev => {
-                                  const newMap = new Map(prev);
-                                  newMap.delete(selectedGroup?.group_id);
-                                  console.log('🧹 Terminated sessions after clear:', newMap.size);
-                                  return newMap;
-                                });
-                                
-                                // Also clear any terminated session markers from group state
-                                if (selectedGroup?._terminatedSession) {
-                                  setSelectedGroup(prev => ({
-                                    ...prev,
-                                    _terminatedSession: false,
-                                    _terminatedAt: null
-                                  }));
-                                }
-                                
-                                console.log('✅ Successfully cleared results for group:', selectedGroup?.group_name);
-                              } else {
-                                console.error('❌ Failed to clear results:', clearResult.error);
-                                showAlert(
-                                  'Clear Error',
-                                  'Failed to clear results. Please try again.',
-                                  'OK'
-                                );
-                              }
-                            }}
-                          >
-                            <Text style={styles.clearResultsButtonText}>Clear Results</Text>
-                          </TouchableOpacity>
+                          )}
+                          
+                          {/* Record who paid, once per finished dinner */}
+                          {groupResults.results && groupResults.results.length > 0 && groupLedger && !groupLedger.expenses.some(expense => (
+                            new Date(expense.session_terminated_at).getTime() === new Date(groupResults.terminatedAt).getTime()
+                          )) && (
+                            <TouchableOpacity
+                              style={styles.paidDinnerButton}
+                              onPress={handleRecordDinnerPayment}
+                              disabled={ledgerSaving}
+                            >
+                              <Text style={styles.paidDinnerButtonText}>I Paid for This Dinner</Text>
+                            </TouchableOpacity>
+                          )}
+                          
+                          {/* Shopping List Section */}
+                          {shoppingLists.get(selectedGroup.group_id)?.items.length > 0 && (() => {
+                            const shoppingList = shoppingLists.get(selectedGroup.group_id);
+                            return (
+                              <View style={styles.shoppingListSection}>
+                                <Text style={styles.topMealsTitle}>Shopping List</Text>
+                                <Text style={styles.shoppingListSubtitle}>
+                                  {shoppingList.meal_name} for {shoppingList.diner_count} {shoppingList.diner_count === 1 ? 'person' : 'people'} · {shoppingList.checkedCount}/{shoppingList.items.length} done
+                                </Text>
+                                {shoppingList.aisles.map(aisle => (
+                                  <View key={aisle.id} style={styles.shoppingAisle}>
+                                    <Text style={styles.shoppingAisleTitle}>{aisle.label}</Text>
+                                    {aisle.items.map(item => (
+                                      <TouchableOpacity
+                                        key={item.id}
+                                        style={styles.shoppingItem}
+                                        onPress={() => handleToggleShoppingItem(selectedGroup.group_id, item)}
+                                        activeOpacity={0.7}
+                                      >
+                                        <View style={[styles.shoppingCheckbox, item.checked && styles.shoppingCheckboxChecked]}>
+                                          {item.checked && <Text style={styles.shoppingCheckmark}>✓</Text>}
+                                        </View>
+                                        <Text style={[styles.shoppingItemText, item.checked && styles.shoppingItemTextChecked]}>
+                                          {item.display_text}
+                                        </Text>
+                                      </TouchableOpacity>
+                                    ))}
+                                  </View>
+                                ))}
+                              </View>
+                            );
+                          })()}
+                          
+                          <TouchableOpacity 
+                            style={styles.clearResultsButton}
+                            onPress={async () => {
+                              console.log('🧹 Clearing all results for group:', selectedGroup?.group_name);
+                              console.log('🧹 Current terminated sessions before clear:', terminatedSessionResults.size);
+                              
+                              // Clear from database
+                              const clearResult = await terminatedSessionsService.clearTerminatedSession(selectedGroup?.group_id);
+                              
+                              if (clearResult.success) {
+                                // Clear from local state
+                                setTerminatedSessionResults(prev => {
+                                  const newMap = new Map(prev);
+                                  newMap.delete(selectedGroup?.group_id);
+                                  console.log('🧹 Terminated sessions after clear:', newMap.size);
+                                  return newMap;
+                                });
+                                
+                                // Also clear any terminated session markers from group state
+                                if (selectedGroup?._terminatedSession) {
+                                  setSelectedGroup(prev => ({
+                                    ...prev,
+                                    _terminatedSession: false,
+                                    _terminatedAt: null
+                                  }));
+                                }
+                                
+                                console.log('✅ Successfully cleared results for group:', selectedGroup?.group_name);
+                              } else {
+                                console.error('❌ Failed to clear results:', clearResult.error);
+                                showAlert(
+                                  'Clear Error',
+                                  'Failed to clear results. Please try again.',
+                                  'OK'
+                                );
+                              }
+                            }}
+                          >
+                            <Text style={styles.clearResultsButtonText}>Clear Results</Text>
+                          </TouchableOpacity>
+                        </View>
+                      );
+                    })()}
+                  </View>
+
+                  {/* Group Log Section - admins only */}
+                  {groupAuditLog && (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Group Log</Text>
+                      {groupAuditLog.length === 0 ? (
+                        <Text style={styles.ledgerEmptyText}>
+                          Removals, bans, role changes and handovers will be listed here.
+                        </Text>
+                      ) : (
+                        groupAuditLog.map(entry => (
+                          <View key={entry.id} style={styles.ledgerRow}>
+                            <View style={styles.historyRowText}>
+                              <Text style={styles.ledgerTransferText}>{describeAuditEntry(entry)}</Text>
+                              <Text style={styles.ledgerMeta}>{new Date(entry.createdAt).toLocaleString()}</Text>
+                            </View>
+                          </View>
+                        ))
+                      )}
+                    </View>
+                  )}
+
+                  {/* Past Dinners Section */}
+                  {sessionHistory && (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Past Dinners</Text>
+                      {sessionHistory.sessions.length === 0 ? (
+                        <Text style={styles.ledgerEmptyText}>
+                          Finished sessions will be listed here.
+                        </Text>
+                      ) : (
+                        sessionHistory.sessions.map(session => {
+                          const expanded = expandedHistoryId === session.id;
+                          const date = (session.dinnerDate ? new Date(`${session.dinnerDate}T00:00:00`) : new Date(session.closedAt)).toLocaleDateString();
+                          return (
+                            <View key={session.id}>
+                              <TouchableOpacity
+                                style={styles.ledgerRow}
+                                onPress={() => setExpandedHistoryId(expanded ? null : session.id)}
+                              >
+                                <View style={styles.historyRowText}>
+                                  <Text style={styles.ledgerName}>{session.winner?.name || 'No winner'}</Text>
+                                  <Text style={styles.ledgerMeta}>
+                                    {date} · {session.diners.length} {session.diners.length === 1 ? 'diner' : 'diners'}
+                                    {session.requestedBy ? ` · asked by ${getMemberDisplayName(session.requestedBy)}` : ''}
+                                  </Text>
+                                </View>
+                                <Text style={styles.ledgerMeta}>{expanded ? 'Hide' : 'Votes'}</Text>
+                              </TouchableOpacity>
+
+                              {expanded && (
+                                <View style={styles.historyDetails}>
+                                  {session.options.length === 0 ? (
+                                    <Text style={styles.ledgerMeta}>No vote counts were kept for this dinner.</Text>
+                                  ) : (
+                                    session.options.map(option => (
+                                      <View key={option.meal_option_id || option.name} style={styles.historyOptionRow}>
+                                        <Text style={styles.ledgerTransferText}>{option.name}</Text>
+                                        <Text style={styles.ledgerMeta}>{describeHistoryTally(option, session.votingMode)}</Text>
+                                      </View>
+                                    ))
+                                  )}
+                                  {session.diners.length > 0 && (
+                                    <Text style={styles.ledgerMeta}>
+                                      Eating: {session.diners.map(getMemberDisplayName).join(', ')}
+                                    </Text>
+                                  )}
+                                </View>
+                              )}
+                            </View>
+                          );
+                        })
+                      )}
+
+                      {sessionHistory.hasMore && (
+                        <TouchableOpacity
+                          style={[styles.rotaChip, styles.rotaSettingButton]}
+                          onPress={() => loadSessionHistory(selectedGroup.group_id, sessionHistory.page + 1)}
+                          disabled={historyLoading}
+                        >
+                          <Text style={styles.rotaChipText}>{historyLoading ? 'Loading...' : 'Show Older Dinners'}</Text>
+                        </TouchableOpacity>
+                      )}
+
+                      <TouchableOpacity
+                        style={[styles.rotaChip, styles.rotaSettingButton]}
+                        onPress={() => {
+                          hideGroupDetailModal();
+                          navigation.navigate('GroupInsightsScreen', {
+                            groupName: selectedGroup?.group_name,
+                            groupId: selectedGroup?.group_id,
+                            returnToGroupModal: true
+                          });
+                        }}
+                      >
+                        <Text style={styles.rotaChipText}>Group Insights</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+
+                  {/* Cooking Rota Section */}
+                  {groupRota && groupRota.rotaEnabled && (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Cooking Rota</Text>
+                      {groupRota.current.length === 0 ? (
+                        <Text style={styles.ledgerEmptyText}>
+                          A cook is picked when the next dinner request is sent.
+                        </Text>
+                      ) : (
+                        groupRota.current.map(assignment => {
+                          const isMine = assignment.userId === currentUserId;
+                          const openSwap = groupRota.swaps.find(swap => swap.assignmentId === assignment.assignmentId);
+                          return (
+                            <View key={assignment.assignmentId}>
+                              <View style={styles.ledgerRow}>
+                                <Text style={styles.ledgerName}>
+                                  {ROTA_ROLE_LABELS[assignment.role]}: {getMemberDisplayName(assignment.userId)}
+                                </Text>
+                                {isMine && !openSwap && (
+                                  <TouchableOpacity
+                                    style={styles.ledgerPaidButton}
+                                    onPress={() => setSwapAssignmentId(swapAssignmentId === assignment.assignmentId ? null : assignment.assignmentId)}
+                                    disabled={rotaSaving}
+                                  >
+                                    <Text style={styles.ledgerPaidButtonText}>Swap</Text>
+                                  </TouchableOpacity>
+                                )}
+                              </View>
+
+                              {isMine && swapAssignmentId === assignment.assignmentId && (
+                                <View style={styles.rotaChipRow}>
+                                  {members
+                                    .filter(member => member.user_id !== currentUserId)
+                                    .map(member => (
+                                      <TouchableOpacity
+                                        key={member.user_id}
+                                        style={styles.rotaChip}
+                                        onPress={() => handleProposeRotaSwap(assignment, member.user_id)}
+                                      >
+                                        <Text style={styles.rotaChipText}>{getMemberDisplayName(member.user_id)}</Text>
+                                      </TouchableOpacity>
+                                    ))}
+                                </View>
+                              )}
+
+                              {openSwap && (
+                                <View style={styles.rotaSwapRow}>
+                                  <Text style={styles.ledgerMeta}>
+                                    {getMemberDisplayName(openSwap.fromUserId)} asked {getMemberDisplayName(openSwap.toUserId)} to swap
+                                  </Text>
+                                  {openSwap.toUserId === currentUserId && (
+                                    <View style={styles.rotaSwapActions}>
+                                      <TouchableOpacity
+                                        style={styles.ledgerPaidButton}
+                                        onPress={() => handleRespondToRotaSwap(openSwap, true)}
+                                        disabled={rotaSaving}
+                                      >
+                                        <Text style={styles.ledgerPaidButtonText}>Accept</Text>
+                                      </TouchableOpacity>
+                                      <TouchableOpacity
+                                        style={styles.ledgerPaidButton}
+                                        onPress={() => handleRespondToRotaSwap(openSwap, false)}
+                                        disabled={rotaSaving}
+                                      >
+                                        <Text style={styles.ledgerPaidButtonText}>Decline</Text>
+                                      </TouchableOpacity>
+                                    </View>
+                                  )}
+                                </View>
+                              )}
+                            </View>
+                          );
+                        })
+                      )}
+
+                      <View style={styles.ledgerSubsection}>
+                        <Text style={styles.ledgerSubtitle}>Days I Can't Cook</Text>
+                        <View style={styles.rotaChipRow}>
+                          {WEEKDAY_LABELS.map((label, weekday) => {
+                            const unavailable = groupRota.myUnavailableWeekdays.includes(weekday);
+                            return (
+                              <TouchableOpacity
+                                key={label}
+                                style={[styles.rotaChip, unavailable && styles.rotaChipSelected]}
+                                onPress={() => handleToggleUnavailableDay(weekday)}
+                                disabled={rotaSaving}
+                              >
+                                <Text style={[styles.rotaChipText, unavailable && styles.rotaChipTextSelected]}>{label}</Text>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      </View>
+
+                      <View style={styles.ledgerSubsection}>
+                        <Text style={styles.ledgerSubtitle}>Turns Taken</Text>
+                        {groupRota.turnCounts.map(count => (
+                          <View key={count.userId} style={styles.ledgerRow}>
+                            <Text style={styles.ledgerName}>{getMemberDisplayName(count.userId)}</Text>
+                            <Text style={styles.ledgerMeta}>
+                              {count.cook} cooked{groupRota.dishwasherEnabled ? ` · ${count.dishwasher} washed up` : ''}
+                            </Text>
+                          </View>
+                        ))}
+                      </View>
+
+                      {canEditSelectedGroup && (
+                        <TouchableOpacity
+                          style={[styles.rotaChip, styles.rotaSettingButton]}
+                          onPress={handleToggleDishwasherRota}
+                          disabled={rotaSaving}
+                        >
+                          <Text style={styles.rotaChipText}>
+                            {groupRota.dishwasherEnabled ? 'Stop Rotating the Dishes' : 'Rotate the Dishes Too'}
+                          </Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  )}
+
+                  {/* Voting Rules Section */}
+                  {closeRules && (
+                    <View style={styles.groupModalDescription}>
+                      <Text style={styles.groupModalSectionTitle}>Voting Rules</Text>
+                      {canEditSelectedGroup ? (
+                        <>
+                          <Text style={styles.ledgerSubtitle}>Close Voting</Text>
+                          <View style={styles.rotaChipRow}>
+                            {Object.values(CLOSE_RULES).map(rule => (
+                              <TouchableOpacity
+                                key={rule}
+                                style={[styles.rotaChip, closeRules.rule === rule && styles.rotaChipSelected]}
+                                onPress={() => handleChangeCloseRules({ rule })}
+                                disabled={closeRulesSaving}
+                              >
+                                <Text style={[styles.rotaChipText, closeRules.rule === rule && styles.rotaChipTextSelected]}>
+                                  {CLOSE_RULE_LABELS[rule]}
+                                </Text>
+                              </TouchableOpacity>
+                            ))}
+                          </View>
+
+                          {closeRules.rule === CLOSE_RULES.YES_THRESHOLD && (
+                            <View style={styles.ledgerSubsection}>
+                              <Text style={styles.ledgerSubtitle}>Yes Votes Needed</Text>
+                              <View style={styles.rotaChipRow}>
+                                {CLOSE_YES_PERCENT_OPTIONS.map(percent => (
+                                  <TouchableOpacity
+                                    key={percent}
+                                    style={[styles.rotaChip, closeRules.yesPercent === percent && styles.rotaChipSelected]}
+                                    onPress={() => handleChangeCloseRules({ yesPercent: percent })}
+                                    disabled={closeRulesSaving}
+                                  >
+                                    <Text style={[styles.rotaChipText, closeRules.yesPercent === percent && styles.rotaChipTextSelected]}>
+                                      {percent}%
+                                    </Text>
+                                  </TouchableOpacity>
+                                ))}
+                              </View>
+                            </View>
+                          )}
+
+                          <View style={styles.ledgerSubsection}>
+                            <Text style={styles.ledgerSubtitle}>Quorum</Text>
+                            <View style={styles.rotaChipRow}>
+                              {MIN_QUORUM_OPTIONS.map(quorum => (
+                                <TouchableOpacity
+                                  key={quorum}
+                                  style={[styles.rotaChip, closeRules.minQuorum === quorum && styles.rotaChipSelected]}
+                                  onPress={() => handleChangeCloseRules({ minQuorum: quorum })}
+                                  disabled={closeRulesSaving}
+                                >
+                                  <Text style={[styles.rotaChipText, closeRules.minQuorum === quorum && styles.rotaChipTextSelected]}>
+                                    {quorum === 0 ? 'None' : quorum}
+                                  </Text>
+                                </TouchableOpacity>
+                              ))}
+                            </View>
+                          </View>
+                        </>
+                      ) : (
+                        <Text style={styles.ledgerMeta}>
+                          Voting closes {CLOSE_RULE_LABELS[closeRules.rule].toLowerCase()}
+                          {closeRules.rule === CLOSE_RULES.YES_THRESHOLD ? ` (${closeRules.yesPercent}% yes)` : ''}
+                          {closeRules.minQuorum > 0 ? ` once ${closeRules.minQuorum} members have voted` : ''}
+                        </Text>
+                      )}
+                    </View>
+                  )}
+
+                  {/* Balances Section */}
+                  <View style={styles.groupModalDescription}>
+                    <Text style={styles.groupModalSectionTitle}>Balances</Text>
+                    {ledgerLoading && !groupLedger ? (
+                      <View style={styles.membersLoadingContainer}>
+                        <ActivityIndicator size="small" color="#8B7355" />
+                        <Text style={styles.membersLoadingText}>Loading balances...</Text>
+                      </View>
+                    ) : !groupLedger || groupLedger.expenses.length === 0 ? (
+                      <Text style={styles.ledgerEmptyText}>
+                        No dinners paid for yet. After a session ends, whoever paid can record it under Final Results.
+                      </Text>
+                    ) : (
+                      <>
+                        {groupLedger.balances.length === 0 ? (
+                          <Text style={styles.ledgerEmptyText}>Everyone is settled up.</Text>
+                        ) : (
+                          groupLedger.balances.map(balance => (
+                            <View key={balance.userId} style={styles.ledgerRow}>
+                              <Text style={styles.ledgerName}>{getMemberDisplayName(balance.userId)}</Text>
+                              <Text style={[styles.ledgerAmount, balance.cents > 0 ? styles.ledgerAmountOwed : styles.ledgerAmountOwes]}>
+                                {balance.cents > 0 ? `gets back ${formatMoney(balance.cents)}` : `owes ${formatMoney(balance.cents)}`}
+                              </Text>
+                            </View>
+                          ))
+                        )}
+
+                        {groupLedger.transfers.length > 0 && (
+                          <View style={styles.ledgerSubsection}>
+                            <Text style={styles.ledgerSubtitle}>Settle Up</Text>
+                            {groupLedger.transfers.map(transfer => {
+                              const canMarkPaid = currentUserId === transfer.from || currentUserId === transfer.to;
+                              return (
+                                <View key={`${transfer.from}-${transfer.to}`} style={styles.ledgerRow}>
+                                  <Text style={styles.ledgerTransferText}>
+                                    {getMemberDisplayName(transfer.from)} → {getMemberDisplayName(transfer.to)}: {formatMoney(transfer.amountCents)}
+                                  </Text>
+                                  {canMarkPaid && (
+                                    <TouchableOpacity
+                                      style={styles.ledgerPaidButton}
+                                      onPress={() => handleMarkTransferPaid(transfer)}
+                                      disabled={ledgerSaving}
+                                    >
+                                      <Text style={styles.ledgerPaidButtonText}>Paid</Text>
+                                    </TouchableOpacity>
+                                  )}
+                                </View>
+                              );
+                            })}
+                          </View>
+                        )}
+
+                        <View style={styles.ledgerSubsection}>
+                          <Text style={styles.ledgerSubtitle}>Recent Dinners</Text>
+                          {groupLedger.expenses.slice(0, 5).map(expense => (
+                            <View key={expense.id} style={styles.ledgerRow}>
+                              <Text style={styles.ledgerName} numberOfLines={1}>{expense.meal_name}</Text>
+                              <Text style={styles.ledgerMeta}>
+                                {getMemberDisplayName(expense.paid_by)} paid {formatMoney(Math.round(Number(expense.amount) * 100))} for {expense.eater_count}
+                              </Text>
+                            </View>
+                          ))}
                         </View>
-                      );
-                    })()}
+                      </>
+                    )}
                   </View>
                 </View>
               )}
@@ -4619,6 +6107,19 @@ const styles = StyleSheet.create({
     letterSpacing: 0.1,
   },
   
+  roleBadgeColor: {
+    backgroundColor: '#F8F6F3',
+  },
+  
+  roleBadgeEditable: {
+    borderWidth: 1,
+    borderColor: '#8B7355',
+  },
+  
+  roleTextColor: {
+    color: '#8B7355',
+  },
+  
   emptyMembersState: {
     alignItems: 'center',
     paddingVertical: 40,
@@ -5127,4 +6628,270 @@ const styles = StyleSheet.create({
   starIconActive: {
     color: '#FFD700',
   },
+
+  // Shopping List Styles
+  shoppingListSection: {
+    marginBottom: 20,
+  },
+  shoppingListSubtitle: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B6B6B',
+    textAlign: 'center',
+    marginTop: -6,
+    marginBottom: 12,
+  },
+  shoppingAisle: {
+    backgroundColor: '#FEFEFE',
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+  },
+  shoppingAisleTitle: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+    marginBottom: 6,
+    letterSpacing: 0.3,
+  },
+  shoppingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  shoppingCheckbox: {
+    width: 20,
+    height: 20,
+    borderRadius: 6,
+    borderWidth: 1.5,
+    borderColor: '#8B7355',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  shoppingCheckboxChecked: {
+    backgroundColor: '#8B7355',
+  },
+  shoppingCheckmark: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 12,
+    lineHeight: 14,
+    color: '#FEFEFE',
+  },
+  shoppingItemText: {
+    flex: 1,
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+  },
+  shoppingItemTextChecked: {
+    color: '#6B6B6B',
+    textDecorationLine: 'line-through',
+  },
+
+  // Balances Styles
+  paidDinnerButton: {
+    backgroundColor: '#8B7355',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  paidDinnerButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#FEFEFE',
+    letterSpacing: 0.1,
+  },
+  ledgerEmptyText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#6B6B6B',
+  },
+  ledgerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E6E3',
+  },
+  ledgerName: {
+    flex: 1,
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+    marginRight: 12,
+  },
+  ledgerAmount: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  ledgerAmountOwed: {
+    color: '#4CAF50',
+  },
+  ledgerAmountOwes: {
+    color: '#CC4444',
+  },
+  ledgerSubsection: {
+    marginTop: 16,
+  },
+  ledgerSubtitle: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#8B7355',
+    marginBottom: 4,
+    letterSpacing: 0.2,
+  },
+  ledgerTransferText: {
+    flex: 1,
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+  },
+  ledgerPaidButton: {
+    backgroundColor: 'rgba(139, 115, 85, 0.1)',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(139, 115, 85, 0.3)',
+  },
+  ledgerPaidButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+  },
+  ledgerMeta: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 12,
+    lineHeight: 16,
+    color: '#6B6B6B',
+  },
+
+  // Cooking Rota Styles
+  rotaChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingVertical: 8,
+  },
+  rotaChip: {
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    backgroundColor: '#FEFEFE',
+  },
+  rotaChipSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  rotaChipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#2D2D2D',
+  },
+  rotaChipTextSelected: {
+    color: '#FEFEFE',
+  },
+  rotaSwapRow: {
+    paddingVertical: 8,
+    gap: 8,
+  },
+  rotaSwapActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  rotaSettingButton: {
+    alignSelf: 'flex-start',
+    marginTop: 16,
+  },
+  // Voting Progress Styles
+  votingProgressText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 11,
+    lineHeight: 14,
+    color: '#6B6B6B',
+  },
+  votingProgressDone: {
+    color: '#4CAF50',
+  },
+  votingProgressLagging: {
+    color: '#CC4444',
+  },
+  nudgeButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#8B7355',
+  },
+  nudgeButtonText: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 11,
+    color: '#8B7355',
+  },
+
+  // Member Moderation Styles
+  memberActions: {
+    paddingTop: 8,
+    gap: 4,
+  },
+  memberActionDanger: {
+    borderColor: '#CC4444',
+  },
+  memberActionDangerText: {
+    color: '#CC4444',
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  inviteInactive: {
+    color: '#A0A0A0',
+    textDecorationLine: 'line-through',
+  },
+  banReasonInput: {
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    color: '#2D2D2D',
+    backgroundColor: '#FEFEFE',
+  },
+
+  // Session History Styles
+  historyRowText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  historyDetails: {
+    paddingVertical: 8,
+    paddingLeft: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E6E3',
+  },
+  historyOptionRow: {
+    marginBottom: 6,
+  },
 }); 
\ No newline at end of file
@@ -1,8 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, Image, Linking, ActivityIndicator, Modal, Animated, Dimensions, Alert } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, Image, Linking, ActivityIndicator, Modal, Animated, Dimensions, Alert, TextInput } from 'react-native';
 import { supabase } from '../lib/supabase';
-import { getUserWishlist, addToWishlist as addToWishlistDB, removeFromWishlist as removeFromWishlistDB, clearWishlist as clearWishlistDB } from '../lib/wishlistService';
-import { getRandomRecipes, getAllRecipes } from '../lib/recipesService';
+import { getUserWishlist, clearWishlist as clearWishlistDB } from '../lib/wishlistService';
+import { offlineQueue, OFFLINE_ACTIONS } from '../lib/offlineQueue';
+import { optimisticUpdate } from '../lib/databaseOptimizations';
+import { getRandomRecipes, getAllRecipes, searchRecipes, DEFAULT_RECIPE_FILTERS, hasActiveRecipeFilters } from '../lib/recipesService';
+import { getDietaryProfile } from '../lib/profileService';
+import { applyDietaryProfile, EMPTY_DIETARY_PROFILE } from '../lib/dietaryProfile';
+
+// Options offered in the filter sheet
+const DIETARY_FILTER_OPTIONS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free'];
+const TIME_FILTER_OPTIONS = [15, 30, 45, 60];
+const PRICE_FILTER_OPTIONS = [2, 3, 5];
+const SORT_FILTER_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'quickest', label: 'Quickest' },
+  { value: 'cheapest', label: 'Cheapest' },
+  { value: 'title', label: 'A-Z' }
+];
+
+// Turns "kip, paprika" into ['kip', 'paprika']
+const parseIngredientTerms = (text) => text.split(',').map(term => term.trim()).filter(Boolean);
 
 // Safe image component that handles missing drawings gracefully
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -28,10 +46,11 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
   const [allLoadedRecipes, setAllLoadedRecipes] = useState([]); // Store all 100 recipes
   const [displayedCount, setDisplayedCount] = useState(20); // How many we're currently showing
   const [isInitialized, setIsInitialized] = useState(false); // Track if data has been loaded
-  const [userPreferences, setUserPreferences] = useState({
-    cuisines: [],
-    dietaryRestrictions: []
-  });
+  // Read while loading recipes, so kept in refs rather than state
+  const userPreferencesRef = useRef(EMPTY_DIETARY_PROFILE);
+  const fetchedCountRef = useRef(0); // Rows fetched so far, including ones hidden by the dietary profile
+  const reloadOnFocusRef = useRef(false); // Set while the recipe editor is open
+  const [currentUserId, setCurrentUserId] = useState(null);
   
   // Tab and wishlist states
   const [activeTab, setActiveTab] = useState('meals'); // 'meals' or 'wishlist'
@@ -42,7 +61,17 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
   const [modalVisible, setModalVisible] = useState(false);
   const [modalAnimation] = useState(new Animated.Value(0));
 
+  // Filter sheet states
+  const [filters, setFilters] = useState(DEFAULT_RECIPE_FILTERS);
+  const [draftFilters, setDraftFilters] = useState(DEFAULT_RECIPE_FILTERS);
+  const [includeText, setIncludeText] = useState('');
+  const [excludeText, setExcludeText] = useState('');
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [totalCount, setTotalCount] = useState(null);
+
   const { width, height } = Dimensions.get('window');
+  const isFiltering = hasActiveRecipeFilters(filters) || filters.sortBy !== DEFAULT_RECIPE_FILTERS.sortBy;
 
   // Reload wishlist when switching to wishlist tab
   useEffect(() => {
@@ -72,6 +101,23 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
     initializeData();
   }, [isGuest, isInitialized]);
 
+  // Coming back from the recipe editor: a recipe may have been added, changed or deleted
+  useEffect(() => {
+    if (!navigation?.addListener) return undefined;
+
+    return navigation.addListener('focus', () => {
+      if (reloadOnFocusRef.current) {
+        reloadOnFocusRef.current = false;
+        loadFeaturedRecipes(false, filters);
+      }
+    });
+  }, [navigation, filters]);
+
+  const openRecipeEditor = (recipeId = null) => {
+    reloadOnFocusRef.current = true;
+    navigation.navigate('RecipeEditorScreen', recipeId ? { recipeId } : {});
+  };
+
   const loadUserPreferences = async () => {
     if (isGuest) {
       return;
@@ -79,24 +125,23 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
     
     try {
       const { data: { user } } = await supabase.auth.getUser();
-      if (!user) {
+      setCurrentUserId(user?.id || null);
+
+      const result = await getDietaryProfile();
+      if (!result.success) {
+        console.error('❌ Error loading dietary profile:', result.error);
         return;
       }
-
-      // Since we've simplified the profile, no user preferences to load
-      const preferences = {
-        cuisines: [],
-        dietaryRestrictions: []
-      };
       
-      setUserPreferences(preferences);
+      userPreferencesRef.current = result.profile;
     } catch (error) {
       console.error('❌ Error loading user preferences:', error);
     }
   };
 
-  const loadFeaturedRecipes = async (isLoadingMore = false) => {
+  const loadFeaturedRecipes = async (isLoadingMore = false, activeFilters = filters) => {
     console.log('🔥 loadFeaturedRecipes called with isLoadingMore:', isLoadingMore);
+    const filtering = hasActiveRecipeFilters(activeFilters) || activeFilters.sortBy !== DEFAULT_RECIPE_FILTERS.sortBy;
     
     if (isLoadingMore) {
       setLoadingMore(true);
@@ -107,15 +152,17 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
     try {
       console.log('📡 Loading recipes from database...');
       
+      const offset = isLoadingMore ? fetchedCountRef.current : 0;
+      const pageSize = isLoadingMore ? 20 : 40;
+
       let result;
-      if (isLoadingMore) {
-        // Load more recipes using pagination
-        console.log('📄 Loading more recipes with pagination...');
-        result = await getAllRecipes(allLoadedRecipes.length, 20);
+      if (filtering) {
+        // Filters are applied by the database, paginated the same way
+        console.log('🔍 Loading filtered recipes...');
+        result = await searchRecipes(activeFilters, offset, pageSize);
       } else {
-        // Initial load - try getAllRecipes first (more reliable than random function)
-        console.log('🎲 Loading recipes...');
-        result = await getAllRecipes(0, 40);
+        console.log(isLoadingMore ? '📄 Loading more recipes with pagination...' : '🎲 Loading recipes...');
+        result = await getAllRecipes(offset, pageSize);
       }
 
       console.log('📊 Database result:', result);
@@ -126,10 +173,26 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
       }
 
       if (!result.recipes || result.recipes.length === 0) {
+        if (filtering || isLoadingMore) {
+          // Nothing (more) matches - show the empty state instead of sample recipes
+          console.log('📭 No more matching recipes');
+          if (!isLoadingMore) {
+            setAllLoadedRecipes([]);
+            setRecipes([]);
+            setDisplayedCount(0);
+            setTotalCount(0);
+          }
+          setHasMore(false);
+          return;
+        }
         console.log('📭 No recipes found in database');
         throw new Error('No recipes found in database');
         }
 
+      setHasMore(result.hasMore !== false);
+      setTotalCount(result.totalCount ?? null);
+      fetchedCountRef.current = offset + result.recipes.length;
+
               // Convert database format to our recipe format
         console.log('🔧 Converting database recipes:', result.recipes);
         
@@ -152,7 +215,9 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
             tastyId: recipe.tastyId || recipe.id,
             ingredients: recipe.ingredients || [],
             instructions: recipe.instructions || '',
-            pricePerServing: recipe.pricePerServing || null
+            pricePerServing: recipe.pricePerServing || null,
+            recipeId: dbRecipe.recipe_id,
+            ownerId: dbRecipe.owner_id || null
           };
           
           console.log('🔧 Normalized recipe:', normalized);
@@ -161,21 +226,32 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
         
         console.log('🔧 All normalized recipes:', normalizedRecipes);
 
+      // Hide dishes that clash with the user's diet, allergies or dislikes
+      const visibleRecipes = applyDietaryProfile(normalizedRecipes, userPreferencesRef.current);
+
       if (isLoadingMore) {
         // Add new recipes to existing ones
-        setAllLoadedRecipes(prev => [...prev, ...normalizedRecipes]);
-        setRecipes(prev => [...prev, ...normalizedRecipes]);
+        setAllLoadedRecipes(prev => [...prev, ...visibleRecipes]);
+        setRecipes(prev => [...prev, ...visibleRecipes]);
+        setDisplayedCount(allLoadedRecipes.length + visibleRecipes.length);
       } else {
         // Initial load - replace all recipes
-        setAllLoadedRecipes(normalizedRecipes);
-        setRecipes(normalizedRecipes.slice(0, 20)); // Show first 20
-        setDisplayedCount(Math.min(20, normalizedRecipes.length));
+        setAllLoadedRecipes(visibleRecipes);
+        setRecipes(visibleRecipes.slice(0, 20)); // Show first 20
+        setDisplayedCount(Math.min(20, visibleRecipes.length));
       }
 
     } catch (error) {
       console.error('❌ Error loading recipes from database:', error);
       console.error('❌ Full error details:', error.message, error.stack);
       
+      if (filtering) {
+        // Sample recipes would not match the filters, so just report the failure
+        Alert.alert('Search Failed', `Could not search recipes: ${error.message}`, [{ text: 'OK' }]);
+        setHasMore(false);
+        return;
+      }
+      
       // Show alert to user about the database issue
       Alert.alert(
         'Database Connection Issue', 
@@ -310,7 +386,17 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
       const result = await getUserWishlist();
       if (result.success) {
         // Convert database items to recipe format
-        const recipes = result.wishlist.map(item => item.recipe_data);
+        let recipes = result.wishlist.map(item => item.recipe_data);
+        
+        // Changes made offline haven't reached the database yet
+        offlineQueue.getPending().forEach(action => {
+          if (action.type === OFFLINE_ACTIONS.WISHLIST_ADD && !recipes.some(r => r.id === action.payload.recipe.id)) {
+            recipes = [...recipes, action.payload.recipe];
+          } else if (action.type === OFFLINE_ACTIONS.WISHLIST_REMOVE) {
+            recipes = recipes.filter(r => r.id !== action.payload.recipeId);
+          }
+        });
+        
         setWishlist(recipes);
         console.log('✅ Loaded wishlist from database:', recipes.length, 'items');
       } else {
@@ -328,13 +414,13 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
     }
 
     if (!isRecipeInWishlist(recipe.id)) {
-      // Optimistic update
-      setWishlist(prev => [...prev, recipe]);
-      
-      const result = await addToWishlistDB(recipe);
+      const result = await optimisticUpdate(
+        () => setWishlist(prev => [...prev, recipe]),
+        offlineQueue.perform(OFFLINE_ACTIONS.WISHLIST_ADD, { recipe }),
+        () => setWishlist(prev => prev.filter(r => r.id !== recipe.id)),
+        { rollbackOnFailure: true }
+      );
       if (!result.success) {
-        // Revert on failure
-        setWishlist(prev => prev.filter(r => r.id !== recipe.id));
         Alert.alert('Error', result.error || 'Failed to add to wishlist');
       }
     }
@@ -343,10 +429,10 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
   const removeFromWishlist = async (recipeId) => {
     if (isGuest) return;
 
-    // Optimistic update
-    setWishlist(prev => prev.filter(recipe => recipe.id !== recipeId));
-    
-    const result = await removeFromWishlistDB(recipeId);
+    const result = await optimisticUpdate(
+      () => setWishlist(prev => prev.filter(recipe => recipe.id !== recipeId)),
+      offlineQueue.perform(OFFLINE_ACTIONS.WISHLIST_REMOVE, { recipeId })
+    );
     if (!result.success) {
       // Revert on failure (would need to re-fetch to get the exact recipe back)
       console.error('Failed to remove from wishlist:', result.error);
@@ -412,6 +498,60 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
     }
   };
 
+  // Filter sheet handlers
+  const openFilterSheet = () => {
+    setDraftFilters(filters);
+    setIncludeText(filters.includeIngredients.join(', '));
+    setExcludeText(filters.excludeIngredients.join(', '));
+    setFilterSheetVisible(true);
+  };
+
+  const toggleDraftDietary = (tag) => {
+    setDraftFilters(prev => ({
+      ...prev,
+      dietary: prev.dietary.includes(tag)
+        ? prev.dietary.filter(t => t !== tag)
+        : [...prev.dietary, tag]
+    }));
+  };
+
+  // Tapping the selected chip again clears that limit
+  const toggleDraftLimit = (key, value) => {
+    setDraftFilters(prev => ({ ...prev, [key]: prev[key] === value ? null : value }));
+  };
+
+  const applyFilters = async (nextFilters) => {
+    setFilterSheetVisible(false);
+    setFilters(nextFilters);
+    setHasMore(true);
+    await loadFeaturedRecipes(false, nextFilters);
+  };
+
+  const applyDraftFilters = () => {
+    applyFilters({
+      ...draftFilters,
+      includeIngredients: parseIngredientTerms(includeText),
+      excludeIngredients: parseIngredientTerms(excludeText)
+    });
+  };
+
+  const resetFilters = () => {
+    setIncludeText('');
+    setExcludeText('');
+    applyFilters(DEFAULT_RECIPE_FILTERS);
+  };
+
+  // Short summary shown under the section title, e.g. "vegetarian · ≤ 30 min · ≤ €3"
+  const describeFilters = () => {
+    const parts = [...filters.dietary];
+    if (filters.maxReadyInMinutes) parts.push(`≤ ${filters.maxReadyInMinutes} min`);
+    if (filters.maxPricePerServing) parts.push(`≤ €${filters.maxPricePerServing}`);
+    filters.includeIngredients.forEach(term => parts.push(`+${term}`));
+    filters.excludeIngredients.forEach(term => parts.push(`-${term}`));
+    if (filters.searchTerm?.trim()) parts.push(`"${filters.searchTerm.trim()}"`);
+    return parts.join(' · ');
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
@@ -471,7 +611,46 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
         {/* Content based on active tab */}
         {activeTab === 'meals' ? (
         <View style={styles.recipesContainer}>
-          <Text style={styles.sectionTitle}>Featured Recipes</Text>
+          <View style={styles.sectionHeaderRow}>
+            <Text style={styles.sectionTitle}>{isFiltering ? 'Matching Recipes' : 'Featured Recipes'}</Text>
+            <View style={styles.sectionHeaderButtons}>
+              {!isGuest && (
+                <TouchableOpacity style={styles.filterButton} onPress={() => openRecipeEditor()}>
+                  <Text style={styles.filterButtonText}>+ Add</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity 
+                style={[styles.filterButton, isFiltering && styles.filterButtonActive]}
+                onPress={openFilterSheet}
+              >
+                <Text style={[styles.filterButtonText, isFiltering && styles.filterButtonTextActive]}>
+                  Filters
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {isFiltering && (
+            <View style={styles.activeFiltersRow}>
+              <Text style={styles.activeFiltersText}>
+                {totalCount != null ? `${totalCount} found` : 'Filtered'}
+                {describeFilters() ? ` · ${describeFilters()}` : ''}
+              </Text>
+              <TouchableOpacity onPress={resetFilters}>
+                <Text style={styles.clearFiltersText}>Clear</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {isFiltering && recipes.length === 0 && (
+            <View style={styles.emptyWishlist}>
+              <Text style={styles.emptyWishlistIcon}>🔍</Text>
+              <Text style={styles.emptyWishlistTitle}>No matching recipes</Text>
+              <Text style={styles.emptyWishlistText}>
+                Try loosening your filters or clearing them
+              </Text>
+            </View>
+          )}
           
           {recipes.map((recipe) => (
             <TouchableOpacity 
@@ -592,6 +771,7 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
         {/* Bottom Action */}
         {activeTab === 'meals' && (
         <View style={styles.bottomAction}>
+          {(hasMore || displayedCount < allLoadedRecipes.length) && (
           <TouchableOpacity 
             style={[styles.moreRecipesButton, loadingMore && styles.buttonDisabled]}
             onPress={refreshRecipes}
@@ -608,6 +788,7 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
               </Text>
             )}
           </TouchableOpacity>
+          )}
           
           {isGuest && (
             <TouchableOpacity 
@@ -647,6 +828,126 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
         )}
       </ScrollView>
 
+      {/* Filter Sheet */}
+      <Modal
+        visible={filterSheetVisible}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setFilterSheetVisible(false)}
+      >
+        <View style={styles.filterSheetOverlay}>
+          <TouchableOpacity 
+            style={styles.modalBackground}
+            activeOpacity={1}
+            onPress={() => setFilterSheetVisible(false)}
+          />
+
+          <View style={styles.filterSheet}>
+            <ScrollView showsVerticalScrollIndicator={false}>
+              <Text style={styles.filterSheetTitle}>Filter Recipes</Text>
+
+              <Text style={styles.filterLabel}>Search</Text>
+              <TextInput
+                style={styles.filterInput}
+                value={draftFilters.searchTerm}
+                onChangeText={(text) => setDraftFilters(prev => ({ ...prev, searchTerm: text }))}
+                placeholder="Title or description"
+                placeholderTextColor="#A0A0A0"
+              />
+
+              <Text style={styles.filterLabel}>Dietary</Text>
+              <View style={styles.filterChips}>
+                {DIETARY_FILTER_OPTIONS.map(tag => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.filterChip, draftFilters.dietary.includes(tag) && styles.filterChipSelected]}
+                    onPress={() => toggleDraftDietary(tag)}
+                  >
+                    <Text style={[styles.filterChipText, draftFilters.dietary.includes(tag) && styles.filterChipTextSelected]}>
+                      {tag}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.filterLabel}>Max cooking time</Text>
+              <View style={styles.filterChips}>
+                {TIME_FILTER_OPTIONS.map(minutes => (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[styles.filterChip, draftFilters.maxReadyInMinutes === minutes && styles.filterChipSelected]}
+                    onPress={() => toggleDraftLimit('maxReadyInMinutes', minutes)}
+                  >
+                    <Text style={[styles.filterChipText, draftFilters.maxReadyInMinutes === minutes && styles.filterChipTextSelected]}>
+                      {`≤ ${minutes} min`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.filterLabel}>Max price per serving</Text>
+              <View style={styles.filterChips}>
+                {PRICE_FILTER_OPTIONS.map(price => (
+                  <TouchableOpacity
+                    key={price}
+                    style={[styles.filterChip, draftFilters.maxPricePerServing === price && styles.filterChipSelected]}
+                    onPress={() => toggleDraftLimit('maxPricePerServing', price)}
+                  >
+                    <Text style={[styles.filterChipText, draftFilters.maxPricePerServing === price && styles.filterChipTextSelected]}>
+                      {`≤ €${price}`}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.filterLabel}>Must include</Text>
+              <TextInput
+                style={styles.filterInput}
+                value={includeText}
+                onChangeText={setIncludeText}
+                placeholder="e.g. kip, paprika"
+                placeholderTextColor="#A0A0A0"
+                autoCapitalize="none"
+              />
+
+              <Text style={styles.filterLabel}>Must not include</Text>
+              <TextInput
+                style={styles.filterInput}
+                value={excludeText}
+                onChangeText={setExcludeText}
+                placeholder="e.g. champignons, room"
+                placeholderTextColor="#A0A0A0"
+                autoCapitalize="none"
+              />
+
+              <Text style={styles.filterLabel}>Sort by</Text>
+              <View style={styles.filterChips}>
+                {SORT_FILTER_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.filterChip, draftFilters.sortBy === option.value && styles.filterChipSelected]}
+                    onPress={() => setDraftFilters(prev => ({ ...prev, sortBy: option.value }))}
+                  >
+                    <Text style={[styles.filterChipText, draftFilters.sortBy === option.value && styles.filterChipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={styles.filterActions}>
+                <TouchableOpacity style={styles.filterResetButton} onPress={resetFilters}>
+                  <Text style={styles.filterResetText}>Reset</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.filterApplyButton} onPress={applyDraftFilters}>
+                  <Text style={styles.filterApplyText}>Show Recipes</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
       {/* Recipe Details Modal */}
       <Modal
         visible={modalVisible}
@@ -768,6 +1069,19 @@ export default function IdeasScreen({ route, navigation, hideBottomNav }) {
                       <TouchableOpacity style={styles.viewRecipeButton} onPress={openExternalLink}>
                         <Text style={styles.viewRecipeText}>View Full Recipe & Video</Text>
                       </TouchableOpacity>
+
+                      {selectedRecipe.ownerId && selectedRecipe.ownerId === currentUserId && (
+                        <TouchableOpacity
+                          style={styles.editRecipeButton}
+                          onPress={() => {
+                            const { recipeId } = selectedRecipe;
+                            closeModal();
+                            openRecipeEditor(recipeId);
+                          }}
+                        >
+                          <Text style={styles.editRecipeText}>Edit Recipe</Text>
+                        </TouchableOpacity>
+                      )}
                     </View>
                   </View>
                 </>
@@ -1147,6 +1461,18 @@ const styles = StyleSheet.create({
     color: '#FEFEFE',
     letterSpacing: 0.3,
   },
+  editRecipeButton: {
+    marginTop: 12,
+    paddingHorizontal: 24,
+    paddingVertical: 10,
+  },
+  editRecipeText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    lineHeight: 20,
+    color: '#8B7355',
+    letterSpacing: 0.3,
+  },
   modalDescription: {
     marginBottom: 26,
   },
@@ -1293,4 +1619,154 @@ const styles = StyleSheet.create({
     color: '#8B7355',
     letterSpacing: 0.2,
   },
-}); 
\ No newline at end of file
+  
+  // Filter styles
+  sectionHeaderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionHeaderButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  filterButton: {
+    borderWidth: 1,
+    borderColor: '#8B7355',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  filterButtonActive: {
+    backgroundColor: '#8B7355',
+  },
+  filterButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+    letterSpacing: 0.2,
+  },
+  filterButtonTextActive: {
+    color: '#FEFEFE',
+  },
+  activeFiltersRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+    gap: 12,
+  },
+  activeFiltersText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B6B6B',
+    flex: 1,
+  },
+  clearFiltersText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+    textDecorationLine: 'underline',
+  },
+  filterSheetOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(45, 45, 45, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  filterSheet: {
+    maxHeight: '85%',
+    backgroundColor: '#FEFEFE',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 32,
+  },
+  filterSheetTitle: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 22,
+    lineHeight: 28,
+    color: '#2D2D2D',
+    marginBottom: 16,
+    letterSpacing: 0.3,
+  },
+  filterLabel: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 12,
+    lineHeight: 16,
+    color: '#8B7355',
+    letterSpacing: 0.3,
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  filterInput: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 15,
+    color: '#2D2D2D',
+    backgroundColor: '#F5F3F0',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+  },
+  filterChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  filterChip: {
+    backgroundColor: '#F5F3F0',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  filterChipSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  filterChipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B6B6B',
+  },
+  filterChipTextSelected: {
+    color: '#FEFEFE',
+  },
+  filterActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 28,
+  },
+  filterResetButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#8B7355',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  filterResetText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#8B7355',
+  },
+  filterApplyButton: {
+    flex: 2,
+    backgroundColor: '#8B7355',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  filterApplyText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#FEFEFE',
+  },
+});
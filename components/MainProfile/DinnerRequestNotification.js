@@ -1,15 +1,54 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, Modal, TouchableOpacity, Animated, Alert } from 'react-native';
-import { useDinnerRequests } from '../../lib/hooks';
-import { recordUserResponse } from '../../lib/dinnerRequestService';
+import { useDinnerRequests, useRealtimeSubscriptions } from '../../lib/hooks';
+import { offlineQueue, OFFLINE_ACTIONS } from '../../lib/offlineQueue';
+import { optimisticUpdate } from '../../lib/databaseOptimizations';
+import { getGroupMemberResponses } from '../../lib/dinnerRequestService';
 
 export default function DinnerRequestNotification({ visible, onClose, userName }) {
-  const { requests, addLocalResponse } = useDinnerRequests();
+  const { requests, addLocalResponse, clearLocalResponse, refresh } = useDinnerRequests();
   const [currentRequestIndex, setCurrentRequestIndex] = useState(0);
   const [timeRemaining, setTimeRemaining] = useState('');
+  const [responseSummary, setResponseSummary] = useState(null);
   const [timerAnimation] = useState(new Animated.Value(1));
   const [notificationAnimation] = useState(new Animated.Value(0));
 
+  const shownRequest = visible ? requests[currentRequestIndex] || null : null;
+
+  const loadResponseSummary = async (request) => {
+    const result = await getGroupMemberResponses(request.groupId);
+    if (result.success && result.hasActiveRequest && result.activeRequest.id === request.id) {
+      setResponseSummary(result.summary);
+    } else {
+      setResponseSummary(null);
+    }
+  };
+
+  useEffect(() => {
+    setResponseSummary(null);
+    if (shownRequest) {
+      loadResponseSummary(shownRequest);
+    }
+  }, [shownRequest?.id]);
+
+  // Who has accepted updates live, and the request goes away once its session ends
+  useRealtimeSubscriptions(
+    shownRequest ? `dinner_notification_${shownRequest.id}` : null,
+    [
+      { table: 'dinner_request_responses', filter: `request_id=eq.${shownRequest?.id}` },
+      { table: 'meal_requests', filter: `group_id=eq.${shownRequest?.groupId}`, event: 'UPDATE' },
+      { table: 'terminated_sessions', filter: `group_id=eq.${shownRequest?.groupId}` }
+    ],
+    (table, payload) => {
+      if (table === 'dinner_request_responses') {
+        loadResponseSummary(shownRequest);
+      } else if (table === 'terminated_sessions' ? payload.eventType !== 'DELETE' : payload.new?.status !== 'active') {
+        console.log('📡 Session ended for dinner request:', shownRequest.id);
+        refresh();
+      }
+    }
+  );
+
   // Show/hide animation
   useEffect(() => {
     if (visible) {
@@ -126,9 +165,6 @@ export default function DinnerRequestNotification({ visible, onClose, userName }
     const response = accepted ? 'accepted' : 'declined';
     console.log(`📝 User ${response} the dinner request:`, currentRequest.id);
 
-    // IMMEDIATE UI UPDATE: Store response locally and close notification
-    addLocalResponse(currentRequest.id, response);
-    
     // Navigate to next request or close
     if (requests.length > 1) {
       const nextIndex = currentRequestIndex < requests.length - 1 ? currentRequestIndex + 1 : 0;
@@ -138,9 +174,17 @@ export default function DinnerRequestNotification({ visible, onClose, userName }
     }
 
     try {
-      const result = await recordUserResponse(currentRequest.id, response);
+      // IMMEDIATE UI UPDATE: Store response locally, undone if saving fails
+      const result = await optimisticUpdate(
+        () => addLocalResponse(currentRequest.id, response),
+        offlineQueue.perform(OFFLINE_ACTIONS.DINNER_RESPONSE, { requestId: currentRequest.id, response }),
+        () => clearLocalResponse(currentRequest.id),
+        { rollbackOnFailure: true }
+      );
       
-      if (result.success) {
+      if (result.queued) {
+        Alert.alert('Saved Offline', "You're offline. Your response will be sent as soon as you're back online.");
+      } else if (result.success) {
         console.log('✅ Request response saved successfully');
         
         let alertMessage = result.message;
@@ -181,7 +225,8 @@ export default function DinnerRequestNotification({ visible, onClose, userName }
         requesterName: currentRequest.requesterName,
         date: formattedDate,
         groupName: currentRequest.groupName,
-        requestId: currentRequest.id
+        requestId: currentRequest.id,
+        rota: currentRequest.rota || null
       };
     }
 
@@ -252,6 +297,26 @@ export default function DinnerRequestNotification({ visible, onClose, userName }
               Hi {userName}! Here is a request for {currentRequestData.date} to eat with {currentRequestData.groupName}
             </Text>
 
+            {/* Live Responses */}
+            {responseSummary && (
+              <Text style={styles.responseSummaryText}>
+                {responseSummary.accepted} of {responseSummary.total} accepted so far
+                {responseSummary.declined > 0 ? `  ·  ${responseSummary.declined} declined` : ''}
+              </Text>
+            )}
+
+            {/* Cooking Rota */}
+            {currentRequestData.rota?.cook && (
+              <View style={styles.rotaContainer}>
+                <Text style={styles.rotaText}>
+                  Cook: <Text style={styles.rotaName}>{currentRequestData.rota.cook.name}</Text>
+                  {currentRequestData.rota.dishwasher && (
+                    <Text>  ·  Dishes: <Text style={styles.rotaName}>{currentRequestData.rota.dishwasher.name}</Text></Text>
+                  )}
+                </Text>
+              </View>
+            )}
+
             {/* Response Buttons */}
             <View style={styles.responseButtonContainer}>
               <TouchableOpacity 
@@ -437,4 +502,34 @@ const styles = StyleSheet.create({
   disabledArrow: {
     color: '#CCCCCC',
   },
+  // Cooking Rota Styles
+  rotaContainer: {
+    backgroundColor: '#F8F6F3',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginTop: -16,
+    marginBottom: 24,
+  },
+  rotaText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    textAlign: 'center',
+  },
+  rotaName: {
+    fontFamily: 'Inter_600SemiBold',
+    color: '#8B7355',
+  },
+  // Live Response Styles
+  responseSummaryText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#8B7355',
+    textAlign: 'center',
+    marginTop: -16,
+    marginBottom: 24,
+  },
 }); 
\ No newline at end of file
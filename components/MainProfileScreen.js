@@ -2,9 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, Image, Modal, Animated, Alert, TextInput } from 'react-native';
 import { supabase } from '../lib/supabase';
 import { getUserGroups, createGroupInSupabase, getFavoriteGroupId } from '../lib/groupsService';
-import { saveDinnerRequest, getAllDinnerRequests, recordUserResponse, createMealFromRequest } from '../lib/dinnerRequestService';
+import { saveDinnerRequest, getAllDinnerRequests, createMealFromRequest } from '../lib/dinnerRequestService';
+import { offlineQueue, OFFLINE_ACTIONS } from '../lib/offlineQueue';
+import { VOTING_MODE_LABELS, VETO_BUDGET_OPTIONS, DEFAULT_VETO_BUDGET } from '../lib/voteTallyService';
+import { createRecurringSchedule, getRecurringSchedules, setScheduleActive, setScheduleDateSkipped, deleteRecurringSchedule, createDueOccurrences } from '../lib/recurringRequestService';
+import { describeSchedule, getUpcomingOccurrences, fromDateKey, toDateKey, WEEKDAY_PRESETS } from '../lib/recurrence';
+import { WEEKDAY_LABELS } from '../lib/rotaPlanner';
+import { getGroupSettings } from '../lib/groupSettingsService';
+import { DEFAULT_GROUP_SETTINGS, getDeadlineTime, parseTimeOfDay } from '../lib/groupSettings';
+import { sessionDeadlineScheduler } from '../lib/sessionDeadlineScheduler';
 import DebugCleanupButton from './DebugCleanupButton';
 
+// Owner of this screen's deadline closes on the shared scheduler
+const DEADLINE_SCHEDULE_OWNER = 'dinner-requests';
+
 // Safe image component that handles missing drawings gracefully
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
   const [imageError, setImageError] = useState(false);
@@ -21,6 +32,8 @@ const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
   );
 };
 
+const RECURRING_CHECK_INTERVAL = 5 * 60 * 1000;
+
 export default function MainProfileScreen({ route, navigation, hideBottomNav }) {
   const { isGuest } = route.params || { isGuest: true };
   const [loading, setLoading] = useState(true);
@@ -34,6 +47,12 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedTime, setSelectedTime] = useState({ hour: null, minutes: 0 });
   const [selectedRecipe, setSelectedRecipe] = useState('random'); // Default to random
+  const [selectedVotingMode, setSelectedVotingMode] = useState('yes_no');
+  const [selectedVetoBudget, setSelectedVetoBudget] = useState(DEFAULT_VETO_BUDGET);
+  const [repeatDays, setRepeatDays] = useState([]); // Empty = one-off request
+  const [skipHolidays, setSkipHolidays] = useState(true);
+  const [groupSettings, setGroupSettings] = useState(DEFAULT_GROUP_SETTINGS);
+  const [recurringSchedules, setRecurringSchedules] = useState([]);
   const [userGroups, setUserGroups] = useState([]);
   const [currentRequests, setCurrentRequests] = useState([]);
   const [currentRequestIndex, setCurrentRequestIndex] = useState(0);
@@ -68,6 +87,16 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
     }
   }, [isGuest]);
 
+  // Recurring dinners: create any occurrence whose request window has opened,
+  // and check again every few minutes while the screen is open
+  useEffect(() => {
+    if (isGuest) return;
+    
+    runRecurringSchedules();
+    const interval = setInterval(runRecurringSchedules, RECURRING_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isGuest]);
+
   // Listen for immediate response updates from GroupsScreen
   useEffect(() => {
     if (route.params?.immediateResponseFromGroup) {
@@ -126,6 +155,29 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
     }
   }, [route.params?.preSelectedGroup, isGuest, navigation]);
 
+  // Start from the selected group's defaults (GroupSettingsScreen)
+  useEffect(() => {
+    const groupId = selectedGroup?.group_id;
+    setGroupSettings(DEFAULT_GROUP_SETTINGS);
+    if (!groupId || isGuest) return;
+
+    let cancelled = false;
+    getGroupSettings(groupId).then(result => {
+      if (cancelled || !result.success) return;
+
+      const settings = result.settings;
+      setGroupSettings(settings);
+      setSelectedVotingMode(settings.votingMode);
+      if (settings.dinnerTime) {
+        setSelectedTime(prev => (prev.hour === null ? settings.dinnerTime : prev));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedGroup?.group_id, isGuest]);
+
   const loadCurrentUserId = async () => {
     try {
       const { data: { user }, error } = await supabase.auth.getUser();
@@ -336,9 +388,11 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
     }
 
     try {
-      const result = await recordUserResponse(currentRequest.id, response);
+      const result = await offlineQueue.perform(OFFLINE_ACTIONS.DINNER_RESPONSE, { requestId: currentRequest.id, response });
       
-      if (result.success) {
+      if (result.queued) {
+        Alert.alert('Saved Offline', "You're offline. Your response will be sent as soon as you're back online.");
+      } else if (result.success) {
         console.log('✅ Request response saved successfully');
         
         let alertMessage = result.message;
@@ -392,6 +446,14 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
         
         if (result.success && result.requests.length > 0) {
           console.log('✅ Loaded dinner requests:', result.requests);
+
+          // The groups tab may never be opened, so sessions are closed at
+          // their deadline from here too - straight away if already overdue
+          result.requests.forEach(request => {
+            if (request.deadline) {
+              sessionDeadlineScheduler.schedule(request.groupId, request.groupName, request.deadline, DEADLINE_SCHEDULE_OWNER);
+            }
+          });
           
           // If currentUserId is not set, return all requests (fallback)
           if (!currentUserId) {
@@ -514,18 +576,8 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
     // Fallback to form selections or mock data
     if (selectedGroup && selectedDate && selectedTime.hour !== null) {
       const requestTime = formatTime(selectedTime.hour, selectedTime.minutes);
-      // Calculate deadline (30 minutes before the meal time)
-      const deadlineHour = selectedTime.hour;
-      const deadlineMinutes = selectedTime.minutes - 30;
-      let adjustedHour = deadlineHour;
-      let adjustedMinutes = deadlineMinutes;
-      
-      if (adjustedMinutes < 0) {
-        adjustedMinutes += 60;
-        adjustedHour -= 1;
-      }
-      
-      const deadline = formatTime(adjustedHour, adjustedMinutes);
+      const deadlineTime = parseTimeOfDay(getDeadlineTime(selectedTime.hour, selectedTime.minutes, groupSettings.deadlineMinutes));
+      const deadline = formatTime(deadlineTime.hour, deadlineTime.minutes);
 
       return {
         requesterName: userInfo.name || "Unknown User",
@@ -642,11 +694,123 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
   }, [showRequestNotification, currentRequests, currentRequestIndex]);
 
   const canSendRequest = () => {
-    return selectedGroup && selectedDate && selectedTime.hour !== null;
+    // A recurring dinner doesn't need a date - it starts today unless one is picked
+    return selectedGroup && (selectedDate || repeatDays.length > 0) && selectedTime.hour !== null;
+  };
+
+  const loadRecurringSchedules = async () => {
+    const result = await getRecurringSchedules();
+    if (result.success) {
+      setRecurringSchedules(result.schedules);
+    } else {
+      console.error('❌ Failed to load recurring dinners:', result.error);
+    }
+  };
+
+  const runRecurringSchedules = async () => {
+    const result = await createDueOccurrences();
+    if (result.success && result.created.length > 0) {
+      console.log(`🔁 Created ${result.created.length} scheduled dinner request(s)`);
+      if (navigation.getParent()) {
+        result.created.forEach(occurrence => {
+          navigation.getParent().setParams({ clearTerminatedResults: occurrence.groupId });
+        });
+      }
+    }
+    await loadRecurringSchedules();
+  };
+
+  const toggleRepeatDay = (day) => {
+    setRepeatDays(prev => prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]);
+  };
+
+  const handleCreateSchedule = async () => {
+    const formattedTime = `${selectedTime.hour.toString().padStart(2, '0')}:${selectedTime.minutes.toString().padStart(2, '0')}:00`;
+    
+    const result = await createRecurringSchedule({
+      groupId: selectedGroup.group_id,
+      weekdays: repeatDays,
+      time: formattedTime,
+      recipeType: selectedRecipe || 'random',
+      votingMode: selectedVotingMode,
+      vetoBudget: selectedVetoBudget,
+      deadlineMinutesBefore: groupSettings.deadlineMinutes,
+      startsOn: selectedDate ? toDateKey(selectedDate.date) : undefined,
+      skipHolidays
+    });
+    
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+      return;
+    }
+    
+    Alert.alert(
+      'Recurring Dinner Created',
+      `${describeSchedule(result.schedule)} with ${selectedGroup.group_name || selectedGroup.name}. Each request goes out automatically a few hours before dinner.`
+    );
+    
+    // Reset selections
+    setSelectedGroup(null);
+    setSelectedDate(null);
+    setSelectedTime({ hour: null, minutes: 0 });
+    setSelectedRecipe(null);
+    setSelectedVotingMode('yes_no');
+    setSelectedVetoBudget(DEFAULT_VETO_BUDGET);
+    setRepeatDays([]);
+    setSkipHolidays(true);
+    
+    await runRecurringSchedules();
+  };
+
+  const handleToggleSchedulePaused = async (schedule) => {
+    const result = await setScheduleActive(schedule.id, !schedule.is_active);
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+    }
+    await loadRecurringSchedules();
+  };
+
+  const handleSkipDate = async (schedule, dateKey, skip) => {
+    const result = await setScheduleDateSkipped(schedule, dateKey, skip);
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+    }
+    await loadRecurringSchedules();
+  };
+
+  const handleDeleteSchedule = (schedule) => {
+    Alert.alert(
+      'Delete Recurring Dinner',
+      `Stop "${describeSchedule(schedule)}" for ${schedule.groupName}? Requests already sent stay.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await deleteRecurringSchedule(schedule.id);
+            if (!result.success) {
+              Alert.alert('Error', result.error);
+            }
+            await loadRecurringSchedules();
+          }
+        }
+      ]
+    );
   };
 
+  const formatScheduleDate = (dateKey) => fromDateKey(dateKey).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+
   const handleSendRequest = () => {
     if (!canSendRequest()) return;
+    if (repeatDays.length > 0) {
+      handleCreateSchedule();
+      return;
+    }
     // Send the dinner request directly without intermediate popup
     handleSendDinnerRequest();
   };
@@ -663,16 +827,8 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
     const formattedDate = `${selectedDate.date.getFullYear()}-${(selectedDate.date.getMonth() + 1).toString().padStart(2, '0')}-${selectedDate.date.getDate().toString().padStart(2, '0')}`;
     const formattedTime = `${selectedTime.hour.toString().padStart(2, '0')}:${selectedTime.minutes.toString().padStart(2, '0')}:00`;
     
-    // Calculate deadline (15 minutes before the meal time)
-    let adjustedHour = selectedTime.hour;
-    let adjustedMinutes = selectedTime.minutes - 15;
-    
-    if (adjustedMinutes < 0) {
-      adjustedMinutes += 60;
-      adjustedHour -= 1;
-    }
-    
-    const formattedDeadline = `${adjustedHour.toString().padStart(2, '0')}:${adjustedMinutes.toString().padStart(2, '0')}:00`;
+    // Replies close the group's deadline offset before the meal time
+    const formattedDeadline = getDeadlineTime(selectedTime.hour, selectedTime.minutes, groupSettings.deadlineMinutes);
 
     // CONFLICT DETECTION: Check for existing active sessions or terminated results
     console.log('🔍 Checking for conflicts before sending dinner request...');
@@ -798,6 +954,9 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
       date: formattedDate,
       time: formattedTime,
       recipeType: selectedRecipe,
+      votingMode: selectedVotingMode,
+      vetoBudget: selectedVetoBudget,
+      mealCount: groupSettings.mealCount,
       deadlineTime: formattedDeadline
     };
 
@@ -835,6 +994,8 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
         setSelectedDate(null);
         setSelectedTime({ hour: null, minutes: 0 });
         setSelectedRecipe(null);
+        setSelectedVotingMode('yes_no');
+        setSelectedVetoBudget(DEFAULT_VETO_BUDGET);
         
         // Show success message using Alert for consistency
         Alert.alert('Success', successMessage);
@@ -967,6 +1128,8 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
   }
 
   const availableDates = getAvailableDates();
+  const repeatsOnWeekdays = repeatDays.length === WEEKDAY_PRESETS.WEEKDAYS.length &&
+    WEEKDAY_PRESETS.WEEKDAYS.every(day => repeatDays.includes(day));
   const { hours, minutes } = getTimeOptions();
 
   return (
@@ -1077,6 +1240,90 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
           </View>
         </View>
 
+        {/* Voting Mode Selection */}
+        <View style={styles.recipeSection}>
+          <Text style={styles.recipeTitle}>Voting</Text>
+          <View style={styles.recipeOptions}>
+            {Object.entries(VOTING_MODE_LABELS).map(([mode, label]) => (
+              <TouchableOpacity
+                key={mode}
+                style={[
+                  styles.recipeOption,
+                  selectedVotingMode === mode && styles.recipeOptionSelected
+                ]}
+                onPress={() => setSelectedVotingMode(mode)}
+              >
+                <Text style={[
+                  styles.recipeOptionText,
+                  selectedVotingMode === mode && styles.recipeOptionTextSelected
+                ]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Veto Budget Selection */}
+        <View style={styles.recipeSection}>
+          <Text style={styles.recipeTitle}>Vetoes per Member</Text>
+          <View style={styles.recipeOptions}>
+            {VETO_BUDGET_OPTIONS.map(budget => (
+              <TouchableOpacity
+                key={budget}
+                style={[
+                  styles.recipeOption,
+                  selectedVetoBudget === budget && styles.recipeOptionSelected
+                ]}
+                onPress={() => setSelectedVetoBudget(budget)}
+              >
+                <Text style={[
+                  styles.recipeOptionText,
+                  selectedVetoBudget === budget && styles.recipeOptionTextSelected
+                ]}>{budget === 0 ? 'None' : budget}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        {/* Repeat Selection */}
+        <View style={styles.recipeSection}>
+          <Text style={styles.recipeTitle}>Repeat</Text>
+          <View style={styles.recipeOptions}>
+            <TouchableOpacity
+              style={[styles.recipeOption, repeatDays.length === 0 && styles.recipeOptionSelected]}
+              onPress={() => setRepeatDays([])}
+            >
+              <Text style={[styles.recipeOptionText, repeatDays.length === 0 && styles.recipeOptionTextSelected]}>Once</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.recipeOption, repeatsOnWeekdays && styles.recipeOptionSelected]}
+              onPress={() => setRepeatDays(WEEKDAY_PRESETS.WEEKDAYS)}
+            >
+              <Text style={[styles.recipeOptionText, repeatsOnWeekdays && styles.recipeOptionTextSelected]}>Weekdays</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.repeatDayOptions}>
+            {WEEKDAY_LABELS.map((label, day) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.repeatDayOption, repeatDays.includes(day) && styles.recipeOptionSelected]}
+                onPress={() => toggleRepeatDay(day)}
+              >
+                <Text style={[styles.recipeOptionText, repeatDays.includes(day) && styles.recipeOptionTextSelected]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {repeatDays.length > 0 && (
+            <TouchableOpacity
+              style={[styles.repeatHolidayOption, skipHolidays && styles.recipeOptionSelected]}
+              onPress={() => setSkipHolidays(!skipHolidays)}
+            >
+              <Text style={[styles.recipeOptionText, skipHolidays && styles.recipeOptionTextSelected]}>
+                {skipHolidays ? '✓ ' : ''}Skip public holidays
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* Send Request Button */}
         <TouchableOpacity 
           style={[styles.sendButton, canSendRequest() && styles.sendButtonEnabled]}
@@ -1084,10 +1331,48 @@ export default function MainProfileScreen({ route, navigation, hideBottomNav })
           disabled={!canSendRequest()}
         >
           <Text style={[styles.sendButtonText, canSendRequest() && styles.sendButtonTextEnabled]}>
-            Send Request
+            {repeatDays.length > 0 ? 'Create Recurring Dinner' : 'Send Request'}
           </Text>
         </TouchableOpacity>
 
+        {/* Recurring Dinners */}
+        {recurringSchedules.length > 0 && (
+          <View style={styles.recurringSection}>
+            <Text style={styles.recipeTitle}>Recurring Dinners</Text>
+            {recurringSchedules.map(schedule => {
+              const [next] = getUpcomingOccurrences(schedule, new Date(), 1);
+              const skipped = (schedule.skip_dates || []).filter(date => date >= toDateKey(new Date()));
+              return (
+                <View key={schedule.id} style={styles.recurringCard}>
+                  <Text style={styles.recurringGroupName}>{schedule.groupName}</Text>
+                  <Text style={styles.recurringDescription}>{describeSchedule(schedule)}</Text>
+                  <Text style={styles.recurringMeta}>
+                    {!schedule.is_active ? 'Paused' : next ? `Next: ${formatScheduleDate(next.date)}` : 'No upcoming dinners'}
+                  </Text>
+                  {skipped.map(date => (
+                    <TouchableOpacity key={date} onPress={() => handleSkipDate(schedule, date, false)}>
+                      <Text style={styles.recurringMeta}>Skipping {formatScheduleDate(date)} · tap to restore</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <View style={styles.recurringActions}>
+                    {schedule.is_active && next && (
+                      <TouchableOpacity style={styles.recurringActionButton} onPress={() => handleSkipDate(schedule, next.date, true)}>
+                        <Text style={styles.recurringActionText}>Skip Next</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity style={styles.recurringActionButton} onPress={() => handleToggleSchedulePaused(schedule)}>
+                      <Text style={styles.recurringActionText}>{schedule.is_active ? 'Pause' : 'Resume'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.recurringActionButton} onPress={() => handleDeleteSchedule(schedule)}>
+                      <Text style={[styles.recurringActionText, styles.recurringDeleteText]}>Delete</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* Test Button for Request Notification */}
         <TouchableOpacity 
           style={styles.testButton}
@@ -2158,4 +2443,81 @@ const styles = StyleSheet.create({
     color: '#8B7355',
     fontFamily: 'Inter_600SemiBold',
   },
+
+  // Recurring Dinner Styles
+  repeatDayOptions: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 12,
+  },
+  repeatDayOption: {
+    flex: 1,
+    backgroundColor: '#F8F6F3',
+    borderRadius: 12,
+    paddingVertical: 12,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    alignItems: 'center',
+  },
+  repeatHolidayOption: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#F8F6F3',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    marginTop: 12,
+  },
+  recurringSection: {
+    marginTop: 32,
+  },
+  recurringCard: {
+    backgroundColor: '#F8F6F3',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  recurringGroupName: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#2D2D2D',
+  },
+  recurringDescription: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#8B7355',
+    marginTop: 2,
+  },
+  recurringMeta: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B6B6B',
+    marginTop: 4,
+  },
+  recurringActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  recurringActionButton: {
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderWidth: 1,
+    borderColor: 'rgba(139, 115, 85, 0.3)',
+    backgroundColor: 'rgba(139, 115, 85, 0.1)',
+  },
+  recurringActionText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+  },
+  recurringDeleteText: {
+    color: '#CC4444',
+  },
 }); 
\ No newline at end of file
@@ -50,6 +50,11 @@ export default function MainTabNavigator({ navigation, route }) {
         setLoadedTabs(prev => ({ ...prev, groups: true }));
       }
     }
+
+    // Opened from an invite link - the groups tab shows the join box
+    if (route?.params?.joinCode) {
+      setCurrentTab('groups');
+    }
   }, [route?.params]);
 
   const preloadImages = async () => {
@@ -216,7 +221,8 @@ export default function MainTabNavigator({ navigation, route }) {
       } else if (routeName === 'MainTabs') {
         // Handle navigation back to tabs by refreshing auth state and reloading profile
         checkAuthStatus();
-        setCurrentTab('profile'); // Default to profile tab
+        // Back to the join box if an invite link is still waiting for a sign in
+        setCurrentTab(route?.params?.joinCode ? 'groups' : 'profile');
         
         // Refresh profile data if user just signed in
         setProfileRefreshKey(prev => prev + 1);
@@ -312,7 +318,8 @@ export default function MainTabNavigator({ navigation, route }) {
                 params: { 
                   isGuest,
                   reopenGroupModal: route?.params?.reopenGroupModal,
-                  groupId: route?.params?.groupId
+                  groupId: route?.params?.groupId,
+                  joinCode: route?.params?.joinCode
                 } 
               }} 
               navigation={enhancedNavigation}
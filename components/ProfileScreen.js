@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, TextInput, TouchableOpacity, SafeAreaView, ScrollView, Alert, Image, Modal, Animated } from 'react-native';
 import { supabase } from '../lib/supabase';
-import { createOrUpdateProfile, getCurrentUserProfile } from '../lib/profileService';
+import { createOrUpdateProfile, getCurrentUserProfile, getDietaryProfile, updateDietaryProfile } from '../lib/profileService';
+import {
+  DIETARY_RESTRICTION_OPTIONS,
+  ALLERGEN_OPTIONS,
+  ALLERGEN_LABELS,
+  CUISINE_OPTIONS,
+  CUISINE_LABELS,
+  EMPTY_DIETARY_PROFILE
+} from '../lib/dietaryProfile';
 
 // Safe image component that handles missing drawings gracefully
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -19,11 +27,24 @@ const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
   );
 };
 
+const RESTRICTION_LABELS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  'dairy-free': 'Dairy-free'
+};
+
+const parseDislikes = (text) => text.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
 export default function ProfileScreen({ route, navigation }) {
   const { isGuest } = route.params || { isGuest: true };
   const [name, setName] = useState('');
   const [originalName, setOriginalName] = useState('');
   const [loading, setLoading] = useState(false);
+  const [dietaryProfile, setDietaryProfile] = useState(EMPTY_DIETARY_PROFILE);
+  const [originalDietaryProfile, setOriginalDietaryProfile] = useState(EMPTY_DIETARY_PROFILE);
+  const [dislikesText, setDislikesText] = useState('');
+  const [dietarySaving, setDietarySaving] = useState(false);
   
   // Custom Alert Modal states
   const [alertVisible, setAlertVisible] = useState(false);
@@ -70,9 +91,54 @@ export default function ProfileScreen({ route, navigation }) {
   useEffect(() => {
     if (!isGuest) {
       loadProfile();
+      loadDietaryProfile();
     }
   }, [isGuest]);
 
+  const loadDietaryProfile = async () => {
+    const result = await getDietaryProfile();
+    if (result.success) {
+      setDietaryProfile(result.profile);
+      setOriginalDietaryProfile(result.profile);
+      setDislikesText(result.profile.dislikedIngredients.join(', '));
+    } else {
+      console.error('❌ Error loading dietary profile:', result.error);
+    }
+  };
+
+  const toggleDietaryOption = (field, option) => {
+    setDietaryProfile(current => ({
+      ...current,
+      [field]: current[field].includes(option)
+        ? current[field].filter(item => item !== option)
+        : [...current[field], option]
+    }));
+  };
+
+  const handleSaveDietaryProfile = async () => {
+    setDietarySaving(true);
+    try {
+      const result = await updateDietaryProfile({
+        ...dietaryProfile,
+        dislikedIngredients: parseDislikes(dislikesText)
+      });
+
+      if (result.success) {
+        setDietaryProfile(result.profile);
+        setOriginalDietaryProfile(result.profile);
+        setDislikesText(result.profile.dislikedIngredients.join(', '));
+        showCustomAlert(
+          'Dietary Profile Saved',
+          'Your feed and group dinners will now leave out dishes that don\'t suit you.'
+        );
+      } else {
+        Alert.alert('Error', `Failed to save dietary profile: ${result.error}`);
+      }
+    } finally {
+      setDietarySaving(false);
+    }
+  };
+
   const loadProfile = async () => {
     try {
       const result = await getCurrentUserProfile();
@@ -143,6 +209,27 @@ export default function ProfileScreen({ route, navigation }) {
   };
 
   const hasChanges = name.trim() !== originalName.trim();
+  const hasDietaryChanges = JSON.stringify({ ...dietaryProfile, dislikedIngredients: parseDislikes(dislikesText) }) !==
+    JSON.stringify(originalDietaryProfile);
+
+  const renderDietaryChips = (field, options, labels) => (
+    <View style={styles.chipRow}>
+      {options.map(option => {
+        const selected = dietaryProfile[field].includes(option);
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, selected && styles.chipSelected]}
+            onPress={() => toggleDietaryOption(field, option)}
+          >
+            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+              {labels[option]}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
 
   return (
     <SafeAreaView style={styles.container}>
@@ -222,6 +309,56 @@ export default function ProfileScreen({ route, navigation }) {
             </TouchableOpacity>
           )}
 
+          {/* Dietary Profile */}
+          {!isGuest && (
+            <View style={[styles.section, styles.dietarySection]}>
+              <Text style={styles.sectionTitle}>Dietary Profile</Text>
+              <Text style={styles.sectionDescription}>
+                Dishes that don't suit you are left out of your feed and of every group dinner you join.
+              </Text>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Diet</Text>
+                {renderDietaryChips('dietaryRestrictions', DIETARY_RESTRICTION_OPTIONS, RESTRICTION_LABELS)}
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Allergies</Text>
+                {renderDietaryChips('allergens', ALLERGEN_OPTIONS, ALLERGEN_LABELS)}
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Ingredients you'd rather skip</Text>
+                <TextInput
+                  style={styles.input}
+                  value={dislikesText}
+                  onChangeText={setDislikesText}
+                  placeholder="e.g. koriander, olijven"
+                  placeholderTextColor="#A0A0A0"
+                  autoCapitalize="none"
+                />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Favourite cuisines</Text>
+                {renderDietaryChips('favoriteCuisines', CUISINE_OPTIONS, CUISINE_LABELS)}
+              </View>
+
+              <TouchableOpacity
+                style={[
+                  styles.saveButton,
+                  (dietarySaving || !hasDietaryChanges) && styles.buttonDisabled
+                ]}
+                onPress={handleSaveDietaryProfile}
+                disabled={dietarySaving || !hasDietaryChanges}
+              >
+                <Text style={styles.saveButtonText}>
+                  {dietarySaving ? 'Saving...' : 'Save Dietary Profile'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
           {/* Sign In Prompt for Guests */}
           {isGuest && (
             <View style={styles.signInPrompt}>
@@ -349,6 +486,41 @@ const styles = StyleSheet.create({
   inputContainer: {
     marginBottom: 20,
   },
+  dietarySection: {
+    marginTop: 40,
+  },
+  sectionDescription: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    marginBottom: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    backgroundColor: '#F8F6F3',
+  },
+  chipSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  chipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#6B6B6B',
+  },
+  chipTextSelected: {
+    color: '#FEFEFE',
+  },
   label: {
     fontFamily: 'Inter_500Medium',
     fontSize: 14,
@@ -0,0 +1,706 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, TextInput, Image, ActivityIndicator, Alert } from 'react-native';
+import { supabase } from '../lib/supabase';
+import { addRecipe, updateRecipe, deleteRecipe, getRecipeById, importRecipeFromUrl } from '../lib/recipesService';
+import { getUserGroups } from '../lib/groupsService';
+import { DIETARY_RESTRICTION_OPTIONS } from '../lib/dietaryProfile';
+import {
+  EMPTY_RECIPE_DRAFT,
+  RECIPE_VISIBILITY,
+  RECIPE_LIMITS,
+  validateRecipeDraft,
+  draftToRecipeData,
+  recipeDataToDraft,
+  createRecipeId
+} from '../lib/recipeDraft';
+
+const DIETARY_LABELS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  'dairy-free': 'Dairy-free'
+};
+
+export default function RecipeEditorScreen({ route, navigation }) {
+  const { recipeId } = route.params || {};
+  const isEditing = Boolean(recipeId);
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_RECIPE_DRAFT);
+  const [errors, setErrors] = useState({});
+  const [existingData, setExistingData] = useState({});
+  const [visibility, setVisibility] = useState(RECIPE_VISIBILITY.EVERYONE);
+  const [groupId, setGroupId] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [importUrl, setImportUrl] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    loadEditor();
+  }, []);
+
+  const loadEditor = async () => {
+    setLoading(true);
+    setLoadError(null);
+
+    try {
+      const [groupsResult, { data: { user } }] = await Promise.all([
+        getUserGroups(),
+        supabase.auth.getUser()
+      ]);
+
+      if (!user) {
+        setLoadError('Sign in to add your own recipes.');
+        return;
+      }
+      setGroups(groupsResult.success ? groupsResult.groups : []);
+
+      if (isEditing) {
+        const recipeResult = await getRecipeById(recipeId);
+        if (!recipeResult.success || !recipeResult.recipe) {
+          setLoadError(recipeResult.error || 'This recipe no longer exists.');
+          return;
+        }
+
+        const recipe = recipeResult.recipe;
+        if (recipe.owner_id !== user.id) {
+          setLoadError('You can only edit recipes you added yourself.');
+          return;
+        }
+
+        setExistingData(recipe.recipe_data || {});
+        setDraft(recipeDataToDraft(recipe.recipe_data));
+        setVisibility(recipe.visibility || RECIPE_VISIBILITY.EVERYONE);
+        setGroupId(recipe.group_id || null);
+      }
+    } catch (error) {
+      console.error('❌ Error loading recipe editor:', error);
+      setLoadError('An unexpected error occurred while loading the recipe');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (field, value) => {
+    setDraft(current => ({ ...current, [field]: value }));
+    if (errors[field]) {
+      setErrors(current => ({ ...current, [field]: undefined }));
+    }
+  };
+
+  // Ingredients and steps are edited as lists of lines
+  const updateLine = (field, index, value) => {
+    updateField(field, draft[field].map((line, i) => (i === index ? value : line)));
+  };
+
+  const addLine = (field, max) => {
+    if (draft[field].length >= max) return;
+    updateField(field, [...draft[field], '']);
+  };
+
+  const removeLine = (field, index) => {
+    const lines = draft[field].filter((_, i) => i !== index);
+    updateField(field, lines.length > 0 ? lines : ['']);
+  };
+
+  const toggleDietaryTag = (tag) => {
+    updateField('dietary', draft.dietary.includes(tag)
+      ? draft.dietary.filter(item => item !== tag)
+      : [...draft.dietary, tag]);
+  };
+
+  const chooseVisibility = (nextVisibility, nextGroupId = null) => {
+    setVisibility(nextVisibility);
+    setGroupId(nextGroupId);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const result = await importRecipeFromUrl(importUrl);
+      if (!result.success) {
+        Alert.alert('Import Failed', result.error);
+        return;
+      }
+
+      setDraft(result.draft);
+      setErrors({});
+      Alert.alert('Recipe Imported', 'Check the details and add a price before saving.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const validation = validateRecipeDraft(draft);
+    if (!validation.valid) {
+      setErrors(validation.errors);
+      Alert.alert('Check the Recipe', 'Some fields need your attention before the recipe can be saved.');
+      return;
+    }
+    if (visibility === RECIPE_VISIBILITY.GROUP && !groupId) {
+      Alert.alert('Choose a Group', 'Pick the group that can see this recipe.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const sharing = { visibility, groupId };
+      const result = isEditing
+        ? await updateRecipe(recipeId, draftToRecipeData(draft, recipeId, existingData), sharing)
+        : await addRecipe(draftToRecipeData(draft, createRecipeId()), sharing);
+
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to save the recipe');
+        return;
+      }
+
+      Alert.alert(
+        isEditing ? 'Recipe Updated' : 'Recipe Added',
+        isEditing ? 'Your changes have been saved.' : 'Your recipe is now part of the collection.',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Recipe',
+      'This removes the recipe for everyone. Are you sure?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setSaving(true);
+            const result = await deleteRecipe(recipeId);
+            setSaving(false);
+
+            if (result.success) {
+              navigation.goBack();
+            } else {
+              Alert.alert('Error', result.error || 'Failed to delete the recipe');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderError = (field) => (
+    errors[field] ? <Text style={styles.errorText}>{errors[field]}</Text> : null
+  );
+
+  const renderLines = (field, placeholder, max, numbered) => (
+    <>
+      {draft[field].map((line, index) => (
+        <View key={`${field}-${index}`} style={styles.lineRow}>
+          {numbered && <Text style={styles.lineNumber}>{index + 1}.</Text>}
+          <TextInput
+            style={[styles.input, styles.lineInput, numbered && styles.multilineInput]}
+            value={line}
+            onChangeText={value => updateLine(field, index, value)}
+            placeholder={placeholder}
+            placeholderTextColor="#A0A0A0"
+            multiline={numbered}
+          />
+          <TouchableOpacity style={styles.removeLineButton} onPress={() => removeLine(field, index)}>
+            <Text style={styles.removeLineText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+      {draft[field].length < max && (
+        <TouchableOpacity style={styles.addLineButton} onPress={() => addLine(field, max)}>
+          <Text style={styles.addLineText}>{numbered ? '+ Add Step' : '+ Add Ingredient'}</Text>
+        </TouchableOpacity>
+      )}
+      {renderError(field)}
+    </>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#8B7355" />
+          <Text style={styles.loadingText}>Loading recipe...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <Text style={styles.loadErrorText}>{loadError}</Text>
+          <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+            <Text style={styles.backButtonText}>← Back</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const trimmedImage = draft.image.trim();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.backArrow}>←</Text>
+          <Text style={styles.backText}>Back</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.headerTitle}>{isEditing ? 'Edit Recipe' : 'New Recipe'}</Text>
+
+        <View style={styles.headerRight} />
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        {!isEditing && (
+          <View style={styles.importSection}>
+            <Text style={styles.label}>Import from a website</Text>
+            <View style={styles.importRow}>
+              <TextInput
+                style={[styles.input, styles.importInput]}
+                value={importUrl}
+                onChangeText={setImportUrl}
+                placeholder="https://www.example.com/recipe"
+                placeholderTextColor="#A0A0A0"
+                autoCapitalize="none"
+                keyboardType="url"
+              />
+              <TouchableOpacity
+                style={[styles.importButton, (importing || !importUrl.trim()) && styles.buttonDisabled]}
+                onPress={handleImport}
+                disabled={importing || !importUrl.trim()}
+              >
+                <Text style={styles.importButtonText}>{importing ? '...' : 'Import'}</Text>
+              </TouchableOpacity>
+            </View>
+            {draft.sourceUrl ? (
+              <Text style={styles.hintText}>Imported from {draft.sourceUrl}</Text>
+            ) : null}
+          </View>
+        )}
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Title</Text>
+          <TextInput
+            style={[styles.input, errors.title && styles.inputError]}
+            value={draft.title}
+            onChangeText={value => updateField('title', value)}
+            placeholder="e.g. Zalm met geroosterde groenten"
+            placeholderTextColor="#A0A0A0"
+            maxLength={RECIPE_LIMITS.titleMax}
+          />
+          {renderError('title')}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Photo URL (optional)</Text>
+          <TextInput
+            style={[styles.input, errors.image && styles.inputError]}
+            value={draft.image}
+            onChangeText={value => updateField('image', value)}
+            placeholder="https://..."
+            placeholderTextColor="#A0A0A0"
+            autoCapitalize="none"
+            keyboardType="url"
+          />
+          {renderError('image')}
+          {/^https?:\/\//i.test(trimmedImage) && (
+            <Image source={{ uri: trimmedImage }} style={styles.imagePreview} resizeMode="cover" />
+          )}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Description</Text>
+          <TextInput
+            style={[styles.input, styles.multilineInput, errors.description && styles.inputError]}
+            value={draft.description}
+            onChangeText={value => updateField('description', value)}
+            placeholder="What makes this dish worth cooking?"
+            placeholderTextColor="#A0A0A0"
+            maxLength={RECIPE_LIMITS.descriptionMax}
+            multiline
+          />
+          {renderError('description')}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Ingredients</Text>
+          {renderLines('ingredients', 'e.g. 2 zalmfilets', RECIPE_LIMITS.maxIngredients, false)}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Steps</Text>
+          {renderLines('instructions', 'Describe this step', RECIPE_LIMITS.maxSteps, true)}
+        </View>
+
+        <View style={styles.numberRow}>
+          <View style={[styles.inputContainer, styles.numberField]}>
+            <Text style={styles.label}>Time (minutes)</Text>
+            <TextInput
+              style={[styles.input, errors.readyInMinutes && styles.inputError]}
+              value={draft.readyInMinutes}
+              onChangeText={value => updateField('readyInMinutes', value)}
+              placeholder="30"
+              placeholderTextColor="#A0A0A0"
+              keyboardType="number-pad"
+            />
+            {renderError('readyInMinutes')}
+          </View>
+
+          <View style={[styles.inputContainer, styles.numberField]}>
+            <Text style={styles.label}>Price per serving (€)</Text>
+            <TextInput
+              style={[styles.input, errors.pricePerServing && styles.inputError]}
+              value={draft.pricePerServing}
+              onChangeText={value => updateField('pricePerServing', value)}
+              placeholder="3,50"
+              placeholderTextColor="#A0A0A0"
+              keyboardType="decimal-pad"
+            />
+            {renderError('pricePerServing')}
+          </View>
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Dietary</Text>
+          <View style={styles.chipRow}>
+            {DIETARY_RESTRICTION_OPTIONS.map(tag => {
+              const selected = draft.dietary.includes(tag);
+              return (
+                <TouchableOpacity
+                  key={tag}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => toggleDietaryTag(tag)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{DIETARY_LABELS[tag]}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.hintText}>
+            Tags are checked against the ingredients when you save, so a "vegetarian" dish with chicken loses its tag.
+          </Text>
+          {renderError('dietary')}
+        </View>
+
+        <View style={styles.inputContainer}>
+          <Text style={styles.label}>Who can see it</Text>
+          <View style={styles.chipRow}>
+            <TouchableOpacity
+              style={[styles.chip, visibility === RECIPE_VISIBILITY.EVERYONE && styles.chipSelected]}
+              onPress={() => chooseVisibility(RECIPE_VISIBILITY.EVERYONE)}
+            >
+              <Text style={[styles.chipText, visibility === RECIPE_VISIBILITY.EVERYONE && styles.chipTextSelected]}>
+                Everyone
+              </Text>
+            </TouchableOpacity>
+            {groups.map(group => {
+              const selected = visibility === RECIPE_VISIBILITY.GROUP && groupId === group.group_id;
+              return (
+                <TouchableOpacity
+                  key={group.group_id}
+                  style={[styles.chip, selected && styles.chipSelected]}
+                  onPress={() => chooseVisibility(RECIPE_VISIBILITY.GROUP, group.group_id)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                    Only {group.group_name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.buttonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>
+            {saving ? 'Saving...' : isEditing ? 'Save Changes' : 'Add Recipe'}
+          </Text>
+        </TouchableOpacity>
+
+        {isEditing && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete} disabled={saving}>
+            <Text style={styles.deleteButtonText}>Delete Recipe</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FEFEFE',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  loadingText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    color: '#6B6B6B',
+    marginTop: 16,
+  },
+  loadErrorText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#6B6B6B',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  backButton: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 12,
+    paddingHorizontal: 32,
+    paddingVertical: 16,
+  },
+  backButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 20,
+    color: '#6B6B6B',
+    letterSpacing: 0.3,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F5F3F0',
+  },
+  headerBackButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: '#F5F3F0',
+  },
+  backArrow: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 18,
+    color: '#8B7355',
+    marginRight: 6,
+  },
+  backText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#8B7355',
+    letterSpacing: 0.2,
+  },
+  headerTitle: {
+    fontFamily: 'PlayfairDisplay_700Bold',
+    fontSize: 18,
+    lineHeight: 24,
+    color: '#2D2D2D',
+    letterSpacing: 0.3,
+  },
+  headerRight: {
+    width: 100,
+  },
+  scrollContent: {
+    padding: 24,
+    paddingBottom: 48,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  importSection: {
+    backgroundColor: '#F8F6F3',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    padding: 16,
+    marginBottom: 24,
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  importInput: {
+    flex: 1,
+    backgroundColor: '#FEFEFE',
+  },
+  importButton: {
+    backgroundColor: '#8B7355',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  importButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    color: '#FEFEFE',
+  },
+  label: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#2D2D2D',
+    marginBottom: 8,
+    letterSpacing: 0.1,
+  },
+  input: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#2D2D2D',
+    backgroundColor: 'rgba(248, 246, 243, 0.88)',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  inputError: {
+    borderColor: '#CC4444',
+  },
+  multilineInput: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  errorText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#CC4444',
+    marginTop: 6,
+  },
+  hintText: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 12,
+    lineHeight: 16,
+    color: '#A0A0A0',
+    marginTop: 8,
+  },
+  imagePreview: {
+    width: '100%',
+    height: 160,
+    borderRadius: 12,
+    marginTop: 12,
+    backgroundColor: '#F8F6F3',
+  },
+  lineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  lineNumber: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 14,
+    color: '#8B7355',
+    width: 24,
+  },
+  lineInput: {
+    flex: 1,
+  },
+  removeLineButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  removeLineText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#6B6B6B',
+  },
+  addLineButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+  },
+  addLineText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#8B7355',
+  },
+  numberRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  numberField: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    backgroundColor: '#F8F6F3',
+  },
+  chipSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  chipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#6B6B6B',
+  },
+  chipTextSelected: {
+    color: '#FEFEFE',
+  },
+  saveButton: {
+    backgroundColor: '#8B7355',
+    borderRadius: 8,
+    paddingVertical: 16,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  buttonDisabled: {
+    backgroundColor: '#D0D0D0',
+  },
+  saveButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#FEFEFE',
+    letterSpacing: 0.2,
+  },
+  deleteButton: {
+    borderWidth: 1,
+    borderColor: '#CC4444',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  deleteButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 16,
+    color: '#CC4444',
+  },
+});
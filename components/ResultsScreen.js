@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, Image, ActivityIndicator } from 'react-native';
-import { getTopVotedMeals } from '../lib/mealRequestService';
+import { getTopVotedMeals, getMealRequestModes } from '../lib/mealRequestService';
+import { useRealtimeSubscriptions } from '../lib/hooks';
+import { VOTING_MODES, VOTING_MODE_LABELS } from '../lib/voteTallyService';
 
 // Safe image component
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -38,16 +40,56 @@ export default function ResultsScreen({ route, navigation }) {
   // State management
   const [loading, setLoading] = useState(true);
   const [topMeals, setTopMeals] = useState([]);
+  const [explanation, setExplanation] = useState(null);
   const [error, setError] = useState(null);
+  const [sessionOpen, setSessionOpen] = useState(false);
+  const refreshTimerRef = useRef(null);
 
   useEffect(() => {
     loadResults();
+    getMealRequestModes(requestId).then(modes => {
+      setSessionOpen(modes.success && modes.status === 'active');
+    });
+    
+    return () => clearTimeout(refreshTimerRef.current);
   }, []);
 
-  const loadResults = async () => {
+  // While voting is still open the ranking follows new votes as they come in
+  useRealtimeSubscriptions(
+    sessionOpen ? `results_${requestId}` : null,
+    [
+      { table: 'meal_votes', filter: `request_id=eq.${requestId}` },
+      { table: 'meal_requests', filter: `id=eq.${requestId}`, event: 'UPDATE' },
+      ...(groupId ? [{ table: 'terminated_sessions', filter: `group_id=eq.${groupId}` }] : [])
+    ],
+    (table, payload) => {
+      const sessionClosed = table === 'terminated_sessions'
+        ? payload.eventType !== 'DELETE'
+        : table === 'meal_requests' && payload.new?.status !== 'active';
+      
+      if (sessionClosed) {
+        console.log('📡 [RESULTS] Voting ended, showing final results');
+        setSessionOpen(false);
+        loadResults(true);
+        return;
+      }
+      if (table !== 'meal_votes') {
+        return;
+      }
+      
+      // Votes arrive in bursts - refresh once they settle
+      clearTimeout(refreshTimerRef.current);
+      refreshTimerRef.current = setTimeout(() => loadResults(true), 500);
+    }
+  );
+
+  // `silent` refreshes keep the current results on screen while loading
+  const loadResults = async (silent = false) => {
     console.log('📊 [RESULTS] Loading voting results for request:', requestId);
-    setLoading(true);
-    setError(null);
+    if (!silent) {
+      setLoading(true);
+      setError(null);
+    }
 
     try {
       const result = await getTopVotedMeals(requestId);
@@ -55,15 +97,20 @@ export default function ResultsScreen({ route, navigation }) {
       if (result.success) {
         console.log(`✅ Loaded results for ${result.topMeals?.length || 0} meals`);
         setTopMeals(result.topMeals || []);
-      } else {
+        setExplanation(result.explanation || null);
+      } else if (!silent) {
         console.log('❌ Failed to load results:', result.error);
         setError(result.error || 'Failed to load voting results');
       }
     } catch (error) {
       console.error('❌ Error loading results:', error);
-      setError('An unexpected error occurred while loading results');
+      if (!silent) {
+        setError('An unexpected error occurred while loading results');
+      }
     } finally {
-      setLoading(false);
+      if (!silent) {
+        setLoading(false);
+      }
     }
   };
 
@@ -125,7 +172,7 @@ export default function ResultsScreen({ route, navigation }) {
           
           <TouchableOpacity 
             style={styles.retryButton}
-            onPress={loadResults}
+            onPress={() => loadResults()}
           >
             <Text style={styles.retryButtonText}>Try Again</Text>
           </TouchableOpacity>
@@ -182,6 +229,9 @@ export default function ResultsScreen({ route, navigation }) {
           <Text style={styles.resultsSubtitle}>
             Here are the group's favorite meal choices
           </Text>
+          {sessionOpen && (
+            <Text style={styles.liveText}>Voting is still open - updating live</Text>
+          )}
         </View>
 
         {/* Results Cards */}
@@ -232,27 +282,57 @@ export default function ResultsScreen({ route, navigation }) {
                   </View>
                   
                   {/* Voting Stats */}
-                  <View style={styles.votingStats}>
-                    <View style={styles.statItem}>
-                      <Text style={styles.statLabel}>👍 Likes</Text>
-                      <Text style={styles.statValue}>{meal.yes_votes || 0}</Text>
-                      <Text style={styles.statPercentage}>{meal.yes_percentage || 0}%</Text>
+                  {explanation?.votingMode === VOTING_MODES.SCORE ? (
+                    <View style={styles.votingStats}>
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>⭐ Average</Text>
+                        <Text style={styles.statValue}>{(meal.average_score || 0).toFixed(1)}</Text>
+                        <Text style={styles.statPercentage}>out of 5</Text>
+                      </View>
+                      
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>🗳️ Scores</Text>
+                        <Text style={styles.statValue}>{meal.score_count || 0}</Text>
+                        <Text style={styles.statPercentage}>{meal.fan_votes || 0} gave 4–5</Text>
+                      </View>
                     </View>
-                    
-                    <View style={styles.statItem}>
-                      <Text style={styles.statLabel}>👎 Dislikes</Text>
-                      <Text style={styles.statValue}>{meal.no_votes || 0}</Text>
-                      <Text style={styles.statPercentage}>{meal.no_percentage || 0}%</Text>
+                  ) : explanation?.votingMode === VOTING_MODES.RANKED ? (
+                    <View style={styles.votingStats}>
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>🥇 First choice</Text>
+                        <Text style={styles.statValue}>{meal.first_choice_votes || 0}</Text>
+                        <Text style={styles.statPercentage}>{meal.ranked_votes || 0} ranked it</Text>
+                      </View>
+                      
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>🔁 Final round</Text>
+                        <Text style={styles.statValue}>{meal.final_round_votes || 0}</Text>
+                        <Text style={styles.statPercentage}>round {meal.runoff_round || 1}</Text>
+                      </View>
                     </View>
+                  ) : (
+                    <View style={styles.votingStats}>
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>👍 Likes</Text>
+                        <Text style={styles.statValue}>{meal.yes_votes || 0}</Text>
+                        <Text style={styles.statPercentage}>{meal.yes_percentage || 0}%</Text>
+                      </View>
                     
-                    <View style={styles.statItem}>
-                      <Text style={styles.statLabel}>⏳ Not Voted</Text>
-                      <Text style={styles.statValue}>
-                        {((meal.not_voted_percentage || 0) / 100 * (meal.yes_votes + meal.no_votes + 1)) || 0}
-                      </Text>
-                      <Text style={styles.statPercentage}>{meal.not_voted_percentage || 0}%</Text>
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>👎 Dislikes</Text>
+                        <Text style={styles.statValue}>{meal.no_votes || 0}</Text>
+                        <Text style={styles.statPercentage}>{meal.no_percentage || 0}%</Text>
+                      </View>
+                    
+                      <View style={styles.statItem}>
+                        <Text style={styles.statLabel}>⏳ Not Voted</Text>
+                        <Text style={styles.statValue}>
+                          {((meal.not_voted_percentage || 0) / 100 * (meal.yes_votes + meal.no_votes + 1)) || 0}
+                        </Text>
+                        <Text style={styles.statPercentage}>{meal.not_voted_percentage || 0}%</Text>
+                      </View>
                     </View>
-                  </View>
+                  )}
                   
                   {/* Progress Bar */}
                   <View style={styles.progressBar}>
@@ -289,6 +369,38 @@ export default function ResultsScreen({ route, navigation }) {
           )}
         </View>
 
+        {/* How the winner was chosen */}
+        {topMeals.length > 0 && explanation && (
+          <View style={styles.summarySection}>
+            <Text style={styles.summaryTitle}>
+              How the Winner Was Chosen ({VOTING_MODE_LABELS[explanation.votingMode] || 'Yes / No'})
+            </Text>
+            <Text style={styles.summaryText}>{explanation.summary}</Text>
+            <Text style={styles.explanationMethod}>{explanation.method}</Text>
+            
+            {explanation.rounds.length > 1 && explanation.rounds.map(round => (
+              <Text key={round.round} style={styles.explanationLine}>
+                Round {round.round}: {round.counts.map(c => `${c.name} ${c.votes}`).join(', ')}
+                {round.eliminated ? ` — ${round.eliminated} eliminated` : ''}
+              </Text>
+            ))}
+            
+            {explanation.tieBreaks.length > 0 ? (
+              explanation.tieBreaks.map((text, index) => (
+                <Text key={index} style={styles.explanationLine}>• {text}</Text>
+              ))
+            ) : (
+              <Text style={styles.explanationLine}>No ties needed to be broken.</Text>
+            )}
+            
+            {explanation.vetoed?.length > 0 && (
+              <Text style={styles.explanationLine}>
+                ⛔ Vetoed and left out: {explanation.vetoed.map(v => v.name).join(', ')}
+              </Text>
+            )}
+          </View>
+        )}
+
         {/* Summary Section */}
         {topMeals.length > 0 && (
           <View style={styles.summarySection}>
@@ -663,4 +775,29 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     letterSpacing: 0.1,
   },
+  explanationMethod: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 19,
+    color: '#8B7355',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  explanationLine: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    lineHeight: 19,
+    color: '#6B6B6B',
+    marginTop: 4,
+  },
+  // Live Update Styles
+  liveText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    color: '#8B7355',
+    textAlign: 'center',
+    marginTop: 8,
+    letterSpacing: 0.1,
+  },
 }); 
\ No newline at end of file
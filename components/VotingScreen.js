@@ -1,8 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, SafeAreaView, TouchableOpacity, Image, ActivityIndicator, Dimensions } from 'react-native';
-import { getMealOptions, voteMealOption, getUserVotingProgress } from '../lib/mealRequestService';
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, Text, View, SafeAreaView, ScrollView, TouchableOpacity, Image, ActivityIndicator, Dimensions, Animated, PanResponder, Alert } from 'react-native';
+import { getMealOptions, getUserVotingProgress, getMealRequestModes } from '../lib/mealRequestService';
+import { VOTING_MODES, SCORE_YES_THRESHOLD, MAX_RANKED_CHOICES, DEFAULT_VETO_BUDGET } from '../lib/voteTallyService';
+import { offlineQueue, OFFLINE_ACTIONS } from '../lib/offlineQueue';
+import { useOfflineQueue } from '../lib/hooks';
 
-const { width: screenWidth } = Dimensions.get('window');
+const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
+const SWIPE_THRESHOLD = screenWidth * 0.25;
+
+// Instruction subtitle for each recipe type
+const RECIPE_TYPE_HINTS = {
+  random: 'Picked for your group, with a few new ones',
+  wishlist: "Recipes from your group's wishlists",
+  swipe: 'New recipes for your group. Likes are saved to your wishlist'
+};
+
+// Instruction line for each voting mode
+const VOTING_MODE_HINTS = {
+  yes_no: 'Like or dislike each meal',
+  score: 'Score each meal from 1 (no thanks) to 5 (yes please)',
+  ranked: `Tap up to ${MAX_RANKED_CHOICES} meals in order of preference`
+};
+
+const SCORE_OPTIONS = [1, 2, 3, 4, 5];
+const RANK_LABELS = ['1st', '2nd', '3rd'];
+const FALLBACK_IMAGE = 'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop';
 
 // Safe image component
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -40,6 +62,15 @@ export default function VotingScreen({ route, navigation }) {
     }
   };
   
+  // The group's close rule ended the session with this vote
+  const showSessionClosed = (closeReason) => {
+    Alert.alert(
+      'Voting Closed',
+      `${closeReason || 'The group\'s voting rule was met'}, so voting has ended. Check the group for the results.`,
+      [{ text: 'OK', onPress: handleBackNavigation }]
+    );
+  };
+  
   // Simple state management
   const [loading, setLoading] = useState(true);
   const [mealOptions, setMealOptions] = useState([]);
@@ -47,11 +78,70 @@ export default function VotingScreen({ route, navigation }) {
   const [voting, setVoting] = useState(false);
   const [votes, setVotes] = useState({});
   const [isResuming, setIsResuming] = useState(false);
+  const [recipeType, setRecipeType] = useState('random');
+  const [votingMode, setVotingMode] = useState(VOTING_MODES.YES_NO);
+  const [rankedIds, setRankedIds] = useState([]);
+  const [vetoBudget, setVetoBudget] = useState(DEFAULT_VETO_BUDGET);
+  const [vetoesUsed, setVetoesUsed] = useState(0);
+  const [vetoedIds, setVetoedIds] = useState([]); // Ranked mode: vetoes sent with the ballot
+  const { pendingActions } = useOfflineQueue();
+  const queuedVoteCount = pendingActions.filter(action => (
+    action.payload.requestId === requestId &&
+    [OFFLINE_ACTIONS.VOTE, OFFLINE_ACTIONS.SCORE, OFFLINE_ACTIONS.RANKED_BALLOT].includes(action.type)
+  )).length;
+  const isSwipeMode = recipeType === 'swipe';
+  // Swipe gestures map to like/dislike, so they are only used with yes/no voting
+  const swipeGesturesEnabled = isSwipeMode && votingMode === VOTING_MODES.YES_NO;
+  const vetoesLeft = Math.max(0, vetoBudget - (votingMode === VOTING_MODES.RANKED ? vetoedIds.length : vetoesUsed));
+
+  // Swipe gesture for the front card (swipe mode only): right = like, left = dislike, up = veto
+  const swipe = useRef(new Animated.ValueXY()).current;
+  const handleVoteRef = useRef(null);
+  const canVetoRef = useRef(false);
+  canVetoRef.current = vetoesLeft > 0;
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponder: (_, gesture) => Math.abs(gesture.dx) > 10 || Math.abs(gesture.dy) > 10,
+    onPanResponderMove: Animated.event([null, { dx: swipe.x, dy: swipe.y }], { useNativeDriver: false }),
+    onPanResponderRelease: (_, gesture) => {
+      const isVetoSwipe = gesture.dy < -SWIPE_THRESHOLD && Math.abs(gesture.dy) > Math.abs(gesture.dx);
+      
+      if (isVetoSwipe && canVetoRef.current) {
+        Animated.timing(swipe, {
+          toValue: { x: 0, y: -screenHeight },
+          duration: 200,
+          useNativeDriver: false,
+        }).start(() => handleVoteRef.current?.('veto'));
+      } else if (!isVetoSwipe && Math.abs(gesture.dx) > SWIPE_THRESHOLD) {
+        const vote = gesture.dx > 0 ? 'yes' : 'no';
+        Animated.timing(swipe, {
+          toValue: { x: gesture.dx > 0 ? screenWidth * 1.5 : -screenWidth * 1.5, y: 0 },
+          duration: 200,
+          useNativeDriver: false,
+        }).start(() => handleVoteRef.current?.(vote));
+      } else {
+        Animated.spring(swipe, { toValue: { x: 0, y: 0 }, useNativeDriver: false }).start();
+      }
+    },
+    onPanResponderTerminate: () => {
+      Animated.spring(swipe, { toValue: { x: 0, y: 0 }, useNativeDriver: false }).start();
+    },
+  })).current;
 
   useEffect(() => {
     loadMealOptions();
   }, []);
 
+  // Liked cards in a swipe session go to the voter's wishlist for later sessions
+  const saveSwipeToWishlist = async (mealData) => {
+    const recipe = mealData?.originalRecipeData;
+    if (!recipe?.id) return;
+    
+    const result = await offlineQueue.perform(OFFLINE_ACTIONS.WISHLIST_ADD, { recipe });
+    if (!result.success) {
+      console.log('⚠️ Swiped recipe not added to wishlist:', result.error);
+    }
+  };
+
   const handleVote = async (vote) => {
     if (voting || currentIndex >= mealOptions.length) return;
     
@@ -61,18 +151,108 @@ export default function VotingScreen({ route, navigation }) {
     setVoting(true);
     
     try {
-      const result = await voteMealOption(requestId, currentMeal.id, vote);
+      // vote is 'yes'/'no' in yes/no mode, a number from 1 to 5 in score mode, or 'veto'
+      // Without a connection the vote is queued and the card still advances
+      const result = votingMode === VOTING_MODES.SCORE && vote !== 'veto'
+        ? await offlineQueue.perform(OFFLINE_ACTIONS.SCORE, { requestId, mealOptionId: currentMeal.id, score: vote })
+        : await offlineQueue.perform(OFFLINE_ACTIONS.VOTE, { requestId, mealOptionId: currentMeal.id, vote });
       if (result.success) {
         console.log(`✅ Vote recorded: ${vote} for ${currentMeal.meal_data.name}`);
         setVotes(prev => ({ ...prev, [currentMeal.id]: vote }));
         
+        if (vote === 'veto') {
+          setVetoesUsed(prev => prev + 1);
+        }
+        
+        const liked = vote === 'yes' || (typeof vote === 'number' && vote >= SCORE_YES_THRESHOLD);
+        if (isSwipeMode && liked) {
+          saveSwipeToWishlist(currentMeal.meal_data);
+        }
+        
         // Move to next card
         setCurrentIndex(prev => prev + 1);
+        
+        if (result.sessionClosed) {
+          showSessionClosed(result.closeReason);
+        }
       } else {
         console.log('❌ Vote failed:', result.error);
+        if (vote === 'veto') {
+          Alert.alert('Veto Failed', result.error);
+        }
       }
     } catch (error) {
       console.error('❌ Error voting:', error);
+    } finally {
+      swipe.setValue({ x: 0, y: 0 });
+      setVoting(false);
+    }
+  };
+  handleVoteRef.current = handleVote;
+
+  const confirmVeto = () => {
+    const currentMeal = mealOptions[currentIndex];
+    if (!currentMeal || vetoesLeft <= 0) return;
+    
+    Alert.alert(
+      'Veto this meal?',
+      `${currentMeal.meal_data.name || 'This meal'} won't be able to win this session. You have ${vetoesLeft} ${vetoesLeft === 1 ? 'veto' : 'vetoes'} left.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Veto', style: 'destructive', onPress: () => handleVote('veto') }
+      ]
+    );
+  };
+
+  // Ranked mode: tap to add a meal to your top 3, tap again to remove it
+  const toggleRanked = (optionId) => {
+    if (vetoedIds.includes(optionId)) return;
+    setRankedIds(prev => {
+      if (prev.includes(optionId)) {
+        return prev.filter(id => id !== optionId);
+      }
+      if (prev.length >= MAX_RANKED_CHOICES) {
+        return prev;
+      }
+      return [...prev, optionId];
+    });
+  };
+
+  // Ranked mode: vetoes are saved together with the ballot
+  const toggleVetoed = (optionId) => {
+    if (vetoedIds.includes(optionId)) {
+      setVetoedIds(prev => prev.filter(id => id !== optionId));
+      return;
+    }
+    if (vetoesLeft <= 0) return;
+    setVetoedIds(prev => [...prev, optionId]);
+    setRankedIds(prev => prev.filter(id => id !== optionId));
+  };
+
+  const handleSubmitRanking = async () => {
+    if (voting || rankedIds.length === 0) return;
+    
+    setVoting(true);
+    
+    try {
+      const result = await offlineQueue.perform(OFFLINE_ACTIONS.RANKED_BALLOT, {
+        requestId,
+        rankedOptionIds: rankedIds,
+        vetoedOptionIds: vetoedIds
+      });
+      if (result.success) {
+        console.log(`✅ Ranking submitted with ${rankedIds.length} choices and ${vetoedIds.length} vetoes`);
+        setCurrentIndex(mealOptions.length);
+        
+        if (result.sessionClosed) {
+          showSessionClosed(result.closeReason);
+        }
+      } else {
+        console.log('❌ Ranking failed:', result.error);
+        Alert.alert('Ranking Failed', result.error);
+      }
+    } catch (error) {
+      console.error('❌ Error submitting ranking:', error);
     } finally {
       setVoting(false);
     }
@@ -117,10 +297,16 @@ export default function VotingScreen({ route, navigation }) {
       
       // Check user's voting progress
       if (requestId) {
+        const modesResult = await getMealRequestModes(requestId);
+        setRecipeType(modesResult.recipeType);
+        setVotingMode(modesResult.votingMode);
+        setVetoBudget(modesResult.vetoBudget);
+        
         const progressResult = await getUserVotingProgress(requestId);
         
         if (progressResult.success) {
           const { progress } = progressResult;
+          setVetoesUsed(progress.vetoesUsed || 0);
           
           if (progress.votedCount > 0) {
             console.log(`🔄 User has already voted on ${progress.votedCount} meals, resuming from meal ${progress.nextMealIndex + 1}`);
@@ -174,12 +360,22 @@ export default function VotingScreen({ route, navigation }) {
   };
 
   const getProgress = () => {
+    if (votingMode === VOTING_MODES.RANKED && currentIndex < mealOptions.length) {
+      return `${rankedIds.length} / ${Math.min(MAX_RANKED_CHOICES, mealOptions.length)} ranked`;
+    }
     if (currentIndex >= mealOptions.length) {
       return `Complete! ${mealOptions.length} / ${mealOptions.length}`;
     }
     return `${currentIndex + 1} / ${mealOptions.length}`;
   };
 
+  const getProgressRatio = () => {
+    if (votingMode === VOTING_MODES.RANKED) {
+      return rankedIds.length / Math.max(1, Math.min(MAX_RANKED_CHOICES, mealOptions.length));
+    }
+    return currentIndex / Math.max(1, mealOptions.length);
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
@@ -200,11 +396,18 @@ export default function VotingScreen({ route, navigation }) {
         <View style={styles.completedContainer}>
           <Text style={styles.completedTitle}>Voting Complete!</Text>
           <Text style={styles.completedText}>
-            You've voted on all {mealOptions.length} meals for "{groupName}".
+            {votingMode === VOTING_MODES.RANKED
+              ? `Your ranking for "${groupName}" has been saved.`
+              : `You've voted on all ${mealOptions.length} meals for "${groupName}".`}
           </Text>
           <Text style={styles.completedSubtext}>
             Check back later to see the results or wait for others to finish voting.
           </Text>
+          {queuedVoteCount > 0 && (
+            <Text style={styles.offlineNotice}>
+              You're offline. {queuedVoteCount === 1 ? 'Your vote is' : `${queuedVoteCount} votes are`} saved on this phone and will be sent when you're back online.
+            </Text>
+          )}
           
           <TouchableOpacity 
             style={styles.backToGroupButton}
@@ -249,7 +452,7 @@ export default function VotingScreen({ route, navigation }) {
               style={[
                 styles.progressBarFill, 
                 { 
-                  width: `${Math.min(100, Math.max(0, (currentIndex / mealOptions.length) * 100))}%` 
+                  width: `${Math.min(100, Math.max(0, getProgressRatio() * 100))}%` 
                 }
               ]} 
             />
@@ -264,109 +467,245 @@ export default function VotingScreen({ route, navigation }) {
         <Text style={styles.instructionsTitle}>
           {isResuming ? 'Resuming Your Votes' : 'Vote on Group Meals'}
         </Text>
-        {isResuming && (
+        {isResuming ? (
           <Text style={styles.instructionsSubtext}>
             Continuing where you left off
           </Text>
+        ) : (
+          <Text style={styles.instructionsSubtext}>
+            {RECIPE_TYPE_HINTS[recipeType] || RECIPE_TYPE_HINTS.random}
+          </Text>
+        )}
+        {queuedVoteCount > 0 && (
+          <Text style={styles.offlineNotice}>
+            Offline: {queuedVoteCount} {queuedVoteCount === 1 ? 'vote' : 'votes'} waiting to send
+          </Text>
         )}
+        <Text style={styles.instructionsText}>
+          {swipeGesturesEnabled
+            ? `Swipe right to like, left to pass${vetoBudget > 0 ? ', up to veto' : ''}`
+            : VOTING_MODE_HINTS[votingMode] || VOTING_MODE_HINTS.yes_no}
+        </Text>
       </View>
 
-      {/* Card Stack Container */}
-      <View style={styles.cardsContainer}>
-        <View style={styles.cardStack}>
-          {/* Background Card 3 */}
-          {mealOptions[currentIndex + 2] && (
-            <View style={[styles.mealCard, styles.stackCard3]}>
-              <Image 
-                source={{ 
-                  uri: mealOptions[currentIndex + 2].meal_data.thumbnail_url || 
-                       'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
-                }} 
-                style={styles.mealImage}
-                resizeMode="cover"
-              />
-              <View style={styles.mealInfo}>
-                <Text style={styles.mealTitle} numberOfLines={2}>
-                  {mealOptions[currentIndex + 2].meal_data.name || 'Delicious Recipe'}
-                </Text>
-              </View>
-            </View>
-          )}
+      {votingMode === VOTING_MODES.RANKED ? (
+        <>
+          {/* Ranked Choice List */}
+          <ScrollView contentContainerStyle={styles.rankedList} showsVerticalScrollIndicator={false}>
+            {mealOptions.map(option => {
+              const rankIndex = rankedIds.indexOf(option.id);
+              const isRanked = rankIndex >= 0;
+              const isVetoed = vetoedIds.includes(option.id);
+              return (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[styles.rankedItem, isRanked && styles.rankedItemSelected, isVetoed && styles.rankedItemVetoed]}
+                  onPress={() => toggleRanked(option.id)}
+                  disabled={voting}
+                  activeOpacity={0.8}
+                >
+                  <Image
+                    source={{ uri: option.meal_data.thumbnail_url || FALLBACK_IMAGE }}
+                    style={styles.rankedImage}
+                    resizeMode="cover"
+                  />
+                  <View style={styles.rankedInfo}>
+                    <Text style={styles.rankedTitle} numberOfLines={2}>
+                      {option.meal_data.name || 'Delicious Recipe'}
+                    </Text>
+                    <Text style={styles.rankedMeta}>
+                      {formatTime(option.meal_data.total_time_minutes)}
+                    </Text>
+                  </View>
+                  {vetoBudget > 0 && (
+                    <TouchableOpacity
+                      style={[styles.vetoChip, isVetoed && styles.vetoChipSelected]}
+                      onPress={() => toggleVetoed(option.id)}
+                      disabled={voting || (!isVetoed && vetoesLeft <= 0)}
+                    >
+                      <Text style={[styles.vetoChipText, isVetoed && styles.vetoChipTextSelected]}>
+                        {isVetoed ? 'Vetoed' : 'Veto'}
+                      </Text>
+                    </TouchableOpacity>
+                  )}
+                  {!isVetoed && (
+                    <View style={[styles.rankBadge, isRanked && styles.rankBadgeSelected]}>
+                      <Text style={[styles.rankBadgeText, isRanked && styles.rankBadgeTextSelected]}>
+                        {isRanked ? RANK_LABELS[rankIndex] : '+'}
+                      </Text>
+                    </View>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={[styles.actionButtons, styles.actionButtonsSingle]}>
+            <TouchableOpacity
+              style={[styles.likeButton, (voting || rankedIds.length === 0) && styles.buttonDisabled]}
+              onPress={handleSubmitRanking}
+              disabled={voting || rankedIds.length === 0}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.actionButtonLabel}>
+                {voting ? ' Saving...' : `Submit Top ${rankedIds.length || MAX_RANKED_CHOICES}`}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <>
+          {/* Card Stack Container */}
+          <View style={styles.cardsContainer}>
+            <View style={styles.cardStack}>
+              {/* Background Card 3 */}
+              {mealOptions[currentIndex + 2] && (
+                <View style={[styles.mealCard, styles.stackCard3]}>
+                  <Image 
+                    source={{ 
+                      uri: mealOptions[currentIndex + 2].meal_data.thumbnail_url || 
+                           'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
+                    }} 
+                    style={styles.mealImage}
+                    resizeMode="cover"
+                  />
+                  <View style={styles.mealInfo}>
+                    <Text style={styles.mealTitle} numberOfLines={2}>
+                      {mealOptions[currentIndex + 2].meal_data.name || 'Delicious Recipe'}
+                    </Text>
+                  </View>
+                </View>
+              )}
           
-          {/* Background Card 2 */}
-          {mealOptions[currentIndex + 1] && (
-            <View style={[styles.mealCard, styles.stackCard2]}>
-              <Image 
-                source={{ 
-                  uri: mealOptions[currentIndex + 1].meal_data.thumbnail_url || 
-                       'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
-                }} 
-                style={styles.mealImage}
-                resizeMode="cover"
-              />
-              <View style={styles.mealInfo}>
-                <Text style={styles.mealTitle} numberOfLines={2}>
-                  {mealOptions[currentIndex + 1].meal_data.name || 'Delicious Recipe'}
-                </Text>
-              </View>
-            </View>
-          )}
+              {/* Background Card 2 */}
+              {mealOptions[currentIndex + 1] && (
+                <View style={[styles.mealCard, styles.stackCard2]}>
+                  <Image 
+                    source={{ 
+                      uri: mealOptions[currentIndex + 1].meal_data.thumbnail_url || 
+                           'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
+                    }} 
+                    style={styles.mealImage}
+                    resizeMode="cover"
+                  />
+                  <View style={styles.mealInfo}>
+                    <Text style={styles.mealTitle} numberOfLines={2}>
+                      {mealOptions[currentIndex + 1].meal_data.name || 'Delicious Recipe'}
+                    </Text>
+                  </View>
+                </View>
+              )}
 
-          {/* Current Card (Front) */}
-          <View style={[styles.mealCard, styles.currentCard]}>
-            <Image 
-              source={{ 
-                uri: currentMeal.meal_data.thumbnail_url || 
-                     'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
-              }} 
-              style={styles.mealImage}
-              resizeMode="cover"
-            />
+              {/* Current Card (Front) */}
+              <Animated.View
+                style={[
+                  styles.mealCard,
+                  styles.currentCard,
+                  swipeGesturesEnabled && {
+                    transform: [
+                      { translateX: swipe.x },
+                      { translateY: swipe.y },
+                      {
+                        rotate: swipe.x.interpolate({
+                          inputRange: [-screenWidth, 0, screenWidth],
+                          outputRange: ['-12deg', '0deg', '12deg'],
+                        }),
+                      },
+                    ],
+                  },
+                ]}
+                {...(swipeGesturesEnabled ? panResponder.panHandlers : {})}
+              >
+                <Image 
+                  source={{ 
+                    uri: currentMeal.meal_data.thumbnail_url || 
+                         'https://images.unsplash.com/photo-1565299624946-b28f40a0ca4b?w=400&h=300&fit=crop'
+                  }} 
+                  style={styles.mealImage}
+                  resizeMode="cover"
+                />
             
-            <View style={styles.mealInfo}>
-              <Text style={styles.mealTitle} numberOfLines={2}>
-                {currentMeal.meal_data.name || 'Delicious Recipe'}
-              </Text>
-              
-              <View style={styles.mealMeta}>
-                <Text style={styles.mealTime}>
-                  {formatTime(currentMeal.meal_data.total_time_minutes)}
-                </Text>
-                {currentMeal.meal_data.description && (
-                  <Text style={styles.mealDescription} numberOfLines={3}>
-                    {currentMeal.meal_data.description}
+                <View style={styles.mealInfo}>
+                  <Text style={styles.mealTitle} numberOfLines={2}>
+                    {currentMeal.meal_data.name || 'Delicious Recipe'}
                   </Text>
-                )}
-              </View>
+              
+                  <View style={styles.mealMeta}>
+                    <Text style={styles.mealTime}>
+                      {formatTime(currentMeal.meal_data.total_time_minutes)}
+                    </Text>
+                    {currentMeal.meal_data.wishlisted_by > 0 && (
+                      <Text style={styles.mealWishlisted}>
+                        ♡ On {currentMeal.meal_data.wishlisted_by} {currentMeal.meal_data.wishlisted_by === 1 ? 'wishlist' : 'wishlists'} in your group
+                      </Text>
+                    )}
+                    {currentMeal.meal_data.description && (
+                      <Text style={styles.mealDescription} numberOfLines={3}>
+                        {currentMeal.meal_data.description}
+                      </Text>
+                    )}
+                  </View>
+                </View>
+              </Animated.View>
             </View>
           </View>
-        </View>
-      </View>
 
-      {/* Action Buttons */}
-      <View style={styles.actionButtons}>
-        <TouchableOpacity 
-          style={[styles.dislikeButton, voting && styles.buttonDisabled]}
-          onPress={() => handleVote('no')}
-          disabled={voting}
-          activeOpacity={0.7}
-        >
-          <Text style={styles.actionButtonLabel}>
-            {voting ? ' Voting...' : '✕ Dislike'}
-          </Text>
-        </TouchableOpacity>
+          {/* Action Buttons */}
+          {votingMode === VOTING_MODES.SCORE ? (
+            <View style={styles.scoreButtons}>
+              {SCORE_OPTIONS.map(score => (
+                <TouchableOpacity
+                  key={score}
+                  style={[styles.scoreButton, voting && styles.buttonDisabled]}
+                  onPress={() => handleVote(score)}
+                  disabled={voting}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.scoreButtonText}>{score}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <View style={styles.actionButtons}>
+              <TouchableOpacity 
+                style={[styles.dislikeButton, voting && styles.buttonDisabled]}
+                onPress={() => handleVote('no')}
+                disabled={voting}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.actionButtonLabel}>
+                  {voting ? ' Voting...' : '✕ Dislike'}
+                </Text>
+              </TouchableOpacity>
         
-        <TouchableOpacity 
-          style={[styles.likeButton, voting && styles.buttonDisabled]}
-          onPress={() => handleVote('yes')}
-          disabled={voting}
-          activeOpacity={0.7}
-        >
-          <Text style={styles.actionButtonLabel}>
-            {voting ? ' Voting...' : '♡ Like'}
-          </Text>
-        </TouchableOpacity>
-      </View>
+              <TouchableOpacity 
+                style={[styles.likeButton, voting && styles.buttonDisabled]}
+                onPress={() => handleVote('yes')}
+                disabled={voting}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.actionButtonLabel}>
+                  {voting ? ' Voting...' : '♡ Like'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Veto */}
+          {vetoBudget > 0 && (
+            <TouchableOpacity
+              style={[styles.vetoButton, (voting || vetoesLeft <= 0) && styles.buttonDisabled]}
+              onPress={confirmVeto}
+              disabled={voting || vetoesLeft <= 0}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.vetoButtonText}>
+                ⛔ Veto · {vetoesLeft} of {vetoBudget} left
+              </Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
     </SafeAreaView>
   );
 }
@@ -569,6 +908,12 @@ const styles = StyleSheet.create({
   mealMeta: {
     gap: 12,
   },
+  mealWishlisted: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    color: '#8B7355',
+    letterSpacing: 0.1,
+  },
   mealTime: {
     fontFamily: 'Inter_500Medium',
     fontSize: 14,
@@ -717,4 +1062,149 @@ const styles = StyleSheet.create({
     height: 500,
     zIndex: 10,
   },
+  actionButtonsSingle: {
+    justifyContent: 'center',
+  },
+  scoreButtons: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    paddingVertical: 24,
+    gap: 12,
+  },
+  scoreButton: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    backgroundColor: '#8B7355',
+    justifyContent: 'center',
+    alignItems: 'center',
+    shadowColor: '#8B7355',
+    shadowOffset: {
+      width: 0,
+      height: 4,
+    },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+    elevation: 6,
+  },
+  scoreButtonText: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 18,
+    color: '#FEFEFE',
+  },
+  rankedList: {
+    paddingHorizontal: 24,
+    paddingBottom: 16,
+    gap: 12,
+  },
+  rankedItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F8F6F3',
+    borderRadius: 16,
+    padding: 12,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  rankedItemSelected: {
+    borderColor: '#8B7355',
+    backgroundColor: 'rgba(139, 115, 85, 0.1)',
+  },
+  rankedImage: {
+    width: 64,
+    height: 64,
+    borderRadius: 12,
+    marginRight: 12,
+  },
+  rankedInfo: {
+    flex: 1,
+  },
+  rankedTitle: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 15,
+    lineHeight: 20,
+    color: '#2D2D2D',
+    marginBottom: 4,
+  },
+  rankedMeta: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    color: '#6B6B6B',
+  },
+  rankBadge: {
+    minWidth: 44,
+    height: 32,
+    borderRadius: 16,
+    paddingHorizontal: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E8E6E3',
+    marginLeft: 8,
+  },
+  rankBadgeSelected: {
+    backgroundColor: '#8B7355',
+    borderColor: '#8B7355',
+  },
+  rankBadgeText: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 14,
+    color: '#8B7355',
+  },
+  rankBadgeTextSelected: {
+    color: '#FEFEFE',
+  },
+  rankedItemVetoed: {
+    borderColor: '#CC4444',
+    backgroundColor: 'rgba(204, 68, 68, 0.08)',
+    opacity: 0.7,
+  },
+  vetoChip: {
+    height: 32,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#CC4444',
+    marginLeft: 8,
+  },
+  vetoChipSelected: {
+    backgroundColor: '#CC4444',
+  },
+  vetoChipText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    color: '#CC4444',
+  },
+  vetoChipTextSelected: {
+    color: '#FEFEFE',
+  },
+  vetoButton: {
+    alignSelf: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#CC4444',
+    marginBottom: 16,
+  },
+  vetoButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#CC4444',
+    letterSpacing: 0.2,
+  },
+
+  // Offline Styles
+  offlineNotice: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#8B7355',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 8,
+  },
 }); 
\ No newline at end of file
@@ -0,0 +1,302 @@
+-- Cooking rota and chore assignment per group
+-- Run this in your Supabase SQL editor after database-dinner-ledger.sql
+--
+-- Every dinner request gets a cook (and a dishwasher when the group wants
+-- one). The app picks who is up next from past turns and availability; these
+-- tables keep the history and the swaps members agree between themselves.
+
+-- ============================================
+-- 1. ROTA SETTINGS ON GROUPS AND MEMBERS
+-- ============================================
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS rota_enabled BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS rota_dishwasher_enabled BOOLEAN NOT NULL DEFAULT false;
+
+-- Weekdays a member can't cook or wash up (0 = Sunday ... 6 = Saturday)
+ALTER TABLE public.group_members
+ADD COLUMN IF NOT EXISTS unavailable_weekdays SMALLINT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.group_members DROP CONSTRAINT IF EXISTS group_members_unavailable_weekdays_check;
+ALTER TABLE public.group_members
+ADD CONSTRAINT group_members_unavailable_weekdays_check CHECK (unavailable_weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[]);
+
+-- ============================================
+-- 2. ROTA ASSIGNMENTS TABLE
+-- ============================================
+-- Dinner requests are deleted when a session closes; assignments stay as the
+-- turn history. 'released' means the member declined the dinner and the turn
+-- went to someone else, so it doesn't count as a turn taken.
+CREATE TABLE IF NOT EXISTS public.rota_assignments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    dinner_request_id UUID REFERENCES public.dinner_requests(id) ON DELETE SET NULL,
+    request_date DATE NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('cook', 'dishwasher')),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'assigned' CHECK (status IN ('assigned', 'released')),
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- One live cook and one live dishwasher per dinner request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rota_assignments_live_role
+ON public.rota_assignments(dinner_request_id, role)
+WHERE status = 'assigned';
+
+CREATE INDEX IF NOT EXISTS idx_rota_assignments_group ON public.rota_assignments(group_id, role, request_date DESC);
+
+-- ============================================
+-- 3. SWAP REQUESTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.rota_swap_requests (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    assignment_id UUID REFERENCES public.rota_assignments(id) ON DELETE CASCADE NOT NULL,
+    from_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    to_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+
+    CHECK (from_user != to_user)
+);
+
+-- Only one open swap per assignment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rota_swap_requests_open
+ON public.rota_swap_requests(assignment_id)
+WHERE status = 'pending';
+
+-- ============================================
+-- 4. ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE public.rota_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rota_swap_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their group rota" ON public.rota_assignments;
+
+CREATE POLICY "Members can view their group rota" ON public.rota_assignments
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Members can view their group rota swaps" ON public.rota_swap_requests;
+
+CREATE POLICY "Members can view their group rota swaps" ON public.rota_swap_requests
+    FOR SELECT
+    USING (
+        assignment_id IN (
+            SELECT ra.id FROM public.rota_assignments ra
+            JOIN public.group_members gm ON gm.group_id = ra.group_id
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- ============================================
+-- 5. MEMBERS SET THEIR OWN AVAILABILITY
+-- ============================================
+CREATE OR REPLACE FUNCTION set_rota_availability(group_uuid UUID, weekdays SMALLINT[])
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.group_members
+    SET unavailable_weekdays = COALESCE(weekdays, '{}')
+    WHERE group_id = group_uuid
+    AND user_id = auth.uid()
+    AND is_active = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_rota_availability(UUID, SMALLINT[]) TO authenticated;
+
+-- ============================================
+-- 6. ASSIGN A ROLE FOR A DINNER REQUEST
+-- ============================================
+-- Whoever creates the request (or sees a cook decline) saves the pick. If
+-- another client already filled the role, theirs wins and is returned.
+CREATE OR REPLACE FUNCTION assign_rota_role(request_uuid UUID, rota_role TEXT, user_uuid UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+    assignment_id UUID;
+BEGIN
+    SELECT dr.id, dr.group_id, dr.request_date INTO request_record
+    FROM public.dinner_requests dr
+    WHERE dr.id = request_uuid;
+
+    IF request_record.id IS NULL THEN
+        RAISE EXCEPTION 'This dinner request has ended or was removed';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = user_uuid
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'Only group members can be put on the rota';
+    END IF;
+
+    INSERT INTO public.rota_assignments (group_id, dinner_request_id, request_date, role, user_id)
+    VALUES (request_record.group_id, request_uuid, request_record.request_date, rota_role, user_uuid)
+    ON CONFLICT (dinner_request_id, role) WHERE status = 'assigned' DO NOTHING
+    RETURNING id INTO assignment_id;
+
+    IF assignment_id IS NULL THEN
+        SELECT ra.id INTO assignment_id
+        FROM public.rota_assignments ra
+        WHERE ra.dinner_request_id = request_uuid AND ra.role = rota_role AND ra.status = 'assigned';
+    END IF;
+
+    RETURN assignment_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION assign_rota_role(UUID, TEXT, UUID) TO authenticated;
+
+-- ============================================
+-- 7. RELEASE A TURN WHEN THE MEMBER DECLINES
+-- ============================================
+-- Called by the member themselves after declining the dinner request.
+-- Returns the released role, or NULL when they had no turn.
+CREATE OR REPLACE FUNCTION release_rota_turn(request_uuid UUID, rota_role TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    released_role TEXT;
+BEGIN
+    UPDATE public.rota_assignments
+    SET status = 'released', updated_at = now()
+    WHERE dinner_request_id = request_uuid
+    AND role = rota_role
+    AND user_id = auth.uid()
+    AND status = 'assigned'
+    RETURNING role INTO released_role;
+
+    UPDATE public.rota_swap_requests
+    SET status = 'cancelled', responded_at = now()
+    WHERE status = 'pending'
+    AND assignment_id IN (
+        SELECT ra.id FROM public.rota_assignments ra
+        WHERE ra.dinner_request_id = request_uuid AND ra.role = rota_role AND ra.status = 'released'
+    );
+
+    RETURN released_role;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION release_rota_turn(UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- 8. PROPOSE, ACCEPT AND DECLINE SWAPS
+-- ============================================
+CREATE OR REPLACE FUNCTION propose_rota_swap(assignment_uuid UUID, to_user_uuid UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    assignment_record RECORD;
+    swap_id UUID;
+BEGIN
+    SELECT ra.id, ra.group_id, ra.user_id, ra.status INTO assignment_record
+    FROM public.rota_assignments ra
+    WHERE ra.id = assignment_uuid;
+
+    IF assignment_record.id IS NULL OR assignment_record.status != 'assigned' THEN
+        RAISE EXCEPTION 'This turn is no longer on the rota';
+    END IF;
+
+    IF assignment_record.user_id != auth.uid() THEN
+        RAISE EXCEPTION 'permission denied: you can only swap your own turns' USING ERRCODE = '42501';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = assignment_record.group_id
+        AND gm.user_id = to_user_uuid
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'You can only swap with a member of this group';
+    END IF;
+
+    -- A new proposal replaces any open one for the same turn
+    UPDATE public.rota_swap_requests
+    SET status = 'cancelled', responded_at = now()
+    WHERE assignment_id = assignment_uuid AND status = 'pending';
+
+    INSERT INTO public.rota_swap_requests (assignment_id, from_user, to_user)
+    VALUES (assignment_uuid, auth.uid(), to_user_uuid)
+    RETURNING id INTO swap_id;
+
+    RETURN swap_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION propose_rota_swap(UUID, UUID) TO authenticated;
+
+CREATE OR REPLACE FUNCTION respond_rota_swap(swap_uuid UUID, accept_swap BOOLEAN)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    swap_record RECORD;
+BEGIN
+    SELECT sr.id, sr.assignment_id, sr.from_user, sr.to_user, sr.status INTO swap_record
+    FROM public.rota_swap_requests sr
+    WHERE sr.id = swap_uuid
+    FOR UPDATE;
+
+    IF swap_record.id IS NULL OR swap_record.status != 'pending' THEN
+        RAISE EXCEPTION 'This swap is no longer open';
+    END IF;
+
+    IF swap_record.to_user != auth.uid() THEN
+        RAISE EXCEPTION 'permission denied: this swap was offered to someone else' USING ERRCODE = '42501';
+    END IF;
+
+    IF accept_swap THEN
+        UPDATE public.rota_assignments
+        SET user_id = swap_record.to_user, updated_at = now()
+        WHERE id = swap_record.assignment_id
+        AND user_id = swap_record.from_user
+        AND status = 'assigned';
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'This turn changed hands in the meantime';
+        END IF;
+    END IF;
+
+    UPDATE public.rota_swap_requests
+    SET status = CASE WHEN accept_swap THEN 'accepted' ELSE 'declined' END,
+        responded_at = now()
+    WHERE id = swap_uuid;
+
+    RETURN CASE WHEN accept_swap THEN 'accepted' ELSE 'declined' END;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION respond_rota_swap(UUID, BOOLEAN) TO authenticated;
@@ -0,0 +1,26 @@
+-- Dietary profiles
+-- Run this in your Supabase SQL editor after database-group-insights.sql
+--
+-- Each member can record their diet, allergies, ingredients they'd rather
+-- not eat and the cuisines they like. The app filters the Ideas feed with it
+-- and keeps dishes an accepted diner can't eat out of a group's session.
+-- Profiles are already readable by everyone signed in, so group members can
+-- see each other's dietary needs; only the owner can change them.
+
+-- ============================================
+-- 1. DIETARY COLUMNS
+-- ============================================
+-- dietary_restrictions: 'vegetarian', 'vegan', 'gluten-free', 'dairy-free'
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS dietary_restrictions TEXT[] NOT NULL DEFAULT '{}';
+
+-- allergens: 'gluten', 'lactose', 'nuts', 'peanuts', 'fish', 'shellfish', 'egg', 'soy'
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
+
+-- Free text, matched against ingredient lines ("koriander", "olijven")
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS disliked_ingredients TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.profiles
+ADD COLUMN IF NOT EXISTS favorite_cuisines TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,184 @@
+-- Cost splitting ledger for group dinners
+-- Run this in your Supabase SQL editor after database-shopping-lists.sql
+--
+-- Each closed session can be recorded once as a dinner expense: who paid,
+-- how much, and which members ate (the 'accepted' dinner request responses
+-- saved with the terminated session). Balances and the transfers needed to
+-- settle them are worked out in the app from expenses and settlements.
+
+-- ============================================
+-- 1. DINNER EXPENSES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.dinner_expenses (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    paid_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    meal_name TEXT NOT NULL,
+    price_per_serving NUMERIC(10, 2),
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+    eater_ids UUID[] NOT NULL,
+    eater_count INTEGER GENERATED ALWAYS AS (cardinality(eater_ids)) STORED,
+    session_terminated_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+
+    -- A dinner can only be paid for once
+    UNIQUE(group_id, session_terminated_at),
+    CHECK (cardinality(eater_ids) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dinner_expenses_group_id ON public.dinner_expenses(group_id, created_at DESC);
+
+-- ============================================
+-- 2. SETTLEMENTS TABLE
+-- ============================================
+-- Money paid back between members outside the app
+CREATE TABLE IF NOT EXISTS public.ledger_settlements (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    from_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    to_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+
+    CHECK (from_user != to_user)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_settlements_group_id ON public.ledger_settlements(group_id, created_at DESC);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE public.dinner_expenses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ledger_settlements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their group dinner expenses" ON public.dinner_expenses;
+
+CREATE POLICY "Members can view their group dinner expenses" ON public.dinner_expenses
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Members can view their group settlements" ON public.ledger_settlements;
+
+CREATE POLICY "Members can view their group settlements" ON public.ledger_settlements
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- Either side of a payment can record it
+DROP POLICY IF EXISTS "Members can record settlements they are part of" ON public.ledger_settlements;
+
+CREATE POLICY "Members can record settlements they are part of" ON public.ledger_settlements
+    FOR INSERT
+    WITH CHECK (
+        created_by = auth.uid()
+        AND auth.uid() IN (from_user, to_user)
+        AND group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- ============================================
+-- 4. RECORD WHO PAID FOR THE LAST DINNER
+-- ============================================
+-- Builds the expense from the group's terminated session: the winning meal's
+-- pricePerServing times the members who accepted. paid_amount overrides the
+-- estimate with what the receipt actually said.
+CREATE OR REPLACE FUNCTION record_dinner_expense(group_uuid UUID, payer_uuid UUID, paid_amount NUMERIC DEFAULT NULL)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    session_record RECORD;
+    winner JSONB;
+    eaters UUID[];
+    serving_price NUMERIC;
+    total NUMERIC;
+    new_expense_id UUID;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = payer_uuid
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'The payer must be a member of this group';
+    END IF;
+
+    SELECT ts.top_results, ts.member_responses, ts.terminated_at INTO session_record
+    FROM public.terminated_sessions ts
+    WHERE ts.group_id = group_uuid;
+
+    IF session_record.terminated_at IS NULL THEN
+        RAISE EXCEPTION 'There is no finished dinner to pay for';
+    END IF;
+
+    winner := session_record.top_results -> 0;
+    IF winner IS NULL THEN
+        RAISE EXCEPTION 'The last dinner has no winning meal';
+    END IF;
+
+    SELECT array_agg(DISTINCT (response ->> 'userId')::UUID) INTO eaters
+    FROM jsonb_array_elements(COALESCE(session_record.member_responses, '[]'::jsonb)) AS response
+    WHERE response ->> 'response' = 'accepted';
+
+    IF eaters IS NULL OR cardinality(eaters) = 0 THEN
+        RAISE EXCEPTION 'Nobody accepted the last dinner';
+    END IF;
+
+    -- recipe_price_per_serving (database-recipes-search.sql) gives NULL for a
+    -- price that isn't a number, so the payer is asked for the amount instead
+    serving_price := COALESCE(
+        recipe_price_per_serving(winner -> 'meal_data' -> 'originalRecipeData'),
+        recipe_price_per_serving(winner -> 'meal_data')
+    );
+    total := COALESCE(paid_amount, serving_price * cardinality(eaters));
+
+    IF total IS NULL THEN
+        RAISE EXCEPTION 'The winning meal has no price, enter the amount paid';
+    END IF;
+
+    INSERT INTO public.dinner_expenses (
+        group_id, paid_by, meal_name, price_per_serving, amount, eater_ids, session_terminated_at, created_by
+    )
+    VALUES (
+        group_uuid,
+        payer_uuid,
+        COALESCE(winner -> 'meal_data' ->> 'name', winner -> 'meal_data' ->> 'title', 'Dinner'),
+        serving_price,
+        ROUND(total, 2),
+        eaters,
+        session_record.terminated_at,
+        auth.uid()
+    )
+    RETURNING id INTO new_expense_id;
+
+    RETURN new_expense_id;
+EXCEPTION
+    WHEN unique_violation THEN
+        RAISE EXCEPTION 'Someone already paid for this dinner';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_dinner_expense(UUID, UUID, NUMERIC) TO authenticated;
@@ -0,0 +1,470 @@
+-- Group capacity and waitlist
+-- Run this in your Supabase SQL editor after database-group-invites.sql
+--
+-- groups.max_members has been there from the start but nothing checked it.
+-- Every insert into group_members now locks the group row and counts the
+-- active members first, so two people joining at the same moment can't both
+-- take the last place. Someone who redeems an invite for a full group (or is
+-- accepted into one) goes on the waitlist instead; when a member leaves or
+-- is removed, or an admin raises the capacity, the longest waiting person
+-- is let in automatically. lib/groupCapacity.js has the limits for the app.
+
+-- ============================================
+-- 1. CAPACITY
+-- ============================================
+UPDATE public.groups SET max_members = 50 WHERE max_members IS NULL;
+
+ALTER TABLE public.groups
+ALTER COLUMN max_members SET DEFAULT 50,
+ALTER COLUMN max_members SET NOT NULL;
+
+-- NOT VALID so an unusual existing value doesn't stop the migration
+ALTER TABLE public.groups
+DROP CONSTRAINT IF EXISTS group_capacity_range;
+
+ALTER TABLE public.groups
+ADD CONSTRAINT group_capacity_range CHECK (max_members BETWEEN 2 AND 100) NOT VALID;
+
+CREATE OR REPLACE FUNCTION enforce_group_capacity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    capacity INTEGER;
+    member_total INTEGER;
+BEGIN
+    -- The row lock is what makes concurrent joins wait for each other
+    SELECT g.max_members INTO capacity
+    FROM public.groups g
+    WHERE g.id = NEW.group_id
+    FOR UPDATE;
+
+    SELECT COUNT(*) INTO member_total
+    FROM public.group_members gm
+    WHERE gm.group_id = NEW.group_id AND gm.is_active = true;
+
+    IF capacity IS NOT NULL AND member_total >= capacity THEN
+        RAISE EXCEPTION 'This group is full (% members)', capacity USING ERRCODE = '23514';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_group_capacity_trigger ON public.group_members;
+CREATE TRIGGER enforce_group_capacity_trigger
+    BEFORE INSERT ON public.group_members
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_group_capacity();
+
+-- ============================================
+-- 2. WAITLIST
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.group_waitlist (
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    queued_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    PRIMARY KEY (group_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_waitlist_queue ON public.group_waitlist(group_id, queued_at);
+
+ALTER TABLE public.group_waitlist ENABLE ROW LEVEL SECURITY;
+
+-- Rows only come from redeem_group_invite and respond_to_join_request
+DROP POLICY IF EXISTS "Users and admins can view the waitlist" ON public.group_waitlist;
+
+CREATE POLICY "Users and admins can view the waitlist" ON public.group_waitlist
+    FOR SELECT
+    USING (user_id = auth.uid() OR has_group_permission(group_id, 'edit_group'));
+
+-- Anyone can take themselves off a waitlist
+DROP POLICY IF EXISTS "Users can leave a waitlist" ON public.group_waitlist;
+
+CREATE POLICY "Users can leave a waitlist" ON public.group_waitlist
+    FOR DELETE
+    USING (user_id = auth.uid());
+
+-- Place in the queue, 1 for next in line
+CREATE OR REPLACE FUNCTION group_waitlist_position(group_uuid UUID, user_uuid UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT COUNT(*)::INTEGER
+    FROM public.group_waitlist w
+    WHERE w.group_id = group_uuid
+    AND w.queued_at <= (
+        SELECT mine.queued_at FROM public.group_waitlist mine
+        WHERE mine.group_id = group_uuid AND mine.user_id = user_uuid
+    );
+$$;
+
+-- Let people in from the front of the queue while there is room.
+-- Bans and memberships that happened since they queued are skipped.
+CREATE OR REPLACE FUNCTION admit_from_group_waitlist(group_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    capacity INTEGER;
+    member_total INTEGER;
+    next_user UUID;
+BEGIN
+    SELECT g.max_members INTO capacity
+    FROM public.groups g
+    WHERE g.id = group_uuid AND g.is_active = true
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    LOOP
+        SELECT COUNT(*) INTO member_total
+        FROM public.group_members gm
+        WHERE gm.group_id = group_uuid AND gm.is_active = true;
+
+        EXIT WHEN member_total >= capacity;
+
+        next_user := NULL;
+        DELETE FROM public.group_waitlist w
+        WHERE w.group_id = group_uuid
+        AND w.user_id = (
+            SELECT queued.user_id FROM public.group_waitlist queued
+            WHERE queued.group_id = group_uuid
+            ORDER BY queued.queued_at
+            LIMIT 1
+        )
+        RETURNING w.user_id INTO next_user;
+
+        EXIT WHEN next_user IS NULL;
+
+        IF NOT EXISTS (
+            SELECT 1 FROM public.group_bans gb
+            WHERE gb.group_id = group_uuid AND gb.user_id = next_user
+        ) AND NOT EXISTS (
+            SELECT 1 FROM public.group_members gm
+            WHERE gm.group_id = group_uuid AND gm.user_id = next_user
+        ) THEN
+            INSERT INTO public.group_members (group_id, user_id, role)
+            VALUES (group_uuid, next_user, 'member');
+        END IF;
+    END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION admit_after_member_left()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    PERFORM admit_from_group_waitlist(OLD.group_id);
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS admit_after_member_left_trigger ON public.group_members;
+CREATE TRIGGER admit_after_member_left_trigger
+    AFTER DELETE ON public.group_members
+    FOR EACH ROW
+    EXECUTE FUNCTION admit_after_member_left();
+
+CREATE OR REPLACE FUNCTION admit_after_capacity_raised()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NEW.max_members > OLD.max_members THEN
+        PERFORM admit_from_group_waitlist(NEW.id);
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS admit_after_capacity_raised_trigger ON public.groups;
+CREATE TRIGGER admit_after_capacity_raised_trigger
+    AFTER UPDATE OF max_members ON public.groups
+    FOR EACH ROW
+    EXECUTE FUNCTION admit_after_capacity_raised();
+
+-- ============================================
+-- 3. CHANGE THE CAPACITY
+-- ============================================
+CREATE OR REPLACE FUNCTION set_group_capacity(group_uuid UUID, new_max INTEGER)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    member_total INTEGER;
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'edit_group') THEN
+        RAISE EXCEPTION 'Only group admins can change the group settings' USING ERRCODE = '42501';
+    END IF;
+
+    IF new_max IS NULL OR new_max < 2 OR new_max > 100 THEN
+        RAISE EXCEPTION 'A group can have between 2 and 100 members' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM public.groups g WHERE g.id = group_uuid FOR UPDATE;
+
+    SELECT COUNT(*) INTO member_total
+    FROM public.group_members gm
+    WHERE gm.group_id = group_uuid AND gm.is_active = true;
+
+    IF new_max < member_total THEN
+        RAISE EXCEPTION 'The group already has % members. Remove some before lowering the limit.', member_total USING ERRCODE = '22023';
+    END IF;
+
+    -- admit_after_capacity_raised lets the waitlist in
+    UPDATE public.groups
+    SET max_members = new_max
+    WHERE id = group_uuid;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_group_capacity(UUID, INTEGER) TO authenticated;
+
+-- ============================================
+-- 4. FULL GROUPS WAITLIST INSTEAD OF JOINING
+-- ============================================
+-- Same as in database-group-invites.sql, plus the capacity check. Returns
+-- { status: 'joined' | 'pending' | 'waitlisted', group_id, group_name, position }
+CREATE OR REPLACE FUNCTION redeem_group_invite(invite_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    invite_record RECORD;
+    group_record RECORD;
+    member_total INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'You must be signed in to join a group' USING ERRCODE = '42501';
+    END IF;
+
+    -- Locked so two people can't both take the last use
+    SELECT gi.* INTO invite_record
+    FROM public.group_invites gi
+    WHERE gi.code = upper(trim(invite_code))
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Group not found. Please check the join code and try again.' USING ERRCODE = 'P0002';
+    END IF;
+
+    -- Locked so two people can't both take the last place
+    SELECT g.id, g.name, g.requires_approval, g.max_members INTO group_record
+    FROM public.groups g
+    WHERE g.id = invite_record.group_id AND g.is_active = true
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Group not found. Please check the join code and try again.' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF invite_record.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invite has been revoked. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    IF invite_record.expires_at IS NOT NULL AND invite_record.expires_at <= now() THEN
+        RAISE EXCEPTION 'This invite has expired. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_record.id AND gm.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You are already a member of this group' USING ERRCODE = '23505';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_bans gb
+        WHERE gb.group_id = group_record.id AND gb.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You have been banned from this group' USING ERRCODE = '42501';
+    END IF;
+
+    -- Asking again doesn't use up another go
+    IF group_record.requires_approval AND EXISTS (
+        SELECT 1 FROM public.group_join_requests jr
+        WHERE jr.group_id = group_record.id AND jr.user_id = auth.uid() AND jr.status = 'pending'
+    ) THEN
+        RETURN jsonb_build_object('status', 'pending', 'group_id', group_record.id, 'group_name', group_record.name);
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_waitlist w
+        WHERE w.group_id = group_record.id AND w.user_id = auth.uid()
+    ) THEN
+        RETURN jsonb_build_object(
+            'status', 'waitlisted',
+            'group_id', group_record.id,
+            'group_name', group_record.name,
+            'position', group_waitlist_position(group_record.id, auth.uid())
+        );
+    END IF;
+
+    IF invite_record.max_uses IS NOT NULL AND invite_record.use_count >= invite_record.max_uses THEN
+        RAISE EXCEPTION 'This invite has already been used up. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE public.group_invites
+    SET use_count = use_count + 1
+    WHERE id = invite_record.id;
+
+    IF group_record.requires_approval THEN
+        INSERT INTO public.group_join_requests (group_id, user_id, invite_id)
+        VALUES (group_record.id, auth.uid(), invite_record.id)
+        ON CONFLICT (group_id, user_id) DO UPDATE
+            SET invite_id = EXCLUDED.invite_id,
+                status = 'pending',
+                requested_at = now(),
+                decided_by = NULL,
+                decided_at = NULL;
+
+        RETURN jsonb_build_object('status', 'pending', 'group_id', group_record.id, 'group_name', group_record.name);
+    END IF;
+
+    SELECT COUNT(*) INTO member_total
+    FROM public.group_members gm
+    WHERE gm.group_id = group_record.id AND gm.is_active = true;
+
+    IF member_total >= group_record.max_members THEN
+        INSERT INTO public.group_waitlist (group_id, user_id)
+        VALUES (group_record.id, auth.uid());
+
+        RETURN jsonb_build_object(
+            'status', 'waitlisted',
+            'group_id', group_record.id,
+            'group_name', group_record.name,
+            'position', group_waitlist_position(group_record.id, auth.uid())
+        );
+    END IF;
+
+    INSERT INTO public.group_members (group_id, user_id, role)
+    VALUES (group_record.id, auth.uid(), 'member');
+
+    RETURN jsonb_build_object('status', 'joined', 'group_id', group_record.id, 'group_name', group_record.name);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION redeem_group_invite(TEXT) TO authenticated;
+
+-- Accepting someone into a full group puts them on the waitlist.
+-- Now returns 'joined', 'waitlisted' or 'declined'.
+DROP FUNCTION IF EXISTS respond_to_join_request(UUID, UUID, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION respond_to_join_request(group_uuid UUID, user_uuid UUID, approve BOOLEAN)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    capacity INTEGER;
+    member_total INTEGER;
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'manage_invites') THEN
+        RAISE EXCEPTION 'Only group admins can accept newcomers' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE public.group_join_requests
+    SET status = CASE WHEN approve THEN 'approved' ELSE 'declined' END,
+        decided_by = auth.uid(),
+        decided_at = now()
+    WHERE group_id = group_uuid AND user_id = user_uuid AND status = 'pending';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'That request has already been answered' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT approve THEN
+        RETURN 'declined';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_bans gb
+        WHERE gb.group_id = group_uuid AND gb.user_id = user_uuid
+    ) THEN
+        RAISE EXCEPTION 'That person is banned from this group' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT g.max_members INTO capacity
+    FROM public.groups g
+    WHERE g.id = group_uuid
+    FOR UPDATE;
+
+    SELECT COUNT(*) INTO member_total
+    FROM public.group_members gm
+    WHERE gm.group_id = group_uuid AND gm.is_active = true;
+
+    IF member_total >= capacity THEN
+        INSERT INTO public.group_waitlist (group_id, user_id)
+        VALUES (group_uuid, user_uuid)
+        ON CONFLICT DO NOTHING;
+        RETURN 'waitlisted';
+    END IF;
+
+    INSERT INTO public.group_members (group_id, user_id, role)
+    VALUES (group_uuid, user_uuid, 'member')
+    ON CONFLICT DO NOTHING;
+    RETURN 'joined';
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION respond_to_join_request(UUID, UUID, BOOLEAN) TO authenticated;
+
+-- ============================================
+-- 5. CAPACITY IN THE GROUPS LIST
+-- ============================================
+-- Same as in database-main-group-migration.sql, plus max_members
+DROP FUNCTION IF EXISTS get_user_groups(UUID);
+
+CREATE OR REPLACE FUNCTION get_user_groups(user_uuid UUID)
+RETURNS TABLE (
+    group_id UUID,
+    group_name TEXT,
+    group_description TEXT,
+    join_code TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID,
+    user_role TEXT,
+    member_count BIGINT,
+    is_creator BOOLEAN,
+    is_main_group BOOLEAN,
+    max_members INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        g.id as group_id,
+        g.name as group_name,
+        g.description as group_description,
+        g.join_code,
+        g.created_at,
+        g.created_by,
+        gm.role as user_role,
+        (SELECT COUNT(*) FROM public.group_members WHERE group_members.group_id = g.id AND is_active = true) as member_count,
+        (g.created_by = user_uuid) as is_creator,
+        g.is_main_group,
+        g.max_members
+    FROM public.groups g
+    JOIN public.group_members gm ON g.id = gm.group_id
+    WHERE gm.user_id = user_uuid
+    AND gm.is_active = true
+    AND g.is_active = true
+    ORDER BY g.created_at DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_groups(UUID) TO authenticated;
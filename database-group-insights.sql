@@ -0,0 +1,21 @@
+-- Group insights
+-- Run this in your Supabase SQL editor after database-session-history.sql
+--
+-- The insights screen is worked out in the app from session_history. The
+-- live meal_votes and dinner_request_responses rows are deleted when a
+-- session closes, so each history entry now also keeps every member's votes,
+-- when the dinner request was sent and what time dinner was planned for.
+-- Entries recorded before this migration simply leave those out.
+
+-- ============================================
+-- 1. MORE DETAIL PER SESSION
+-- ============================================
+-- votes: [{ user_id, meal_option_id, vote, score, rank }]
+ALTER TABLE public.session_history
+ADD COLUMN IF NOT EXISTS votes JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.session_history
+ADD COLUMN IF NOT EXISTS requested_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.session_history
+ADD COLUMN IF NOT EXISTS dinner_time TIME;
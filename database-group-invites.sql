@@ -0,0 +1,261 @@
+-- Group invites and join approval
+-- Run this in your Supabase SQL editor after database-group-moderation.sql
+--
+-- A group used to have exactly one permanent join code. Now it can have any
+-- number of invites, each with an optional expiry and usage limit, and
+-- admins can revoke them. The group's own join code becomes its first
+-- invite, so existing codes keep working until an admin revokes them.
+-- Invites are shared as studentenhapp://join/CODE links (see
+-- lib/groupInvites.js) or typed into the join box as before.
+--
+-- Groups can also ask for approval: redeeming an invite then files a join
+-- request that an admin accepts or declines instead of joining straight away.
+-- Joining only goes through redeem_group_invite, which checks all of this in
+-- one transaction.
+
+-- ============================================
+-- 1. INVITES
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.group_invites (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    code TEXT NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    -- Named after join_code so createGroupInSupabase retries on a collision
+    CONSTRAINT unique_invite_join_code UNIQUE (code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_invites_group ON public.group_invites(group_id, created_at DESC);
+
+ALTER TABLE public.group_invites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view invites" ON public.group_invites;
+
+CREATE POLICY "Admins can view invites" ON public.group_invites
+    FOR SELECT
+    USING (has_group_permission(group_id, 'manage_invites'));
+
+DROP POLICY IF EXISTS "Admins can create invites" ON public.group_invites;
+
+CREATE POLICY "Admins can create invites" ON public.group_invites
+    FOR INSERT
+    WITH CHECK (
+        has_group_permission(group_id, 'manage_invites')
+        AND created_by = auth.uid()
+        AND use_count = 0
+        AND revoked_at IS NULL
+    );
+
+-- Revoking sets revoked_at; invites are never deleted so the counts stay
+DROP POLICY IF EXISTS "Admins can revoke invites" ON public.group_invites;
+
+CREATE POLICY "Admins can revoke invites" ON public.group_invites
+    FOR UPDATE
+    USING (has_group_permission(group_id, 'manage_invites'))
+    WITH CHECK (has_group_permission(group_id, 'manage_invites'));
+
+-- Every group's join code is an invite
+INSERT INTO public.group_invites (group_id, code, created_by, created_at)
+SELECT g.id, g.join_code, g.created_by, g.created_at
+FROM public.groups g
+ON CONFLICT (code) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION create_group_code_invite()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    INSERT INTO public.group_invites (group_id, code, created_by)
+    VALUES (NEW.id, NEW.join_code, NEW.created_by);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS create_group_code_invite_trigger ON public.groups;
+CREATE TRIGGER create_group_code_invite_trigger
+    AFTER INSERT ON public.groups
+    FOR EACH ROW
+    EXECUTE FUNCTION create_group_code_invite();
+
+-- ============================================
+-- 2. JOIN APPROVAL
+-- ============================================
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS public.group_join_requests (
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    invite_id UUID REFERENCES public.group_invites(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'declined')),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    decided_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE public.group_join_requests ENABLE ROW LEVEL SECURITY;
+
+-- Rows only come from redeem_group_invite and respond_to_join_request
+DROP POLICY IF EXISTS "Users and admins can view join requests" ON public.group_join_requests;
+
+CREATE POLICY "Users and admins can view join requests" ON public.group_join_requests
+    FOR SELECT
+    USING (user_id = auth.uid() OR has_group_permission(group_id, 'manage_invites'));
+
+-- ============================================
+-- 3. JOINING GOES THROUGH INVITES
+-- ============================================
+-- Anyone signed in could read every active group to look up its join code
+DROP POLICY IF EXISTS "Users can find groups by join code" ON public.groups;
+
+-- Only the creator adds themselves directly (createGroupInSupabase)
+DROP POLICY IF EXISTS "Users can join groups" ON public.group_members;
+
+CREATE POLICY "Users can join groups" ON public.group_members
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND is_new_group_creator(group_members.group_id)
+    );
+
+-- ============================================
+-- 4. REDEEM AN INVITE
+-- ============================================
+-- Returns { status: 'joined' | 'pending', group_id, group_name }
+CREATE OR REPLACE FUNCTION redeem_group_invite(invite_code TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    invite_record RECORD;
+    group_record RECORD;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'You must be signed in to join a group' USING ERRCODE = '42501';
+    END IF;
+
+    -- Locked so two people can't both take the last use
+    SELECT gi.* INTO invite_record
+    FROM public.group_invites gi
+    WHERE gi.code = upper(trim(invite_code))
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Group not found. Please check the join code and try again.' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT g.id, g.name, g.requires_approval INTO group_record
+    FROM public.groups g
+    WHERE g.id = invite_record.group_id AND g.is_active = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Group not found. Please check the join code and try again.' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF invite_record.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invite has been revoked. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    IF invite_record.expires_at IS NOT NULL AND invite_record.expires_at <= now() THEN
+        RAISE EXCEPTION 'This invite has expired. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_record.id AND gm.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You are already a member of this group' USING ERRCODE = '23505';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.group_bans gb
+        WHERE gb.group_id = group_record.id AND gb.user_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You have been banned from this group' USING ERRCODE = '42501';
+    END IF;
+
+    -- Asking again doesn't use up another go
+    IF group_record.requires_approval AND EXISTS (
+        SELECT 1 FROM public.group_join_requests jr
+        WHERE jr.group_id = group_record.id AND jr.user_id = auth.uid() AND jr.status = 'pending'
+    ) THEN
+        RETURN jsonb_build_object('status', 'pending', 'group_id', group_record.id, 'group_name', group_record.name);
+    END IF;
+
+    IF invite_record.max_uses IS NOT NULL AND invite_record.use_count >= invite_record.max_uses THEN
+        RAISE EXCEPTION 'This invite has already been used up. Ask the group for a new one.' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE public.group_invites
+    SET use_count = use_count + 1
+    WHERE id = invite_record.id;
+
+    IF group_record.requires_approval THEN
+        INSERT INTO public.group_join_requests (group_id, user_id, invite_id)
+        VALUES (group_record.id, auth.uid(), invite_record.id)
+        ON CONFLICT (group_id, user_id) DO UPDATE
+            SET invite_id = EXCLUDED.invite_id,
+                status = 'pending',
+                requested_at = now(),
+                decided_by = NULL,
+                decided_at = NULL;
+
+        RETURN jsonb_build_object('status', 'pending', 'group_id', group_record.id, 'group_name', group_record.name);
+    END IF;
+
+    INSERT INTO public.group_members (group_id, user_id, role)
+    VALUES (group_record.id, auth.uid(), 'member');
+
+    RETURN jsonb_build_object('status', 'joined', 'group_id', group_record.id, 'group_name', group_record.name);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION redeem_group_invite(TEXT) TO authenticated;
+
+-- ============================================
+-- 5. ACCEPT OR DECLINE A JOIN REQUEST
+-- ============================================
+CREATE OR REPLACE FUNCTION respond_to_join_request(group_uuid UUID, user_uuid UUID, approve BOOLEAN)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'manage_invites') THEN
+        RAISE EXCEPTION 'Only group admins can accept newcomers' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE public.group_join_requests
+    SET status = CASE WHEN approve THEN 'approved' ELSE 'declined' END,
+        decided_by = auth.uid(),
+        decided_at = now()
+    WHERE group_id = group_uuid AND user_id = user_uuid AND status = 'pending';
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'That request has already been answered' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF approve THEN
+        IF EXISTS (
+            SELECT 1 FROM public.group_bans gb
+            WHERE gb.group_id = group_uuid AND gb.user_id = user_uuid
+        ) THEN
+            RAISE EXCEPTION 'That person is banned from this group' USING ERRCODE = '42501';
+        END IF;
+
+        INSERT INTO public.group_members (group_id, user_id, role)
+        VALUES (group_uuid, user_uuid, 'member')
+        ON CONFLICT DO NOTHING;
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION respond_to_join_request(UUID, UUID, BOOLEAN) TO authenticated;
@@ -0,0 +1,253 @@
+-- Removing, banning and handing over groups
+-- Run this in your Supabase SQL editor after database-group-roles.sql
+--
+-- Moderators and admins can remove members (see can_remove_group_member)
+-- and ban them, which keeps them from joining again until they are unbanned.
+-- The creator can hand the group over to another member before moving out;
+-- they stay on as an admin. Every removal, ban, unban, role change and
+-- handover is written to an append-only audit log that only admins can read.
+-- All of it goes through the functions below so the log can't be skipped.
+
+-- ============================================
+-- 1. BANS
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.group_bans (
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    banned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL DEFAULT '',
+    banned_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE public.group_bans ENABLE ROW LEVEL SECURITY;
+
+-- Moderators see who is banned, a banned user sees their own ban
+DROP POLICY IF EXISTS "Moderators and banned users can view bans" ON public.group_bans;
+
+CREATE POLICY "Moderators and banned users can view bans" ON public.group_bans
+    FOR SELECT
+    USING (user_id = auth.uid() OR has_group_permission(group_id, 'remove_members'));
+
+-- ============================================
+-- 2. AUDIT LOG
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.group_audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL CHECK (action IN ('member_removed', 'member_banned', 'member_unbanned', 'role_changed', 'ownership_transferred')),
+    target_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_audit_log_group ON public.group_audit_log(group_id, created_at DESC);
+
+-- No insert, update or delete policies: rows only come from the functions below
+ALTER TABLE public.group_audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view their group audit log" ON public.group_audit_log;
+
+CREATE POLICY "Admins can view their group audit log" ON public.group_audit_log
+    FOR SELECT
+    USING (has_group_permission(group_id, 'view_audit_log'));
+
+-- ============================================
+-- 3. BANNED USERS CAN'T JOIN
+-- ============================================
+DROP POLICY IF EXISTS "Users can join groups" ON public.group_members;
+
+CREATE POLICY "Users can join groups" ON public.group_members
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND auth.role() = 'authenticated'
+        AND NOT EXISTS (
+            SELECT 1 FROM public.group_bans gb
+            WHERE gb.group_id = group_members.group_id AND gb.user_id = auth.uid()
+        )
+        AND (
+            COALESCE(role, 'member') = 'member'
+            OR is_new_group_creator(group_members.group_id)
+        )
+    );
+
+-- Removal goes through remove_group_member so it is logged
+DROP POLICY IF EXISTS "Moderators can remove members" ON public.group_members;
+
+-- ============================================
+-- 4. REMOVE (AND BAN) A MEMBER
+-- ============================================
+-- Removed members never own the group, so no main group flags change
+CREATE OR REPLACE FUNCTION remove_group_member(group_uuid UUID, member_uuid UUID, ban BOOLEAN DEFAULT false, ban_reason TEXT DEFAULT '')
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT can_remove_group_member(group_uuid, member_uuid) THEN
+        RAISE EXCEPTION 'You can''t remove this member' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM public.group_members
+    WHERE group_id = group_uuid AND user_id = member_uuid;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'That person is not a member of this group' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO public.group_audit_log (group_id, actor_id, action, target_user_id)
+    VALUES (group_uuid, auth.uid(), 'member_removed', member_uuid);
+
+    IF ban THEN
+        INSERT INTO public.group_bans (group_id, user_id, banned_by, reason)
+        VALUES (group_uuid, member_uuid, auth.uid(), COALESCE(ban_reason, ''))
+        ON CONFLICT (group_id, user_id) DO UPDATE
+            SET banned_by = EXCLUDED.banned_by,
+                reason = EXCLUDED.reason,
+                banned_at = now();
+
+        INSERT INTO public.group_audit_log (group_id, actor_id, action, target_user_id, details)
+        VALUES (group_uuid, auth.uid(), 'member_banned', member_uuid, jsonb_build_object('reason', COALESCE(ban_reason, '')));
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION remove_group_member(UUID, UUID, BOOLEAN, TEXT) TO authenticated;
+
+-- ============================================
+-- 5. UNBAN
+-- ============================================
+CREATE OR REPLACE FUNCTION unban_group_user(group_uuid UUID, user_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'remove_members') THEN
+        RAISE EXCEPTION 'Only moderators and admins can unban people' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM public.group_bans
+    WHERE group_id = group_uuid AND user_id = user_uuid;
+
+    IF FOUND THEN
+        INSERT INTO public.group_audit_log (group_id, actor_id, action, target_user_id)
+        VALUES (group_uuid, auth.uid(), 'member_unbanned', user_uuid);
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION unban_group_user(UUID, UUID) TO authenticated;
+
+-- ============================================
+-- 6. CHANGE A MEMBER'S ROLE (LOGGED)
+-- ============================================
+-- Same as in database-group-roles.sql, plus the audit entry
+CREATE OR REPLACE FUNCTION set_group_member_role(group_uuid UUID, member_uuid UUID, new_role TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    old_role TEXT;
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'manage_roles') THEN
+        RAISE EXCEPTION 'Only group admins can change member roles' USING ERRCODE = '42501';
+    END IF;
+
+    IF new_role NOT IN ('admin', 'moderator', 'member') THEN
+        RAISE EXCEPTION 'Unknown role: %', new_role USING ERRCODE = '22023';
+    END IF;
+
+    IF member_uuid = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t change your own role' USING ERRCODE = '42501';
+    END IF;
+
+    IF is_active_group_creator(group_uuid, member_uuid) THEN
+        RAISE EXCEPTION 'The group''s creator is always an admin' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT COALESCE(gm.role, 'member') INTO old_role
+    FROM public.group_members gm
+    WHERE gm.group_id = group_uuid AND gm.user_id = member_uuid AND gm.is_active = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'That person is not a member of this group' USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE public.group_members
+    SET role = new_role
+    WHERE group_id = group_uuid AND user_id = member_uuid;
+
+    INSERT INTO public.group_audit_log (group_id, actor_id, action, target_user_id, details)
+    VALUES (group_uuid, auth.uid(), 'role_changed', member_uuid, jsonb_build_object('from', old_role, 'to', new_role));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_group_member_role(UUID, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- 7. HAND THE GROUP OVER
+-- ============================================
+-- Only the creator, and only to an active member. The new owner becomes an
+-- admin; the group becomes their main group if they don't have one yet.
+-- Returns whether it was the old owner's main group, so the app can pick
+-- a new one for them (updateMainGroupAfterDeletion).
+CREATE OR REPLACE FUNCTION transfer_group_ownership(group_uuid UUID, new_owner_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    group_record RECORD;
+BEGIN
+    SELECT g.* INTO group_record
+    FROM public.groups g
+    WHERE g.id = group_uuid AND g.is_active = true
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT is_active_group_creator(group_uuid, auth.uid()) THEN
+        RAISE EXCEPTION 'Only the group''s owner can hand it over' USING ERRCODE = '42501';
+    END IF;
+
+    IF new_owner_uuid = auth.uid() THEN
+        RAISE EXCEPTION 'You already own this group' USING ERRCODE = '22023';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid AND gm.user_id = new_owner_uuid AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'That person is not a member of this group' USING ERRCODE = 'P0002';
+    END IF;
+
+    -- unique_group_name_per_user
+    IF EXISTS (
+        SELECT 1 FROM public.groups g
+        WHERE g.created_by = new_owner_uuid AND g.name = group_record.name
+    ) THEN
+        RAISE EXCEPTION 'They already own a group called "%"', group_record.name USING ERRCODE = '23505';
+    END IF;
+
+    UPDATE public.groups
+    SET created_by = new_owner_uuid,
+        is_main_group = NOT EXISTS (
+            SELECT 1 FROM public.groups g
+            WHERE g.created_by = new_owner_uuid AND g.is_active = true AND g.is_main_group = true
+        )
+    WHERE id = group_uuid;
+
+    UPDATE public.group_members
+    SET role = 'admin'
+    WHERE group_id = group_uuid AND user_id IN (new_owner_uuid, auth.uid());
+
+    INSERT INTO public.group_audit_log (group_id, actor_id, action, target_user_id)
+    VALUES (group_uuid, auth.uid(), 'ownership_transferred', new_owner_uuid);
+
+    RETURN COALESCE(group_record.is_main_group, false);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION transfer_group_ownership(UUID, UUID) TO authenticated;
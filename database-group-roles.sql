@@ -0,0 +1,517 @@
+-- Group roles and permissions
+-- Run this in your Supabase SQL editor after database-user-recipes.sql
+--
+-- group_members.role has always allowed 'admin', 'moderator' and 'member',
+-- but nothing checked it. What each role may do:
+--   admin     - everything below, plus edit the group, change roles and
+--               use the debug tools
+--   moderator - terminate or replace anyone's session, remove members
+--   member    - start dinner requests; terminate or replace their own session
+-- The group's creator is an admin for as long as they are an active member;
+-- after leaving the group they have no say in it. lib/groupPermissions.js mirrors
+-- these rules for the app; the policies and functions here enforce them.
+-- Deadline and rule closes stay open to every member, since whichever
+-- client notices the deadline first does the close, but the server checks
+-- that the deadline has passed or the close rule is met.
+
+-- ============================================
+-- 1. ROLE HELPERS
+-- ============================================
+-- SECURITY DEFINER so policies on group_members can use them without the
+-- recursion the old admin policy ran into
+
+-- groups.created_by alone isn't enough: it stays set after the creator
+-- leaves, so the creator only counts while they are an active member
+CREATE OR REPLACE FUNCTION is_active_group_creator(group_uuid UUID, member_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM public.groups g
+        JOIN public.group_members gm ON gm.group_id = g.id AND gm.user_id = g.created_by
+        WHERE g.id = group_uuid
+        AND g.created_by = member_uuid
+        AND gm.is_active = true
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION is_active_group_creator(UUID, UUID) TO authenticated;
+
+-- The caller created the group and nobody has joined it yet, i.e. the
+-- creator is adding themselves right after creating it
+CREATE OR REPLACE FUNCTION is_new_group_creator(group_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.groups g
+        WHERE g.id = group_uuid
+        AND g.created_by = auth.uid()
+        AND NOT EXISTS (SELECT 1 FROM public.group_members gm WHERE gm.group_id = g.id)
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION is_new_group_creator(UUID) TO authenticated;
+
+-- NULL for anyone without an active membership, the creator included
+CREATE OR REPLACE FUNCTION group_role(group_uuid UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT CASE
+        WHEN g.created_by = auth.uid() THEN 'admin'
+        ELSE COALESCE(gm.role, 'member')
+    END
+    FROM public.group_members gm
+    JOIN public.groups g ON g.id = gm.group_id
+    WHERE gm.group_id = group_uuid
+    AND gm.user_id = auth.uid()
+    AND gm.is_active = true;
+$$;
+
+GRANT EXECUTE ON FUNCTION group_role(UUID) TO authenticated;
+
+CREATE OR REPLACE FUNCTION has_group_permission(group_uuid UUID, permission TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT CASE group_role(group_uuid)
+        WHEN 'admin' THEN true
+        WHEN 'moderator' THEN permission IN ('start_request', 'manage_sessions', 'remove_members')
+        WHEN 'member' THEN permission = 'start_request'
+        ELSE false
+    END;
+$$;
+
+GRANT EXECUTE ON FUNCTION has_group_permission(UUID, TEXT) TO authenticated;
+
+-- The member who started a session may end it, and so may whoever holds
+-- the group's close claim (see claim_session_close) while they clean up,
+-- until they mark it closed
+CREATE OR REPLACE FUNCTION can_manage_group_session(group_uuid UUID, requester_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT (requester_uuid = auth.uid() AND group_role(group_uuid) IS NOT NULL)
+        OR has_group_permission(group_uuid, 'manage_sessions')
+        OR EXISTS (
+            SELECT 1 FROM public.session_close_claims scc
+            WHERE scc.group_id = group_uuid AND scc.claimed_by = auth.uid() AND scc.closed_at IS NULL
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION can_manage_group_session(UUID, UUID) TO authenticated;
+
+-- Admins may remove anyone but the creator, moderators only plain members
+CREATE OR REPLACE FUNCTION can_remove_group_member(group_uuid UUID, member_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT member_uuid <> auth.uid()
+        AND has_group_permission(group_uuid, 'remove_members')
+        AND NOT is_active_group_creator(group_uuid, member_uuid)
+        AND (
+            group_role(group_uuid) = 'admin'
+            OR EXISTS (
+                SELECT 1 FROM public.group_members gm
+                WHERE gm.group_id = group_uuid
+                AND gm.user_id = member_uuid
+                AND COALESCE(gm.role, 'member') = 'member'
+            )
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION can_remove_group_member(UUID, UUID) TO authenticated;
+
+-- ============================================
+-- 2. GROUPS: ADMINS EDIT
+-- ============================================
+DROP POLICY IF EXISTS "Creators can update their groups" ON public.groups;
+DROP POLICY IF EXISTS "Admins can update their groups" ON public.groups;
+
+CREATE POLICY "Admins can update their groups" ON public.groups
+    FOR UPDATE
+    USING (has_group_permission(id, 'edit_group'))
+    WITH CHECK (has_group_permission(id, 'edit_group'));
+
+-- ============================================
+-- 3. GROUP_MEMBERS: JOINING, ROLES AND REMOVAL
+-- ============================================
+-- Joining always makes you a plain member; only the creator joins as admin,
+-- and only while setting up the group (a creator who left rejoins as anyone)
+DROP POLICY IF EXISTS "Users can join groups" ON public.group_members;
+
+CREATE POLICY "Users can join groups" ON public.group_members
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND auth.role() = 'authenticated'
+        AND (
+            COALESCE(role, 'member') = 'member'
+            OR is_new_group_creator(group_members.group_id)
+        )
+    );
+
+-- Roles only change through set_group_member_role below
+DROP POLICY IF EXISTS "Group creators can manage members" ON public.group_members;
+
+DROP POLICY IF EXISTS "Moderators can remove members" ON public.group_members;
+
+CREATE POLICY "Moderators can remove members" ON public.group_members
+    FOR DELETE
+    USING (can_remove_group_member(group_id, user_id));
+
+-- ============================================
+-- 4. CHANGE A MEMBER'S ROLE
+-- ============================================
+-- Admins only, never their own role (so a group keeps an admin) and never
+-- the creator's
+CREATE OR REPLACE FUNCTION set_group_member_role(group_uuid UUID, member_uuid UUID, new_role TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT has_group_permission(group_uuid, 'manage_roles') THEN
+        RAISE EXCEPTION 'Only group admins can change member roles' USING ERRCODE = '42501';
+    END IF;
+
+    IF new_role NOT IN ('admin', 'moderator', 'member') THEN
+        RAISE EXCEPTION 'Unknown role: %', new_role USING ERRCODE = '22023';
+    END IF;
+
+    IF member_uuid = auth.uid() THEN
+        RAISE EXCEPTION 'You can''t change your own role' USING ERRCODE = '42501';
+    END IF;
+
+    IF is_active_group_creator(group_uuid, member_uuid) THEN
+        RAISE EXCEPTION 'The group''s creator is always an admin' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE public.group_members
+    SET role = new_role
+    WHERE group_id = group_uuid AND user_id = member_uuid AND is_active = true;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'That person is not a member of this group' USING ERRCODE = 'P0002';
+    END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_group_member_role(UUID, UUID, TEXT) TO authenticated;
+
+-- ============================================
+-- 5. STARTING REQUESTS
+-- ============================================
+DROP POLICY IF EXISTS "Users can create meal requests for their groups" ON public.meal_requests;
+
+CREATE POLICY "Users can create meal requests for their groups" ON public.meal_requests
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = requested_by
+        AND has_group_permission(group_id, 'start_request')
+    );
+
+DROP POLICY IF EXISTS "Users can create dinner requests for their groups" ON public.dinner_requests;
+
+CREATE POLICY "Users can create dinner requests for their groups" ON public.dinner_requests
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = requester_id
+        AND has_group_permission(group_id, 'start_request')
+    );
+
+-- ============================================
+-- 6. TERMINATING AND REPLACING SESSIONS
+-- ============================================
+-- Replacing cancels the old meal request, terminating deletes the session
+DROP POLICY IF EXISTS "Users can update their meal requests" ON public.meal_requests;
+DROP POLICY IF EXISTS "Session managers can update meal requests" ON public.meal_requests;
+
+CREATE POLICY "Session managers can update meal requests" ON public.meal_requests
+    FOR UPDATE
+    USING (can_manage_group_session(group_id, requested_by))
+    WITH CHECK (can_manage_group_session(group_id, requested_by));
+
+DROP POLICY IF EXISTS "Group members can delete meal requests for group termination" ON public.meal_requests;
+
+CREATE POLICY "Group members can delete meal requests for group termination" ON public.meal_requests
+    FOR DELETE
+    USING (can_manage_group_session(group_id, requested_by));
+
+DROP POLICY IF EXISTS "Group members can delete dinner requests for group termination" ON public.dinner_requests;
+
+CREATE POLICY "Group members can delete dinner requests for group termination" ON public.dinner_requests
+    FOR DELETE
+    USING (can_manage_group_session(group_id, requester_id));
+
+DROP POLICY IF EXISTS "Group members can delete responses for group termination" ON public.dinner_request_responses;
+
+CREATE POLICY "Group members can delete responses for group termination" ON public.dinner_request_responses
+    FOR DELETE
+    USING (
+        request_id IN (
+            SELECT dr.id FROM public.dinner_requests dr
+            WHERE can_manage_group_session(dr.group_id, dr.requester_id)
+        )
+    );
+
+-- ============================================
+-- 7. CLAIM A SESSION CLOSE (WITH ROLES)
+-- ============================================
+-- Whether the group's close rule is met, checked the same way as
+-- evaluateCloseRules in lib/sessionCloseRules.js: everyone who accepted has
+-- finished voting (finished_voters, which the quorum counts too), or a meal
+-- nobody vetoed has enough yes votes (first choices in ranked mode) from the
+-- members who accepted
+CREATE OR REPLACE FUNCTION session_close_rule_met(group_uuid UUID, meal_request_uuid UUID, dinner_request_uuid UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    group_rule TEXT;
+    yes_percent INTEGER;
+    request_mode TEXT;
+    accepted_count INTEGER;
+BEGIN
+    IF meal_request_uuid IS NULL OR dinner_request_uuid IS NULL THEN
+        RETURN false;
+    END IF;
+
+    SELECT g.close_rule, COALESCE(g.close_yes_percent, 75) INTO group_rule, yes_percent
+    FROM public.groups g
+    WHERE g.id = group_uuid;
+
+    SELECT mr.voting_mode INTO request_mode
+    FROM public.meal_requests mr
+    WHERE mr.id = meal_request_uuid;
+
+    SELECT COUNT(*) INTO accepted_count
+    FROM public.dinner_request_responses drr
+    WHERE drr.request_id = dinner_request_uuid AND drr.response = 'accepted';
+
+    IF accepted_count = 0 THEN
+        RETURN false;
+    END IF;
+
+    IF group_rule = 'all_voted' THEN
+        RETURN NOT EXISTS (
+            SELECT 1 FROM public.dinner_request_responses drr
+            WHERE drr.request_id = dinner_request_uuid
+            AND drr.response = 'accepted'
+            AND drr.user_id NOT IN (SELECT fv.user_id FROM finished_voters(meal_request_uuid) fv)
+        );
+    END IF;
+
+    IF group_rule = 'yes_threshold' THEN
+        RETURN EXISTS (
+            SELECT 1
+            FROM public.meal_votes mv
+            JOIN public.dinner_request_responses drr
+                ON drr.request_id = dinner_request_uuid
+                AND drr.user_id = mv.user_id
+                AND drr.response = 'accepted'
+            WHERE mv.request_id = meal_request_uuid
+            AND CASE WHEN request_mode = 'ranked' THEN mv.rank = 1 ELSE mv.vote = 'yes' END
+            AND NOT EXISTS (
+                SELECT 1 FROM public.meal_votes veto
+                WHERE veto.meal_option_id = mv.meal_option_id AND veto.vote = 'veto'
+            )
+            GROUP BY mv.meal_option_id
+            HAVING COUNT(*) * 100 >= yes_percent * accepted_count
+        );
+    END IF;
+
+    RETURN false;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION session_close_rule_met(UUID, UUID, UUID) TO authenticated;
+
+-- Same as in database-session-close-rules.sql, except a manual close needs
+-- the member who started the session, a moderator or an admin, and a rule
+-- close is refused unless session_close_rule_met agrees
+CREATE OR REPLACE FUNCTION claim_session_close(group_uuid UUID, close_reason TEXT DEFAULT 'manual', stale_after_seconds INTEGER DEFAULT 120)
+RETURNS TABLE (
+    dinner_request_id UUID,
+    meal_request_id UUID,
+    no_shows INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    pending_request_id UUID;
+    active_meal_request_id UUID;
+    dinner_requester UUID;
+    meal_requester UUID;
+    no_show_count INTEGER := 0;
+    quorum INTEGER;
+    finished INTEGER;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT dr.id, dr.requester_id INTO pending_request_id, dinner_requester
+    FROM public.dinner_requests dr
+    WHERE dr.group_id = group_uuid AND dr.status = 'pending'
+    ORDER BY dr.created_at DESC
+    LIMIT 1;
+
+    SELECT mr.id, mr.requested_by INTO active_meal_request_id, meal_requester
+    FROM public.meal_requests mr
+    WHERE mr.group_id = group_uuid AND mr.status = 'active'
+    ORDER BY mr.created_at DESC
+    LIMIT 1;
+
+    -- Already closed by someone else
+    IF pending_request_id IS NULL AND active_meal_request_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF close_reason IS NULL OR close_reason NOT IN ('manual', 'deadline', 'rule') THEN
+        RAISE EXCEPTION 'Unknown close reason: %', close_reason USING ERRCODE = '22023';
+    END IF;
+
+    IF close_reason = 'manual'
+        AND dinner_requester IS DISTINCT FROM auth.uid()
+        AND meal_requester IS DISTINCT FROM auth.uid()
+        AND NOT has_group_permission(group_uuid, 'manage_sessions') THEN
+        RAISE EXCEPTION 'Only the member who started this session, a moderator or an admin can end it'
+            USING ERRCODE = '42501';
+    END IF;
+
+    IF close_reason = 'deadline' THEN
+        PERFORM assert_session_deadline_passed(pending_request_id);
+    END IF;
+
+    IF close_reason <> 'deadline' AND active_meal_request_id IS NOT NULL THEN
+        SELECT g.min_quorum INTO quorum FROM public.groups g WHERE g.id = group_uuid;
+        finished := count_finished_voters(active_meal_request_id);
+
+        IF finished < COALESCE(quorum, 0) THEN
+            RAISE EXCEPTION 'Waiting for quorum: % of % members have finished voting', finished, quorum
+                USING ERRCODE = 'P0001';
+        END IF;
+    END IF;
+
+    IF close_reason = 'rule'
+        AND NOT session_close_rule_met(group_uuid, active_meal_request_id, pending_request_id) THEN
+        RAISE EXCEPTION 'The group''s close rule has not been met yet' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF NOT take_session_close_claim(group_uuid, close_reason, pending_request_id, active_meal_request_id, stale_after_seconds) THEN
+        RETURN;
+    END IF;
+
+    IF pending_request_id IS NOT NULL THEN
+        INSERT INTO public.dinner_request_responses (request_id, user_id, response)
+        SELECT pending_request_id, gm.user_id, 'no_show'
+        FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.is_active = true
+        AND NOT EXISTS (
+            SELECT 1 FROM public.dinner_request_responses drr
+            WHERE drr.request_id = pending_request_id AND drr.user_id = gm.user_id
+        );
+
+        GET DIAGNOSTICS no_show_count = ROW_COUNT;
+    END IF;
+
+    RETURN QUERY SELECT pending_request_id, active_meal_request_id, no_show_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_session_close(UUID, TEXT, INTEGER) TO authenticated;
+
+-- ============================================
+-- 8. TERMINATE A MEAL REQUEST (WITH ROLES)
+-- ============================================
+-- Same as in database-meal-requests-constraint-fix.sql, except permission
+-- comes from the caller's role instead of the user_uuid argument, which
+-- is kept so existing callers don't break
+CREATE OR REPLACE FUNCTION terminate_meal_request(request_uuid UUID, user_uuid UUID)
+RETURNS TABLE (
+    success BOOLEAN,
+    message TEXT,
+    terminated_request_id UUID
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+BEGIN
+    SELECT mr.* INTO request_record
+    FROM public.meal_requests mr
+    WHERE mr.id = request_uuid
+    AND mr.status = 'active'
+    AND can_manage_group_session(mr.group_id, mr.requested_by);
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT false, 'Request not found or permission denied'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    UPDATE public.meal_requests
+    SET
+        status = 'completed',
+        completed_at = timezone('utc'::text, now())
+    WHERE id = request_uuid
+    AND status = 'active';
+
+    IF NOT FOUND THEN
+        RETURN QUERY SELECT false, 'Request is no longer active'::TEXT, NULL::UUID;
+        RETURN;
+    END IF;
+
+    RETURN QUERY SELECT true, 'Meal request terminated successfully'::TEXT, request_uuid;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION terminate_meal_request(UUID, UUID) TO authenticated;
+
+-- ============================================
+-- 9. RECURRING SCHEDULES
+-- ============================================
+-- database-recurring-requests.sql let the group's creator change any
+-- schedule from groups.created_by alone; they now have to still be in the
+-- group
+DROP POLICY IF EXISTS "Owners can update schedules" ON public.dinner_request_schedules;
+
+CREATE POLICY "Owners can update schedules" ON public.dinner_request_schedules
+    FOR UPDATE
+    USING (
+        created_by = auth.uid()
+        OR is_active_group_creator(group_id, auth.uid())
+    );
+
+DROP POLICY IF EXISTS "Owners can delete schedules" ON public.dinner_request_schedules;
+
+CREATE POLICY "Owners can delete schedules" ON public.dinner_request_schedules
+    FOR DELETE
+    USING (
+        created_by = auth.uid()
+        OR is_active_group_creator(group_id, auth.uid())
+    );
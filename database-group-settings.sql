@@ -0,0 +1,71 @@
+-- Group settings
+-- Run this in your Supabase SQL editor after database-group-capacity.sql
+--
+-- A group's name and description could only be set when it was created, and
+-- the defaults for a dinner (how many meals to vote on, when dinner is, how
+-- long before dinner the replies close, the voting mode) were picked again
+-- for every request. They now live on the group, together with dietary
+-- needs that apply to everyone in it, and admins edit them on the group
+-- settings screen. Changes go through the existing "Admins can update their
+-- groups" policy (edit_group). lib/groupSettings.js mirrors the limits.
+
+-- ============================================
+-- 1. NAME AND DESCRIPTION
+-- ============================================
+-- NOT VALID so an unusual existing value doesn't stop the migration
+ALTER TABLE public.groups
+DROP CONSTRAINT IF EXISTS group_name_length;
+
+ALTER TABLE public.groups
+ADD CONSTRAINT group_name_length CHECK (char_length(trim(name)) BETWEEN 1 AND 50) NOT VALID;
+
+ALTER TABLE public.groups
+DROP CONSTRAINT IF EXISTS group_description_length;
+
+ALTER TABLE public.groups
+ADD CONSTRAINT group_description_length CHECK (char_length(coalesce(description, '')) <= 200) NOT VALID;
+
+-- ============================================
+-- 2. DINNER DEFAULTS
+-- ============================================
+-- NULL means each recipe type keeps its own count (RECIPE_TYPE_MEAL_COUNTS)
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS default_meal_count INTEGER
+    CHECK (default_meal_count BETWEEN 3 AND 20);
+
+-- Earlier versions of this file gave every group 12. That can't be told
+-- apart from an admin's choice, so those groups go back to the recipe
+-- type's count and admins who want 12 set it again.
+ALTER TABLE public.groups
+ALTER COLUMN default_meal_count DROP NOT NULL;
+
+ALTER TABLE public.groups
+ALTER COLUMN default_meal_count DROP DEFAULT;
+
+UPDATE public.groups
+SET default_meal_count = NULL
+WHERE default_meal_count = 12;
+
+-- NULL means the requester picks a time every time
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS default_dinner_time TIME;
+
+-- Same range as dinner_request_schedules.deadline_minutes_before
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS default_deadline_minutes INTEGER NOT NULL DEFAULT 15
+    CHECK (default_deadline_minutes BETWEEN 5 AND 720);
+
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS default_voting_mode TEXT NOT NULL DEFAULT 'yes_no'
+    CHECK (default_voting_mode IN ('yes_no', 'score', 'ranked'));
+
+-- ============================================
+-- 3. GROUP DIETARY NEEDS
+-- ============================================
+-- Same values as the profiles columns (database-dietary-profiles.sql); they
+-- are added to the diners' own profiles when a session picks its meals
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS dietary_restrictions TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,64 @@
+-- Meal selection support for studentenhapp
+-- Run this in your Supabase SQL editor after database-wishlist-setup.sql
+
+-- ============================================
+-- 1. GROUP WISHLIST FUNCTION
+-- ============================================
+-- Wishlist rows are private per user (see database-wishlist-setup.sql), so the
+-- selection engine reads the active members' wishlists through this function.
+-- Only active members of the group may call it.
+CREATE OR REPLACE FUNCTION get_group_wishlist_recipes(group_uuid UUID)
+RETURNS TABLE (
+    user_id UUID,
+    recipe_id TEXT,
+    recipe_data JSONB,
+    added_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        w.user_id,
+        w.recipe_id,
+        w.recipe_data,
+        w.added_at
+    FROM public.wishlist w
+    JOIN public.group_members gm ON gm.user_id = w.user_id
+    WHERE gm.group_id = group_uuid
+    AND gm.is_active = true
+    ORDER BY w.added_at DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_group_wishlist_recipes(UUID) TO authenticated;
+
+-- ============================================
+-- 2. INDEXES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_wishlist_user_id ON public.wishlist(user_id);
+
+-- ============================================
+-- 3. RECIPE TYPE PER MEAL REQUEST
+-- ============================================
+-- Mirrors dinner_requests.recipe_type so the voting screen knows how the
+-- options were chosen: 'random' (taste-ranked), 'wishlist' (members'
+-- wishlists, balanced per member) or 'swipe' (discovery deck of recipes
+-- the group hasn't seen; liked cards are added to the voter's wishlist).
+ALTER TABLE public.meal_requests
+ADD COLUMN IF NOT EXISTS recipe_type TEXT NOT NULL DEFAULT 'random';
+
+ALTER TABLE public.meal_requests DROP CONSTRAINT IF EXISTS meal_requests_recipe_type_check;
+ALTER TABLE public.meal_requests
+ADD CONSTRAINT meal_requests_recipe_type_check CHECK (recipe_type IN ('random', 'wishlist', 'swipe'));
@@ -0,0 +1,35 @@
+-- Realtime updates for the group dashboard
+-- Run this in your Supabase SQL editor after database-recurring-requests.sql
+--
+-- The group detail modal, the dinner request notification and the results
+-- screen listen for changes on these tables instead of polling. Supabase only
+-- broadcasts tables that are part of the supabase_realtime publication; row
+-- level security still decides which member receives which change.
+
+-- ============================================
+-- 1. ADD TABLES TO THE REALTIME PUBLICATION
+-- ============================================
+DO $$
+DECLARE
+    realtime_table TEXT;
+BEGIN
+    FOREACH realtime_table IN ARRAY ARRAY['meal_votes', 'dinner_request_responses', 'meal_requests', 'terminated_sessions']
+    LOOP
+        IF NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+            AND schemaname = 'public'
+            AND tablename = realtime_table
+        ) THEN
+            EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', realtime_table);
+        END IF;
+    END LOOP;
+END;
+$$;
+
+-- ============================================
+-- 2. VERIFY
+-- ============================================
+SELECT tablename FROM pg_publication_tables
+WHERE pubname = 'supabase_realtime' AND schemaname = 'public'
+ORDER BY tablename;
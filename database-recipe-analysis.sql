@@ -0,0 +1,35 @@
+-- Recipe diet and allergen analysis
+-- Run this in your Supabase SQL editor after database-dietary-profiles.sql
+--
+-- recipe_data.dietary is usually empty, so the app now analyses each
+-- recipe's ingredient lines (lib/recipeAnalyzer.js) when it is added or
+-- updated. The full result is stored in dietary_analysis and the flags it is
+-- sure enough about are written back into recipe_data.dietary, so the
+-- existing dietary filter in search_recipes uses them too.
+--
+-- Existing recipes are analysed by backfillRecipeAnalysis() in
+-- lib/recipesService.js: members' own recipes from the app, seeded recipes
+-- from a maintenance run with the service role (see save_recipe_analysis in
+-- database-user-recipes.sql). It only touches recipes without an analysis
+-- or with one from an older analyser version, so it is safe to run again.
+
+-- ============================================
+-- 1. ANALYSIS COLUMNS
+-- ============================================
+-- dietary_analysis: {
+--   version,
+--   flags: { vegetarian, vegan, glutenFree, lactoseFree, nutFree, fishFree: { value, confidence, reasons } },
+--   contains: ['fish', ...],
+--   mayContain: ['gluten', ...]
+-- }
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS dietary_analysis JSONB;
+
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS analyzed_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- 2. INDEX FOR THE BACKFILL
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_recipes_analysis_version
+ON public.recipes (((dietary_analysis->>'version')::INTEGER));
@@ -0,0 +1,138 @@
+-- Recipe search with filters for studentenhapp
+-- Run this in your Supabase SQL editor after database-recipes-setup.sql
+
+-- ============================================
+-- 1. NUMBERS FROM RECIPE DATA
+-- ============================================
+-- recipe_data is free-form JSON, so readyInMinutes and pricePerServing can
+-- hold "25.5", "ca. 30" or nothing at all. A bare cast would fail on such a
+-- row and take every search touching it down; these return NULL instead.
+CREATE OR REPLACE FUNCTION recipe_ready_minutes(data JSONB)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN trim(data->>'readyInMinutes') ~ '^[0-9]{1,6}(\.[0-9]+)?$'
+        THEN round(trim(data->>'readyInMinutes')::NUMERIC)::INTEGER
+    END;
+$$;
+
+CREATE OR REPLACE FUNCTION recipe_price_per_serving(data JSONB)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN trim(data->>'pricePerServing') ~ '^[0-9]{1,9}(\.[0-9]+)?$'
+        THEN trim(data->>'pricePerServing')::NUMERIC
+    END;
+$$;
+
+-- ============================================
+-- 2. INDEXES FOR FILTERED QUERIES
+-- ============================================
+CREATE INDEX IF NOT EXISTS idx_recipes_recipe_data_gin ON public.recipes USING GIN (recipe_data jsonb_path_ops);
+
+DROP INDEX IF EXISTS public.idx_recipes_ready_in_minutes;
+DROP INDEX IF EXISTS public.idx_recipes_price_per_serving;
+CREATE INDEX idx_recipes_ready_in_minutes ON public.recipes ((recipe_ready_minutes(recipe_data)));
+CREATE INDEX idx_recipes_price_per_serving ON public.recipes ((recipe_price_per_serving(recipe_data)));
+
+-- ============================================
+-- 3. SEARCH FUNCTION
+-- ============================================
+-- Turns a search term into an ILIKE pattern that matches it anywhere.
+-- % and _ in what the user typed are matched literally, not as wildcards
+-- ("_" alone would match every recipe); \ is ILIKE's escape character.
+CREATE OR REPLACE FUNCTION contains_pattern(term TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%';
+$$;
+
+-- All filters are optional (NULL or empty array = no filter).
+-- Ingredient terms match as case-insensitive substrings of the
+-- free-text ingredient lines, so 'zalm' matches '2 zalmfilets'.
+-- total_count is the number of matches before pagination.
+CREATE OR REPLACE FUNCTION search_recipes(
+    search_term TEXT DEFAULT NULL,
+    dietary_tags TEXT[] DEFAULT NULL,
+    max_ready_minutes INTEGER DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    include_ingredients TEXT[] DEFAULT NULL,
+    exclude_ingredients TEXT[] DEFAULT NULL,
+    sort_by TEXT DEFAULT 'newest',
+    offset_count INTEGER DEFAULT 0,
+    limit_count INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+    id INTEGER,
+    recipe_id TEXT,
+    recipe_data JSONB,
+    added_at TIMESTAMP WITH TIME ZONE,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        r.id,
+        r.recipe_id,
+        r.recipe_data,
+        r.added_at,
+        COUNT(*) OVER() AS total_count
+    FROM public.recipes r
+    WHERE
+        (
+            search_term IS NULL OR search_term = ''
+            OR r.recipe_data->>'title' ILIKE contains_pattern(search_term)
+            OR r.recipe_data->>'description' ILIKE contains_pattern(search_term)
+        )
+        AND (
+            dietary_tags IS NULL OR cardinality(dietary_tags) = 0
+            OR COALESCE(r.recipe_data->'dietary', '[]'::jsonb) @> to_jsonb(dietary_tags)
+        )
+        AND (
+            max_ready_minutes IS NULL
+            OR recipe_ready_minutes(r.recipe_data) <= max_ready_minutes
+        )
+        AND (
+            max_price IS NULL
+            OR recipe_price_per_serving(r.recipe_data) <= max_price
+        )
+        AND (
+            include_ingredients IS NULL OR cardinality(include_ingredients) = 0
+            OR NOT EXISTS (
+                SELECT 1 FROM unnest(include_ingredients) AS wanted(term)
+                WHERE NOT EXISTS (
+                    SELECT 1
+                    FROM jsonb_array_elements_text(COALESCE(r.recipe_data->'ingredients', '[]'::jsonb)) AS ing(line)
+                    WHERE ing.line ILIKE contains_pattern(wanted.term)
+                )
+            )
+        )
+        AND (
+            exclude_ingredients IS NULL OR cardinality(exclude_ingredients) = 0
+            OR NOT EXISTS (
+                SELECT 1
+                FROM unnest(exclude_ingredients) AS unwanted(term),
+                     jsonb_array_elements_text(COALESCE(r.recipe_data->'ingredients', '[]'::jsonb)) AS ing(line)
+                WHERE ing.line ILIKE contains_pattern(unwanted.term)
+            )
+        )
+    ORDER BY
+        CASE WHEN sort_by = 'quickest' THEN recipe_ready_minutes(r.recipe_data) END ASC NULLS LAST,
+        CASE WHEN sort_by = 'cheapest' THEN recipe_price_per_serving(r.recipe_data) END ASC NULLS LAST,
+        CASE WHEN sort_by = 'title' THEN lower(r.recipe_data->>'title') END ASC NULLS LAST,
+        r.added_at DESC,
+        r.id DESC
+    OFFSET GREATEST(offset_count, 0)
+    LIMIT LEAST(GREATEST(limit_count, 1), 100);
+$$;
+
+GRANT EXECUTE ON FUNCTION search_recipes(TEXT, TEXT[], INTEGER, NUMERIC, TEXT[], TEXT[], TEXT, INTEGER, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION search_recipes(TEXT, TEXT[], INTEGER, NUMERIC, TEXT[], TEXT[], TEXT, INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,191 @@
+-- Recurring dinner requests
+-- Run this in your Supabase SQL editor after database-cooking-rota.sql
+--
+-- A schedule describes a repeating dinner ("every weekday at 18:30").
+-- Occurrences are created by the app of whichever member is online once the
+-- request window opens; claiming the occurrence row first makes sure each
+-- date only gets one dinner request, however many members are online.
+
+-- ============================================
+-- 1. SCHEDULES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.dinner_request_schedules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    -- 0 = Sunday ... 6 = Saturday
+    weekdays SMALLINT[] NOT NULL,
+    dinner_time TIME NOT NULL,
+    deadline_minutes_before INTEGER NOT NULL DEFAULT 15 CHECK (deadline_minutes_before BETWEEN 5 AND 720),
+    -- How long before dinner the request goes out
+    opens_hours_before INTEGER NOT NULL DEFAULT 6 CHECK (opens_hours_before BETWEEN 1 AND 24),
+    recipe_type TEXT NOT NULL DEFAULT 'random',
+    voting_mode TEXT NOT NULL DEFAULT 'yes_no',
+    veto_budget INTEGER NOT NULL DEFAULT 1,
+    starts_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    ends_on DATE,
+    skip_dates DATE[] NOT NULL DEFAULT '{}',
+    skip_holidays BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+
+    CHECK (cardinality(weekdays) > 0),
+    CHECK (weekdays <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::SMALLINT[]),
+    CHECK (ends_on IS NULL OR ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dinner_request_schedules_group ON public.dinner_request_schedules(group_id) WHERE is_active = true;
+
+-- ============================================
+-- 2. OCCURRENCES TABLE
+-- ============================================
+-- 'claimed' while a member's app is creating the request, 'created' once
+-- the dinner request and voting session exist
+CREATE TABLE IF NOT EXISTS public.dinner_request_occurrences (
+    schedule_id UUID REFERENCES public.dinner_request_schedules(id) ON DELETE CASCADE NOT NULL,
+    occurrence_date DATE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'claimed' CHECK (status IN ('claimed', 'created')),
+    dinner_request_id UUID REFERENCES public.dinner_requests(id) ON DELETE SET NULL,
+    claimed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    PRIMARY KEY (schedule_id, occurrence_date)
+);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE public.dinner_request_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.dinner_request_occurrences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their group schedules" ON public.dinner_request_schedules;
+
+CREATE POLICY "Members can view their group schedules" ON public.dinner_request_schedules
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Members can create schedules for their groups" ON public.dinner_request_schedules;
+
+CREATE POLICY "Members can create schedules for their groups" ON public.dinner_request_schedules
+    FOR INSERT
+    WITH CHECK (
+        created_by = auth.uid()
+        AND group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- The schedule's creator or the group's creator can change or remove it
+DROP POLICY IF EXISTS "Owners can update schedules" ON public.dinner_request_schedules;
+
+CREATE POLICY "Owners can update schedules" ON public.dinner_request_schedules
+    FOR UPDATE
+    USING (
+        created_by = auth.uid()
+        OR group_id IN (SELECT g.id FROM public.groups g WHERE g.created_by = auth.uid())
+    );
+
+DROP POLICY IF EXISTS "Owners can delete schedules" ON public.dinner_request_schedules;
+
+CREATE POLICY "Owners can delete schedules" ON public.dinner_request_schedules
+    FOR DELETE
+    USING (
+        created_by = auth.uid()
+        OR group_id IN (SELECT g.id FROM public.groups g WHERE g.created_by = auth.uid())
+    );
+
+DROP POLICY IF EXISTS "Members can view their group occurrences" ON public.dinner_request_occurrences;
+
+CREATE POLICY "Members can view their group occurrences" ON public.dinner_request_occurrences
+    FOR SELECT
+    USING (
+        schedule_id IN (
+            SELECT s.id FROM public.dinner_request_schedules s
+            JOIN public.group_members gm ON gm.group_id = s.group_id
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- ============================================
+-- 4. CLAIM, COMPLETE AND RELEASE AN OCCURRENCE
+-- ============================================
+-- Returns true when the caller should create the dinner request. A claim
+-- left behind by an app that was closed halfway can be taken over.
+CREATE OR REPLACE FUNCTION claim_schedule_occurrence(schedule_uuid UUID, occurrence_day DATE, stale_after_seconds INTEGER DEFAULT 120)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    schedule_record RECORD;
+    claimed_rows INTEGER;
+BEGIN
+    SELECT s.id, s.group_id, s.is_active INTO schedule_record
+    FROM public.dinner_request_schedules s
+    WHERE s.id = schedule_uuid;
+
+    IF schedule_record.id IS NULL OR NOT schedule_record.is_active THEN
+        RETURN false;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = schedule_record.group_id
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    INSERT INTO public.dinner_request_occurrences (schedule_id, occurrence_date, claimed_by)
+    VALUES (schedule_uuid, occurrence_day, auth.uid())
+    ON CONFLICT (schedule_id, occurrence_date) DO UPDATE
+    SET claimed_by = auth.uid(), claimed_at = now()
+    WHERE dinner_request_occurrences.status = 'claimed'
+    AND dinner_request_occurrences.claimed_at < now() - make_interval(secs => stale_after_seconds);
+
+    GET DIAGNOSTICS claimed_rows = ROW_COUNT;
+    RETURN claimed_rows > 0;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_schedule_occurrence(UUID, DATE, INTEGER) TO authenticated;
+
+CREATE OR REPLACE FUNCTION complete_schedule_occurrence(schedule_uuid UUID, occurrence_day DATE, request_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.dinner_request_occurrences
+    SET status = 'created', dinner_request_id = request_uuid
+    WHERE schedule_id = schedule_uuid
+    AND occurrence_date = occurrence_day
+    AND claimed_by = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION complete_schedule_occurrence(UUID, DATE, UUID) TO authenticated;
+
+-- Gives the occurrence back so it's retried (e.g. the group was still voting)
+CREATE OR REPLACE FUNCTION release_schedule_occurrence(schedule_uuid UUID, occurrence_day DATE)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    DELETE FROM public.dinner_request_occurrences
+    WHERE schedule_id = schedule_uuid
+    AND occurrence_date = occurrence_day
+    AND status = 'claimed'
+    AND claimed_by = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION release_schedule_occurrence(UUID, DATE) TO authenticated;
@@ -0,0 +1,166 @@
+-- Early-close rules and quorum for voting sessions
+-- Run this in your Supabase SQL editor after database-voting-progress.sql
+--
+-- A group can let its voting session close itself once a rule is met:
+--   'all_voted'     - every accepted diner has voted on every option
+--   'yes_threshold' - one meal has a yes from close_yes_percent of accepted diners
+-- The app checks the rules after each vote and closes through the same
+-- claim_session_close path as a manual termination. min_quorum is the number
+-- of members that must have finished voting before anyone can end the
+-- session early; the dinner deadline still closes it regardless.
+
+-- ============================================
+-- 1. GROUP SETTINGS
+-- ============================================
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS close_rule TEXT NOT NULL DEFAULT 'manual';
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_close_rule_check;
+ALTER TABLE public.groups
+ADD CONSTRAINT groups_close_rule_check CHECK (close_rule IN ('manual', 'all_voted', 'yes_threshold'));
+
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS close_yes_percent INTEGER NOT NULL DEFAULT 75;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_close_yes_percent_check;
+ALTER TABLE public.groups
+ADD CONSTRAINT groups_close_yes_percent_check CHECK (close_yes_percent BETWEEN 1 AND 100);
+
+ALTER TABLE public.groups
+ADD COLUMN IF NOT EXISTS min_quorum INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_min_quorum_check;
+ALTER TABLE public.groups
+ADD CONSTRAINT groups_min_quorum_check CHECK (min_quorum >= 0);
+
+-- ============================================
+-- 2. ALLOW 'rule' AS A CLOSE REASON
+-- ============================================
+ALTER TABLE public.session_close_claims DROP CONSTRAINT IF EXISTS session_close_claims_reason_check;
+ALTER TABLE public.session_close_claims
+ADD CONSTRAINT session_close_claims_reason_check CHECK (reason IN ('manual', 'deadline', 'rule'));
+
+-- ============================================
+-- 3. MEMBERS WHO FINISHED VOTING
+-- ============================================
+-- A member has finished once they voted on every option, or submitted a
+-- ranked ballot in ranked mode. The one definition for the quorum and the
+-- 'all_voted' rule alike; getFinishedVoters in lib/sessionCloseRules.js
+-- mirrors it for the progress the app shows.
+CREATE OR REPLACE FUNCTION finished_voters(request_uuid UUID)
+RETURNS TABLE (user_id UUID)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT mv.user_id
+    FROM public.meal_votes mv
+    JOIN public.meal_requests mr ON mr.id = mv.request_id
+    WHERE mv.request_id = request_uuid
+    GROUP BY mv.user_id, mr.voting_mode
+    HAVING mr.voting_mode = 'ranked'
+        OR COUNT(DISTINCT mv.meal_option_id) >= NULLIF((
+            SELECT COUNT(*) FROM public.meal_request_options mro
+            WHERE mro.request_id = request_uuid
+        ), 0);
+$$;
+
+-- Only used inside the functions below; members see progress through
+-- get_group_voting_progress
+REVOKE EXECUTE ON FUNCTION finished_voters(UUID) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION count_finished_voters(request_uuid UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT COUNT(*)::INTEGER FROM finished_voters(request_uuid);
+$$;
+
+GRANT EXECUTE ON FUNCTION count_finished_voters(UUID) TO authenticated;
+
+-- ============================================
+-- 4. CLAIM A SESSION CLOSE (WITH QUORUM)
+-- ============================================
+-- Same as before, except manual and rule closes are refused until the
+-- group's quorum has finished voting
+CREATE OR REPLACE FUNCTION claim_session_close(group_uuid UUID, close_reason TEXT DEFAULT 'manual', stale_after_seconds INTEGER DEFAULT 120)
+RETURNS TABLE (
+    dinner_request_id UUID,
+    meal_request_id UUID,
+    no_shows INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    pending_request_id UUID;
+    active_meal_request_id UUID;
+    no_show_count INTEGER := 0;
+    quorum INTEGER;
+    finished INTEGER;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT dr.id INTO pending_request_id
+    FROM public.dinner_requests dr
+    WHERE dr.group_id = group_uuid AND dr.status = 'pending'
+    ORDER BY dr.created_at DESC
+    LIMIT 1;
+
+    SELECT mr.id INTO active_meal_request_id
+    FROM public.meal_requests mr
+    WHERE mr.group_id = group_uuid AND mr.status = 'active'
+    ORDER BY mr.created_at DESC
+    LIMIT 1;
+
+    -- Already closed by someone else
+    IF pending_request_id IS NULL AND active_meal_request_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF close_reason = 'deadline' THEN
+        PERFORM assert_session_deadline_passed(pending_request_id);
+    END IF;
+
+    IF close_reason <> 'deadline' AND active_meal_request_id IS NOT NULL THEN
+        SELECT g.min_quorum INTO quorum FROM public.groups g WHERE g.id = group_uuid;
+        finished := count_finished_voters(active_meal_request_id);
+
+        IF finished < COALESCE(quorum, 0) THEN
+            RAISE EXCEPTION 'Waiting for quorum: % of % members have finished voting', finished, quorum
+                USING ERRCODE = 'P0001';
+        END IF;
+    END IF;
+
+    IF NOT take_session_close_claim(group_uuid, close_reason, pending_request_id, active_meal_request_id, stale_after_seconds) THEN
+        RETURN;
+    END IF;
+
+    IF pending_request_id IS NOT NULL THEN
+        INSERT INTO public.dinner_request_responses (request_id, user_id, response)
+        SELECT pending_request_id, gm.user_id, 'no_show'
+        FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.is_active = true
+        AND NOT EXISTS (
+            SELECT 1 FROM public.dinner_request_responses drr
+            WHERE drr.request_id = pending_request_id AND drr.user_id = gm.user_id
+        );
+
+        GET DIAGNOSTICS no_show_count = ROW_COUNT;
+    END IF;
+
+    RETURN QUERY SELECT pending_request_id, active_meal_request_id, no_show_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_session_close(UUID, TEXT, INTEGER) TO authenticated;
@@ -0,0 +1,243 @@
+-- Deadline-driven session closing
+-- Run this in your Supabase SQL editor after database-veto-votes.sql
+--
+-- Every open client schedules a close for the dinner request deadline, so
+-- several of them can try to close the same session at once. A client has to
+-- claim the close first; only the claim holder saves the terminated session
+-- and cleans up. Claims expire so a client that dies mid-close doesn't block
+-- the session forever. Once the results are saved the claim is marked closed
+-- and no longer expires, so leftover rows from a cleanup that fell short
+-- can't get the same session closed twice.
+--
+-- There is no job on the server: a session closes at its deadline while a
+-- member has the app open, or as soon as one opens it afterwards (the app
+-- closes overdue sessions when it loads the dinner requests). Until then an
+-- overdue session stays open, but claim_session_close refuses a deadline
+-- close before dinner_requests.deadline_at has passed.
+
+-- ============================================
+-- 1. ALLOW 'no_show' AS A RESPONSE
+-- ============================================
+-- Members who never answered the dinner request by the time it closes
+ALTER TABLE public.dinner_request_responses DROP CONSTRAINT IF EXISTS dinner_request_responses_response_check;
+ALTER TABLE public.dinner_request_responses
+ADD CONSTRAINT dinner_request_responses_response_check CHECK (response IN ('accepted', 'declined', 'no_show'));
+
+-- ============================================
+-- 2. DEADLINE AS A POINT IN TIME
+-- ============================================
+-- dinner_requests.deadline holds the requester's wall-clock time without a
+-- time zone, so the server can't tell when it has passed. The app also saves
+-- the deadline as an absolute time here. Requests from before this column
+-- have no deadline_at and can only be closed by hand.
+ALTER TABLE public.dinner_requests
+ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- 3. SESSION CLOSE CLAIMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.session_close_claims (
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE PRIMARY KEY,
+    claimed_by UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    reason TEXT NOT NULL CHECK (reason IN ('manual', 'deadline')),
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- The session a claim is for, and when it was closed
+ALTER TABLE public.session_close_claims
+ADD COLUMN IF NOT EXISTS dinner_request_id UUID;
+
+ALTER TABLE public.session_close_claims
+ADD COLUMN IF NOT EXISTS meal_request_id UUID;
+
+ALTER TABLE public.session_close_claims
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+-- Only reachable through the functions below
+ALTER TABLE public.session_close_claims ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 4. CLAIM HELPERS
+-- ============================================
+-- Shared by every version of claim_session_close (this file,
+-- database-session-close-rules.sql and database-group-roles.sql).
+
+-- Deadline closes are refused until deadline_at has passed, so a client
+-- can't pass off an early close as a deadline close. Requests without
+-- deadline_at never pass; they get their own message so clients stop
+-- retrying them, while an early close is worth retrying.
+CREATE OR REPLACE FUNCTION assert_session_deadline_passed(request_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_deadline TIMESTAMPTZ;
+BEGIN
+    SELECT dr.deadline_at INTO request_deadline
+    FROM public.dinner_requests dr
+    WHERE dr.id = request_uuid;
+
+    IF request_deadline IS NULL THEN
+        RAISE EXCEPTION 'This dinner request has no deadline' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF request_deadline > now() THEN
+        RAISE EXCEPTION 'The deadline for this dinner has not passed yet' USING ERRCODE = 'P0001';
+    END IF;
+END;
+$$;
+
+-- Takes the group's close claim for the given session. An open claim can be
+-- taken over once it is stale; a closed one only by a different session.
+-- Returns whether the caller holds the claim now.
+CREATE OR REPLACE FUNCTION take_session_close_claim(
+    group_uuid UUID,
+    close_reason TEXT,
+    pending_request_id UUID,
+    active_meal_request_id UUID,
+    stale_after_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    claimed_group UUID;
+BEGIN
+    INSERT INTO public.session_close_claims (group_id, claimed_by, reason, claimed_at, dinner_request_id, meal_request_id, closed_at)
+    VALUES (group_uuid, auth.uid(), close_reason, now(), pending_request_id, active_meal_request_id, NULL)
+    ON CONFLICT (group_id) DO UPDATE
+        SET claimed_by = EXCLUDED.claimed_by,
+            reason = EXCLUDED.reason,
+            claimed_at = EXCLUDED.claimed_at,
+            dinner_request_id = EXCLUDED.dinner_request_id,
+            meal_request_id = EXCLUDED.meal_request_id,
+            closed_at = NULL
+        WHERE CASE
+            WHEN public.session_close_claims.closed_at IS NULL
+                THEN public.session_close_claims.claimed_at < now() - make_interval(secs => stale_after_seconds)
+            ELSE NOT COALESCE(public.session_close_claims.dinner_request_id = EXCLUDED.dinner_request_id, false)
+                AND NOT COALESCE(public.session_close_claims.meal_request_id = EXCLUDED.meal_request_id, false)
+        END
+    RETURNING group_id INTO claimed_group;
+
+    RETURN claimed_group IS NOT NULL;
+END;
+$$;
+
+-- Only the claim functions may take a claim, after their own checks
+REVOKE EXECUTE ON FUNCTION take_session_close_claim(UUID, TEXT, UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- 5. CLAIM A SESSION CLOSE
+-- ============================================
+-- Returns the session to close when the caller won the claim, or no rows
+-- when another client holds it or there is nothing left to close.
+-- Deadline closes are refused until deadline_at has passed.
+CREATE OR REPLACE FUNCTION claim_session_close(group_uuid UUID, close_reason TEXT DEFAULT 'manual', stale_after_seconds INTEGER DEFAULT 120)
+RETURNS TABLE (
+    dinner_request_id UUID,
+    meal_request_id UUID,
+    no_shows INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    pending_request_id UUID;
+    active_meal_request_id UUID;
+    no_show_count INTEGER := 0;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT dr.id INTO pending_request_id
+    FROM public.dinner_requests dr
+    WHERE dr.group_id = group_uuid AND dr.status = 'pending'
+    ORDER BY dr.created_at DESC
+    LIMIT 1;
+
+    SELECT mr.id INTO active_meal_request_id
+    FROM public.meal_requests mr
+    WHERE mr.group_id = group_uuid AND mr.status = 'active'
+    ORDER BY mr.created_at DESC
+    LIMIT 1;
+
+    -- Already closed by someone else
+    IF pending_request_id IS NULL AND active_meal_request_id IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF close_reason = 'deadline' THEN
+        PERFORM assert_session_deadline_passed(pending_request_id);
+    END IF;
+
+    IF NOT take_session_close_claim(group_uuid, close_reason, pending_request_id, active_meal_request_id, stale_after_seconds) THEN
+        RETURN;
+    END IF;
+
+    IF pending_request_id IS NOT NULL THEN
+        INSERT INTO public.dinner_request_responses (request_id, user_id, response)
+        SELECT pending_request_id, gm.user_id, 'no_show'
+        FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.is_active = true
+        AND NOT EXISTS (
+            SELECT 1 FROM public.dinner_request_responses drr
+            WHERE drr.request_id = pending_request_id AND drr.user_id = gm.user_id
+        );
+
+        GET DIAGNOSTICS no_show_count = ROW_COUNT;
+    END IF;
+
+    RETURN QUERY SELECT pending_request_id, active_meal_request_id, no_show_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_session_close(UUID, TEXT, INTEGER) TO authenticated;
+
+-- ============================================
+-- 6. RELEASE A SESSION CLOSE
+-- ============================================
+-- Called by the claim holder when the close failed before anything was
+-- saved, so someone else can retry.
+CREATE OR REPLACE FUNCTION release_session_close(group_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    DELETE FROM public.session_close_claims
+    WHERE group_id = group_uuid AND claimed_by = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION release_session_close(UUID) TO authenticated;
+
+-- ============================================
+-- 7. MARK A SESSION CLOSED
+-- ============================================
+-- Called by the claim holder once the results are saved, whether or not the
+-- cleanup worked. The claim is kept, so the same session can't be claimed
+-- again; the group's next session takes it over.
+CREATE OR REPLACE FUNCTION mark_session_closed(group_uuid UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    UPDATE public.session_close_claims
+    SET closed_at = now()
+    WHERE group_id = group_uuid AND claimed_by = auth.uid() AND closed_at IS NULL;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION mark_session_closed(UUID) TO authenticated;
@@ -0,0 +1,113 @@
+-- Session history
+-- Run this in your Supabase SQL editor after database-session-close-rules.sql
+--
+-- terminated_sessions only holds a group's current results: the next close
+-- overwrites it and "Clear Results" deletes it. Every closed session is also
+-- appended here with its date, options, full vote tallies, winner, diners and
+-- requester, so past dinners survive both. Rows are never updated; members can
+-- only add and read them.
+
+-- ============================================
+-- 1. SESSION HISTORY TABLE
+-- ============================================
+-- meal_request_id and dinner_request_id are kept without foreign keys: the
+-- requests themselves are deleted when the session is cleaned up
+CREATE TABLE IF NOT EXISTS public.session_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    meal_request_id UUID,
+    dinner_request_id UUID,
+    dinner_date DATE,
+    requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    voting_mode TEXT,
+    close_reason TEXT,
+    options JSONB NOT NULL DEFAULT '[]'::jsonb,
+    winner JSONB,
+    diners UUID[] NOT NULL DEFAULT '{}',
+    member_responses JSONB NOT NULL DEFAULT '[]'::jsonb,
+    closed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_history_group_closed ON public.session_history(group_id, closed_at DESC);
+
+-- A retried close must not record the same session twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_session_history_meal_request ON public.session_history(meal_request_id)
+    WHERE meal_request_id IS NOT NULL;
+
+-- ============================================
+-- 2. ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE public.session_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their groups' session history" ON public.session_history;
+
+CREATE POLICY "Members can view their groups' session history" ON public.session_history
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT group_id FROM public.group_members
+            WHERE user_id = auth.uid() AND is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Members can record their groups' sessions" ON public.session_history;
+
+CREATE POLICY "Members can record their groups' sessions" ON public.session_history
+    FOR INSERT
+    WITH CHECK (
+        closed_by = auth.uid()
+        AND group_id IN (
+            SELECT group_id FROM public.group_members
+            WHERE user_id = auth.uid() AND is_active = true
+        )
+    );
+
+-- No UPDATE or DELETE policies: history is append-only
+
+-- ============================================
+-- 3. KEEP ROWS UNCHANGED
+-- ============================================
+-- Blocks updates even from SECURITY DEFINER functions. Deleting the group
+-- still removes its history through the cascade.
+CREATE OR REPLACE FUNCTION prevent_session_history_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RAISE EXCEPTION 'Session history can''t be changed' USING ERRCODE = '42501';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_session_history_no_update ON public.session_history;
+CREATE TRIGGER trigger_session_history_no_update
+    BEFORE UPDATE ON public.session_history
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_session_history_update();
+
+-- ============================================
+-- 4. BACKFILL FROM CURRENT RESULTS
+-- ============================================
+-- The last session of each group is all that was kept so far; only its top
+-- results are known
+INSERT INTO public.session_history (group_id, options, winner, member_responses, diners, closed_at)
+SELECT
+    ts.group_id,
+    ts.top_results,
+    ts.top_results -> 0,
+    ts.member_responses,
+    COALESCE(ARRAY(
+        SELECT (response ->> 'userId')::UUID
+        FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(ts.member_responses) = 'array' THEN ts.member_responses ELSE '[]'::jsonb END
+        ) response
+        WHERE response ->> 'response' = 'accepted'
+    ), '{}'),
+    COALESCE(ts.terminated_at, ts.created_at, now())
+FROM public.terminated_sessions ts
+WHERE ts.group_id IS NOT NULL
+AND NOT EXISTS (
+    SELECT 1 FROM public.session_history sh
+    WHERE sh.group_id = ts.group_id
+    AND sh.closed_at = COALESCE(ts.terminated_at, ts.created_at, now())
+);
@@ -0,0 +1,130 @@
+-- Shopping lists for the winning meal
+-- Run this in your Supabase SQL editor after database-session-deadline.sql
+--
+-- When a session closes, the winning meal's ingredients are parsed in the app,
+-- scaled to the number of accepted diners and saved here as the group's
+-- shopping list. Each group has one list; the next session replaces it.
+
+-- ============================================
+-- 1. SHOPPING LISTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.shopping_lists (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    meal_name TEXT NOT NULL,
+    diner_count INTEGER NOT NULL CHECK (diner_count > 0),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL
+);
+
+-- ============================================
+-- 2. SHOPPING LIST ITEMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.shopping_list_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    list_id UUID REFERENCES public.shopping_lists(id) ON DELETE CASCADE NOT NULL,
+    item_key TEXT NOT NULL,
+    name TEXT NOT NULL,
+    quantity NUMERIC,
+    unit TEXT,
+    aisle TEXT NOT NULL DEFAULT 'other',
+    display_text TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    checked BOOLEAN NOT NULL DEFAULT false,
+    checked_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    checked_at TIMESTAMP WITH TIME ZONE,
+
+    UNIQUE(list_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopping_list_items_list_id ON public.shopping_list_items(list_id, position);
+
+-- ============================================
+-- 3. ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE public.shopping_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shopping_list_items ENABLE ROW LEVEL SECURITY;
+
+-- Members can see their groups' lists
+DROP POLICY IF EXISTS "Members can view their group shopping lists" ON public.shopping_lists;
+
+CREATE POLICY "Members can view their group shopping lists" ON public.shopping_lists
+    FOR SELECT
+    USING (
+        group_id IN (
+            SELECT gm.group_id FROM public.group_members gm
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+DROP POLICY IF EXISTS "Members can view their group shopping list items" ON public.shopping_list_items;
+
+CREATE POLICY "Members can view their group shopping list items" ON public.shopping_list_items
+    FOR SELECT
+    USING (
+        list_id IN (
+            SELECT sl.id FROM public.shopping_lists sl
+            JOIN public.group_members gm ON gm.group_id = sl.group_id
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- Members can tick items off (lists themselves are written by replace_group_shopping_list)
+DROP POLICY IF EXISTS "Members can check their group shopping list items" ON public.shopping_list_items;
+
+CREATE POLICY "Members can check their group shopping list items" ON public.shopping_list_items
+    FOR UPDATE
+    USING (
+        list_id IN (
+            SELECT sl.id FROM public.shopping_lists sl
+            JOIN public.group_members gm ON gm.group_id = sl.group_id
+            WHERE gm.user_id = auth.uid() AND gm.is_active = true
+        )
+    );
+
+-- ============================================
+-- 4. REPLACE A GROUP'S SHOPPING LIST
+-- ============================================
+-- items is a JSON array of
+-- { item_key, name, quantity, unit, aisle, display_text }
+-- in the order they should be shown.
+CREATE OR REPLACE FUNCTION replace_group_shopping_list(group_uuid UUID, list_meal_name TEXT, list_diner_count INTEGER, items JSONB)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    new_list_id UUID;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = group_uuid
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM public.shopping_lists WHERE group_id = group_uuid;
+
+    INSERT INTO public.shopping_lists (group_id, meal_name, diner_count, created_by)
+    VALUES (group_uuid, list_meal_name, GREATEST(list_diner_count, 1), auth.uid())
+    RETURNING id INTO new_list_id;
+
+    INSERT INTO public.shopping_list_items (list_id, item_key, name, quantity, unit, aisle, display_text, position)
+    SELECT
+        new_list_id,
+        item->>'item_key',
+        item->>'name',
+        (item->>'quantity')::NUMERIC,
+        item->>'unit',
+        COALESCE(item->>'aisle', 'other'),
+        item->>'display_text',
+        (ordinality - 1)::INTEGER
+    FROM jsonb_array_elements(COALESCE(items, '[]'::jsonb)) WITH ORDINALITY AS entries(item, ordinality);
+
+    RETURN new_list_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION replace_group_shopping_list(UUID, TEXT, INTEGER, JSONB) TO authenticated;
@@ -0,0 +1,309 @@
+-- User-submitted recipes
+-- Run this in your Supabase SQL editor after database-recipe-analysis.sql
+--
+-- Members can now add and edit recipes in the app. Every recipe they add has
+-- an owner, and is visible either to everyone or only to one of the owner's
+-- groups. Only the owner can edit or delete a recipe; recipes seeded through
+-- SQL scripts have no owner and can't be changed from the app.
+--
+-- get_random_recipes and search_recipes are SECURITY DEFINER, so they apply
+-- the same visibility rule themselves, and now also return the owner and
+-- visibility so the app can tell which recipes the user may edit.
+
+-- ============================================
+-- 1. OWNER AND VISIBILITY
+-- ============================================
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- 'everyone' or 'group' (only members of group_id can see it)
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'everyone';
+
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE;
+
+ALTER TABLE public.recipes
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.recipes DROP CONSTRAINT IF EXISTS recipes_visibility_check;
+ALTER TABLE public.recipes
+ADD CONSTRAINT recipes_visibility_check CHECK (
+    visibility IN ('everyone', 'group')
+    AND (visibility <> 'group' OR group_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipes_owner_id ON public.recipes(owner_id);
+CREATE INDEX IF NOT EXISTS idx_recipes_group_id ON public.recipes(group_id) WHERE group_id IS NOT NULL;
+
+-- ============================================
+-- 2. VISIBILITY CHECKS
+-- ============================================
+-- SECURITY DEFINER so policies can read group_members without tripping over
+-- its own RLS.
+CREATE OR REPLACE FUNCTION can_view_recipe(recipe_owner UUID, recipe_visibility TEXT, recipe_group UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        recipe_visibility = 'everyone'
+        OR recipe_owner = auth.uid()
+        OR EXISTS (
+            SELECT 1 FROM public.group_members gm
+            WHERE gm.group_id = recipe_group
+            AND gm.user_id = auth.uid()
+            AND gm.is_active = true
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION can_view_recipe(UUID, TEXT, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION can_view_recipe(UUID, TEXT, UUID) TO authenticated;
+
+-- A group recipe may only be shared with a group the owner belongs to
+CREATE OR REPLACE FUNCTION can_share_recipe_with(recipe_visibility TEXT, recipe_group UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        (recipe_visibility = 'everyone' AND recipe_group IS NULL)
+        OR (
+            recipe_visibility = 'group'
+            AND EXISTS (
+                SELECT 1 FROM public.group_members gm
+                WHERE gm.group_id = recipe_group
+                AND gm.user_id = auth.uid()
+                AND gm.is_active = true
+            )
+        );
+$$;
+
+GRANT EXECUTE ON FUNCTION can_share_recipe_with(TEXT, UUID) TO authenticated;
+
+-- ============================================
+-- 3. RLS POLICIES
+-- ============================================
+DROP POLICY IF EXISTS "Enable read access for all users" ON public.recipes;
+DROP POLICY IF EXISTS "Enable insert for authenticated users" ON public.recipes;
+DROP POLICY IF EXISTS "Enable update for authenticated users" ON public.recipes;
+DROP POLICY IF EXISTS "Enable delete for authenticated users" ON public.recipes;
+
+DROP POLICY IF EXISTS "Recipes are visible to their audience" ON public.recipes;
+
+CREATE POLICY "Recipes are visible to their audience" ON public.recipes
+    FOR SELECT
+    USING (can_view_recipe(owner_id, visibility, group_id));
+
+DROP POLICY IF EXISTS "Users can add their own recipes" ON public.recipes;
+
+CREATE POLICY "Users can add their own recipes" ON public.recipes
+    FOR INSERT
+    WITH CHECK (owner_id = auth.uid() AND can_share_recipe_with(visibility, group_id));
+
+DROP POLICY IF EXISTS "Owners can update their recipes" ON public.recipes;
+
+CREATE POLICY "Owners can update their recipes" ON public.recipes
+    FOR UPDATE
+    USING (owner_id = auth.uid())
+    WITH CHECK (owner_id = auth.uid() AND can_share_recipe_with(visibility, group_id));
+
+DROP POLICY IF EXISTS "Owners can delete their recipes" ON public.recipes;
+
+CREATE POLICY "Owners can delete their recipes" ON public.recipes
+    FOR DELETE
+    USING (owner_id = auth.uid());
+
+-- ============================================
+-- 4. ANALYSIS FOR RECIPES THE USER DOESN'T OWN
+-- ============================================
+-- The analysis backfill (see database-recipe-analysis.sql) can no longer
+-- update seeded recipes directly, as they have no owner, so it saves through
+-- this function. It only touches the analysis and the dietary tags, never
+-- the rest of the recipe.
+--
+-- The analysis is worked out by the client, so it can't be trusted for
+-- recipes everyone sees: their tags feed the dietary filter in
+-- search_recipes. Members may only save analyses of their own recipes;
+-- seeded recipes are only analysed by the service role (a maintenance run,
+-- never the app). Either way the analysis must come from the current
+-- analyser version, not whatever version the caller claims. Other members'
+-- recipes are analysed when their owner saves them.
+-- Returns false when the recipe was left alone.
+
+-- Keep in step with ANALYZER_VERSION in lib/recipeAnalyzer.js
+CREATE OR REPLACE FUNCTION recipe_analyzer_version()
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT 2;
+$$;
+
+DROP FUNCTION IF EXISTS save_recipe_analysis(INTEGER, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION save_recipe_analysis(recipe_row_id INTEGER, analysis JSONB, dietary_tags JSONB)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    is_service BOOLEAN := COALESCE(auth.jwt() ->> 'role', '') = 'service_role';
+BEGIN
+    IF auth.uid() IS NULL AND NOT is_service THEN
+        RAISE EXCEPTION 'permission denied: not signed in' USING ERRCODE = '42501';
+    END IF;
+
+    IF COALESCE(analysis->>'version', '') <> recipe_analyzer_version()::TEXT THEN
+        RAISE EXCEPTION 'Recipe analyses must come from analyser version %', recipe_analyzer_version()
+            USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE public.recipes r
+    SET dietary_analysis = analysis,
+        analyzed_at = timezone('utc'::text, now()),
+        recipe_data = jsonb_set(r.recipe_data, '{dietary}', COALESCE(dietary_tags, '[]'::jsonb))
+    WHERE r.id = recipe_row_id
+    AND (
+        (auth.uid() IS NOT NULL AND r.owner_id = auth.uid())
+        OR (
+            is_service
+            AND r.owner_id IS NULL
+            AND COALESCE(r.dietary_analysis->>'version', '') <> recipe_analyzer_version()::TEXT
+        )
+    );
+
+    RETURN FOUND;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION save_recipe_analysis(INTEGER, JSONB, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION save_recipe_analysis(INTEGER, JSONB, JSONB) TO authenticated, service_role;
+
+-- ============================================
+-- 5. FEED FUNCTIONS
+-- ============================================
+DROP FUNCTION IF EXISTS get_random_recipes(INTEGER);
+
+CREATE OR REPLACE FUNCTION get_random_recipes(limit_count INTEGER DEFAULT 20)
+RETURNS TABLE (
+    id INTEGER,
+    recipe_id TEXT,
+    recipe_data JSONB,
+    added_at TIMESTAMP WITH TIME ZONE,
+    owner_id UUID,
+    visibility TEXT,
+    group_id UUID
+)
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+    SELECT
+        r.id,
+        r.recipe_id,
+        r.recipe_data,
+        r.added_at,
+        r.owner_id,
+        r.visibility,
+        r.group_id
+    FROM public.recipes r
+    WHERE can_view_recipe(r.owner_id, r.visibility, r.group_id)
+    ORDER BY RANDOM()
+    LIMIT limit_count;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_random_recipes(INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION get_random_recipes(INTEGER) TO authenticated;
+
+-- Search terms go through contains_pattern (database-recipes-search.sql), so
+-- % and _ in them match literally
+DROP FUNCTION IF EXISTS search_recipes(TEXT, TEXT[], INTEGER, NUMERIC, TEXT[], TEXT[], TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_recipes(
+    search_term TEXT DEFAULT NULL,
+    dietary_tags TEXT[] DEFAULT NULL,
+    max_ready_minutes INTEGER DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    include_ingredients TEXT[] DEFAULT NULL,
+    exclude_ingredients TEXT[] DEFAULT NULL,
+    sort_by TEXT DEFAULT 'newest',
+    offset_count INTEGER DEFAULT 0,
+    limit_count INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+    id INTEGER,
+    recipe_id TEXT,
+    recipe_data JSONB,
+    added_at TIMESTAMP WITH TIME ZONE,
+    owner_id UUID,
+    visibility TEXT,
+    group_id UUID,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT
+        r.id,
+        r.recipe_id,
+        r.recipe_data,
+        r.added_at,
+        r.owner_id,
+        r.visibility,
+        r.group_id,
+        COUNT(*) OVER() AS total_count
+    FROM public.recipes r
+    WHERE
+        can_view_recipe(r.owner_id, r.visibility, r.group_id)
+        AND (
+            search_term IS NULL OR search_term = ''
+            OR r.recipe_data->>'title' ILIKE contains_pattern(search_term)
+            OR r.recipe_data->>'description' ILIKE contains_pattern(search_term)
+        )
+        AND (
+            dietary_tags IS NULL OR cardinality(dietary_tags) = 0
+            OR COALESCE(r.recipe_data->'dietary', '[]'::jsonb) @> to_jsonb(dietary_tags)
+        )
+        AND (
+            max_ready_minutes IS NULL
+            OR recipe_ready_minutes(r.recipe_data) <= max_ready_minutes
+        )
+        AND (
+            max_price IS NULL
+            OR recipe_price_per_serving(r.recipe_data) <= max_price
+        )
+        AND (
+            include_ingredients IS NULL OR cardinality(include_ingredients) = 0
+            OR NOT EXISTS (
+                SELECT 1 FROM unnest(include_ingredients) AS wanted(term)
+                WHERE NOT EXISTS (
+                    SELECT 1
+                    FROM jsonb_array_elements_text(COALESCE(r.recipe_data->'ingredients', '[]'::jsonb)) AS ing(line)
+                    WHERE ing.line ILIKE contains_pattern(wanted.term)
+                )
+            )
+        )
+        AND (
+            exclude_ingredients IS NULL OR cardinality(exclude_ingredients) = 0
+            OR NOT EXISTS (
+                SELECT 1
+                FROM unnest(exclude_ingredients) AS unwanted(term),
+                     jsonb_array_elements_text(COALESCE(r.recipe_data->'ingredients', '[]'::jsonb)) AS ing(line)
+                WHERE ing.line ILIKE contains_pattern(unwanted.term)
+            )
+        )
+    ORDER BY
+        CASE WHEN sort_by = 'quickest' THEN recipe_ready_minutes(r.recipe_data) END ASC NULLS LAST,
+        CASE WHEN sort_by = 'cheapest' THEN recipe_price_per_serving(r.recipe_data) END ASC NULLS LAST,
+        CASE WHEN sort_by = 'title' THEN lower(r.recipe_data->>'title') END ASC NULLS LAST,
+        r.added_at DESC,
+        r.id DESC
+    OFFSET GREATEST(offset_count, 0)
+    LIMIT LEAST(GREATEST(limit_count, 1), 100);
+$$;
+
+GRANT EXECUTE ON FUNCTION search_recipes(TEXT, TEXT[], INTEGER, NUMERIC, TEXT[], TEXT[], TEXT, INTEGER, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION search_recipes(TEXT, TEXT[], INTEGER, NUMERIC, TEXT[], TEXT[], TEXT, INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,216 @@
+-- Veto votes for meal requests
+-- Run this in your Supabase SQL editor after database-voting-modes.sql
+--
+-- A veto takes a meal out of the running for the session. Each member can
+-- cast at most meal_requests.veto_budget vetoes per session.
+
+-- ============================================
+-- 1. ALLOW 'veto' AS A VOTE
+-- ============================================
+ALTER TABLE public.meal_votes DROP CONSTRAINT IF EXISTS meal_votes_vote_check;
+ALTER TABLE public.meal_votes
+ADD CONSTRAINT meal_votes_vote_check CHECK (vote IN ('yes', 'no', 'veto'));
+
+-- Vetoes carry no score or rank
+ALTER TABLE public.meal_votes DROP CONSTRAINT IF EXISTS meal_votes_veto_plain_check;
+ALTER TABLE public.meal_votes
+ADD CONSTRAINT meal_votes_veto_plain_check CHECK (vote != 'veto' OR (score IS NULL AND rank IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_meal_votes_vetoes
+ON public.meal_votes(request_id, user_id)
+WHERE vote = 'veto';
+
+-- ============================================
+-- 2. VETO BUDGET PER MEAL REQUEST
+-- ============================================
+ALTER TABLE public.meal_requests
+ADD COLUMN IF NOT EXISTS veto_budget INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE public.meal_requests DROP CONSTRAINT IF EXISTS meal_requests_veto_budget_check;
+ALTER TABLE public.meal_requests
+ADD CONSTRAINT meal_requests_veto_budget_check CHECK (veto_budget BETWEEN 0 AND 10);
+
+-- ============================================
+-- 3. ENFORCE THE BUDGET
+-- ============================================
+CREATE OR REPLACE FUNCTION enforce_veto_budget()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    budget INTEGER;
+    used INTEGER;
+BEGIN
+    IF NEW.vote != 'veto' THEN
+        RETURN NEW;
+    END IF;
+
+    -- Two vetoes from the same member arriving at once would both see the
+    -- old count; the second waits here until the first has committed, and
+    -- the count below then includes it
+    PERFORM pg_advisory_xact_lock(hashtextextended(NEW.request_id::TEXT || ':' || NEW.user_id::TEXT, 0));
+
+    SELECT mr.veto_budget INTO budget
+    FROM public.meal_requests mr
+    WHERE mr.id = NEW.request_id;
+
+    SELECT COUNT(*) INTO used
+    FROM public.meal_votes mv
+    WHERE mv.request_id = NEW.request_id
+    AND mv.user_id = NEW.user_id
+    AND mv.vote = 'veto'
+    AND mv.meal_option_id != NEW.meal_option_id;
+
+    IF used >= COALESCE(budget, 0) THEN
+        RAISE EXCEPTION 'You have no vetoes left for this session';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_veto_budget_trigger ON public.meal_votes;
+CREATE TRIGGER enforce_veto_budget_trigger
+    BEFORE INSERT OR UPDATE ON public.meal_votes
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_veto_budget();
+
+-- ============================================
+-- 4. RANKED BALLOTS WITH VETOES
+-- ============================================
+-- Same as database-voting-modes.sql, plus the caller's vetoes for the
+-- session. Ranked meals can't also be vetoed.
+DROP FUNCTION IF EXISTS submit_ranked_ballot(UUID, UUID[]);
+
+CREATE OR REPLACE FUNCTION submit_ranked_ballot(request_uuid UUID, option_ids UUID[], veto_ids UUID[] DEFAULT '{}')
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+    ballot_size INTEGER := COALESCE(cardinality(option_ids), 0);
+    veto_count INTEGER := COALESCE(cardinality(veto_ids), 0);
+    i INTEGER;
+BEGIN
+    SELECT mr.id, mr.group_id, mr.status, mr.voting_mode INTO request_record
+    FROM public.meal_requests mr
+    WHERE mr.id = request_uuid;
+
+    IF request_record.id IS NULL OR request_record.status != 'active' THEN
+        RAISE EXCEPTION 'This voting session has ended or was removed';
+    END IF;
+
+    IF request_record.voting_mode != 'ranked' THEN
+        RAISE EXCEPTION 'This voting session does not use ranked voting';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    IF ballot_size < 1 OR ballot_size > 3 THEN
+        RAISE EXCEPTION 'Rank between 1 and 3 meals';
+    END IF;
+
+    IF (SELECT COUNT(DISTINCT id) FROM unnest(option_ids || veto_ids) AS id) != ballot_size + veto_count THEN
+        RAISE EXCEPTION 'Each meal can only be ranked or vetoed once';
+    END IF;
+
+    IF (
+        SELECT COUNT(*) FROM public.meal_request_options mro
+        WHERE mro.request_id = request_uuid AND mro.id = ANY(option_ids || veto_ids)
+    ) != ballot_size + veto_count THEN
+        RAISE EXCEPTION 'Ranked meals must belong to this voting session';
+    END IF;
+
+    DELETE FROM public.meal_votes
+    WHERE request_id = request_uuid AND user_id = auth.uid();
+
+    FOR i IN 1..ballot_size LOOP
+        INSERT INTO public.meal_votes (request_id, meal_option_id, user_id, vote, rank)
+        VALUES (request_uuid, option_ids[i], auth.uid(), 'yes', i);
+    END LOOP;
+
+    -- enforce_veto_budget_trigger rejects vetoes over the budget
+    FOR i IN 1..veto_count LOOP
+        INSERT INTO public.meal_votes (request_id, meal_option_id, user_id, vote)
+        VALUES (request_uuid, veto_ids[i], auth.uid(), 'veto');
+    END LOOP;
+
+    RETURN ballot_size;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION submit_ranked_ballot(UUID, UUID[], UUID[]) TO authenticated;
+
+-- ============================================
+-- 5. LEAVE VETOED MEALS OUT OF THE TOP 3
+-- ============================================
+CREATE OR REPLACE FUNCTION get_top_voted_meals(request_uuid UUID)
+RETURNS TABLE (
+    meal_option_id UUID,
+    meal_data JSONB,
+    yes_votes BIGINT,
+    no_votes BIGINT,
+    total_votes BIGINT,
+    yes_percentage NUMERIC,
+    no_percentage NUMERIC,
+    not_voted_percentage NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    total_group_members INTEGER;
+BEGIN
+    -- Get total number of group members
+    SELECT COUNT(*) INTO total_group_members
+    FROM public.group_members gm
+    JOIN public.meal_requests mr ON gm.group_id = mr.group_id
+    WHERE mr.id = request_uuid AND gm.is_active = true;
+
+    RETURN QUERY
+    WITH vote_counts AS (
+        SELECT
+            mro.id as meal_option_id,
+            mro.meal_data,
+            COUNT(CASE WHEN mv.vote = 'yes' THEN 1 END) as yes_votes,
+            COUNT(CASE WHEN mv.vote = 'no' THEN 1 END) as no_votes,
+            COUNT(CASE WHEN mv.vote = 'veto' THEN 1 END) as veto_votes,
+            COUNT(mv.vote) as total_votes
+        FROM public.meal_request_options mro
+        LEFT JOIN public.meal_votes mv ON mro.id = mv.meal_option_id
+        WHERE mro.request_id = request_uuid
+        GROUP BY mro.id, mro.meal_data
+    )
+    SELECT
+        vc.meal_option_id,
+        vc.meal_data,
+        vc.yes_votes,
+        vc.no_votes,
+        vc.total_votes,
+        CASE
+            WHEN total_group_members > 0 THEN ROUND((vc.yes_votes::NUMERIC / total_group_members::NUMERIC) * 100, 1)
+            ELSE 0
+        END as yes_percentage,
+        CASE
+            WHEN total_group_members > 0 THEN ROUND((vc.no_votes::NUMERIC / total_group_members::NUMERIC) * 100, 1)
+            ELSE 0
+        END as no_percentage,
+        CASE
+            WHEN total_group_members > 0 THEN ROUND(((total_group_members - vc.total_votes)::NUMERIC / total_group_members::NUMERIC) * 100, 1)
+            ELSE 0
+        END as not_voted_percentage
+    FROM vote_counts vc
+    WHERE vc.veto_votes = 0
+    ORDER BY vc.yes_votes DESC, vc.no_votes ASC
+    LIMIT 3;
+END;
+$$;
@@ -0,0 +1,104 @@
+-- Voting modes for meal requests
+-- Run this in your Supabase SQL editor after database-meal-requests.sql
+--
+-- yes_no: members like or dislike every option (original behaviour)
+-- score:  members give every option 1-5; highest average wins
+-- ranked: members rank their top 3; counted by instant runoff in the app
+--
+-- meal_votes.vote stays filled in every mode (score 4-5 = 'yes', ranked = 'yes')
+-- so the existing results functions and voting progress keep working.
+
+-- ============================================
+-- 1. VOTING MODE PER MEAL REQUEST
+-- ============================================
+ALTER TABLE public.meal_requests
+ADD COLUMN IF NOT EXISTS voting_mode TEXT NOT NULL DEFAULT 'yes_no';
+
+ALTER TABLE public.meal_requests DROP CONSTRAINT IF EXISTS meal_requests_voting_mode_check;
+ALTER TABLE public.meal_requests
+ADD CONSTRAINT meal_requests_voting_mode_check CHECK (voting_mode IN ('yes_no', 'score', 'ranked'));
+
+-- ============================================
+-- 2. SCORE AND RANK ON VOTES
+-- ============================================
+ALTER TABLE public.meal_votes
+ADD COLUMN IF NOT EXISTS score SMALLINT,
+ADD COLUMN IF NOT EXISTS rank SMALLINT;
+
+ALTER TABLE public.meal_votes DROP CONSTRAINT IF EXISTS meal_votes_score_check;
+ALTER TABLE public.meal_votes
+ADD CONSTRAINT meal_votes_score_check CHECK (score IS NULL OR score BETWEEN 1 AND 5);
+
+ALTER TABLE public.meal_votes DROP CONSTRAINT IF EXISTS meal_votes_rank_check;
+ALTER TABLE public.meal_votes
+ADD CONSTRAINT meal_votes_rank_check CHECK (rank IS NULL OR rank BETWEEN 1 AND 3);
+
+-- A member can use each rank only once per request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meal_votes_unique_rank
+ON public.meal_votes(request_id, user_id, rank)
+WHERE rank IS NOT NULL;
+
+-- ============================================
+-- 3. SUBMIT RANKED BALLOT
+-- ============================================
+-- Replaces the caller's ballot in one transaction.
+-- option_ids holds 1 to 3 meal option IDs, best first.
+CREATE OR REPLACE FUNCTION submit_ranked_ballot(request_uuid UUID, option_ids UUID[])
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+    ballot_size INTEGER := COALESCE(cardinality(option_ids), 0);
+    i INTEGER;
+BEGIN
+    SELECT mr.id, mr.group_id, mr.status, mr.voting_mode INTO request_record
+    FROM public.meal_requests mr
+    WHERE mr.id = request_uuid;
+
+    IF request_record.id IS NULL OR request_record.status != 'active' THEN
+        RAISE EXCEPTION 'This voting session has ended or was removed';
+    END IF;
+
+    IF request_record.voting_mode != 'ranked' THEN
+        RAISE EXCEPTION 'This voting session does not use ranked voting';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    IF ballot_size < 1 OR ballot_size > 3 THEN
+        RAISE EXCEPTION 'Rank between 1 and 3 meals';
+    END IF;
+
+    IF (SELECT COUNT(DISTINCT id) FROM unnest(option_ids) AS id) != ballot_size THEN
+        RAISE EXCEPTION 'Each meal can only be ranked once';
+    END IF;
+
+    IF (
+        SELECT COUNT(*) FROM public.meal_request_options mro
+        WHERE mro.request_id = request_uuid AND mro.id = ANY(option_ids)
+    ) != ballot_size THEN
+        RAISE EXCEPTION 'Ranked meals must belong to this voting session';
+    END IF;
+
+    DELETE FROM public.meal_votes
+    WHERE request_id = request_uuid AND user_id = auth.uid();
+
+    FOR i IN 1..ballot_size LOOP
+        INSERT INTO public.meal_votes (request_id, meal_option_id, user_id, vote, rank)
+        VALUES (request_uuid, option_ids[i], auth.uid(), 'yes', i);
+    END LOOP;
+
+    RETURN ballot_size;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION submit_ranked_ballot(UUID, UUID[]) TO authenticated;
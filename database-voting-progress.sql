@@ -0,0 +1,163 @@
+-- Group voting progress and nudges
+-- Run this in your Supabase SQL editor after database-realtime.sql
+--
+-- The group detail modal shows how far each member is with swiping. The
+-- progress function only hands out counts, never the votes themselves. The
+-- organiser (whoever started the session, or the group's creator) can nudge
+-- members who are lagging; a nudge shows up in the member's app.
+
+-- ============================================
+-- 1. PER-MEMBER VOTING PROGRESS
+-- ============================================
+-- One row per active member. A submitted ranked ballot counts as having
+-- voted on every option.
+CREATE OR REPLACE FUNCTION get_group_voting_progress(request_uuid UUID)
+RETURNS TABLE (member_id UUID, voted_count INTEGER, total_options INTEGER, last_voted_at TIMESTAMP WITH TIME ZONE)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+    option_count INTEGER;
+BEGIN
+    SELECT mr.id, mr.group_id, mr.voting_mode INTO request_record
+    FROM public.meal_requests mr
+    WHERE mr.id = request_uuid;
+
+    IF request_record.id IS NULL THEN
+        RAISE EXCEPTION 'Voting session not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = auth.uid()
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'permission denied: not a member of this group' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT COUNT(*) INTO option_count
+    FROM public.meal_request_options mro
+    WHERE mro.request_id = request_uuid;
+
+    RETURN QUERY
+    SELECT
+        gm.user_id,
+        CASE
+            WHEN request_record.voting_mode = 'ranked' AND COUNT(mv.id) > 0 THEN option_count
+            ELSE LEAST(COUNT(mv.id)::INTEGER, option_count)
+        END,
+        option_count,
+        MAX(mv.voted_at)
+    FROM public.group_members gm
+    LEFT JOIN public.meal_votes mv ON mv.request_id = request_uuid AND mv.user_id = gm.user_id
+    WHERE gm.group_id = request_record.group_id
+    AND gm.is_active = true
+    GROUP BY gm.user_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_group_voting_progress(UUID) TO authenticated;
+
+-- ============================================
+-- 2. NUDGES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public.voting_nudges (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    request_id UUID REFERENCES public.meal_requests(id) ON DELETE CASCADE NOT NULL,
+    group_id UUID REFERENCES public.groups(id) ON DELETE CASCADE NOT NULL,
+    from_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    to_user UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now() NOT NULL,
+    seen_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_voting_nudges_to_user ON public.voting_nudges(to_user) WHERE seen_at IS NULL;
+
+ALTER TABLE public.voting_nudges ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their nudges" ON public.voting_nudges;
+
+CREATE POLICY "Users can view their nudges" ON public.voting_nudges
+    FOR SELECT
+    USING (to_user = auth.uid() OR from_user = auth.uid());
+
+-- Only marking a nudge as seen; sending goes through nudge_voter
+DROP POLICY IF EXISTS "Users can mark their nudges seen" ON public.voting_nudges;
+
+CREATE POLICY "Users can mark their nudges seen" ON public.voting_nudges
+    FOR UPDATE
+    USING (to_user = auth.uid())
+    WITH CHECK (to_user = auth.uid());
+
+-- ============================================
+-- 3. SEND A NUDGE
+-- ============================================
+CREATE OR REPLACE FUNCTION nudge_voter(request_uuid UUID, user_uuid UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    request_record RECORD;
+    nudge_id UUID;
+BEGIN
+    SELECT mr.id, mr.group_id, mr.status, mr.requested_by, g.created_by AS group_creator INTO request_record
+    FROM public.meal_requests mr
+    JOIN public.groups g ON g.id = mr.group_id
+    WHERE mr.id = request_uuid;
+
+    IF request_record.id IS NULL OR request_record.status <> 'active' THEN
+        RAISE EXCEPTION 'This voting session has already ended' USING ERRCODE = 'P0001';
+    END IF;
+
+    IF auth.uid() NOT IN (request_record.requested_by, request_record.group_creator) THEN
+        RAISE EXCEPTION 'permission denied: only the organiser can nudge members' USING ERRCODE = '42501';
+    END IF;
+
+    IF user_uuid = auth.uid() OR NOT EXISTS (
+        SELECT 1 FROM public.group_members gm
+        WHERE gm.group_id = request_record.group_id
+        AND gm.user_id = user_uuid
+        AND gm.is_active = true
+    ) THEN
+        RAISE EXCEPTION 'That member can''t be nudged' USING ERRCODE = 'P0001';
+    END IF;
+
+    -- One nudge per member every 10 minutes is plenty
+    IF EXISTS (
+        SELECT 1 FROM public.voting_nudges vn
+        WHERE vn.request_id = request_uuid
+        AND vn.to_user = user_uuid
+        AND vn.created_at > now() - INTERVAL '10 minutes'
+    ) THEN
+        RAISE EXCEPTION 'Already nudged in the last 10 minutes' USING ERRCODE = 'P0001';
+    END IF;
+
+    INSERT INTO public.voting_nudges (request_id, group_id, from_user, to_user)
+    VALUES (request_uuid, request_record.group_id, auth.uid(), user_uuid)
+    RETURNING id INTO nudge_id;
+
+    RETURN nudge_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION nudge_voter(UUID, UUID) TO authenticated;
+
+-- ============================================
+-- 4. REALTIME
+-- ============================================
+-- Nudges reach an open app straight away
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime'
+        AND schemaname = 'public'
+        AND tablename = 'voting_nudges'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.voting_nudges;
+    END IF;
+END;
+$$;
@@ -1,8 +1,11 @@
-import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
 import { supabase } from './supabase';
 import { getUserGroups } from './groupsService';
 import { getAllDinnerRequests } from './dinnerRequestService';
 import { getCurrentUserProfile } from './profileService';
+import { offlineQueue, OFFLINE_ACTIONS, OFFLINE_QUEUE_EVENTS } from './offlineQueue';
+import { subscriptionManager } from './databaseOptimizations';
 
 // Initial state
 const initialState = {
@@ -24,6 +27,9 @@ const initialState = {
   // Local optimistic updates
   localResponseMap: new Map(),
   
+  // Votes, responses and wishlist changes waiting for a connection
+  pendingOfflineActions: [],
+  
   // App state
   currentScreen: 'profile',
   refreshTrigger: 0,
@@ -50,6 +56,7 @@ const actionTypes = {
   
   ADD_LOCAL_RESPONSE: 'ADD_LOCAL_RESPONSE',
   CLEAR_LOCAL_RESPONSE: 'CLEAR_LOCAL_RESPONSE',
+  SET_PENDING_OFFLINE_ACTIONS: 'SET_PENDING_OFFLINE_ACTIONS',
   
   SET_CURRENT_SCREEN: 'SET_CURRENT_SCREEN',
   TRIGGER_REFRESH: 'TRIGGER_REFRESH',
@@ -144,6 +151,9 @@ const appStateReducer = (state, action) => {
       clearedMap.delete(action.payload);
       return { ...state, localResponseMap: clearedMap };
       
+    case actionTypes.SET_PENDING_OFFLINE_ACTIONS:
+      return { ...state, pendingOfflineActions: action.payload };
+      
     case actionTypes.SET_CURRENT_SCREEN:
       return { ...state, currentScreen: action.payload };
       
@@ -337,6 +347,56 @@ export const AppStateProvider = ({ children }) => {
     }
   }, [state.isGuest, loadGroups, loadDinnerRequests, loadUserProfile]);
 
+  // Offline queue: queued dinner responses stay answered in the UI until they
+  // replay, and come back if the request ended in the meantime
+  const loadDinnerRequestsRef = useRef(loadDinnerRequests);
+  loadDinnerRequestsRef.current = loadDinnerRequests;
+  
+  useEffect(() => {
+    if (state.isGuest) return;
+    
+    const unsubscribe = offlineQueue.subscribe(({ type, action, error, pending }) => {
+      dispatch({ type: actionTypes.SET_PENDING_OFFLINE_ACTIONS, payload: pending });
+      
+      pending
+        .filter(queued => queued.type === OFFLINE_ACTIONS.DINNER_RESPONSE)
+        .forEach(queued => {
+          dispatch({ type: actionTypes.ADD_LOCAL_RESPONSE, payload: queued.payload });
+        });
+      
+      const isDinnerResponse = action?.type === OFFLINE_ACTIONS.DINNER_RESPONSE;
+      
+      if (type === OFFLINE_QUEUE_EVENTS.CONFLICT || type === OFFLINE_QUEUE_EVENTS.FAILED) {
+        if (isDinnerResponse) {
+          dispatch({ type: actionTypes.CLEAR_LOCAL_RESPONSE, payload: action.payload.requestId });
+        }
+        Alert.alert('Not Sent', error || 'A change you made while offline could not be saved.');
+      }
+      
+      if (type === OFFLINE_QUEUE_EVENTS.REPLAYED && isDinnerResponse) {
+        loadDinnerRequestsRef.current(true);
+      }
+    });
+    
+    offlineQueue.start();
+    
+    return () => {
+      unsubscribe();
+      offlineQueue.stop();
+    };
+  }, [state.isGuest]);
+
+  // Realtime channels belong to the signed-in user - drop them on sign out
+  useEffect(() => {
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+      if (event === 'SIGNED_OUT') {
+        subscriptionManager.unsubscribeAll();
+      }
+    });
+    
+    return () => subscription.unsubscribe();
+  }, []);
+
   // Context value
   const value = {
     // State
@@ -0,0 +1,94 @@
+import { calculateBalances, formatMoney, minimizeTransfers, splitAmount, toCents } from '../costSplitting';
+
+// Applies transfers to balances; settled balances are all zero
+const settle = (balances, transfers) => {
+  const result = { ...balances };
+  transfers.forEach(({ from, to, amountCents }) => {
+    result[from] += amountCents;
+    result[to] -= amountCents;
+  });
+  return result;
+};
+
+describe('toCents and formatMoney', () => {
+  it('rounds to whole cents', () => {
+    expect(toCents('12.50')).toBe(1250);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(null)).toBe(0);
+    expect(formatMoney(-1250)).toBe('€12.50');
+  });
+});
+
+describe('splitAmount', () => {
+  it('gives leftover cents to the first eaters in id order', () => {
+    expect(splitAmount(1000, ['carla', 'anna', 'bram'])).toEqual({ anna: 334, bram: 333, carla: 333 });
+    expect(splitAmount(1001, ['bram', 'anna', 'carla'])).toEqual({ anna: 334, bram: 334, carla: 333 });
+  });
+
+  it('counts an eater once and splits between nobody as nothing', () => {
+    expect(splitAmount(1000, ['anna', 'anna', 'bram'])).toEqual({ anna: 500, bram: 500 });
+    expect(splitAmount(1000, [])).toEqual({});
+  });
+});
+
+describe('calculateBalances', () => {
+  it('credits the payer and charges every eater their share', () => {
+    const balances = calculateBalances([{ paid_by: 'anna', amount: '10.00', eater_ids: ['anna', 'bram', 'carla'] }]);
+
+    expect(balances).toEqual({ anna: 666, bram: -333, carla: -333 });
+  });
+
+  it('takes settlements off what is owed', () => {
+    const balances = calculateBalances(
+      [{ paid_by: 'anna', amount: '10.00', eater_ids: ['anna', 'bram', 'carla'] }],
+      [{ from_user: 'bram', to_user: 'anna', amount: '3.33' }]
+    );
+
+    expect(balances).toEqual({ anna: 333, bram: 0, carla: -333 });
+  });
+
+  it('always adds up to zero', () => {
+    const balances = calculateBalances([
+      { paid_by: 'anna', amount: '17.45', eater_ids: ['anna', 'bram', 'carla'] },
+      { paid_by: 'bram', amount: '9.99', eater_ids: ['bram', 'carla', 'dirk', 'eva', 'fleur', 'anna'] },
+      { paid_by: 'dirk', amount: '23.01', eater_ids: ['carla', 'eva', 'fleur'] }
+    ]);
+
+    expect(Object.values(balances).reduce((sum, cents) => sum + cents, 0)).toBe(0);
+  });
+});
+
+describe('minimizeTransfers', () => {
+  it('pays the biggest creditor from the biggest debtor', () => {
+    expect(minimizeTransfers({ anna: 666, bram: -333, carla: -333 })).toEqual([
+      { from: 'bram', to: 'anna', amountCents: 333 },
+      { from: 'carla', to: 'anna', amountCents: 333 }
+    ]);
+  });
+
+  it('settles exact matches in one transfer each', () => {
+    expect(minimizeTransfers({ anna: 500, bram: -300, carla: 300, dirk: -500 })).toEqual([
+      { from: 'bram', to: 'carla', amountCents: 300 },
+      { from: 'dirk', to: 'anna', amountCents: 500 }
+    ]);
+  });
+
+  it('settles everyone with fewer transfers than members with a balance', () => {
+    const balances = calculateBalances([
+      { paid_by: 'anna', amount: '17.45', eater_ids: ['anna', 'bram', 'carla'] },
+      { paid_by: 'bram', amount: '9.99', eater_ids: ['bram', 'carla', 'dirk', 'eva', 'fleur', 'anna'] },
+      { paid_by: 'dirk', amount: '23.01', eater_ids: ['carla', 'eva', 'fleur'] }
+    ]);
+    const transfers = minimizeTransfers(balances);
+    const withBalance = Object.values(balances).filter(cents => cents !== 0).length;
+
+    expect(transfers.length).toBeLessThan(withBalance);
+    expect(transfers.every(transfer => Number.isInteger(transfer.amountCents) && transfer.amountCents > 0)).toBe(true);
+    expect(Object.values(settle(balances, transfers)).every(cents => cents === 0)).toBe(true);
+  });
+
+  it('has nothing to do when everyone is square', () => {
+    expect(minimizeTransfers({ anna: 0, bram: 0 })).toEqual([]);
+    expect(minimizeTransfers(null)).toEqual([]);
+  });
+});
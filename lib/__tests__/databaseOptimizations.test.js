@@ -0,0 +1,31 @@
+import { optimisticUpdate } from '../databaseOptimizations';
+
+jest.mock('../supabase', () => ({ supabase: {} }));
+
+describe('optimisticUpdate', () => {
+  it('keeps the optimistic state when a result reports a failure, unless asked to roll back', async () => {
+    const rollback = jest.fn();
+    const failed = { success: false, error: 'Recipe is already in your wishlist' };
+
+    expect(await optimisticUpdate(() => 'applied', Promise.resolve(failed), rollback)).toBe(failed);
+    expect(rollback).not.toHaveBeenCalled();
+
+    await optimisticUpdate(() => 'applied', Promise.resolve(failed), rollback, { rollbackOnFailure: true });
+    expect(rollback).toHaveBeenCalledWith('applied');
+  });
+
+  it('keeps queued and successful results', async () => {
+    const rollback = jest.fn();
+
+    await optimisticUpdate(() => 'applied', Promise.resolve({ success: true, queued: true }), rollback, { rollbackOnFailure: true });
+    await optimisticUpdate(() => 'applied', Promise.resolve({ success: true }), rollback, { rollbackOnFailure: true });
+    expect(rollback).not.toHaveBeenCalled();
+  });
+
+  it('always rolls back when the update throws', async () => {
+    const rollback = jest.fn();
+
+    await expect(optimisticUpdate(() => 'applied', Promise.reject(new Error('offline')), rollback)).rejects.toThrow('offline');
+    expect(rollback).toHaveBeenCalledWith('applied');
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  applyDietaryProfile,
+  getRecipeConflicts,
+  isRecipeAllowed,
+  mergeDietaryProfiles,
+  normalizeDietaryProfile
+} from '../dietaryProfile';
+
+// The same recipe shapes the app passes around: recipes rows, meal_data and recipe_data
+const pestoPasta = {
+  id: 'pesto',
+  title: 'Pasta pesto',
+  cuisine: 'italian',
+  ingredients: ['300 g spaghetti', '1 potje pesto', '50 g parmezaan']
+};
+const chickenCurry = {
+  id: 'curry',
+  meal_data: {
+    name: 'Groene curry met kip',
+    cuisines: ['asian'],
+    ingredients: ['400 g kipfilet', '400 ml kokosmelk', '1 el groene currypasta', '200 g rijst']
+  }
+};
+const lentilSoup = {
+  id: 'soup',
+  recipe_data: {
+    title: 'Linzensoep',
+    cuisine: 'middle-eastern',
+    ingredients: ['250 g rode linzen', '1 ui', '2 wortels', '1 l groentebouillon', '1 tl komijn']
+  }
+};
+const mysteryStew = { id: 'stew', title: 'Stoofpot van de chef' };
+
+const ids = (recipes) => recipes.map(recipe => recipe.id);
+
+describe('normalizeDietaryProfile', () => {
+  it('reads profiles rows, lowercases and drops unknown options', () => {
+    expect(normalizeDietaryProfile({
+      dietary_restrictions: ['Vegan', 'vegan', 'keto'],
+      allergens: ['Nuts', 'glitter'],
+      disliked_ingredients: [' Koriander ', ''],
+      favorite_cuisines: ['Italian']
+    })).toEqual({
+      dietaryRestrictions: ['vegan'],
+      allergens: ['nuts'],
+      dislikedIngredients: ['koriander'],
+      favoriteCuisines: ['italian']
+    });
+    expect(normalizeDietaryProfile()).toEqual({
+      dietaryRestrictions: [],
+      allergens: [],
+      dislikedIngredients: [],
+      favoriteCuisines: []
+    });
+  });
+});
+
+describe('mergeDietaryProfiles', () => {
+  it('keeps every limit of everyone at the table', () => {
+    const merged = mergeDietaryProfiles([
+      normalizeDietaryProfile({ dietary_restrictions: ['vegetarian'], allergens: ['nuts'] }),
+      normalizeDietaryProfile({ allergens: ['nuts', 'fish'], disliked_ingredients: ['ui'] })
+    ]);
+
+    expect(merged).toEqual({
+      dietaryRestrictions: ['vegetarian'],
+      allergens: ['nuts', 'fish'],
+      dislikedIngredients: ['ui'],
+      favoriteCuisines: []
+    });
+  });
+});
+
+describe('getRecipeConflicts', () => {
+  it('says which allergens, diets and dislikes a recipe runs into', () => {
+    const profile = normalizeDietaryProfile({
+      dietary_restrictions: ['vegetarian', 'gluten-free'],
+      allergens: ['nuts', 'soy'],
+      disliked_ingredients: ['parmezaan']
+    });
+
+    expect(getRecipeConflicts(pestoPasta, profile)).toEqual({
+      allergens: ['nuts'],
+      restrictions: ['gluten-free'],
+      dislikes: ['parmezaan'],
+      unknownIngredients: false
+    });
+  });
+});
+
+describe('isRecipeAllowed', () => {
+  it('allows everything for a profile without limits', () => {
+    const profile = normalizeDietaryProfile({ favorite_cuisines: ['asian'] });
+
+    [pestoPasta, chickenCurry, lentilSoup, mysteryStew].forEach(recipe => {
+      expect(isRecipeAllowed(recipe, profile)).toBe(true);
+    });
+  });
+
+  it('rules out what a diet forbids in any recipe shape', () => {
+    const vegetarian = normalizeDietaryProfile({ dietary_restrictions: ['vegetarian'] });
+
+    expect(isRecipeAllowed(chickenCurry, vegetarian)).toBe(false);
+    expect(isRecipeAllowed(lentilSoup, vegetarian)).toBe(true);
+    expect(isRecipeAllowed(pestoPasta, vegetarian)).toBe(true);
+  });
+
+  it('treats a food group a recipe might contain as contained', () => {
+    // Stock can contain gluten and curry paste can contain fish
+    expect(isRecipeAllowed(lentilSoup, normalizeDietaryProfile({ dietary_restrictions: ['gluten-free'] }))).toBe(false);
+    expect(isRecipeAllowed(chickenCurry, normalizeDietaryProfile({ allergens: ['fish'] }))).toBe(false);
+  });
+
+  it('never calls a recipe without ingredients safe for allergens or diets', () => {
+    expect(isRecipeAllowed(mysteryStew, normalizeDietaryProfile({ allergens: ['egg'] }))).toBe(false);
+    expect(isRecipeAllowed(mysteryStew, normalizeDietaryProfile({ disliked_ingredients: ['ui'] }))).toBe(true);
+  });
+
+  it('only counts dislikes when asked to', () => {
+    const profile = normalizeDietaryProfile({ disliked_ingredients: ['kip'] });
+
+    expect(isRecipeAllowed(chickenCurry, profile)).toBe(false);
+    expect(isRecipeAllowed(chickenCurry, profile, { includeDislikes: false })).toBe(true);
+  });
+});
+
+describe('applyDietaryProfile', () => {
+  const recipes = [pestoPasta, chickenCurry, lentilSoup, mysteryStew];
+
+  it('drops unsuitable recipes and puts favourite cuisines first', () => {
+    const profile = normalizeDietaryProfile({
+      dietary_restrictions: ['vegetarian'],
+      favorite_cuisines: ['middle-eastern']
+    });
+
+    expect(ids(applyDietaryProfile(recipes, profile))).toEqual(['soup', 'pesto']);
+  });
+
+  it('keeps the order when there are no favourites', () => {
+    expect(ids(applyDietaryProfile(recipes, normalizeDietaryProfile({ allergens: ['nuts'] })))).toEqual(['curry', 'soup']);
+    expect(ids(applyDietaryProfile(recipes, null))).toEqual(['pesto', 'curry', 'soup', 'stew']);
+  });
+});
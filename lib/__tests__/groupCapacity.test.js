@@ -0,0 +1,27 @@
+import { describeGroupCapacity, validateGroupCapacity } from '../groupCapacity';
+
+describe('validateGroupCapacity', () => {
+  it('accepts whole numbers from 2 to 100', () => {
+    expect(validateGroupCapacity(2)).toBeNull();
+    expect(validateGroupCapacity(100, 40)).toBeNull();
+  });
+
+  it('rejects anything outside the limits', () => {
+    [1, 101, 7.5, NaN, '8'].forEach(maxMembers => {
+      expect(validateGroupCapacity(maxMembers)).toBe('A group can have between 2 and 100 members');
+    });
+  });
+
+  it('does not go below the members the group already has', () => {
+    expect(validateGroupCapacity(6, 8)).toBe('The group already has 8 members. Remove some before lowering the limit.');
+    expect(validateGroupCapacity(8, 8)).toBeNull();
+  });
+});
+
+describe('describeGroupCapacity', () => {
+  it('shows how full the group is and who is waiting', () => {
+    expect(describeGroupCapacity(6, 8)).toBe('6 of 8 members');
+    expect(describeGroupCapacity(8, 8, 2)).toBe('Full: 8 of 8 members · 2 waiting');
+    expect(describeGroupCapacity(null)).toBe('0 of 50 members');
+  });
+});
@@ -0,0 +1,104 @@
+import {
+  getBusiestTimes,
+  getDeclineStats,
+  getMemberAttendance,
+  getMostLovedRecipes,
+  getTasteOverlap
+} from '../groupInsights';
+
+const option = (id, name, yesVotes, totalVotes) => ({ meal_option_id: id, name, yes_votes: yesVotes, total_votes: totalVotes });
+const response = (userId, answer, respondedAt = null) => ({ userId, response: answer, respondedAt });
+const vote = (userId, optionId, value) => ({ user_id: userId, meal_option_id: optionId, vote: value });
+
+describe('getMostLovedRecipes', () => {
+  it('puts the most wins first, then the share of yes votes', () => {
+    const sessions = [
+      { winner: { meal_option_id: 'a1' }, options: [option('a1', 'Lasagne', 3, 4), option('b1', 'Curry', 4, 4)] },
+      { winner: { meal_option_id: 'a2' }, options: [option('a2', 'Lasagne', 2, 4), option('c2', 'Soep', 0, 4)] }
+    ];
+
+    expect(getMostLovedRecipes(sessions)).toEqual([
+      { name: 'Lasagne', wins: 2, offered: 2, yesVotes: 5, totalVotes: 8, loveRate: 63 },
+      { name: 'Curry', wins: 0, offered: 1, yesVotes: 4, totalVotes: 4, loveRate: 100 }
+    ]);
+  });
+});
+
+describe('getMemberAttendance', () => {
+  it('counts answers and the average time to answer', () => {
+    const sessions = [
+      {
+        requested_at: '2026-03-02T15:00:00Z',
+        member_responses: [response('anna', 'accepted', '2026-03-02T15:10:00Z'), response('bram', 'declined', '2026-03-02T15:30:00Z')]
+      },
+      {
+        requested_at: '2026-03-03T15:00:00Z',
+        member_responses: [response('anna', 'accepted', '2026-03-03T15:20:00Z'), response('bram', 'no_show')]
+      }
+    ];
+
+    expect(getMemberAttendance(sessions, ['anna', 'bram', 'carla'])).toEqual([
+      { userId: 'anna', invited: 2, accepted: 2, declined: 0, noShows: 0, attendanceRate: 100, declineRate: 0, averageResponseMinutes: 15 },
+      { userId: 'bram', invited: 2, accepted: 0, declined: 1, noShows: 1, attendanceRate: 0, declineRate: 50, averageResponseMinutes: 30 },
+      { userId: 'carla', invited: 0, accepted: 0, declined: 0, noShows: 0, attendanceRate: 0, declineRate: 0, averageResponseMinutes: null }
+    ]);
+  });
+});
+
+describe('getDeclineStats', () => {
+  it('leaves members who never answered out of the rate', () => {
+    const sessions = [
+      { member_responses: [response('anna', 'accepted'), response('bram', 'declined'), response('carla', 'no_show')], diners: ['anna'] },
+      { member_responses: [response('anna', 'declined')], diners: [] }
+    ];
+
+    expect(getDeclineStats(sessions)).toEqual({ responses: 3, declined: 2, declineRate: 67, sessionsWithoutDiners: 1 });
+  });
+});
+
+describe('getBusiestTimes', () => {
+  it('counts dinners per weekday and hour', () => {
+    const sessions = [
+      { dinner_date: '2026-03-02', dinner_time: '18:30:00' },
+      { dinner_date: '2026-03-09', dinner_time: '18:00:00' },
+      { dinner_date: '2026-03-04', dinner_time: '19:00:00' },
+      { dinner_date: null, dinner_time: null }
+    ];
+
+    expect(getBusiestTimes(sessions)).toEqual({
+      days: [{ label: 'Mon', count: 2 }, { label: 'Wed', count: 1 }],
+      times: [{ label: '18:00', count: 2 }, { label: '19:00', count: 1 }]
+    });
+  });
+});
+
+describe('getTasteOverlap', () => {
+  it('compares pairs that voted on enough of the same meals', () => {
+    const sessions = [{
+      votes: [
+        vote('anna', 'a', 'yes'), vote('bram', 'a', 'yes'), vote('carla', 'a', 'no'),
+        vote('anna', 'b', 'no'), vote('bram', 'b', 'no'), vote('carla', 'b', 'yes'),
+        vote('anna', 'c', 'yes'), vote('bram', 'c', 'no'), vote('carla', 'c', 'veto')
+      ]
+    }];
+
+    expect(getTasteOverlap(sessions)).toEqual([
+      { userIds: ['anna', 'bram'], shared: 3, agreed: 2, overlap: 67 }
+    ]);
+  });
+
+  it('counts meals a ranked voter left off as a pass', () => {
+    const sessions = [{
+      options: ['a', 'b', 'c', 'd'].map(id => ({ meal_option_id: id })),
+      votes: [
+        { user_id: 'anna', meal_option_id: 'a', rank: 1 },
+        { user_id: 'bram', meal_option_id: 'a', rank: 2 },
+        { user_id: 'anna', meal_option_id: 'b', rank: 2 }
+      ]
+    }];
+
+    expect(getTasteOverlap(sessions)).toEqual([
+      { userIds: ['anna', 'bram'], shared: 4, agreed: 3, overlap: 75 }
+    ]);
+  });
+});
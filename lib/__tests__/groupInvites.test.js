@@ -0,0 +1,45 @@
+import { buildInviteLink, describeInvite, getInviteStatus, INVITE_STATUS, parseInviteCode } from '../groupInvites';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const hoursFromNow = (hours) => new Date(NOW.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+const invite = (overrides = {}) => ({ expiresAt: null, maxUses: null, useCount: 0, revokedAt: null, ...overrides });
+
+describe('parseInviteCode', () => {
+  it('reads bare codes and whole links', () => {
+    expect(parseInviteCode(' ab12cd ')).toBe('AB12CD');
+    expect(parseInviteCode(buildInviteLink('AB12CD'))).toBe('AB12CD');
+    expect(parseInviteCode('https://example.com/join/xy34')).toBe('XY34');
+  });
+
+  it('gives nothing for text that is not a code', () => {
+    expect(parseInviteCode('not a code')).toBe('');
+    expect(parseInviteCode(null)).toBe('');
+  });
+});
+
+describe('getInviteStatus', () => {
+  it('puts revoked before expired before used up', () => {
+    expect(getInviteStatus(invite({ revokedAt: hoursFromNow(-1), expiresAt: hoursFromNow(-2) }), NOW)).toBe(INVITE_STATUS.REVOKED);
+    expect(getInviteStatus(invite({ expiresAt: hoursFromNow(-2), maxUses: 1, useCount: 1 }), NOW)).toBe(INVITE_STATUS.EXPIRED);
+    expect(getInviteStatus(invite({ maxUses: 1, useCount: 1 }), NOW)).toBe(INVITE_STATUS.USED_UP);
+    expect(getInviteStatus(invite({ expiresAt: hoursFromNow(1), maxUses: 10, useCount: 9 }), NOW)).toBe(INVITE_STATUS.ACTIVE);
+  });
+
+  it('expires an invite at its expiry time', () => {
+    expect(getInviteStatus(invite({ expiresAt: NOW.toISOString() }), NOW)).toBe(INVITE_STATUS.EXPIRED);
+  });
+});
+
+describe('describeInvite', () => {
+  it('shows the time left and the uses', () => {
+    expect(describeInvite(invite({ expiresAt: hoursFromNow(72), maxUses: 10, useCount: 2 }), NOW)).toBe('Expires in 3 days · 2 of 10 uses');
+    expect(describeInvite(invite({ expiresAt: hoursFromNow(1), useCount: 1 }), NOW)).toBe('Expires in 1 hour · 1 use');
+    expect(describeInvite(invite(), NOW)).toBe('Never expires · 0 uses');
+  });
+
+  it('says why an invite no longer works', () => {
+    expect(describeInvite(invite({ maxUses: 1, useCount: 1 }), NOW)).toBe('Used up · 1 of 1 use');
+    expect(describeInvite(invite({ revokedAt: hoursFromNow(-1), useCount: 3 }), NOW)).toBe('Revoked · 3 uses');
+  });
+});
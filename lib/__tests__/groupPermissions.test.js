@@ -0,0 +1,94 @@
+import {
+  canChangeMemberRole,
+  canManageSession,
+  canRemoveMember,
+  canTransferOwnership,
+  GROUP_PERMISSIONS,
+  GROUP_ROLES,
+  hasGroupPermission,
+  normalizeGroupRole
+} from '../groupPermissions';
+
+const admin = { userId: 'anna', role: GROUP_ROLES.ADMIN };
+const moderator = { userId: 'bram', role: GROUP_ROLES.MODERATOR };
+const member = { userId: 'carla', role: GROUP_ROLES.MEMBER };
+
+const target = (userId, role, extra = {}) => ({ user_id: userId, role, ...extra });
+
+describe('normalizeGroupRole', () => {
+  it('makes the creator an admin whatever the stored role', () => {
+    expect(normalizeGroupRole('member', true)).toBe('admin');
+    expect(normalizeGroupRole(null, true)).toBe('admin');
+  });
+
+  it('treats unknown roles as member and no role as a non-member', () => {
+    expect(normalizeGroupRole('chef')).toBe('member');
+    expect(normalizeGroupRole('moderator')).toBe('moderator');
+    expect(normalizeGroupRole(null)).toBeNull();
+  });
+});
+
+describe('hasGroupPermission', () => {
+  it('gives admins everything, moderators sessions and removals, members requests', () => {
+    Object.values(GROUP_PERMISSIONS).forEach(permission => {
+      expect(hasGroupPermission('admin', permission)).toBe(true);
+    });
+    expect(hasGroupPermission('moderator', GROUP_PERMISSIONS.MANAGE_SESSIONS)).toBe(true);
+    expect(hasGroupPermission('moderator', GROUP_PERMISSIONS.EDIT_GROUP)).toBe(false);
+    expect(hasGroupPermission('member', GROUP_PERMISSIONS.START_REQUEST)).toBe(true);
+    expect(hasGroupPermission('member', GROUP_PERMISSIONS.REMOVE_MEMBERS)).toBe(false);
+    expect(hasGroupPermission(null, GROUP_PERMISSIONS.START_REQUEST)).toBe(false);
+  });
+});
+
+describe('canManageSession', () => {
+  it('lets the member who started the session manage it', () => {
+    expect(canManageSession('member', 'carla', 'carla')).toBe(true);
+    expect(canManageSession('member', 'carla', 'anna')).toBe(false);
+    expect(canManageSession('moderator', 'bram', 'anna')).toBe(true);
+  });
+
+  it('needs a role and a user', () => {
+    expect(canManageSession(null, 'carla', 'carla')).toBe(false);
+    expect(canManageSession('member', null, null)).toBe(false);
+  });
+});
+
+describe('canChangeMemberRole', () => {
+  it('lets admins change other members', () => {
+    expect(canChangeMemberRole(admin, target('carla', 'member'), 'moderator')).toBe(true);
+    expect(canChangeMemberRole(moderator, target('carla', 'member'), 'moderator')).toBe(false);
+  });
+
+  it('leaves the admin themselves, the creator and unchanged roles alone', () => {
+    expect(canChangeMemberRole(admin, target('anna', 'admin'), 'member')).toBe(false);
+    expect(canChangeMemberRole(admin, target('dirk', 'admin', { is_creator: true }), 'member')).toBe(false);
+    expect(canChangeMemberRole(admin, target('carla', 'member'), 'member')).toBe(false);
+    expect(canChangeMemberRole(admin, target('carla', 'member'), 'owner')).toBe(false);
+  });
+});
+
+describe('canRemoveMember', () => {
+  it('lets admins remove anyone but themselves and the creator', () => {
+    expect(canRemoveMember(admin, target('bram', 'moderator'))).toBe(true);
+    expect(canRemoveMember(admin, target('anna', 'admin'))).toBe(false);
+    expect(canRemoveMember(admin, target('dirk', 'admin', { is_creator: true }))).toBe(false);
+  });
+
+  it('lets moderators remove plain members only', () => {
+    expect(canRemoveMember(moderator, target('carla', 'member'))).toBe(true);
+    expect(canRemoveMember(moderator, target('eva', 'moderator'))).toBe(false);
+    expect(canRemoveMember(member, target('fleur', 'member'))).toBe(false);
+  });
+});
+
+describe('canTransferOwnership', () => {
+  it('lets only the creator hand the group to a real member', () => {
+    const creator = { userId: 'anna', isCreator: true };
+
+    expect(canTransferOwnership(creator, target('bram', 'moderator'))).toBe(true);
+    expect(canTransferOwnership(creator, target('anna', 'admin'))).toBe(false);
+    expect(canTransferOwnership(creator, target('guest-1', 'member', { isPlaceholder: true }))).toBe(false);
+    expect(canTransferOwnership({ userId: 'bram', isCreator: false }, target('carla', 'member'))).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+import {
+  DEFAULT_GROUP_SETTINGS,
+  describeGroupDefaults,
+  draftToGroupRow,
+  getDeadlineTime,
+  parseTimeOfDay,
+  rowToGroupSettings,
+  settingsToDraft,
+  validateGroupSettingsDraft
+} from '../groupSettings';
+
+const validDraft = (overrides = {}) => ({
+  ...settingsToDraft(DEFAULT_GROUP_SETTINGS),
+  name: 'Huize Lekker',
+  ...overrides
+});
+
+describe('parseTimeOfDay', () => {
+  it('reads typed and stored times', () => {
+    expect(parseTimeOfDay('18:30')).toEqual({ hour: 18, minutes: 30 });
+    expect(parseTimeOfDay('7.05')).toEqual({ hour: 7, minutes: 5 });
+    expect(parseTimeOfDay('18:30:00')).toEqual({ hour: 18, minutes: 30 });
+  });
+
+  it('rejects anything else', () => {
+    expect(parseTimeOfDay('24:00')).toBeNull();
+    expect(parseTimeOfDay('18:60')).toBeNull();
+    expect(parseTimeOfDay('half zeven')).toBeNull();
+    expect(parseTimeOfDay(null)).toBeNull();
+  });
+});
+
+describe('getDeadlineTime', () => {
+  it('counts back from dinner and stops at midnight', () => {
+    expect(getDeadlineTime(18, 30, 15)).toBe('18:15:00');
+    expect(getDeadlineTime(18, 30, 120)).toBe('16:30:00');
+    expect(getDeadlineTime(0, 10, 30)).toBe('00:00:00');
+  });
+});
+
+describe('rowToGroupSettings', () => {
+  it('leaves the meal count to the recipe type when none was chosen', () => {
+    expect(rowToGroupSettings({ name: 'Huize Lekker', default_meal_count: null }).mealCount).toBeNull();
+    expect(rowToGroupSettings({ name: 'Huize Lekker' }).mealCount).toBeNull();
+  });
+
+  it('reads the chosen defaults', () => {
+    const settings = rowToGroupSettings({
+      name: 'Huize Lekker',
+      default_meal_count: 8,
+      default_dinner_time: '18:30:00',
+      default_deadline_minutes: 60,
+      default_voting_mode: 'ranked',
+      allergens: ['Peanuts', 'unknown']
+    });
+
+    expect(settings).toMatchObject({
+      mealCount: 8,
+      dinnerTime: { hour: 18, minutes: 30 },
+      deadlineMinutes: 60,
+      votingMode: 'ranked',
+      allergens: ['peanuts']
+    });
+    expect(describeGroupDefaults(settings)).toBe('Dinner at 18:30 · replies close 1 hour before · Top 3');
+  });
+
+  it('falls back to yes/no for an unknown voting mode', () => {
+    expect(rowToGroupSettings({ default_voting_mode: 'loudest' }).votingMode).toBe('yes_no');
+  });
+});
+
+describe('validateGroupSettingsDraft', () => {
+  it('accepts an empty meal count and dinner time', () => {
+    expect(validateGroupSettingsDraft(validDraft())).toEqual({ valid: true, errors: {} });
+  });
+
+  it('rejects meal counts outside 3 to 20', () => {
+    ['2', '21', '7.5', 'twelve'].forEach(mealCount => {
+      expect(validateGroupSettingsDraft(validDraft({ mealCount })).errors.mealCount).toBeDefined();
+    });
+  });
+
+  it('checks the name, description and dinner time', () => {
+    const { valid, errors } = validateGroupSettingsDraft(validDraft({
+      name: '  ',
+      description: 'x'.repeat(201),
+      dinnerTime: 'evening'
+    }));
+
+    expect(valid).toBe(false);
+    expect(Object.keys(errors).sort()).toEqual(['description', 'dinnerTime', 'name']);
+  });
+});
+
+describe('draftToGroupRow', () => {
+  it('stores an empty meal count as null', () => {
+    expect(draftToGroupRow(validDraft()).default_meal_count).toBeNull();
+    expect(draftToGroupRow(validDraft({ mealCount: ' 8 ' })).default_meal_count).toBe(8);
+  });
+
+  it('round-trips through the draft', () => {
+    const row = draftToGroupRow(validDraft({ name: ' Huize Lekker ', dinnerTime: '18.30' }));
+
+    expect(row).toMatchObject({ name: 'Huize Lekker', default_dinner_time: '18:30:00', default_voting_mode: 'yes_no' });
+    expect(settingsToDraft(rowToGroupSettings(row))).toMatchObject({ mealCount: '', dinnerTime: '18:30' });
+  });
+});
@@ -0,0 +1,91 @@
+import { buildShoppingList, formatQuantity, getAisleForIngredient, parseIngredient } from '../ingredientParser';
+
+const textsOf = (list) => list.items.map(item => item.text);
+
+describe('parseIngredient', () => {
+  it('reads amounts, units and names', () => {
+    expect(parseIngredient('150 g cherrytomaten')).toMatchObject({ quantity: 150, unit: 'g', name: 'cherrytomaten', key: 'cherrytomaat' });
+    expect(parseIngredient('1,5 kg aardappelen')).toMatchObject({ quantity: 1500, unit: 'g', name: 'aardappelen' });
+    expect(parseIngredient('2 zalmfilets')).toMatchObject({ quantity: 2, unit: null, name: 'zalmfilets', key: 'zalmfilet' });
+  });
+
+  it('reads fractions, mixed numbers and ranges', () => {
+    expect(parseIngredient('1½ el olijfolie')).toMatchObject({ quantity: 1.5, unit: 'tbsp' });
+    expect(parseIngredient('1 ½ tl komijn')).toMatchObject({ quantity: 1.5, unit: 'tsp' });
+    expect(parseIngredient('1 1/2 cups rice').quantity).toBe(1.5);
+    expect(parseIngredient('¾ l melk').quantity).toBe(750);
+    expect(parseIngredient('2-3 teentjes knoflook')).toMatchObject({ quantity: 3, unit: 'clove', name: 'knoflook' });
+  });
+
+  it('leaves amounts that are to taste unscaled', () => {
+    expect(parseIngredient('snufje zout')).toMatchObject({ quantity: null, scalable: false });
+    expect(parseIngredient('1 tl peper naar smaak')).toMatchObject({ quantity: null, scalable: false });
+  });
+
+  it('skips empty lines', () => {
+    expect(parseIngredient('  ')).toBeNull();
+    expect(parseIngredient(null)).toBeNull();
+  });
+});
+
+describe('getAisleForIngredient', () => {
+  it('matches keywords at the start of a word, not inside it', () => {
+    expect(getAisleForIngredient('mushrooms')).toBe('produce');
+    expect(getAisleForIngredient('red bell pepper')).toBe('produce');
+    expect(getAisleForIngredient('unsalted butter')).toBe('dairy');
+  });
+
+  it('matches the end of Dutch compounds', () => {
+    expect(getAisleForIngredient('slagroom')).toBe('dairy');
+    expect(getAisleForIngredient('rundergehakt')).toBe('meat_fish');
+    expect(getAisleForIngredient('cherrytomaten')).toBe('produce');
+    expect(getAisleForIngredient('scharreleieren')).toBe('dairy');
+    expect(getAisleForIngredient('volkorenpasta')).toBe('grains');
+  });
+
+  it('prefers the most specific keyword', () => {
+    expect(getAisleForIngredient('paprikapoeder')).toBe('spices');
+    expect(getAisleForIngredient('paprika')).toBe('produce');
+    expect(getAisleForIngredient('kokosmelk')).toBe('canned');
+    expect(getAisleForIngredient('coconut milk')).toBe('canned');
+    expect(getAisleForIngredient('bloemkool')).toBe('produce');
+    expect(getAisleForIngredient('tomatenpuree')).toBe('canned');
+    expect(getAisleForIngredient('zwarte peper')).toBe('spices');
+  });
+
+  it('falls back to other', () => {
+    expect(getAisleForIngredient('bakpapier')).toBe('other');
+  });
+});
+
+describe('formatQuantity', () => {
+  it('switches to kg and l and pluralises units', () => {
+    expect(formatQuantity(1500, 'g')).toBe('1.5 kg');
+    expect(formatQuantity(250, 'ml')).toBe('250 ml');
+    expect(formatQuantity(2, 'clove')).toBe('2 cloves');
+    expect(formatQuantity(null, 'g')).toBe('');
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('scales to the diners and merges Dutch plurals under the plural name', () => {
+    const list = buildShoppingList({ ingredients: ['1 ui', '2 uien', '200 g rijst', '100 g rijst'] }, 4);
+
+    expect(list.scale).toBe(2);
+    expect(textsOf(list)).toEqual(['6 uien', '600 g rijst']);
+  });
+
+  it('uses the singular name for one and makes up the other form when no source had it', () => {
+    expect(textsOf(buildShoppingList({ ingredients: ['1 ui'] }, 2))).toEqual(['1 ui']);
+    expect(textsOf(buildShoppingList({ ingredients: ['1 ui', '1 rode ui'] }, 4))).toEqual(['2 uien', '2 rode uien']);
+    expect(textsOf(buildShoppingList({ ingredients: ['2 uien'] }, 1))).toEqual(['1 ui']);
+    expect(textsOf(buildShoppingList({ ingredients: ['2 zalmfilets'] }, 4))).toEqual(['4 zalmfilets']);
+  });
+
+  it('keeps unscaled lines as written and sorts by aisle', () => {
+    const list = buildShoppingList({ ingredients: ['snufje zout', '2 zalmfilets', '250 g mushrooms'] }, 2);
+
+    expect(list.aisles.map(aisle => aisle.id)).toEqual(['produce', 'meat_fish', 'spices']);
+    expect(textsOf(list)).toEqual(['250 g mushrooms', '2 zalmfilets', 'snufje zout']);
+  });
+});
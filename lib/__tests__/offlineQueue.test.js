@@ -0,0 +1,151 @@
+import { OfflineActionQueue, OFFLINE_QUEUE_EVENTS } from '../offlineQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('../supabase', () => ({ supabase: {}, supabaseUrl: 'https://example.supabase.co' }));
+jest.mock('../mealRequestService', () => ({}));
+jest.mock('../dinnerRequestService', () => ({}));
+jest.mock('../wishlistService', () => ({}));
+
+// Storage that keeps what was written, like AsyncStorage between launches
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: async (key) => items[key] ?? null,
+    setItem: async (key, value) => {
+      items[key] = value;
+    }
+  };
+};
+
+// One action type whose calls are recorded in order; the test decides what each returns
+const createQueue = ({ execute, checkStale, online = () => true, userId = 'user-1', storage = createStorage() } = {}) => {
+  const sent = [];
+  const queue = new OfflineActionQueue({
+    storage,
+    handlers: {
+      vote: {
+        execute: async (payload) => {
+          sent.push(payload.vote);
+          return execute ? execute(payload) : { success: true };
+        },
+        key: ({ optionId }) => `vote:${optionId}`,
+        checkStale
+      }
+    },
+    checkConnection: async () => online(),
+    getUserId: async () => userId,
+    retryDelay: 30000
+  });
+  return { queue, sent, storage };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('OfflineActionQueue', () => {
+  it('sends straight away when the queue is empty and the server answers', async () => {
+    const { queue, sent } = createQueue();
+
+    expect(await queue.perform('vote', { optionId: 'a', vote: 'yes' })).toEqual({ success: true });
+    expect(sent).toEqual(['yes']);
+    expect(queue.getPending()).toEqual([]);
+  });
+
+  it('queues while offline, replaces a changed vote and replays in order', async () => {
+    let online = false;
+    const { queue, sent } = createQueue({
+      online: () => online,
+      execute: () => (online ? { success: true } : { success: false, error: 'Network request failed' })
+    });
+
+    expect(await queue.perform('vote', { optionId: 'a', vote: 'a-yes' })).toEqual({ success: true, queued: true });
+    await queue.perform('vote', { optionId: 'b', vote: 'b-yes' });
+    await queue.perform('vote', { optionId: 'a', vote: 'a-no' });
+
+    // Queued behind the others, so only the first went out while offline
+    expect(sent).toEqual(['a-yes']);
+    expect(queue.getPending().map(action => action.payload.vote)).toEqual(['b-yes', 'a-no']);
+
+    online = true;
+    expect(await queue.flush()).toEqual({ replayed: 2, remaining: 0 });
+    expect(sent).toEqual(['a-yes', 'b-yes', 'a-no']);
+    queue.stop();
+  });
+
+  it('stops at the first action that loses the connection and retries later', async () => {
+    let online = true;
+    let calls = 0;
+    const { queue, sent } = createQueue({
+      online: () => online,
+      execute: () => {
+        calls++;
+        if (calls === 2) {
+          online = false;
+          return { success: false, error: 'Network request failed' };
+        }
+        return { success: true };
+      }
+    });
+
+    await queue.enqueue('vote', { optionId: 'a', vote: 'first' });
+    await queue.enqueue('vote', { optionId: 'b', vote: 'second' });
+    await queue.enqueue('vote', { optionId: 'c', vote: 'third' });
+
+    expect(await queue.flush()).toEqual({ replayed: 1, remaining: 2 });
+    expect(queue.getPending().map(action => action.payload.vote)).toEqual(['second', 'third']);
+
+    online = true;
+    jest.advanceTimersByTime(30000);
+    await queue.flushing;
+
+    expect(sent).toEqual(['first', 'second', 'second', 'third']);
+    expect(queue.getPending()).toEqual([]);
+  });
+
+  it('drops actions that no longer apply and keeps going', async () => {
+    const events = [];
+    const { queue, sent } = createQueue({
+      checkStale: async ({ optionId }) => (optionId === 'closed' ? 'The voting session ended' : null),
+      execute: ({ optionId }) => (optionId === 'rejected' ? { success: false, error: 'Not allowed' } : { success: true })
+    });
+    queue.subscribe(event => events.push([event.type, event.action?.payload.optionId, event.error]));
+
+    await queue.enqueue('vote', { optionId: 'closed', vote: 'closed' });
+    await queue.enqueue('vote', { optionId: 'rejected', vote: 'rejected' });
+    await queue.enqueue('vote', { optionId: 'open', vote: 'open' });
+    events.length = 0;
+
+    expect(await queue.flush()).toEqual({ replayed: 1, remaining: 0 });
+    expect(sent).toEqual(['rejected', 'open']);
+    expect(events).toEqual([
+      [OFFLINE_QUEUE_EVENTS.CONFLICT, 'closed', 'The voting session ended'],
+      [OFFLINE_QUEUE_EVENTS.FAILED, 'rejected', 'Not allowed'],
+      [OFFLINE_QUEUE_EVENTS.REPLAYED, 'open', null]
+    ]);
+    queue.stop();
+  });
+
+  it('keeps the queue across launches but never replays it as someone else', async () => {
+    const storage = createStorage();
+    const first = createQueue({ storage, userId: 'user-1' });
+    await first.queue.enqueue('vote', { optionId: 'a', vote: 'yes' });
+    first.queue.stop();
+
+    const sameUser = createQueue({ storage: createStorage(storage.items), userId: 'user-1' });
+    expect(await sameUser.queue.flush()).toEqual({ replayed: 1, remaining: 0 });
+
+    const otherUser = createQueue({ storage: createStorage(storage.items), userId: 'user-2' });
+    expect(await otherUser.queue.flush()).toEqual({ replayed: 0, remaining: 0 });
+    expect(otherUser.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { analyzeRecipe, findFoodGroups, mergeDietaryTags, CONFIDENCE } from '../recipeAnalyzer';
+import { isRecipeAllowed, normalizeDietaryProfile } from '../dietaryProfile';
+
+const groupsOf = (...ingredients) => Object.keys(findFoodGroups({ ingredients }));
+
+describe('findFoodGroups', () => {
+  it('finds Dutch compounds and plurals', () => {
+    expect(groupsOf('2 zalmfilets')).toContain('fish');
+    expect(groupsOf('200 ml room')).toContain('lactose');
+    expect(groupsOf("400 g gamba's")).toContain('shellfish');
+  });
+
+  it('knows cheeses that are not called kaas or cheese', () => {
+    ['80 g pecorino', '1 blok halloumi', '1 burrata'].forEach(line => {
+      expect(groupsOf(line)).toContain('lactose');
+    });
+  });
+
+  it('knows pasta shapes and noodles that are not called pasta', () => {
+    ['500 g gnocchi', '250 g tortellini', '200 g udon'].forEach(line => {
+      expect(groupsOf(line)).toContain('gluten');
+    });
+  });
+
+  it('only matches short terms at the start of a word', () => {
+    expect(groupsOf('2 cloves garlic, minced')).not.toContain('meat');
+    expect(groupsOf('2 el rode currypasta')).not.toContain('gluten');
+    expect(groupsOf('250 g oesterzwammen')).not.toContain('shellfish');
+    expect(groupsOf('1 veggie burger')).not.toContain('egg');
+
+    expect(groupsOf('300 g pastasaus met gehakt')).toEqual(expect.arrayContaining(['gluten', 'meat']));
+    expect(groupsOf('500 g mince')).toContain('meat');
+    expect(groupsOf('2 eggs')).toContain('egg');
+    expect(groupsOf('6 oesters')).toContain('shellfish');
+  });
+
+  it('keeps exceptions out', () => {
+    expect(groupsOf('400 ml kokosmelk')).not.toContain('lactose');
+    expect(groupsOf('2 vleestomaten')).not.toContain('meat');
+    expect(groupsOf('1 aubergine', '1 eggplant')).not.toContain('egg');
+  });
+});
+
+describe('analyzeRecipe', () => {
+  it('flags pecorino pasta as not lactose-free', () => {
+    const { flags } = analyzeRecipe({ ingredients: ['300 g spaghetti', '80 g pecorino', 'zwarte peper', 'olijfolie'] });
+
+    expect(flags.lactoseFree).toMatchObject({ value: false, confidence: CONFIDENCE.HIGH, reasons: ['80 g pecorino'] });
+    expect(flags.glutenFree).toMatchObject({ value: false, confidence: CONFIDENCE.HIGH });
+    expect(flags.vegetarian.value).toBe(true);
+  });
+
+  it('never gives a clean result high confidence', () => {
+    const { flags } = analyzeRecipe({ ingredients: ['300 g rijst', '1 courgette', '2 el olijfolie', '1 ui'] });
+    expect(flags.vegetarian).toEqual({ value: true, confidence: CONFIDENCE.MEDIUM, reasons: [] });
+
+    expect(analyzeRecipe({ ingredients: ['1 courgette'] }).flags.vegetarian.confidence).toBe(CONFIDENCE.LOW);
+    expect(analyzeRecipe({ title: 'Soep' }).flags.vegetarian.confidence).toBe(CONFIDENCE.LOW);
+  });
+
+  it('gives a food group that only might be there medium confidence', () => {
+    const { flags, mayContain } = analyzeRecipe({ ingredients: ['1 l bouillon', '2 uien', '1 winterpeen'] });
+
+    expect(flags.vegetarian).toMatchObject({ value: false, confidence: CONFIDENCE.MEDIUM });
+    expect(mayContain).toEqual(expect.arrayContaining(['meat', 'gluten']));
+  });
+});
+
+describe('mergeDietaryTags', () => {
+  it('adds clean flags, removes failed ones and keeps the rest', () => {
+    const analysis = analyzeRecipe({ ingredients: ['2 zalmfilets', '300 g rijst', '1 broccoli'] });
+
+    expect(mergeDietaryTags(['vegetarian', 'spicy'], analysis).sort())
+      .toEqual(['dairy-free', 'gluten-free', 'nut-free', 'spicy']);
+  });
+});
+
+describe('isRecipeAllowed', () => {
+  it('keeps shellfish away from a diner allergic to it', () => {
+    const profile = normalizeDietaryProfile({ allergens: ['shellfish'] });
+
+    expect(isRecipeAllowed({ ingredients: ["400 g gamba's", '2 teentjes knoflook', '1 citroen'] }, profile)).toBe(false);
+    expect(isRecipeAllowed({ ingredients: ['250 g oesterzwammen', '2 teentjes knoflook', '1 citroen'] }, profile)).toBe(true);
+  });
+});
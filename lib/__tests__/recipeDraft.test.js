@@ -0,0 +1,99 @@
+import {
+  DEFAULT_RECIPE_IMAGE,
+  draftToRecipeData,
+  EMPTY_RECIPE_DRAFT,
+  recipeDataToDraft,
+  validateRecipeDraft
+} from '../recipeDraft';
+
+const draft = (overrides = {}) => ({
+  ...EMPTY_RECIPE_DRAFT,
+  title: 'Pasta pesto',
+  ingredients: ['300 g pasta', '1 potje pesto', ''],
+  instructions: ['Kook de pasta', '  ', 'Roer de pesto erdoor'],
+  readyInMinutes: '20',
+  pricePerServing: '2,50',
+  ...overrides
+});
+
+describe('validateRecipeDraft', () => {
+  it('accepts a filled-in draft and skips empty lines', () => {
+    expect(validateRecipeDraft(draft())).toEqual({ valid: true, errors: {} });
+  });
+
+  it('needs a title, ingredients, steps and a time', () => {
+    const { valid, errors } = validateRecipeDraft(EMPTY_RECIPE_DRAFT);
+
+    expect(valid).toBe(false);
+    expect(Object.keys(errors).sort()).toEqual(['ingredients', 'instructions', 'readyInMinutes', 'title']);
+  });
+
+  it('checks the photo, the time and the price', () => {
+    const { errors } = validateRecipeDraft(draft({
+      image: 'ftp://example.com/pasta.jpg',
+      readyInMinutes: '12.5',
+      pricePerServing: 'gratis',
+      dietary: ['keto']
+    }));
+
+    expect(Object.keys(errors).sort()).toEqual(['dietary', 'image', 'pricePerServing', 'readyInMinutes']);
+  });
+
+  it('leaves the price optional', () => {
+    expect(validateRecipeDraft(draft({ pricePerServing: '' })).valid).toBe(true);
+  });
+});
+
+describe('draftToRecipeData', () => {
+  it('stores numbers, numbered steps and a placeholder photo and source', () => {
+    const data = draftToRecipeData(draft({ title: ' Pasta pesto ' }), 'user-abc');
+
+    expect(data).toMatchObject({
+      id: 'user-abc',
+      tastyId: 'user-abc',
+      title: 'Pasta pesto',
+      image: DEFAULT_RECIPE_IMAGE,
+      sourceUrl: '#recipe-user-abc',
+      readyInMinutes: 20,
+      pricePerServing: 2.5,
+      ingredients: ['300 g pasta', '1 potje pesto'],
+      instructions: '1. Kook de pasta\n2. Roer de pesto erdoor'
+    });
+  });
+
+  it('keeps fields the editor does not know about', () => {
+    const data = draftToRecipeData(draft(), 'user-abc', { tastyId: 1234, analysis: { version: 2 } });
+
+    expect(data).toMatchObject({ tastyId: 1234, analysis: { version: 2 } });
+  });
+});
+
+describe('recipeDataToDraft', () => {
+  it('round-trips a saved recipe', () => {
+    const saved = draftToRecipeData(draft(), 'user-abc');
+
+    expect(recipeDataToDraft(saved)).toMatchObject({
+      title: 'Pasta pesto',
+      image: '',
+      sourceUrl: '',
+      instructions: ['Kook de pasta', 'Roer de pesto erdoor'],
+      readyInMinutes: '20',
+      pricePerServing: '2.5'
+    });
+  });
+
+  it('reads seeded recipes with step objects and no ingredients', () => {
+    const result = recipeDataToDraft({
+      name: 'Stamppot',
+      instructions: [{ display_text: 'Kook de aardappels' }, 'Stamp alles fijn'],
+      dietary: ['vegetarian', 'keto']
+    });
+
+    expect(result).toMatchObject({
+      title: 'Stamppot',
+      ingredients: [''],
+      instructions: ['Kook de aardappels', 'Stamp alles fijn'],
+      dietary: ['vegetarian']
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { extractRecipeFromHtml, parseIsoDuration } from '../recipeImporter';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseIsoDuration', () => {
+  it('reads hours, minutes, days and seconds', () => {
+    expect(parseIsoDuration('PT45M')).toBe(45);
+    expect(parseIsoDuration('PT1H30M')).toBe(90);
+    expect(parseIsoDuration('P0DT45M')).toBe(45);
+    expect(parseIsoDuration('P1D')).toBe(24 * 60);
+    expect(parseIsoDuration('PT90S')).toBe(2);
+  });
+
+  it('returns null for empty, zero and unreadable durations', () => {
+    expect(parseIsoDuration('')).toBeNull();
+    expect(parseIsoDuration(null)).toBeNull();
+    expect(parseIsoDuration('PT')).toBeNull();
+    expect(parseIsoDuration('PT0M')).toBeNull();
+    expect(parseIsoDuration('45 minutes')).toBeNull();
+  });
+});
+
+describe('extractRecipeFromHtml', () => {
+  it('finds the recipe inside a JSON-LD @graph', () => {
+    const result = extractRecipeFromHtml(fixture('jsonld-graph.html'), 'https://www.keukenblog.nl/recepten/pasta-zalm-spinazie/');
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('json-ld');
+    expect(result.draft).toMatchObject({
+      title: 'Pasta met zalm & spinazie',
+      image: 'https://www.keukenblog.nl/wp-content/uploads/pasta-zalm.jpg',
+      description: 'Romige pasta met zalm en spinazie, klaar in een half uur.',
+      ingredients: ['250 g penne', '2 zalmfilets', '1½ el olijfolie', '200 g verse spinazie', '1 teentje knoflook'],
+      instructions: ['Kook de penne volgens de verpakking.', 'Bak de zalm in de olijfolie.', 'Roer de spinazie en knoflook erdoor.'],
+      readyInMinutes: '30',
+      dietary: ['gluten-free'],
+      sourceUrl: 'https://www.keukenblog.nl/recepten/pasta-zalm-spinazie/'
+    });
+  });
+
+  it('flattens HowToSection steps and skips broken JSON-LD blocks', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = extractRecipeFromHtml(fixture('jsonld-howto-sections.html'), 'https://www.weeknightkitchen.com/lasagne');
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('json-ld');
+    expect(result.draft.instructions).toEqual([
+      'Fry the courgettes until soft.',
+      'Add the passata and simmer for 10 minutes.',
+      'Layer the sheets, sauce and ricotta.',
+      'Bake for 40 minutes at 180°C.'
+    ]);
+    expect(result.draft.readyInMinutes).toBe('75');
+    expect(result.draft.dietary).toEqual(['vegetarian']);
+  });
+
+  it('falls back to microdata', () => {
+    const result = extractRecipeFromHtml(fixture('microdata.html'), 'https://www.omasrecepten.nl/erwtensoep');
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('microdata');
+    expect(result.draft).toMatchObject({
+      title: "Oma's erwtensoep",
+      image: 'https://static.omasrecepten.nl/erwtensoep.jpg',
+      description: 'Dikke soep voor koude dagen.',
+      ingredients: ['500 g spliterwten', '1 rookworst', '2 uien', '1 knolselderij'],
+      instructions: ['Spoel de spliterwten af.', 'Kook ze twee uur met de groenten.', 'Snijd de rookworst in plakjes en roer erdoor.'],
+      readyInMinutes: '140'
+    });
+  });
+
+  it('reports a page without a recipe', () => {
+    expect(extractRecipeFromHtml(fixture('no-recipe.html'), 'https://www.weeknightkitchen.com/about')).toEqual({
+      success: false,
+      error: 'No recipe found on this page'
+    });
+  });
+
+  it('reports an empty page', () => {
+    expect(extractRecipeFromHtml('')).toEqual({ success: false, error: 'The page is empty' });
+  });
+});
@@ -0,0 +1,110 @@
+import {
+  describeSchedule,
+  getDueOccurrence,
+  getOccurrenceTimes,
+  getPublicHolidays,
+  getUpcomingOccurrences,
+  isScheduledOn
+} from '../recurrence';
+
+const weekdaySchedule = {
+  weekdays: [1, 2, 3, 4, 5],
+  dinner_time: '18:30:00',
+  deadline_minutes_before: 120,
+  opens_hours_before: 6,
+  starts_on: '2026-04-01',
+  ends_on: null,
+  skip_dates: [],
+  skip_holidays: false,
+  is_active: true
+};
+
+const dateKeys = (occurrences) => occurrences.map(occurrence => occurrence.date);
+
+describe('getPublicHolidays', () => {
+  it('follows Easter and moves King\'s Day off a Sunday', () => {
+    const holidays2026 = getPublicHolidays(2026);
+    ['2026-04-03', '2026-04-05', '2026-04-06', '2026-04-27', '2026-05-14', '2026-05-24', '2026-05-25']
+      .forEach(dateKey => expect(holidays2026.has(dateKey)).toBe(true));
+
+    expect(getPublicHolidays(2025).has('2025-04-26')).toBe(true);
+    expect(getPublicHolidays(2025).has('2025-04-27')).toBe(false);
+  });
+});
+
+describe('isScheduledOn', () => {
+  it('only matches the chosen weekdays between the start and end dates', () => {
+    const schedule = { ...weekdaySchedule, ends_on: '2026-04-30' };
+
+    expect(isScheduledOn(schedule, '2026-04-24')).toBe(true);
+    expect(isScheduledOn(schedule, '2026-04-25')).toBe(false);
+    expect(isScheduledOn(schedule, '2026-03-31')).toBe(false);
+    expect(isScheduledOn(schedule, '2026-05-01')).toBe(false);
+  });
+
+  it('leaves out skipped dates and, when asked, public holidays', () => {
+    expect(isScheduledOn({ ...weekdaySchedule, skip_dates: ['2026-04-28'] }, '2026-04-28')).toBe(false);
+    expect(isScheduledOn(weekdaySchedule, '2026-04-27')).toBe(true);
+    expect(isScheduledOn({ ...weekdaySchedule, skip_holidays: true }, '2026-04-27')).toBe(false);
+  });
+});
+
+describe('getOccurrenceTimes', () => {
+  it('works the deadline and opening time back from dinner', () => {
+    const times = getOccurrenceTimes(weekdaySchedule, '2026-04-28');
+
+    expect(times.time).toBe('18:30:00');
+    expect(times.deadlineTime).toBe('16:30:00');
+    expect(times.dinnerAt).toEqual(new Date(2026, 3, 28, 18, 30));
+    expect(times.deadlineAt).toEqual(new Date(2026, 3, 28, 16, 30));
+    expect(times.opensAt).toEqual(new Date(2026, 3, 28, 12, 30));
+  });
+
+  it('keeps the deadline on the dinner\'s date when it would fall the day before', () => {
+    const times = getOccurrenceTimes({ ...weekdaySchedule, dinner_time: '00:30', deadline_minutes_before: 60 }, '2026-04-28');
+
+    expect(times.deadlineAt).toEqual(new Date(2026, 3, 27, 23, 30));
+    expect(times.deadlineTime).toBe('00:00:00');
+  });
+});
+
+describe('getUpcomingOccurrences', () => {
+  it('skips an occurrence once its deadline has passed and carries on over the weekend', () => {
+    const from = new Date(2026, 3, 24, 17, 0);
+
+    expect(dateKeys(getUpcomingOccurrences(weekdaySchedule, from, 3))).toEqual(['2026-04-27', '2026-04-28', '2026-04-29']);
+    expect(dateKeys(getUpcomingOccurrences(weekdaySchedule, new Date(2026, 3, 24, 16, 0), 1))).toEqual(['2026-04-24']);
+  });
+
+  it('skips holidays and stops at the end date', () => {
+    const schedule = { ...weekdaySchedule, skip_holidays: true, ends_on: '2026-04-29' };
+
+    expect(dateKeys(getUpcomingOccurrences(schedule, new Date(2026, 3, 24, 17, 0), 5))).toEqual(['2026-04-28', '2026-04-29']);
+  });
+
+  it('returns nothing for a schedule without weekdays', () => {
+    expect(getUpcomingOccurrences({ ...weekdaySchedule, weekdays: [] }, new Date(2026, 3, 24), 1)).toEqual([]);
+  });
+});
+
+describe('getDueOccurrence', () => {
+  it('is due from the opening time until the deadline', () => {
+    expect(getDueOccurrence(weekdaySchedule, new Date(2026, 3, 28, 12, 0))).toBeNull();
+    expect(getDueOccurrence(weekdaySchedule, new Date(2026, 3, 28, 13, 0)).date).toBe('2026-04-28');
+    // Past the deadline the next one isn't open yet
+    expect(getDueOccurrence(weekdaySchedule, new Date(2026, 3, 28, 17, 0))).toBeNull();
+  });
+
+  it('is never due for a paused schedule', () => {
+    expect(getDueOccurrence({ ...weekdaySchedule, is_active: false }, new Date(2026, 3, 28, 13, 0))).toBeNull();
+  });
+});
+
+describe('describeSchedule', () => {
+  it('names presets and lists other days Monday first', () => {
+    expect(describeSchedule(weekdaySchedule)).toBe('Every weekday at 18:30');
+    expect(describeSchedule({ ...weekdaySchedule, weekdays: [6, 0] })).toBe('Weekends at 18:30');
+    expect(describeSchedule({ ...weekdaySchedule, weekdays: [0, 5, 1], dinner_time: '17:00' })).toBe('Mondays, Fridays and Sundays at 17:00');
+    expect(describeSchedule({ ...weekdaySchedule, weekdays: [0] })).toBe('Sundays at 18:30');
+  });
+});
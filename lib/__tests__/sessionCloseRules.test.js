@@ -0,0 +1,112 @@
+import { CLOSE_RULES, evaluateCloseRules, getFinishedVoters } from '../sessionCloseRules';
+import { VOTING_MODES } from '../voteTallyService';
+
+const options = [
+  { id: 'pasta', meal_data: { name: 'Pasta pesto' } },
+  { id: 'curry', meal_data: { name: 'Green curry' } }
+];
+
+const yesNo = (userId, optionId, vote) => ({ user_id: userId, meal_option_id: optionId, vote });
+const ranked = (userId, optionId, rank) => ({ user_id: userId, meal_option_id: optionId, rank });
+
+const evaluate = (rules, votes, { acceptedUserIds = ['anna', 'bram', 'carla', 'dirk'], votingMode = VOTING_MODES.YES_NO } = {}) => (
+  evaluateCloseRules({ rules, votingMode, options, votes, acceptedUserIds })
+);
+
+describe('getFinishedVoters', () => {
+  it('needs a vote on every option, counting each option once', () => {
+    const votes = [
+      yesNo('anna', 'pasta', 'yes'),
+      yesNo('anna', 'curry', 'no'),
+      yesNo('bram', 'pasta', 'yes'),
+      yesNo('bram', 'pasta', 'yes')
+    ];
+
+    expect(getFinishedVoters(votes, 2, VOTING_MODES.YES_NO)).toEqual(new Set(['anna']));
+    expect(getFinishedVoters(votes, 0, VOTING_MODES.YES_NO)).toEqual(new Set());
+  });
+
+  it('counts any ballot in ranked mode', () => {
+    expect(getFinishedVoters([ranked('anna', 'curry', 1)], 2, VOTING_MODES.RANKED)).toEqual(new Set(['anna']));
+  });
+});
+
+describe('evaluateCloseRules', () => {
+  const everyoneVoted = ['anna', 'bram', 'carla', 'dirk'].flatMap(userId => [
+    yesNo(userId, 'pasta', 'yes'),
+    yesNo(userId, 'curry', 'no')
+  ]);
+
+  it('never closes a manual session or one nobody is eating at', () => {
+    expect(evaluate({ rule: CLOSE_RULES.MANUAL }, everyoneVoted).shouldClose).toBe(false);
+    expect(evaluate({ rule: CLOSE_RULES.ALL_VOTED }, everyoneVoted, { acceptedUserIds: [] }).shouldClose).toBe(false);
+  });
+
+  it('closes once everyone who is eating has voted on every option', () => {
+    const notYet = everyoneVoted.filter(vote => !(vote.user_id === 'dirk' && vote.meal_option_id === 'curry'));
+    // Someone who isn't eating doesn't hold the session open
+    const withGuest = [...everyoneVoted, yesNo('eva', 'pasta', 'yes')];
+
+    expect(evaluate({ rule: CLOSE_RULES.ALL_VOTED }, notYet)).toMatchObject({ shouldClose: false, finishedCount: 3 });
+    expect(evaluate({ rule: CLOSE_RULES.ALL_VOTED }, withGuest)).toMatchObject({
+      shouldClose: true,
+      reason: 'Everyone who is eating has voted'
+    });
+  });
+
+  it('waits for the quorum of finished voters', () => {
+    const twoVoted = everyoneVoted.filter(vote => ['anna', 'bram'].includes(vote.user_id));
+    const rules = { rule: CLOSE_RULES.YES_THRESHOLD, yesPercent: 50, minQuorum: 3 };
+
+    expect(evaluate(rules, twoVoted)).toMatchObject({ shouldClose: false, quorumMet: false, finishedCount: 2 });
+    expect(evaluate({ ...rules, minQuorum: 2 }, twoVoted)).toMatchObject({ shouldClose: true, quorumMet: true });
+  });
+
+  it('closes when a meal reaches the yes threshold of everyone eating', () => {
+    const threeYes = [
+      yesNo('anna', 'curry', 'yes'),
+      yesNo('bram', 'curry', 'yes'),
+      yesNo('carla', 'curry', 'yes'),
+      yesNo('dirk', 'curry', 'no')
+    ];
+    const twoYes = threeYes.filter(vote => vote.user_id !== 'carla');
+
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD }, threeYes)).toMatchObject({
+      shouldClose: true,
+      reason: 'Green curry reached 75% yes',
+      winnerOptionId: 'curry'
+    });
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD }, twoYes).shouldClose).toBe(false);
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD, yesPercent: 50 }, twoYes).winnerOptionId).toBe('curry');
+  });
+
+  it('ignores vetoed meals and yes votes from people who are not eating', () => {
+    const votes = [
+      yesNo('anna', 'curry', 'yes'),
+      yesNo('bram', 'curry', 'yes'),
+      yesNo('carla', 'curry', 'yes'),
+      yesNo('dirk', 'curry', 'veto'),
+      yesNo('anna', 'pasta', 'yes'),
+      yesNo('eva', 'pasta', 'yes'),
+      yesNo('fleur', 'pasta', 'yes')
+    ];
+
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD, yesPercent: 50 }, votes).shouldClose).toBe(false);
+  });
+
+  it('only counts first choices as yes in ranked mode', () => {
+    const votes = [
+      ranked('anna', 'pasta', 1),
+      ranked('bram', 'pasta', 1),
+      ranked('carla', 'pasta', 2),
+      ranked('carla', 'curry', 1),
+      ranked('dirk', 'pasta', 2)
+    ];
+
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD }, votes, { votingMode: VOTING_MODES.RANKED }).shouldClose).toBe(false);
+    expect(evaluate({ rule: CLOSE_RULES.YES_THRESHOLD, yesPercent: 50 }, votes, { votingMode: VOTING_MODES.RANKED })).toMatchObject({
+      shouldClose: true,
+      winnerOptionId: 'pasta'
+    });
+  });
+});
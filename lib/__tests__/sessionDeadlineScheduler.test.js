@@ -0,0 +1,155 @@
+import { SessionDeadlineScheduler } from '../sessionDeadlineScheduler';
+
+jest.mock('../sessionCloseService', () => ({
+  closeGroupSession: jest.fn(),
+  SESSION_CLOSE_REASONS: { DEADLINE: 'deadline' }
+}));
+
+// A clock and timers that only move when the test says so
+const createFakeTime = (start = 0) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    now: () => now,
+    setTimer: (callback, delay) => {
+      const id = nextId++;
+      timers.set(id, { callback, at: now + delay });
+      return id;
+    },
+    clearTimer: (id) => timers.delete(id),
+    pending: () => timers.size,
+    // Moves the clock without firing anything, like an app coming back from the background
+    jump: (ms) => {
+      now += ms;
+    },
+    // Moves the clock, firing due timers in order and letting their closes settle
+    advance: async (ms) => {
+      const until = now + ms;
+      for (;;) {
+        const due = Array.from(timers.entries())
+          .filter(([, timer]) => timer.at <= until)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        timers.delete(due[0]);
+        now = due[1].at;
+        due[1].callback();
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      now = until;
+    }
+  };
+};
+
+const createScheduler = (closeSession) => {
+  const time = createFakeTime();
+  const scheduler = new SessionDeadlineScheduler({
+    closeSession,
+    now: time.now,
+    setTimer: time.setTimer,
+    clearTimer: time.clearTimer
+  });
+  return { scheduler, time };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SessionDeadlineScheduler', () => {
+  it('closes a session once its deadline passes', async () => {
+    const closeSession = jest.fn().mockResolvedValue({ success: true, closed: true });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 60000);
+    await time.advance(59999);
+    expect(closeSession).not.toHaveBeenCalled();
+
+    await time.advance(1);
+    expect(closeSession).toHaveBeenCalledWith('group-1', 'Huize Lekker');
+    expect(scheduler.getScheduled()).toEqual([]);
+  });
+
+  it('keeps retrying while the server says the deadline has not passed yet', async () => {
+    const closeSession = jest.fn()
+      .mockResolvedValue({ success: true, closed: true })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' })
+      .mockResolvedValueOnce({ success: false, error: 'Network request failed' })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' })
+      .mockResolvedValueOnce({ success: false, notDue: true, error: 'not passed yet' });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 0);
+    await time.advance(10 * 60000);
+
+    // Early refusals don't use up the attempts a real failure gets
+    expect(closeSession).toHaveBeenCalledTimes(8);
+    expect(scheduler.getScheduled()).toEqual([]);
+    expect(time.pending()).toBe(0);
+  });
+
+  it('stops retrying when the server refuses the close for good', async () => {
+    const closeSession = jest.fn().mockResolvedValue({ success: false, noDeadline: true, error: 'no deadline' });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 0);
+    await time.advance(10 * 60000);
+
+    expect(closeSession).toHaveBeenCalledTimes(1);
+    expect(scheduler.getScheduled()).toEqual([]);
+    expect(time.pending()).toBe(0);
+
+    // Loading the same request again doesn't start over
+    expect(scheduler.schedule('group-1', 'Huize Lekker', 0)).toBe(false);
+    expect(scheduler.schedule('group-1', 'Huize Lekker', 120000)).toBe(true);
+  });
+
+  it('gives up after a few failed attempts', async () => {
+    const closeSession = jest.fn().mockResolvedValue({ success: false, error: 'Network request failed' });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 0);
+    await time.advance(60 * 60000);
+
+    expect(closeSession).toHaveBeenCalledTimes(5);
+    expect(time.pending()).toBe(0);
+  });
+
+  it('keeps a close scheduled until every owner cancels it', async () => {
+    const closeSession = jest.fn().mockResolvedValue({ success: true, closed: true });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 60000, 'dinner-requests');
+    scheduler.schedule('group-1', 'Huize Lekker', 60000, 'groups-screen');
+    scheduler.schedule('group-2', 'De Kookclub', 60000, 'groups-screen');
+
+    scheduler.cancelAll('groups-screen');
+    expect(scheduler.getScheduled().map(session => session.groupId)).toEqual(['group-1']);
+    expect(scheduler.getScheduled('groups-screen')).toEqual([]);
+
+    await time.advance(60000);
+    expect(closeSession).toHaveBeenCalledTimes(1);
+    expect(closeSession).toHaveBeenCalledWith('group-1', 'Huize Lekker');
+  });
+
+  it('closes overdue sessions straight away with runDue', async () => {
+    const closeSession = jest.fn().mockResolvedValue({ success: true, closed: false });
+    const { scheduler, time } = createScheduler(closeSession);
+
+    scheduler.schedule('group-1', 'Huize Lekker', 60000);
+    scheduler.schedule('group-2', 'De Kookclub', 120000);
+    time.jump(90000);
+
+    expect(await scheduler.runDue()).toEqual([{ groupId: 'group-1', result: { success: true, closed: false } }]);
+    expect(scheduler.getScheduled().map(session => session.groupId)).toEqual(['group-2']);
+  });
+});
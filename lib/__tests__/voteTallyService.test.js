@@ -0,0 +1,46 @@
+import { tallyMealVotes, VOTING_MODES } from '../voteTallyService';
+
+const option = (id, order) => ({ id, option_order: order, meal_data: { name: `Meal ${id}` } });
+const vote = (userId, optionId, value) => ({ user_id: userId, meal_option_id: optionId, vote: value });
+
+// Five options; the tally ranks d fourth because guests who aren't eating voted for a, b and c
+const options = ['a', 'b', 'c', 'd', 'e'].map((id, index) => option(id, index + 1));
+const votes = [
+  ...['guest1', 'guest2', 'guest3'].flatMap(guest => [vote(guest, 'a', 'yes'), vote(guest, 'b', 'yes'), vote(guest, 'c', 'yes')]),
+  vote('diner1', 'd', 'yes'),
+  vote('diner2', 'd', 'yes'),
+  vote('diner1', 'e', 'no')
+];
+
+const ids = (meals) => meals.map(meal => meal.meal_option_id);
+
+describe('tallyMealVotes', () => {
+  it('returns the top 3 by yes votes', () => {
+    const { topMeals, explanation } = tallyMealVotes(VOTING_MODES.YES_NO, options, votes, 5);
+
+    expect(ids(topMeals)).toEqual(['a', 'b', 'c']);
+    expect(explanation.summary).toBe('Meal a won with the most yes votes (3 yes, 0 no).');
+  });
+
+  it('lists a fixed winner first even when the tally ranks it outside the top 3', () => {
+    const { topMeals, explanation } = tallyMealVotes(VOTING_MODES.YES_NO, options, votes, 5, { winnerOptionId: 'd' });
+
+    expect(ids(topMeals)).toEqual(['d', 'a', 'b']);
+    expect(topMeals[0]).toMatchObject({ yes_votes: 2, result_summary: '2 yes • 0 no' });
+    expect(explanation.summary).toBe('Meal d won because enough of the diners voted for it to close the vote early.');
+  });
+
+  it('keeps the tally as it is when the fixed winner already leads', () => {
+    const { topMeals, explanation } = tallyMealVotes(VOTING_MODES.YES_NO, options, votes, 5, { winnerOptionId: 'a' });
+
+    expect(ids(topMeals)).toEqual(['a', 'b', 'c']);
+    expect(explanation.summary).toBe('Meal a won with the most yes votes (3 yes, 0 no).');
+  });
+
+  it('leaves vetoed meals out', () => {
+    const { topMeals, explanation } = tallyMealVotes(VOTING_MODES.YES_NO, options, [...votes, vote('diner2', 'a', 'veto')], 5);
+
+    expect(ids(topMeals)).toEqual(['b', 'c', 'd']);
+    expect(explanation.vetoed).toEqual([{ meal_option_id: 'a', name: 'Meal a', vetoes: 1 }]);
+  });
+});
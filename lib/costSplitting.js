@@ -0,0 +1,120 @@
+/**
+ * Balance and settle-up calculations for the dinner ledger.
+ * All money is handled in whole cents so splits always add up.
+ */
+
+/**
+ * @param {number|string} amount - Amount in euros
+ * @returns {number} - Amount in cents
+ */
+export const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * @param {number} cents - Amount in cents
+ * @returns {string} - e.g. "€12.50"
+ */
+export const formatMoney = (cents) => `€${(Math.abs(cents) / 100).toFixed(2)}`;
+
+/**
+ * Splits an amount equally between eaters. Leftover cents go to the first
+ * eaters in id order so the split is the same on every device.
+ * @param {number} amountCents - Total in cents
+ * @param {Array} eaterIds - User IDs of everyone who ate
+ * @returns {Object} - userId -> share in cents
+ */
+export const splitAmount = (amountCents, eaterIds) => {
+  const eaters = Array.from(new Set(eaterIds || [])).sort();
+  if (eaters.length === 0) {
+    return {};
+  }
+
+  const baseShare = Math.floor(amountCents / eaters.length);
+  const leftover = amountCents - baseShare * eaters.length;
+
+  return eaters.reduce((shares, userId, index) => {
+    shares[userId] = baseShare + (index < leftover ? 1 : 0);
+    return shares;
+  }, {});
+};
+
+/**
+ * Works out each member's net balance. Positive means the member is owed
+ * money, negative means they owe.
+ * @param {Array} expenses - dinner_expenses rows ({ paid_by, amount, eater_ids })
+ * @param {Array} settlements - ledger_settlements rows ({ from_user, to_user, amount })
+ * @returns {Object} - userId -> balance in cents
+ */
+export const calculateBalances = (expenses = [], settlements = []) => {
+  const balances = {};
+  const add = (userId, cents) => {
+    balances[userId] = (balances[userId] || 0) + cents;
+  };
+
+  expenses.forEach(expense => {
+    const amountCents = toCents(expense.amount);
+    add(expense.paid_by, amountCents);
+    Object.entries(splitAmount(amountCents, expense.eater_ids)).forEach(([userId, share]) => {
+      add(userId, -share);
+    });
+  });
+
+  // Paying someone back raises your balance and lowers theirs
+  settlements.forEach(settlement => {
+    const amountCents = toCents(settlement.amount);
+    add(settlement.from_user, amountCents);
+    add(settlement.to_user, -amountCents);
+  });
+
+  return balances;
+};
+
+/**
+ * Turns balances into a short list of transfers that settles everyone up.
+ * Repeatedly pays the biggest creditor from the biggest debtor, which needs
+ * at most one transfer fewer than the number of members with a balance, and
+ * pairs up exact matches first so they settle in a single transfer.
+ * @param {Object} balances - userId -> balance in cents
+ * @returns {Array} - [{ from, to, amountCents }]
+ */
+export const minimizeTransfers = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  Object.entries(balances || {}).forEach(([userId, cents]) => {
+    if (cents > 0) creditors.push({ userId, cents });
+    if (cents < 0) debtors.push({ userId, cents: -cents });
+  });
+
+  const transfers = [];
+
+  // Exact matches settle in one transfer each
+  debtors.forEach(debtor => {
+    const match = creditors.find(creditor => creditor.cents === debtor.cents && creditor.cents > 0);
+    if (match && debtor.cents > 0) {
+      transfers.push({ from: debtor.userId, to: match.userId, amountCents: debtor.cents });
+      match.cents = 0;
+      debtor.cents = 0;
+    }
+  });
+
+  const byAmount = (a, b) => b.cents - a.cents || a.userId.localeCompare(b.userId);
+  let openCreditors = creditors.filter(creditor => creditor.cents > 0);
+  let openDebtors = debtors.filter(debtor => debtor.cents > 0);
+
+  while (openCreditors.length > 0 && openDebtors.length > 0) {
+    openCreditors.sort(byAmount);
+    openDebtors.sort(byAmount);
+
+    const creditor = openCreditors[0];
+    const debtor = openDebtors[0];
+    const amountCents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amountCents });
+    creditor.cents -= amountCents;
+    debtor.cents -= amountCents;
+
+    openCreditors = openCreditors.filter(entry => entry.cents > 0);
+    openDebtors = openDebtors.filter(entry => entry.cents > 0);
+  }
+
+  return transfers;
+};
@@ -171,6 +171,7 @@ export const loadDinnerRequestsOptimized = async (userId) => {
           request_time,
           recipe_type,
           deadline,
+          deadline_at,
           status,
           created_at
         `)
@@ -188,7 +189,7 @@ export const loadDinnerRequestsOptimized = async (userId) => {
         date: request.request_date,
         time: request.request_time,
         recipeType: request.recipe_type,
-        deadline: request.deadline,
+        deadline: request.deadline_at || request.deadline,
         status: request.status,
         createdAt: request.created_at
       }));
@@ -300,11 +301,16 @@ export const getCacheStats = () => {
 
 /**
  * Optimistic update helper
+ * A thrown error always rolls back. A result with success: false only rolls
+ * back when rollbackOnFailure is set, since some services report harmless
+ * outcomes that way. A result with queued: true (see offlineQueue.perform)
+ * keeps the optimistic state until the queue replays it.
  */
 export const optimisticUpdate = async (
   optimisticUpdateFn,
   actualUpdatePromise,
-  rollbackFn
+  rollbackFn,
+  { rollbackOnFailure = false } = {}
 ) => {
   // Apply optimistic update immediately
   const optimisticResult = optimisticUpdateFn();
@@ -313,6 +319,13 @@ export const optimisticUpdate = async (
     // Wait for actual update
     const actualResult = await actualUpdatePromise;
     
+    if (rollbackOnFailure && actualResult && actualResult.success === false) {
+      if (rollbackFn) {
+        rollbackFn(optimisticResult);
+      }
+      return actualResult;
+    }
+    
     // Invalidate relevant caches
     if (actualResult.invalidateCache) {
       actualResult.invalidateCache.forEach(pattern => {
@@ -338,7 +351,14 @@ class SubscriptionManager {
     this.subscriptions = new Map();
   }
   
-  subscribe(key, tableName, filter, callback) {
+  /**
+   * @param {string} key - Unique subscription key; its first segment picks the caches to invalidate
+   * @param {string} tableName - Table to listen to
+   * @param {string} filter - Realtime filter, e.g. `group_id=eq.${groupId}` (optional)
+   * @param {Function} callback - Called with the change payload
+   * @param {string} event - 'INSERT', 'UPDATE', 'DELETE' or '*' for all changes
+   */
+  subscribe(key, tableName, filter, callback, event = '*') {
     if (this.subscriptions.has(key)) {
       console.log(`⚠️ [SUBSCRIPTION] Replacing existing subscription: ${key}`);
       this.unsubscribe(key);
@@ -350,10 +370,10 @@ class SubscriptionManager {
       .channel(`${key}_channel`)
       .on('postgres_changes', 
         { 
-          event: '*', 
+          event, 
           schema: 'public', 
           table: tableName,
-          filter: filter 
+          ...(filter ? { filter } : {})
         }, 
         (payload) => {
           console.log(`📡 [SUBSCRIPTION] ${key} received:`, payload);
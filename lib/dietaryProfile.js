@@ -0,0 +1,151 @@
+/**
+ * Dietary profiles and the checks that keep recipes off a member's plate.
+ * Recipes are checked with the ingredient analyser; a food group a recipe
+ * only might contain counts too - showing one dish too few is better than
+ * an allergic reaction. For the same reason a recipe without ingredients
+ * never suits a profile with allergens or a diet.
+ */
+import { findFoodGroups, getRecipeTextLines, hasIngredientList } from './recipeAnalyzer';
+
+export const DIETARY_RESTRICTION_OPTIONS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free'];
+
+export const ALLERGEN_OPTIONS = ['gluten', 'lactose', 'nuts', 'peanuts', 'fish', 'shellfish', 'egg', 'soy'];
+
+export const ALLERGEN_LABELS = {
+  gluten: 'Gluten',
+  lactose: 'Lactose',
+  nuts: 'Nuts',
+  peanuts: 'Peanuts',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  egg: 'Egg',
+  soy: 'Soy'
+};
+
+export const CUISINE_OPTIONS = ['dutch', 'italian', 'french', 'mediterranean', 'middle-eastern', 'indian', 'asian', 'mexican'];
+
+export const CUISINE_LABELS = {
+  dutch: 'Dutch',
+  italian: 'Italian',
+  french: 'French',
+  mediterranean: 'Mediterranean',
+  'middle-eastern': 'Middle Eastern',
+  indian: 'Indian',
+  asian: 'Asian',
+  mexican: 'Mexican'
+};
+
+export const EMPTY_DIETARY_PROFILE = {
+  dietaryRestrictions: [],
+  allergens: [],
+  dislikedIngredients: [],
+  favoriteCuisines: []
+};
+
+// Food groups each diet rules out
+const RESTRICTION_RULES = {
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  vegan: ['meat', 'fish', 'shellfish', 'lactose', 'egg', 'honey'],
+  'gluten-free': ['gluten'],
+  'dairy-free': ['lactose']
+};
+
+const uniqueLowercase = (values) => Array.from(new Set(
+  (values || []).map(value => String(value).trim().toLowerCase()).filter(Boolean)
+));
+
+/**
+ * Turns a profiles row (or a partial profile) into the app's profile shape
+ * @param {Object} row - profiles row with the dietary columns
+ * @returns {Object} - { dietaryRestrictions, allergens, dislikedIngredients, favoriteCuisines }
+ */
+export const normalizeDietaryProfile = (row = {}) => ({
+  dietaryRestrictions: uniqueLowercase(row.dietary_restrictions ?? row.dietaryRestrictions)
+    .filter(restriction => DIETARY_RESTRICTION_OPTIONS.includes(restriction)),
+  allergens: uniqueLowercase(row.allergens).filter(allergen => ALLERGEN_OPTIONS.includes(allergen)),
+  dislikedIngredients: uniqueLowercase(row.disliked_ingredients ?? row.dislikedIngredients),
+  favoriteCuisines: uniqueLowercase(row.favorite_cuisines ?? row.favoriteCuisines)
+});
+
+/**
+ * Combines several members' profiles: a dish must suit everyone at the table
+ * @param {Array} profiles - Normalized profiles
+ * @returns {Object} - One profile with every restriction, allergen and dislike
+ */
+export const mergeDietaryProfiles = (profiles = []) => ({
+  dietaryRestrictions: uniqueLowercase(profiles.flatMap(profile => profile.dietaryRestrictions)),
+  allergens: uniqueLowercase(profiles.flatMap(profile => profile.allergens)),
+  dislikedIngredients: uniqueLowercase(profiles.flatMap(profile => profile.dislikedIngredients)),
+  favoriteCuisines: uniqueLowercase(profiles.flatMap(profile => profile.favoriteCuisines))
+});
+
+/**
+ * @param {Object} profile - Normalized profile
+ * @returns {boolean} - True when the profile rules anything out
+ */
+export const hasDietaryLimits = (profile) => Boolean(
+  profile && (profile.dietaryRestrictions.length || profile.allergens.length || profile.dislikedIngredients.length)
+);
+
+/**
+ * Why a recipe doesn't suit a profile
+ * @param {Object} recipe
+ * @param {Object} profile - Normalized profile
+ * @returns {Object} - { allergens, restrictions, dislikes, unknownIngredients } (all empty or false when it suits)
+ */
+export const getRecipeConflicts = (recipe, profile) => {
+  const conflicts = { allergens: [], restrictions: [], dislikes: [], unknownIngredients: false };
+  if (!hasDietaryLimits(profile)) return conflicts;
+
+  // Nothing to check it against, so it can't be called safe
+  conflicts.unknownIngredients = (profile.allergens.length > 0 || profile.dietaryRestrictions.length > 0) &&
+    !hasIngredientList(recipe);
+
+  const groups = Object.keys(findFoodGroups(recipe));
+  conflicts.allergens = profile.allergens.filter(allergen => groups.includes(allergen));
+  conflicts.restrictions = profile.dietaryRestrictions.filter(restriction => (
+    (RESTRICTION_RULES[restriction] || []).some(group => groups.includes(group))
+  ));
+
+  const lines = getRecipeTextLines(recipe);
+  conflicts.dislikes = profile.dislikedIngredients.filter(disliked => lines.some(line => line.includes(disliked)));
+  return conflicts;
+};
+
+/**
+ * Whether a recipe may be shown to a profile. Allergens, diets and unknown
+ * ingredients always count; dislikes only when includeDislikes is set.
+ * @param {Object} recipe
+ * @param {Object} profile - Normalized profile
+ * @param {Object} options - { includeDislikes }
+ * @returns {boolean}
+ */
+export const isRecipeAllowed = (recipe, profile, { includeDislikes = true } = {}) => {
+  const conflicts = getRecipeConflicts(recipe, profile);
+  return !conflicts.unknownIngredients &&
+    conflicts.allergens.length === 0 &&
+    conflicts.restrictions.length === 0 &&
+    (!includeDislikes || conflicts.dislikes.length === 0);
+};
+
+const recipeCuisines = (recipe) => {
+  const source = recipe?.meal_data || recipe?.recipe_data || recipe?.originalRecipeData || recipe || {};
+  return uniqueLowercase([...(source.cuisines || []), source.cuisine].filter(Boolean));
+};
+
+/**
+ * Drops recipes that don't suit the profile and moves favourite cuisines to the front
+ * @param {Array} recipes
+ * @param {Object} profile - Normalized profile
+ * @param {Object} options - Passed to isRecipeAllowed
+ * @returns {Array}
+ */
+export const applyDietaryProfile = (recipes, profile, options = {}) => {
+  if (!profile) return recipes || [];
+
+  const allowed = (recipes || []).filter(recipe => isRecipeAllowed(recipe, profile, options));
+  if (profile.favoriteCuisines.length === 0) return allowed;
+
+  const isFavorite = (recipe) => recipeCuisines(recipe).some(cuisine => profile.favoriteCuisines.includes(cuisine));
+  return [...allowed.filter(isFavorite), ...allowed.filter(recipe => !isFavorite(recipe))];
+};
@@ -1,10 +1,14 @@
 import { supabase } from './supabase';
 import { conflictResolution } from './conflictResolution';
+import { assignRotaForDinnerRequest, releaseRotaTurnsForDecline, getDinnerRequestRotas } from './rotaService';
+import { checkGroupPermission } from './groupsService';
+import { GROUP_PERMISSIONS, canManageSession } from './groupPermissions';
 
 /**
  * Saves a dinner request to the database
  * Replaces any existing request for the same group
- * @param {Object} requestData - The dinner request data
+ * @param {Object} requestData - The dinner request data; mealCount is the
+ *   number of meals the group's admins chose, or null for the recipe type's default
  * @returns {Object} - Success/error response
  */
 export const saveDinnerRequest = async (requestData) => {
@@ -21,6 +25,11 @@ export const saveDinnerRequest = async (requestData) => {
       };
     }
 
+    const permission = await checkGroupPermission(requestData.groupId, GROUP_PERMISSIONS.START_REQUEST);
+    if (!permission.success) {
+      return permission;
+    }
+
     // CONFLICT DETECTION AND RESOLUTION
     console.log('🔍 [CONFLICT] Checking for conflicts before creating dinner request...');
     const conflictCheck = await conflictResolution.resolveGroupConflicts(requestData.groupId);
@@ -35,6 +44,18 @@ export const saveDinnerRequest = async (requestData) => {
     
     if (conflictCheck.hasConflicts && conflictCheck.requiresCleanup) {
       console.log('🧹 [CONFLICT] Found conflicts that require cleanup:', conflictCheck.conflicts);
+
+      // Clearing a running session replaces it, which only its starter or a moderator may do
+      const sessionStarters = conflictCheck.conflicts
+        .flatMap(conflict => conflict.requests || [])
+        .map(request => request.requested_by || request.requester_id);
+      if (!sessionStarters.every(starter => canManageSession(permission.role, user.id, starter))) {
+        return {
+          success: false,
+          permissionDenied: true,
+          error: 'This group already has a session running. Only the member who started it, a moderator or an admin can replace it.'
+        };
+      }
       
       // Auto-cleanup conflicts (no user confirmation needed for API call)
       const cleanupResult = await conflictResolution.cleanupGroupConflicts(requestData.groupId);
@@ -58,6 +79,8 @@ export const saveDinnerRequest = async (requestData) => {
       request_time: requestData.time, // Should be in HH:MM:SS format
       recipe_type: requestData.recipeType,
       deadline: `${requestData.date}T${requestData.deadlineTime}`, // Convert to timestamp
+      // The same moment with its time zone, so the server can tell when it has passed
+      deadline_at: new Date(`${requestData.date}T${requestData.deadlineTime}`).toISOString(),
       status: 'pending'
     };
 
@@ -83,35 +106,50 @@ export const saveDinnerRequest = async (requestData) => {
     }
 
     console.log('✅ Dinner request saved successfully');
+
+    // Pick the cook (and dishwasher) - the request still stands if this fails
+    if (data && data[0]) {
+      const rotaResult = await assignRotaForDinnerRequest(data[0].id);
+      if (!rotaResult.success) {
+        console.warn('⚠️ Dinner request saved but rota assignment failed:', rotaResult.error);
+      }
+    }
     
-    // Automatically create meal session with 10 meals
-    console.log('🍽️ Auto-creating meal session with 10 meals...');
+    // Automatically create the meal session for the chosen recipe type
     try {
       // Import the meal service to create meal session
-      const { createMealRequest } = await import('./mealRequestService');
+      const { createMealRequest, RECIPE_TYPE_MEAL_COUNTS } = await import('./mealRequestService');
+      const { DEFAULT_VETO_BUDGET } = await import('./voteTallyService');
+      const recipeType = requestData.recipeType || 'random';
+      const votingMode = requestData.votingMode || 'yes_no';
+      const vetoBudget = requestData.vetoBudget ?? DEFAULT_VETO_BUDGET;
+      const mealCount = requestData.mealCount || RECIPE_TYPE_MEAL_COUNTS[recipeType] || RECIPE_TYPE_MEAL_COUNTS.random;
+      console.log(`🍽️ Auto-creating ${recipeType} meal session with ${mealCount} meals...`);
       
-      const mealResult = await createMealRequest(requestData.groupId, 10);
+      const mealResult = await createMealRequest(requestData.groupId, mealCount, recipeType, votingMode, vetoBudget);
       
       if (mealResult.success) {
         console.log('✅ Meal session auto-created successfully');
         return {
           success: true,
-          message: 'Dinner request sent and meal voting session created with 10 options!',
+          message: `Dinner request sent and meal voting session created with ${mealResult.request.total_options || mealCount} options!`,
           mealSessionCreated: true,
+          dinnerRequestId: data[0]?.id,
           mealRequestId: mealResult.request.id
         };
       } else if (mealResult.error === 'EXISTING_REQUEST_FOUND' && mealResult.existingRequest) {
         // Auto-replace existing request for dinner requests
         console.log('🔄 Existing meal request found, auto-replacing...');
         const { replaceMealRequest } = await import('./mealRequestService');
-        const replaceResult = await replaceMealRequest(requestData.groupId, 10, mealResult.existingRequest.id);
+        const replaceResult = await replaceMealRequest(requestData.groupId, mealCount, mealResult.existingRequest.id, recipeType, votingMode, vetoBudget);
         
         if (replaceResult.success) {
           console.log('✅ Meal session auto-replaced successfully');
           return {
             success: true,
-            message: 'Dinner request sent and previous meal session replaced with 10 new options!',
+            message: `Dinner request sent and previous meal session replaced with ${replaceResult.request.total_options || mealCount} new options!`,
             mealSessionCreated: true,
+            dinnerRequestId: data[0]?.id,
             mealRequestId: replaceResult.request.id,
             replaced: true
           };
@@ -120,7 +158,8 @@ export const saveDinnerRequest = async (requestData) => {
           return {
             success: true,
             message: 'Dinner request sent but could not create meal session due to existing active request.',
-            mealSessionCreated: false
+            mealSessionCreated: false,
+            dinnerRequestId: data[0]?.id
           };
         }
       } else {
@@ -128,7 +167,8 @@ export const saveDinnerRequest = async (requestData) => {
         return {
           success: true,
           message: 'Dinner request sent but could not create meal session.',
-          mealSessionCreated: false
+          mealSessionCreated: false,
+          dinnerRequestId: data[0]?.id
         };
       }
     } catch (error) {
@@ -136,7 +176,8 @@ export const saveDinnerRequest = async (requestData) => {
       return {
         success: true,
         
-        mealSessionCreated: false
+        mealSessionCreated: false,
+        dinnerRequestId: data[0]?.id
       };
     }
 
@@ -207,6 +248,7 @@ export const getAllDinnerRequests = async () => {
         request_time,
         recipe_type,
         deadline,
+        deadline_at,
         status,
         created_at
       `)
@@ -258,12 +300,22 @@ export const getAllDinnerRequests = async () => {
         date: request.request_date,
         time: request.request_time,
         recipeType: request.recipe_type,
-        deadline: request.deadline, // This is now a full timestamp
+        deadline: request.deadline_at || request.deadline, // This is now a full timestamp
         status: request.status,
         createdAt: request.created_at
       };
     });
 
+    // Attach who cooks and washes up to each request
+    const rotaResult = await getDinnerRequestRotas(formattedRequests.map(request => request.id));
+    if (rotaResult.success) {
+      formattedRequests.forEach(request => {
+        request.rota = rotaResult.rotas[request.id] || null;
+      });
+    } else {
+      console.warn('⚠️ Could not load cooking rota:', rotaResult.error);
+    }
+
     return {
       success: true,
       requests: formattedRequests,
@@ -322,6 +374,14 @@ export const recordUserResponse = async (requestId, response) => {
 
     console.log('✅ User response recorded successfully');
 
+    // Declining hands any rota turn on this dinner to the next member
+    if (response === 'declined') {
+      const releaseResult = await releaseRotaTurnsForDecline(requestId);
+      if (!releaseResult.success) {
+        console.warn('⚠️ Response saved but rota turn was not released:', releaseResult.error);
+      }
+    }
+
     // Check if request is ready for meal creation (simplified)
     let readiness = null;
     try {
@@ -483,8 +543,8 @@ export const createMealFromRequest = async (requestId) => {
       };
     }
 
-    // Create the meal voting session
-    const mealResult = await createMealRequest(requestData.group_id, 20); // 20 meal options
+    // Create the meal voting session for the request's recipe type
+    const mealResult = await createMealRequest(requestData.group_id, 20, requestData.recipe_type || 'random'); // 20 meal options
 
     if (mealResult.success) {
       // Update dinner request status to completed
@@ -537,7 +597,7 @@ export const getGroupMemberResponses = async (groupId) => {
     // Get active dinner request for the group
     const { data: requestData, error: requestError } = await supabase
       .from('dinner_requests')
-      .select('id, requester_id, request_date, request_time, deadline, recipe_type')
+      .select('id, requester_id, request_date, request_time, deadline, deadline_at, recipe_type')
       .eq('group_id', groupId)
       .eq('status', 'pending')
       .order('created_at', { ascending: false })
@@ -613,7 +673,7 @@ export const getGroupMemberResponses = async (groupId) => {
         requesterName: 'Group Member', // We'll get this from user data if needed
         requestDate: activeRequest.request_date,
         requestTime: activeRequest.request_time,
-        deadline: activeRequest.deadline,
+        deadline: activeRequest.deadline_at || activeRequest.deadline,
         recipeType: activeRequest.recipe_type
       },
       memberResponses,
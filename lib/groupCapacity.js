@@ -0,0 +1,43 @@
+/**
+ * How many people a group holds. Mirrors group_capacity_range and
+ * set_group_capacity in database-group-capacity.sql.
+ */
+
+export const GROUP_CAPACITY_LIMITS = {
+  min: 2,
+  max: 100
+};
+
+export const DEFAULT_GROUP_CAPACITY = 50;
+export const GROUP_CAPACITY_OPTIONS = [4, 6, 8, 10, 15, 20, 30, 50, 100];
+
+/**
+ * Checks a new capacity before it is saved
+ * @param {number} maxMembers - New capacity
+ * @param {number} memberCount - Members the group has now
+ * @returns {string|null} - Error message, or null if it is fine
+ */
+export const validateGroupCapacity = (maxMembers, memberCount = 0) => {
+  if (!Number.isInteger(maxMembers) || maxMembers < GROUP_CAPACITY_LIMITS.min || maxMembers > GROUP_CAPACITY_LIMITS.max) {
+    return `A group can have between ${GROUP_CAPACITY_LIMITS.min} and ${GROUP_CAPACITY_LIMITS.max} members`;
+  }
+  if (maxMembers < memberCount) {
+    return `The group already has ${memberCount} members. Remove some before lowering the limit.`;
+  }
+  return null;
+};
+
+/**
+ * e.g. "6 of 8 members" or "Full: 8 of 8 members · 2 waiting"
+ * @param {number} memberCount - Members the group has now
+ * @param {number} maxMembers - Capacity
+ * @param {number} waitingCount - People on the waitlist
+ * @returns {string}
+ */
+export const describeGroupCapacity = (memberCount, maxMembers = DEFAULT_GROUP_CAPACITY, waitingCount = 0) => {
+  const count = Number(memberCount) || 0;
+  const capacity = maxMembers || DEFAULT_GROUP_CAPACITY;
+  const text = `${count} of ${capacity} members`;
+  const waiting = waitingCount > 0 ? ` · ${waitingCount} waiting` : '';
+  return count >= capacity ? `Full: ${text}${waiting}` : `${text}${waiting}`;
+};
@@ -0,0 +1,237 @@
+/**
+ * Works out a group's insights from its session history.
+ */
+import { SCORE_YES_THRESHOLD } from './voteTallyService';
+import { getWeekday, WEEKDAY_LABELS } from './rotaPlanner';
+
+const TOP_RECIPES = 5;
+const TOP_PAIRS = 5;
+
+// Pairs need a few meals in common before their overlap means anything
+export const MIN_SHARED_VOTES = 3;
+
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+// A vote that says "I'd eat that", whatever the voting mode
+const isLiked = (vote) => (
+  vote.vote === 'yes' ||
+  (vote.score && vote.score >= SCORE_YES_THRESHOLD) ||
+  Boolean(vote.rank)
+);
+
+const recipeKey = (option) => option.recipe_id || (option.name || '').toLowerCase();
+
+/**
+ * Recipes with the most wins, then the highest share of yes votes
+ * @param {Array} sessions - session_history rows
+ * @returns {Array} - [{ name, wins, offered, yesVotes, totalVotes, loveRate }]
+ */
+export const getMostLovedRecipes = (sessions) => {
+  const recipes = new Map();
+
+  sessions.forEach(session => {
+    const winnerId = session.winner?.meal_option_id;
+    (session.options || []).forEach(option => {
+      const key = recipeKey(option);
+      if (!key) return;
+
+      const entry = recipes.get(key) || { name: option.name, wins: 0, offered: 0, yesVotes: 0, totalVotes: 0 };
+      entry.offered += 1;
+      // Ranked ballots are stored as yes votes too
+      entry.yesVotes += option.yes_votes || 0;
+      entry.totalVotes += option.total_votes || 0;
+      if (winnerId && option.meal_option_id === winnerId) {
+        entry.wins += 1;
+      }
+      recipes.set(key, entry);
+    });
+  });
+
+  return Array.from(recipes.values())
+    .filter(recipe => recipe.wins > 0 || recipe.yesVotes > 0)
+    .map(recipe => ({ ...recipe, loveRate: ratio(recipe.yesVotes, recipe.totalVotes) }))
+    .sort((a, b) => b.wins - a.wins || b.loveRate - a.loveRate || b.yesVotes - a.yesVotes)
+    .slice(0, TOP_RECIPES);
+};
+
+/**
+ * Per member: how often they came, declined or didn't answer, and how long
+ * they took to answer a dinner request
+ * @param {Array} sessions - session_history rows
+ * @param {Array} memberIds - Current members
+ * @returns {Array} - [{ userId, invited, accepted, declined, noShows, attendanceRate, declineRate, averageResponseMinutes }]
+ */
+export const getMemberAttendance = (sessions, memberIds = []) => {
+  const members = new Map();
+  const entryFor = (userId) => {
+    if (!members.has(userId)) {
+      members.set(userId, { userId, invited: 0, accepted: 0, declined: 0, noShows: 0, responseMinutes: [] });
+    }
+    return members.get(userId);
+  };
+  memberIds.forEach(entryFor);
+
+  sessions.forEach(session => {
+    const requestedAt = session.requested_at ? new Date(session.requested_at).getTime() : null;
+
+    (session.member_responses || []).forEach(response => {
+      if (!response.userId) return;
+      const entry = entryFor(response.userId);
+      entry.invited += 1;
+
+      if (response.response === 'accepted') entry.accepted += 1;
+      if (response.response === 'declined') entry.declined += 1;
+      if (response.response === 'no_show') {
+        entry.noShows += 1;
+        return;
+      }
+
+      const respondedAt = response.respondedAt ? new Date(response.respondedAt).getTime() : null;
+      if (requestedAt && respondedAt && respondedAt >= requestedAt) {
+        entry.responseMinutes.push((respondedAt - requestedAt) / 60000);
+      }
+    });
+  });
+
+  return Array.from(members.values())
+    .map(({ responseMinutes, ...entry }) => ({
+      ...entry,
+      attendanceRate: ratio(entry.accepted, entry.invited),
+      declineRate: ratio(entry.declined, entry.invited),
+      averageResponseMinutes: responseMinutes.length > 0
+        ? Math.round(responseMinutes.reduce((sum, minutes) => sum + minutes, 0) / responseMinutes.length)
+        : null
+    }))
+    .sort((a, b) => b.attendanceRate - a.attendanceRate || b.accepted - a.accepted);
+};
+
+/**
+ * How often dinner proposals were turned down, across everyone
+ * @param {Array} sessions - session_history rows
+ * @returns {Object} - { responses, declined, declineRate, sessionsWithoutDiners }
+ */
+export const getDeclineStats = (sessions) => {
+  let responses = 0;
+  let declined = 0;
+  let sessionsWithoutDiners = 0;
+
+  sessions.forEach(session => {
+    const answered = (session.member_responses || []).filter(response => response.response !== 'no_show');
+    responses += answered.length;
+    declined += answered.filter(response => response.response === 'declined').length;
+    if ((session.member_responses || []).length > 0 && (session.diners || []).length === 0) {
+      sessionsWithoutDiners += 1;
+    }
+  });
+
+  return { responses, declined, declineRate: ratio(declined, responses), sessionsWithoutDiners };
+};
+
+/**
+ * Dinners per weekday and per hour of the day, busiest first
+ * @param {Array} sessions - session_history rows
+ * @returns {Object} - { days: [{ label, count }], times: [{ label, count }] }
+ */
+export const getBusiestTimes = (sessions) => {
+  const days = new Map();
+  const times = new Map();
+
+  sessions.forEach(session => {
+    const weekday = getWeekday(session.dinner_date);
+    if (weekday >= 0) {
+      days.set(weekday, (days.get(weekday) || 0) + 1);
+    }
+
+    const hour = parseInt(String(session.dinner_time || '').split(':')[0], 10);
+    if (!Number.isNaN(hour)) {
+      times.set(hour, (times.get(hour) || 0) + 1);
+    }
+  });
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    days: Array.from(days.entries())
+      .map(([weekday, count]) => ({ label: WEEKDAY_LABELS[weekday], count }))
+      .sort(byCount),
+    times: Array.from(times.entries())
+      .map(([hour, count]) => ({ label: `${String(hour).padStart(2, '0')}:00`, count }))
+      .sort(byCount)
+  };
+};
+
+/**
+ * How often each pair of members liked or passed on the same meals. Vetoes
+ * and meals only one of them voted on are left out.
+ * @param {Array} sessions - session_history rows
+ * @returns {Array} - [{ userIds: [a, b], shared, agreed, overlap }] most alike first
+ */
+export const getTasteOverlap = (sessions) => {
+  const pairs = new Map();
+
+  sessions.forEach(session => {
+    const likesByOption = new Map();
+    const vetoes = new Set();
+    (session.votes || []).forEach(vote => {
+      if (vote.vote === 'veto') {
+        vetoes.add(`${vote.user_id}|${vote.meal_option_id}`);
+        return;
+      }
+      if (!likesByOption.has(vote.meal_option_id)) {
+        likesByOption.set(vote.meal_option_id, new Map());
+      }
+      likesByOption.get(vote.meal_option_id).set(vote.user_id, isLiked(vote));
+    });
+
+    // Ranked ballots only list the top 3, so an unranked meal counts as a pass
+    const rankedVoters = new Set((session.votes || []).filter(vote => vote.rank).map(vote => vote.user_id));
+    if (rankedVoters.size > 0) {
+      (session.options || []).forEach(option => {
+        if (!likesByOption.has(option.meal_option_id)) {
+          likesByOption.set(option.meal_option_id, new Map());
+        }
+        const likes = likesByOption.get(option.meal_option_id);
+        rankedVoters.forEach(userId => {
+          if (!likes.has(userId) && !vetoes.has(`${userId}|${option.meal_option_id}`)) {
+            likes.set(userId, false);
+          }
+        });
+      });
+    }
+
+    likesByOption.forEach(likes => {
+      const voters = Array.from(likes.keys()).sort();
+      for (let i = 0; i < voters.length; i++) {
+        for (let j = i + 1; j < voters.length; j++) {
+          const key = `${voters[i]}|${voters[j]}`;
+          const entry = pairs.get(key) || { userIds: [voters[i], voters[j]], shared: 0, agreed: 0 };
+          entry.shared += 1;
+          if (likes.get(voters[i]) === likes.get(voters[j])) {
+            entry.agreed += 1;
+          }
+          pairs.set(key, entry);
+        }
+      }
+    });
+  });
+
+  return Array.from(pairs.values())
+    .filter(pair => pair.shared >= MIN_SHARED_VOTES)
+    .map(pair => ({ ...pair, overlap: ratio(pair.agreed, pair.shared) }))
+    .sort((a, b) => b.overlap - a.overlap || b.shared - a.shared)
+    .slice(0, TOP_PAIRS);
+};
+
+/**
+ * All insights for a group
+ * @param {Array} sessions - session_history rows
+ * @param {Array} memberIds - Current members
+ * @returns {Object}
+ */
+export const buildGroupInsights = (sessions = [], memberIds = []) => ({
+  sessionCount: sessions.length,
+  lovedRecipes: getMostLovedRecipes(sessions),
+  attendance: getMemberAttendance(sessions, memberIds),
+  declines: getDeclineStats(sessions),
+  busiest: getBusiestTimes(sessions),
+  tasteOverlap: getTasteOverlap(sessions)
+});
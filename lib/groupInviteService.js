@@ -0,0 +1,228 @@
+import { supabase } from './supabase';
+import { checkGroupPermission, generateJoinCode, getUserNames } from './groupsService';
+import { GROUP_PERMISSIONS } from './groupPermissions';
+
+const toInvite = (row, groupCode) => ({
+  id: row.id,
+  code: row.code,
+  expiresAt: row.expires_at,
+  maxUses: row.max_uses,
+  useCount: row.use_count,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at,
+  // The group's own join code, shown on the group card
+  isGroupCode: row.code === groupCode
+});
+
+/**
+ * Gets everything the invites section shows: the group's invites (newest
+ * first), whether newcomers need approval and the pending join requests
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Success/error response with invites, requiresApproval and joinRequests ({ userId, name, requestedAt })
+ */
+export const getGroupInvites = async (groupId) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_INVITES);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const [groupResult, invitesResult, requestsResult] = await Promise.all([
+      supabase
+        .from('groups')
+        .select('join_code, requires_approval')
+        .eq('id', groupId)
+        .single(),
+      supabase
+        .from('group_invites')
+        .select('id, code, expires_at, max_uses, use_count, revoked_at, created_at')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('group_join_requests')
+        .select('user_id, requested_at')
+        .eq('group_id', groupId)
+        .eq('status', 'pending')
+        .order('requested_at', { ascending: true })
+    ]);
+
+    if (groupResult.error) throw groupResult.error;
+    if (invitesResult.error) throw invitesResult.error;
+    if (requestsResult.error) throw requestsResult.error;
+
+    const requests = requestsResult.data || [];
+    const names = await getUserNames(requests.map(request => request.user_id));
+
+    return {
+      success: true,
+      requiresApproval: !!groupResult.data.requires_approval,
+      invites: (invitesResult.data || []).map(row => toInvite(row, groupResult.data.join_code)),
+      joinRequests: requests.map(request => ({
+        userId: request.user_id,
+        name: names[request.user_id] || 'Someone',
+        requestedAt: request.requested_at
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading invites:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load invites'
+    };
+  }
+};
+
+/**
+ * Creates a new invite for a group (admins only)
+ * @param {string} groupId - Group ID
+ * @param {Object} options - { expiresInHours, maxUses }, null for no limit
+ * @returns {Promise<Object>} - Success/error response with the invite
+ */
+export const createGroupInvite = async (groupId, { expiresInHours = null, maxUses = null } = {}) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_INVITES);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const expiresAt = expiresInHours
+      ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString()
+      : null;
+
+    // Same collision handling as createGroupInSupabase
+    const maxAttempts = 3;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const { data, error } = await supabase
+        .from('group_invites')
+        .insert([
+          {
+            group_id: groupId,
+            code: generateJoinCode(),
+            created_by: permission.userId,
+            expires_at: expiresAt,
+            max_uses: maxUses
+          }
+        ])
+        .select('id, code, expires_at, max_uses, use_count, revoked_at, created_at')
+        .single();
+
+      if (!error) {
+        console.log('✅ Created invite', data.code);
+        return { success: true, invite: toInvite(data, null) };
+      }
+
+      if (error.code !== '23505' || attempt === maxAttempts) {
+        throw error;
+      }
+      console.log(`⚠️ Invite code collision on attempt ${attempt}, retrying...`);
+    }
+
+  } catch (error) {
+    console.error('❌ Error creating invite:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create the invite'
+    };
+  }
+};
+
+/**
+ * Stops an invite from working. The group's own join code can be revoked
+ * too; the code on the group card then no longer lets anyone in.
+ * @param {string} groupId - Group ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const revokeGroupInvite = async (groupId, inviteId) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_INVITES);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase
+      .from('group_invites')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', inviteId)
+      .eq('group_id', groupId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error revoking invite:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to revoke the invite'
+    };
+  }
+};
+
+/**
+ * Turns join approval on or off for a group
+ * @param {string} groupId - Group ID
+ * @param {boolean} requiresApproval - Whether admins accept newcomers
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const setGroupRequiresApproval = async (groupId, requiresApproval) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.EDIT_GROUP);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase
+      .from('groups')
+      .update({ requires_approval: requiresApproval })
+      .eq('id', groupId);
+
+    if (error) throw error;
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error updating join approval:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update the group'
+    };
+  }
+};
+
+/**
+ * Accepts or declines someone's request to join. Accepting someone into a
+ * full group puts them on the waitlist.
+ * @param {string} groupId - Group ID
+ * @param {string} userId - Who asked to join
+ * @param {boolean} approve - Accept (true) or decline (false)
+ * @returns {Promise<Object>} - Success/error response with status ('joined', 'waitlisted' or 'declined')
+ */
+export const respondToJoinRequest = async (groupId, userId, approve) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_INVITES);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { data: status, error } = await supabase.rpc('respond_to_join_request', {
+      group_uuid: groupId,
+      user_uuid: userId,
+      approve
+    });
+
+    if (error) throw error;
+
+    console.log(`✅ Join request from ${userId}: ${status}`);
+    return { success: true, status };
+
+  } catch (error) {
+    console.error('❌ Error answering join request:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to answer the request'
+    };
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Group invites: links, what's left of them and how they read in the app.
+ * Mirrors the checks in redeem_group_invite (database-group-invites.sql).
+ */
+
+// Registered as the app's scheme in app.json, handled by the linking config in App.js
+export const INVITE_LINK_PREFIX = 'studentenhapp://join/';
+
+export const INVITE_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  USED_UP: 'used_up',
+  REVOKED: 'revoked'
+};
+
+export const INVITE_EXPIRY_OPTIONS = [
+  { label: 'Never', hours: null },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 }
+];
+
+export const INVITE_USE_OPTIONS = [
+  { label: 'Unlimited', maxUses: null },
+  { label: 'Single use', maxUses: 1 },
+  { label: '10 uses', maxUses: 10 }
+];
+
+/**
+ * @param {string} code - Invite code
+ * @returns {string} - studentenhapp://join/CODE
+ */
+export const buildInviteLink = (code) => `${INVITE_LINK_PREFIX}${code}`;
+
+/**
+ * Gets the invite code out of whatever was typed or pasted: a bare code
+ * or a whole invite link
+ * @param {string} text - Code or link
+ * @returns {string} - Upper-case code, or '' if there is none
+ */
+export const parseInviteCode = (text) => {
+  const trimmed = String(text || '').trim();
+  const linkMatch = trimmed.match(/join\/([A-Za-z0-9]+)/);
+  const code = linkMatch ? linkMatch[1] : trimmed;
+  return /^[A-Za-z0-9]+$/.test(code) ? code.toUpperCase() : '';
+};
+
+/**
+ * @param {Object} invite - { expiresAt, maxUses, useCount, revokedAt }
+ * @param {Date} now - Current time
+ * @returns {string} - One of INVITE_STATUS
+ */
+export const getInviteStatus = (invite, now = new Date()) => {
+  if (invite.revokedAt) return INVITE_STATUS.REVOKED;
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) return INVITE_STATUS.EXPIRED;
+  if (invite.maxUses != null && invite.useCount >= invite.maxUses) return INVITE_STATUS.USED_UP;
+  return INVITE_STATUS.ACTIVE;
+};
+
+const describeTimeLeft = (expiresAt, now) => {
+  const hours = Math.ceil((new Date(expiresAt) - now) / (60 * 60 * 1000));
+  if (hours < 24) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  const days = Math.round(hours / 24);
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+/**
+ * One-line summary of an invite, e.g. "Expires in 3 days · 2 of 10 uses"
+ * @param {Object} invite - { expiresAt, maxUses, useCount, revokedAt }
+ * @param {Date} now - Current time
+ * @returns {string}
+ */
+export const describeInvite = (invite, now = new Date()) => {
+  const status = getInviteStatus(invite, now);
+  const uses = invite.maxUses != null
+    ? `${invite.useCount} of ${invite.maxUses} ${invite.maxUses === 1 ? 'use' : 'uses'}`
+    : `${invite.useCount} ${invite.useCount === 1 ? 'use' : 'uses'}`;
+
+  switch (status) {
+    case INVITE_STATUS.REVOKED:
+      return `Revoked · ${uses}`;
+    case INVITE_STATUS.EXPIRED:
+      return `Expired · ${uses}`;
+    case INVITE_STATUS.USED_UP:
+      return `Used up · ${uses}`;
+    default:
+      return invite.expiresAt
+        ? `Expires in ${describeTimeLeft(invite.expiresAt, now)} · ${uses}`
+        : `Never expires · ${uses}`;
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Group roles and what each of them may do.
+ * Mirrors group_role() and has_group_permission() in database-group-roles.sql;
+ * the database has the final say, this decides what the app offers.
+ */
+
+export const GROUP_ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  MEMBER: 'member'
+};
+
+export const GROUP_ROLE_LABELS = {
+  admin: 'Admin',
+  moderator: 'Moderator',
+  member: 'Member'
+};
+
+export const GROUP_PERMISSIONS = {
+  START_REQUEST: 'start_request',
+  // Terminate or replace a session someone else started
+  MANAGE_SESSIONS: 'manage_sessions',
+  REMOVE_MEMBERS: 'remove_members',
+  EDIT_GROUP: 'edit_group',
+  MANAGE_ROLES: 'manage_roles',
+  // Create and revoke invites, accept join requests
+  MANAGE_INVITES: 'manage_invites',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  USE_DEBUG_TOOLS: 'use_debug_tools'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(GROUP_PERMISSIONS),
+  moderator: [GROUP_PERMISSIONS.START_REQUEST, GROUP_PERMISSIONS.MANAGE_SESSIONS, GROUP_PERMISSIONS.REMOVE_MEMBERS],
+  member: [GROUP_PERMISSIONS.START_REQUEST]
+};
+
+export const PERMISSION_DENIED_MESSAGES = {
+  start_request: 'Only group members can start a dinner request',
+  manage_sessions: 'Only the member who started this session, a moderator or an admin can do that',
+  remove_members: 'Only moderators and admins can remove members',
+  edit_group: 'Only group admins can change the group settings',
+  manage_roles: 'Only group admins can change member roles',
+  manage_invites: 'Only group admins can manage invites',
+  view_audit_log: 'Only group admins can see the group log',
+  use_debug_tools: 'Only group admins can use the debug tools'
+};
+
+/**
+ * A member's role; the group's creator is always an admin
+ * @param {string} role - group_members.role
+ * @param {boolean} isCreator - Whether the member created the group
+ * @returns {string|null} - One of GROUP_ROLES, or null for a non-member
+ */
+export const normalizeGroupRole = (role, isCreator = false) => {
+  if (isCreator) return GROUP_ROLES.ADMIN;
+  if (!role) return null;
+  return Object.values(GROUP_ROLES).includes(role) ? role : GROUP_ROLES.MEMBER;
+};
+
+/**
+ * @param {string} role - One of GROUP_ROLES
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasGroupPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Whether a member may terminate or replace a session: the member who
+ * started it always may, everyone else needs MANAGE_SESSIONS
+ * @param {string} role - The member's role
+ * @param {string} userId - The member
+ * @param {string} requestedBy - Who started the session
+ * @returns {boolean}
+ */
+export const canManageSession = (role, userId, requestedBy) => (
+  (!!role && !!userId && userId === requestedBy) || hasGroupPermission(role, GROUP_PERMISSIONS.MANAGE_SESSIONS)
+);
+
+/**
+ * Whether a member may give another member a new role. Admins manage roles,
+ * but not their own (so a group always keeps an admin) nor the creator's.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} target - Member from getGroupMembers ({ user_id, role, is_creator })
+ * @param {string} newRole - One of GROUP_ROLES
+ * @returns {boolean}
+ */
+export const canChangeMemberRole = (actor, target, newRole) => (
+  hasGroupPermission(actor.role, GROUP_PERMISSIONS.MANAGE_ROLES) &&
+  Object.values(GROUP_ROLES).includes(newRole) &&
+  !!target &&
+  target.user_id !== actor.userId &&
+  !target.is_creator &&
+  target.role !== newRole
+);
+
+/**
+ * Whether a member may remove another member. Admins may remove anyone but
+ * the creator, moderators only plain members.
+ * @param {Object} actor - { userId, role }
+ * @param {Object} target - Member from getGroupMembers ({ user_id, role, is_creator })
+ * @returns {boolean}
+ */
+export const canRemoveMember = (actor, target) => {
+  if (!target || target.user_id === actor.userId || target.is_creator) return false;
+  if (!hasGroupPermission(actor.role, GROUP_PERMISSIONS.REMOVE_MEMBERS)) return false;
+  return actor.role === GROUP_ROLES.ADMIN || normalizeGroupRole(target.role) === GROUP_ROLES.MEMBER;
+};
+
+/**
+ * Whether a member may hand the group over to another member (the owner only)
+ * @param {Object} actor - { userId, isCreator }
+ * @param {Object} target - Member from getGroupMembers ({ user_id, isPlaceholder })
+ * @returns {boolean}
+ */
+export const canTransferOwnership = (actor, target) => (
+  !!actor.isCreator && !!target && target.user_id !== actor.userId && !target.isPlaceholder
+);
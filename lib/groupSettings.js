@@ -0,0 +1,187 @@
+/**
+ * Group settings: the name, description and dinner defaults a group keeps
+ * between requests. Mirrors the columns and checks in
+ * database-group-settings.sql.
+ */
+import { normalizeDietaryProfile } from './dietaryProfile';
+import { VOTING_MODES, VOTING_MODE_LABELS } from './voteTallyService';
+
+export const GROUP_SETTINGS_LIMITS = {
+  nameMax: 50,
+  descriptionMax: 200,
+  minMealCount: 3,
+  maxMealCount: 20,
+  minDeadlineMinutes: 5,
+  maxDeadlineMinutes: 720
+};
+
+export const DEADLINE_OFFSET_OPTIONS = [5, 10, 15, 30, 60, 120];
+
+export const DEFAULT_GROUP_SETTINGS = {
+  name: '',
+  description: '',
+  // null leaves the count to the recipe type
+  mealCount: null,
+  dinnerTime: null,
+  deadlineMinutes: 15,
+  votingMode: VOTING_MODES.YES_NO,
+  dietaryRestrictions: [],
+  allergens: []
+};
+
+// Columns getGroupSettings reads
+export const GROUP_SETTINGS_COLUMNS = 'name, description, default_meal_count, default_dinner_time, default_deadline_minutes, default_voting_mode, dietary_restrictions, allergens';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Reads a time of day typed as "18:30" (or "18.30", or "18:30:00" from the database)
+ * @param {string} text - Time text
+ * @returns {Object|null} - { hour, minutes }, or null if it isn't a time
+ */
+export const parseTimeOfDay = (text) => {
+  const match = String(text ?? '').trim().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?$/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hour > 23 || minutes > 59) return null;
+  return { hour, minutes };
+};
+
+/**
+ * @param {Object} time - { hour, minutes }
+ * @returns {string} - HH:MM
+ */
+export const formatTimeOfDay = (time) => (time ? `${pad(time.hour)}:${pad(time.minutes)}` : '');
+
+/**
+ * When replies close for a dinner at the given time. Like getOccurrenceTimes
+ * in recurrence.js, a deadline that would fall on the day before is kept at
+ * midnight because dinner_requests stores it on the dinner's own date.
+ * @param {number} hour - Dinner hour
+ * @param {number} minutes - Dinner minutes
+ * @param {number} deadlineMinutes - Minutes before dinner
+ * @returns {string} - Deadline in HH:MM:SS format
+ */
+export const getDeadlineTime = (hour, minutes, deadlineMinutes = DEFAULT_GROUP_SETTINGS.deadlineMinutes) => {
+  const total = Math.max(0, hour * 60 + minutes - deadlineMinutes);
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}:00`;
+};
+
+/**
+ * e.g. "15 min" or "2 hours"
+ * @param {number} deadlineMinutes - Minutes before dinner
+ * @returns {string}
+ */
+export const describeDeadlineOffset = (deadlineMinutes) => {
+  if (deadlineMinutes < 60 || deadlineMinutes % 60 !== 0) {
+    return `${deadlineMinutes} min`;
+  }
+  const hours = deadlineMinutes / 60;
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * One-line summary for the group modal, e.g. "Dinner at 18:30 · replies close 15 min before · Yes / No"
+ * @param {Object} settings - Group settings
+ * @returns {string}
+ */
+export const describeGroupDefaults = (settings) => [
+  settings.dinnerTime ? `Dinner at ${formatTimeOfDay(settings.dinnerTime)}` : 'No set dinner time',
+  `replies close ${describeDeadlineOffset(settings.deadlineMinutes)} before`,
+  VOTING_MODE_LABELS[settings.votingMode] || VOTING_MODE_LABELS.yes_no
+].join(' · ');
+
+/**
+ * Turns a groups row into the app's settings shape
+ * @param {Object} row - groups row with the settings columns
+ * @returns {Object} - Group settings
+ */
+export const rowToGroupSettings = (row = {}) => {
+  const dietary = normalizeDietaryProfile(row);
+  return {
+    name: row.name || '',
+    description: row.description || '',
+    mealCount: row.default_meal_count ?? null,
+    dinnerTime: parseTimeOfDay(row.default_dinner_time),
+    deadlineMinutes: row.default_deadline_minutes ?? DEFAULT_GROUP_SETTINGS.deadlineMinutes,
+    votingMode: Object.values(VOTING_MODES).includes(row.default_voting_mode)
+      ? row.default_voting_mode
+      : DEFAULT_GROUP_SETTINGS.votingMode,
+    dietaryRestrictions: dietary.dietaryRestrictions,
+    allergens: dietary.allergens
+  };
+};
+
+/**
+ * What the settings screen edits; numbers and times stay text so the inputs can be cleared
+ * @param {Object} settings - Group settings
+ * @returns {Object} - Settings draft
+ */
+export const settingsToDraft = (settings) => ({
+  ...settings,
+  mealCount: settings.mealCount ? String(settings.mealCount) : '',
+  dinnerTime: formatTimeOfDay(settings.dinnerTime)
+});
+
+/**
+ * Checks a draft before it is saved
+ * @param {Object} draft - Settings draft
+ * @returns {Object} - { valid, errors: { field: message } }
+ */
+export const validateGroupSettingsDraft = (draft) => {
+  const errors = {};
+  const name = (draft.name || '').trim();
+
+  if (!name) {
+    errors.name = 'Give the group a name';
+  } else if (name.length > GROUP_SETTINGS_LIMITS.nameMax) {
+    errors.name = `Keep the name under ${GROUP_SETTINGS_LIMITS.nameMax} characters`;
+  }
+
+  if ((draft.description || '').trim().length > GROUP_SETTINGS_LIMITS.descriptionMax) {
+    errors.description = `Keep the description under ${GROUP_SETTINGS_LIMITS.descriptionMax} characters`;
+  }
+
+  const mealCountText = String(draft.mealCount ?? '').trim();
+  const mealCount = Number(mealCountText);
+  if (mealCountText && (!Number.isInteger(mealCount) || mealCount < GROUP_SETTINGS_LIMITS.minMealCount || mealCount > GROUP_SETTINGS_LIMITS.maxMealCount)) {
+    errors.mealCount = `Pick between ${GROUP_SETTINGS_LIMITS.minMealCount} and ${GROUP_SETTINGS_LIMITS.maxMealCount} meals, or leave it empty`;
+  }
+
+  if ((draft.dinnerTime || '').trim() && !parseTimeOfDay(draft.dinnerTime)) {
+    errors.dinnerTime = 'Enter a time like 18:30, or leave it empty';
+  }
+
+  const deadline = draft.deadlineMinutes;
+  if (!Number.isInteger(deadline) || deadline < GROUP_SETTINGS_LIMITS.minDeadlineMinutes || deadline > GROUP_SETTINGS_LIMITS.maxDeadlineMinutes) {
+    errors.deadlineMinutes = 'Pick when replies close';
+  }
+
+  if (!Object.values(VOTING_MODES).includes(draft.votingMode)) {
+    errors.votingMode = 'Unknown voting mode';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Turns a valid draft into the groups columns to update
+ * @param {Object} draft - Settings draft
+ * @returns {Object} - groups row fields
+ */
+export const draftToGroupRow = (draft) => {
+  const dinnerTime = parseTimeOfDay(draft.dinnerTime);
+  const mealCount = String(draft.mealCount ?? '').trim();
+  const dietary = normalizeDietaryProfile(draft);
+  return {
+    name: draft.name.trim(),
+    description: (draft.description || '').trim(),
+    default_meal_count: mealCount ? Number(mealCount) : null,
+    default_dinner_time: dinnerTime ? `${formatTimeOfDay(dinnerTime)}:00` : null,
+    default_deadline_minutes: draft.deadlineMinutes,
+    default_voting_mode: draft.votingMode,
+    dietary_restrictions: dietary.dietaryRestrictions,
+    allergens: dietary.allergens
+  };
+};
@@ -0,0 +1,88 @@
+import { supabase } from './supabase';
+import { checkGroupPermission } from './groupsService';
+import { GROUP_PERMISSIONS } from './groupPermissions';
+import {
+  GROUP_SETTINGS_COLUMNS,
+  rowToGroupSettings,
+  validateGroupSettingsDraft,
+  draftToGroupRow
+} from './groupSettings';
+
+/**
+ * Gets a group's name, description and dinner defaults
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Success/error response with settings (see lib/groupSettings.js)
+ */
+export const getGroupSettings = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select(GROUP_SETTINGS_COLUMNS)
+      .eq('id', groupId)
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, settings: rowToGroupSettings(data) };
+
+  } catch (error) {
+    console.error('❌ Error loading group settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the group settings'
+    };
+  }
+};
+
+/**
+ * Saves the settings screen (admins only)
+ * @param {string} groupId - Group ID
+ * @param {Object} draft - Settings draft (see settingsToDraft)
+ * @returns {Promise<Object>} - Success/error response with the saved settings, or errors per field
+ */
+export const updateGroupSettings = async (groupId, draft) => {
+  try {
+    const validation = validateGroupSettingsDraft(draft);
+    if (!validation.valid) {
+      return {
+        success: false,
+        errors: validation.errors,
+        error: Object.values(validation.errors)[0]
+      };
+    }
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.EDIT_GROUP);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { data, error } = await supabase
+      .from('groups')
+      .update(draftToGroupRow(draft))
+      .eq('id', groupId)
+      .select(GROUP_SETTINGS_COLUMNS)
+      .single();
+
+    if (error) {
+      // Group names are unique per creator
+      if (error.code === '23505' && error.message.includes('unique_group_name_per_user')) {
+        return {
+          success: false,
+          errors: { name: 'The group owner already has a group with this name' },
+          error: 'The group owner already has a group with this name'
+        };
+      }
+      throw error;
+    }
+
+    console.log('✅ Saved group settings for', groupId);
+    return { success: true, settings: rowToGroupSettings(data) };
+
+  } catch (error) {
+    console.error('❌ Error saving group settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save the group settings'
+    };
+  }
+};
@@ -1,4 +1,45 @@
 import { supabase } from './supabase';
+import {
+  GROUP_PERMISSIONS,
+  GROUP_ROLES,
+  GROUP_ROLE_LABELS,
+  PERMISSION_DENIED_MESSAGES,
+  hasGroupPermission,
+  canManageSession
+} from './groupPermissions';
+import { parseInviteCode } from './groupInvites';
+import { validateGroupCapacity } from './groupCapacity';
+
+export const AUDIT_ACTIONS = {
+  MEMBER_REMOVED: 'member_removed',
+  MEMBER_BANNED: 'member_banned',
+  MEMBER_UNBANNED: 'member_unbanned',
+  ROLE_CHANGED: 'role_changed',
+  OWNERSHIP_TRANSFERRED: 'ownership_transferred'
+};
+
+/**
+ * Looks up display names for a list of user IDs
+ * @param {Array} userIds - User IDs
+ * @returns {Object} - userId -> name
+ */
+export const getUserNames = async (userIds) => {
+  const ids = Array.from(new Set(userIds.filter(Boolean)));
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase.rpc('get_users_by_ids', { user_ids: ids });
+  if (error) {
+    console.warn('⚠️ Could not load member names:', error);
+    return {};
+  }
+
+  return (data || []).reduce((names, profile) => {
+    names[profile.id] = profile.full_name || profile.user_name || profile.email?.split('@')[0] || 'Group Member';
+    return names;
+  }, {});
+};
 
 /**
  * Generates a random alphanumeric join code
@@ -221,9 +262,11 @@ export const updateMainGroupAfterDeletion = async (userId) => {
 };
 
 /**
- * Joins an existing group using a join code
- * @param {string} joinCode - The group's join code
- * @returns {Object} - Success/error response with group data
+ * Joins an existing group using an invite code or link. In groups that ask
+ * for approval this files a join request instead (pending: true); a full
+ * group puts the user on its waitlist (waitlisted: true, not a success).
+ * @param {string} joinCode - Invite code or studentenhapp://join/CODE link
+ * @returns {Object} - Success/error response with group data ({ id, name }), pending, waitlisted and position
  */
 export const joinGroupByCode = async (joinCode) => {
   console.log('🚪 [SERVICE] Attempting to join group with code:', joinCode);
@@ -252,90 +295,51 @@ export const joinGroupByCode = async (joinCode) => {
 
       console.log('👤 User authenticated:', user.id);
 
-      // Find the group by join code
-      console.log('🔍 Searching for group with join code:', joinCode.toUpperCase());
-      const { data: group, error: groupError } = await supabase
-        .from('groups')
-        .select('*')
-        .eq('join_code', joinCode.toUpperCase())
-        .eq('is_active', true)
-        .single();
-
-      console.log('📋 Group search result:', { group, groupError });
-
-      if (groupError) {
-        console.error('❌ Group search error:', groupError);
-        if (groupError.code === 'PGRST116') {
-          return {
-            success: false,
-            error: 'Group not found. Please check the join code and try again.'
-          };
-        } else {
-          return {
-            success: false,
-            error: `Database error: ${groupError.message}`
-          };
-        }
-      }
-
-      if (!group) {
-        console.log('❌ No group found with join code:', joinCode);
+      // Accepts a pasted invite link as well as a bare code
+      const code = parseInviteCode(joinCode);
+      if (!code) {
         return {
           success: false,
           error: 'Group not found. Please check the join code and try again.'
         };
       }
 
-      console.log('✅ Group found:', group.name, 'ID:', group.id);
-
-      // Check if user is already a member
-      console.log('🔍 Checking existing membership...');
-      const { data: existingMember, error: memberCheckError } = await supabase
-        .from('group_members')
-        .select('*')
-        .eq('group_id', group.id)
-        .eq('user_id', user.id)
-        .single();
+      // Expiry, usage limits, bans and approval are all checked in the database
+      console.log('🔍 Redeeming invite:', code);
+      const { data: redeemed, error: redeemError } = await supabase.rpc('redeem_group_invite', {
+        invite_code: code
+      });
 
-      console.log('👥 Membership check result:', { existingMember, memberCheckError });
+      console.log('📋 Invite result:', { redeemed, redeemError });
 
-      if (memberCheckError && memberCheckError.code !== 'PGRST116') {
-        console.error('❌ Error checking membership:', memberCheckError);
+      if (redeemError) {
+        console.error('❌ Error redeeming invite:', redeemError);
         return {
           success: false,
-          error: `Error checking membership: ${memberCheckError.message}`
+          error: redeemError.message || 'Failed to join group. Please try again.'
         };
       }
 
-      if (existingMember) {
-        console.log('⚠️ User is already a member');
+      const group = { id: redeemed.group_id, name: redeemed.group_name };
+
+      if (redeemed.status === 'waitlisted') {
+        console.log(`⏳ ${group.name} is full, waitlisted at position ${redeemed.position}`);
         return {
           success: false,
-          error: 'You are already a member of this group'
+          waitlisted: true,
+          position: redeemed.position,
+          group: group,
+          error: `"${group.name}" is full. You're number ${redeemed.position} on the waitlist and will be added automatically when a place opens up.`
         };
       }
 
-      // Add user to the group
-      console.log('➕ Adding user to group...');
-      const { data: newMember, error: joinError } = await supabase
-        .from('group_members')
-        .insert([
-          {
-            group_id: group.id,
-            user_id: user.id,
-            role: 'member'
-          }
-        ])
-        .select('*')
-        .single();
-
-      console.log('👥 Join attempt result:', { newMember, joinError });
-
-      if (joinError) {
-        console.error('❌ Error joining group:', joinError);
+      if (redeemed.status === 'pending') {
+        console.log('⏳ Join request sent to the admins of', group.name);
         return {
-          success: false,
-          error: `Failed to join group: ${joinError.message}`
+          success: true,
+          pending: true,
+          group: group,
+          message: `Your request to join "${group.name}" was sent. You'll see the group once an admin accepts it.`
         };
       }
 
@@ -343,7 +347,6 @@ export const joinGroupByCode = async (joinCode) => {
       return {
         success: true,
         group: group,
-        member: newMember,
         message: `Successfully joined "${group.name}"!`
       };
 
@@ -893,6 +896,403 @@ export const getGroupMembers = async (groupId) => {
   }
 }; 
 
+/**
+ * Gets the current user's role in a group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Success/error response with userId and role (null when not a member)
+ */
+export const getGroupRole = async (groupId) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return {
+        success: false,
+        error: 'You must be signed in to view your group role'
+      };
+    }
+
+    const { data: role, error } = await supabase.rpc('group_role', { group_uuid: groupId });
+    if (error) throw error;
+
+    return {
+      success: true,
+      userId: user.id,
+      role: role || null
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading group role:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load your group role'
+    };
+  }
+};
+
+/**
+ * Checks that the current user may do something in a group. Services call
+ * this before acting; the database policies check the same rules again.
+ * @param {string} groupId - Group ID
+ * @param {string} permission - One of GROUP_PERMISSIONS
+ * @param {Object} options - { requestedBy } for MANAGE_SESSIONS: who started the session
+ * @returns {Promise<Object>} - Success/error response with userId and role; permissionDenied when refused
+ */
+export const checkGroupPermission = async (groupId, permission, options = {}) => {
+  const roleResult = await getGroupRole(groupId);
+  if (!roleResult.success) {
+    return roleResult;
+  }
+
+  const { userId, role } = roleResult;
+  const allowed = permission === GROUP_PERMISSIONS.MANAGE_SESSIONS && options.requestedBy
+    ? canManageSession(role, userId, options.requestedBy)
+    : hasGroupPermission(role, permission);
+
+  if (!allowed) {
+    console.log(`🚫 [PERMISSIONS] ${role || 'non-member'} may not ${permission} in group ${groupId}`);
+    return {
+      success: false,
+      permissionDenied: true,
+      error: PERMISSION_DENIED_MESSAGES[permission] || 'You are not allowed to do that in this group'
+    };
+  }
+
+  return { success: true, userId, role };
+};
+
+/**
+ * Gives a member a new role (admins only)
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - User ID of the member
+ * @param {string} newRole - One of GROUP_ROLES
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const setGroupMemberRole = async (groupId, memberId, newRole) => {
+  try {
+    if (!Object.values(GROUP_ROLES).includes(newRole)) {
+      return { success: false, error: 'Unknown role' };
+    }
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_ROLES);
+    if (!permission.success) {
+      return permission;
+    }
+
+    if (memberId === permission.userId) {
+      return { success: false, error: "You can't change your own role" };
+    }
+
+    const { error } = await supabase.rpc('set_group_member_role', {
+      group_uuid: groupId,
+      member_uuid: memberId,
+      new_role: newRole
+    });
+
+    if (error) throw error;
+
+    console.log(`✅ Member ${memberId} is now ${newRole}`);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error changing member role:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to change the member role'
+    };
+  }
+};
+
+/**
+ * Removes a member from a group, optionally banning them from rejoining
+ * (moderators may remove plain members, admins anyone but the owner)
+ * @param {string} groupId - Group ID
+ * @param {string} memberId - User ID of the member
+ * @param {Object} options - { ban, reason }
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const removeGroupMember = async (groupId, memberId, options = {}) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.REMOVE_MEMBERS);
+    if (!permission.success) {
+      return permission;
+    }
+
+    if (memberId === permission.userId) {
+      return { success: false, error: 'Use Leave to leave a group yourself' };
+    }
+
+    const { error } = await supabase.rpc('remove_group_member', {
+      group_uuid: groupId,
+      member_uuid: memberId,
+      ban: !!options.ban,
+      ban_reason: (options.reason || '').trim()
+    });
+
+    if (error) throw error;
+
+    console.log(`✅ ${options.ban ? 'Banned' : 'Removed'} member ${memberId}`);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error removing member:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to remove the member'
+    };
+  }
+};
+
+/**
+ * Lets a banned user join the group again
+ * @param {string} groupId - Group ID
+ * @param {string} userId - The banned user
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const unbanGroupUser = async (groupId, userId) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.REMOVE_MEMBERS);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase.rpc('unban_group_user', {
+      group_uuid: groupId,
+      user_uuid: userId
+    });
+
+    if (error) throw error;
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error unbanning user:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to unban'
+    };
+  }
+};
+
+/**
+ * Gets the people banned from a group (moderators and admins)
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Success/error response with bans ({ userId, name, reason, bannedAt })
+ */
+export const getGroupBans = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('group_bans')
+      .select('user_id, reason, banned_at')
+      .eq('group_id', groupId)
+      .order('banned_at', { ascending: false });
+
+    if (error) throw error;
+
+    const names = await getUserNames((data || []).map(ban => ban.user_id));
+    return {
+      success: true,
+      bans: (data || []).map(ban => ({
+        userId: ban.user_id,
+        name: names[ban.user_id] || 'Former member',
+        reason: ban.reason,
+        bannedAt: ban.banned_at
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading bans:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load banned members'
+    };
+  }
+};
+
+/**
+ * Changes how many members a group can have (admins only). Raising it lets
+ * people on the waitlist in straight away.
+ * @param {string} groupId - Group ID
+ * @param {number} maxMembers - New capacity
+ * @param {number} memberCount - Members the group has now, for a quick check
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const setGroupCapacity = async (groupId, maxMembers, memberCount = 0) => {
+  try {
+    const invalid = validateGroupCapacity(maxMembers, memberCount);
+    if (invalid) {
+      return { success: false, error: invalid };
+    }
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.EDIT_GROUP);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase.rpc('set_group_capacity', {
+      group_uuid: groupId,
+      new_max: maxMembers
+    });
+
+    if (error) throw error;
+
+    console.log(`✅ Group capacity set to ${maxMembers}`);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error setting group capacity:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to change the group size'
+    };
+  }
+};
+
+/**
+ * Gets the people waiting for a place in a full group, next in line first
+ * (admins only)
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Success/error response with waitlist ({ userId, name, queuedAt })
+ */
+export const getGroupWaitlist = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('group_waitlist')
+      .select('user_id, queued_at')
+      .eq('group_id', groupId)
+      .order('queued_at', { ascending: true });
+
+    if (error) throw error;
+
+    const names = await getUserNames((data || []).map(entry => entry.user_id));
+    return {
+      success: true,
+      waitlist: (data || []).map(entry => ({
+        userId: entry.user_id,
+        name: names[entry.user_id] || 'Someone',
+        queuedAt: entry.queued_at
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading waitlist:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the waitlist'
+    };
+  }
+};
+
+/**
+ * Hands a group over to another member (the owner only). The old owner
+ * stays on as an admin and gets a new main group if this was theirs.
+ * @param {string} groupId - Group ID
+ * @param {string} newOwnerId - User ID of the member taking over
+ * @returns {Promise<Object>} - Success/error response
+ */
+export const transferGroupOwnership = async (groupId, newOwnerId) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return {
+        success: false,
+        error: 'You must be signed in to hand over a group'
+      };
+    }
+
+    const { data: wasMainGroup, error } = await supabase.rpc('transfer_group_ownership', {
+      group_uuid: groupId,
+      new_owner_uuid: newOwnerId
+    });
+
+    if (error) throw error;
+
+    // The handover itself succeeded, a stale main group flag is only cosmetic
+    if (wasMainGroup) {
+      try {
+        await updateMainGroupAfterDeletion(user.id);
+      } catch (mainGroupError) {
+        console.warn('⚠️ Could not pick a new main group:', mainGroupError);
+      }
+    }
+
+    console.log('✅ Handed group over to', newOwnerId);
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error transferring group ownership:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to hand over the group'
+    };
+  }
+};
+
+/**
+ * Gets a group's audit log, newest first (admins only)
+ * @param {string} groupId - Group ID
+ * @param {number} limit - Number of entries (default 30)
+ * @returns {Promise<Object>} - Success/error response with entries ({ id, action, actorName, targetName, details, createdAt })
+ */
+export const getGroupAuditLog = async (groupId, limit = 30) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.VIEW_AUDIT_LOG);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { data, error } = await supabase
+      .from('group_audit_log')
+      .select('id, actor_id, action, target_user_id, details, created_at')
+      .eq('group_id', groupId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const names = await getUserNames((data || []).flatMap(entry => [entry.actor_id, entry.target_user_id]));
+    return {
+      success: true,
+      entries: (data || []).map(entry => ({
+        id: entry.id,
+        action: entry.action,
+        actorName: names[entry.actor_id] || 'Someone',
+        targetName: names[entry.target_user_id] || 'a former member',
+        details: entry.details || {},
+        createdAt: entry.created_at
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading audit log:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the group log'
+    };
+  }
+};
+
+/**
+ * One-line description of an audit log entry
+ * @param {Object} entry - Entry from getGroupAuditLog
+ * @returns {string}
+ */
+export const describeAuditEntry = (entry) => {
+  switch (entry.action) {
+    case AUDIT_ACTIONS.MEMBER_REMOVED:
+      return `${entry.actorName} removed ${entry.targetName}`;
+    case AUDIT_ACTIONS.MEMBER_BANNED:
+      return `${entry.actorName} banned ${entry.targetName}${entry.details.reason ? ` (${entry.details.reason})` : ''}`;
+    case AUDIT_ACTIONS.MEMBER_UNBANNED:
+      return `${entry.actorName} unbanned ${entry.targetName}`;
+    case AUDIT_ACTIONS.ROLE_CHANGED:
+      return `${entry.actorName} made ${entry.targetName} ${(GROUP_ROLE_LABELS[entry.details.to] || 'member').toLowerCase()}`;
+    case AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED:
+      return `${entry.actorName} handed the group over to ${entry.targetName}`;
+    default:
+      return `${entry.actorName} changed the group`;
+  }
+};
+
 /**
  * Sets a group as the main group for a user
  * @param {string} groupId - ID of the group to set as main
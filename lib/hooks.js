@@ -1,5 +1,6 @@
-import { useMemo, useState, useEffect, useCallback } from 'react';
+import { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import { useAppState } from './AppStateContext';
+import { subscriptionManager } from './databaseOptimizations';
 
 /**
  * Hook for components that need groups data
@@ -81,6 +82,54 @@ export const useDinnerRequests = () => {
   } : requestsData;
 };
 
+/**
+ * Hook for components that show what is waiting to be sent while offline
+ */
+export const useOfflineQueue = () => {
+  const { pendingOfflineActions } = useAppState();
+
+  return useMemo(() => ({
+    pendingActions: pendingOfflineActions,
+    pendingCount: pendingOfflineActions.length,
+    hasPending: pendingOfflineActions.length > 0
+  }), [pendingOfflineActions]);
+};
+
+/**
+ * Hook for live database changes. Subscribes while the component is mounted
+ * and removes the channels again when it unmounts or the subscriptions change.
+ * @param {string} key - Prefix for this screen's channels, null to not subscribe
+ * @param {Array} subscriptions - { table, filter, event } per table to listen to
+ * @param {Function} onChange - Called with (table, payload) for every change
+ */
+export const useRealtimeSubscriptions = (key, subscriptions, onChange) => {
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  
+  // Re-subscribe only when the tables or filters actually change
+  const signature = key ? JSON.stringify(subscriptions) : null;
+
+  useEffect(() => {
+    if (!key) return;
+    
+    const keys = subscriptions.map(({ table, filter, event }) => {
+      const subscriptionKey = `${key}_${table}`;
+      subscriptionManager.subscribe(
+        subscriptionKey,
+        table,
+        filter,
+        (payload) => onChangeRef.current(table, payload),
+        event
+      );
+      return subscriptionKey;
+    });
+    
+    return () => {
+      keys.forEach(subscriptionKey => subscriptionManager.unsubscribe(subscriptionKey));
+    };
+  }, [key, signature]);
+};
+
 /**
  * Hook for components that need user profile data
  */
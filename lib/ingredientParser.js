@@ -0,0 +1,369 @@
+/**
+ * Turns free-text recipe ingredients ("150 g cherrytomaten", "2 zalmfilets",
+ * "2 tbsp olive oil") into a merged, scaled shopping list grouped by aisle.
+ * Recipes are a mix of Dutch and English, so both are understood.
+ */
+
+// recipe_data has no servings field yet; the sample recipes are written for two
+export const DEFAULT_RECIPE_SERVINGS = 2;
+
+export const AISLES = [
+  { id: 'produce', label: 'Fruit & Vegetables' },
+  { id: 'meat_fish', label: 'Meat & Fish' },
+  { id: 'dairy', label: 'Dairy & Eggs' },
+  { id: 'bakery', label: 'Bread & Bakery' },
+  { id: 'grains', label: 'Pasta, Rice & Grains' },
+  { id: 'canned', label: 'Cans & Jars' },
+  { id: 'oils_sauces', label: 'Oils & Sauces' },
+  { id: 'spices', label: 'Herbs & Spices' },
+  { id: 'frozen', label: 'Frozen' },
+  { id: 'other', label: 'Other' }
+];
+
+// A keyword matches the start of a word ("kipfilet"), and keywords of 4 or
+// more letters also the end of a Dutch compound ("slagroom", "cherrytomaten"),
+// so "salt" doesn't match "unsalted". Phrases match whole words. The longest
+// matching keyword wins, so "paprikapoeder" lands in spices rather than
+// produce, "mushrooms" in produce rather than dairy and "coconut milk" in
+// cans; on a tie the aisle listed first wins.
+const AISLE_KEYWORDS = [
+  ['frozen', ['diepvries', 'frozen', 'ijsblokjes']],
+  ['canned', ['blik', 'chickpea', 'kikkererwt', 'bonen', 'beans', 'linzen', 'lentil', 'tomatenpuree', 'passata', 'kokosmelk', 'coconut milk', 'mais', 'corn', 'olijven', 'olives']],
+  ['produce', ['aardappel', 'potato', 'pastinaak', 'parsnip', 'wortel', 'carrot', 'ui', 'onion', 'sjalot', 'shallot', 'tomat', 'tomaat', 'sla', 'salade', 'lettuce', 'greens', 'spinazie', 'spinach', 'paprika', 'bell pepper', 'courgette', 'zucchini', 'broccoli', 'bloemkool', 'cauliflower', 'avocado', 'citroen', 'lemon', 'limoen', 'lime', 'knoflook', 'garlic', 'champignon', 'mushroom', 'prei', 'leek', 'komkommer', 'cucumber', 'appel', 'apple', 'banaan', 'banana', 'gember', 'ginger', 'peterselie', 'parsley', 'basilicum', 'basil', 'koriander', 'cilantro', 'bieslook', 'chives', 'aubergine', 'eggplant', 'sperziebonen', 'green beans', 'erwt', 'peas']],
+  ['dairy', ['melk', 'milk', 'room', 'cream', 'kaas', 'cheese', 'parmesan', 'parmezaan', 'boter', 'butter', 'yoghurt', 'yogurt', 'ei', 'eieren', 'egg', 'crème fraîche', 'creme fraiche', 'feta', 'mozzarella', 'kwark']],
+  ['meat_fish', ['zalm', 'salmon', 'kip', 'chicken', 'gehakt', 'mince', 'beef', 'rundvlees', 'varkens', 'pork', 'spek', 'bacon', 'vis', 'fish', 'garnal', 'shrimp', 'prawn', 'tonijn', 'tuna', 'ham', 'worst', 'sausage', 'kabeljauw', 'cod', 'lamb', 'lams']],
+  ['oils_sauces', ['olie', 'oil', 'azijn', 'vinegar', 'sojasaus', 'soy', 'tahini', 'mayonaise', 'mayo', 'ketchup', 'mosterd', 'mustard', 'honing', 'honey', 'bouillon', 'stock', 'saus', 'sauce', 'suiker', 'sugar', 'pesto', 'sambal']],
+  ['bakery', ['brood', 'bread', 'tortilla', 'wrap', 'pita', 'stokbrood', 'baguette', 'bun']],
+  ['grains', ['pasta', 'spaghetti', 'penne', 'macaroni', 'lasagne', 'rijst', 'rice', 'quinoa', 'couscous', 'noedel', 'noodle', 'bulgur', 'havermout', 'oats', 'meel', 'flour', 'bloem']],
+  ['spices', ['paprikapoeder', 'kerrie', 'curry', 'komijn', 'cumin', 'oregano', 'tijm', 'thyme', 'rozemarijn', 'rosemary', 'kaneel', 'cinnamon', 'chilipoeder', 'chili powder', 'nootmuskaat', 'nutmeg', 'kurkuma', 'turmeric', 'laurier', 'zout', 'salt', 'peper', 'pepper', 'kruiden', 'spices']]
+];
+
+// Written unit -> canonical unit; factor converts the amount to the canonical unit
+const UNITS = {
+  g: { unit: 'g', factor: 1 },
+  gr: { unit: 'g', factor: 1 },
+  gram: { unit: 'g', factor: 1 },
+  grams: { unit: 'g', factor: 1 },
+  kg: { unit: 'g', factor: 1000 },
+  kilo: { unit: 'g', factor: 1000 },
+  ml: { unit: 'ml', factor: 1 },
+  cl: { unit: 'ml', factor: 10 },
+  dl: { unit: 'ml', factor: 100 },
+  l: { unit: 'ml', factor: 1000 },
+  liter: { unit: 'ml', factor: 1000 },
+  litre: { unit: 'ml', factor: 1000 },
+  el: { unit: 'tbsp', factor: 1 },
+  eetlepel: { unit: 'tbsp', factor: 1 },
+  eetlepels: { unit: 'tbsp', factor: 1 },
+  tbsp: { unit: 'tbsp', factor: 1 },
+  tablespoon: { unit: 'tbsp', factor: 1 },
+  tablespoons: { unit: 'tbsp', factor: 1 },
+  tl: { unit: 'tsp', factor: 1 },
+  theelepel: { unit: 'tsp', factor: 1 },
+  theelepels: { unit: 'tsp', factor: 1 },
+  tsp: { unit: 'tsp', factor: 1 },
+  teaspoon: { unit: 'tsp', factor: 1 },
+  teaspoons: { unit: 'tsp', factor: 1 },
+  cup: { unit: 'cup', factor: 1 },
+  cups: { unit: 'cup', factor: 1 },
+  kopje: { unit: 'cup', factor: 1 },
+  kopjes: { unit: 'cup', factor: 1 },
+  clove: { unit: 'clove', factor: 1 },
+  cloves: { unit: 'clove', factor: 1 },
+  teen: { unit: 'clove', factor: 1 },
+  teentje: { unit: 'clove', factor: 1 },
+  teentjes: { unit: 'clove', factor: 1 },
+  tenen: { unit: 'clove', factor: 1 },
+  blik: { unit: 'can', factor: 1 },
+  blikje: { unit: 'can', factor: 1 },
+  blikken: { unit: 'can', factor: 1 },
+  can: { unit: 'can', factor: 1 },
+  cans: { unit: 'can', factor: 1 },
+  pak: { unit: 'pack', factor: 1 },
+  pakje: { unit: 'pack', factor: 1 },
+  pack: { unit: 'pack', factor: 1 },
+  zak: { unit: 'bag', factor: 1 },
+  zakje: { unit: 'bag', factor: 1 },
+  bag: { unit: 'bag', factor: 1 },
+  bos: { unit: 'bunch', factor: 1 },
+  bosje: { unit: 'bunch', factor: 1 },
+  bunch: { unit: 'bunch', factor: 1 },
+  stuk: { unit: null, factor: 1 },
+  stuks: { unit: null, factor: 1 },
+  piece: { unit: null, factor: 1 },
+  pieces: { unit: null, factor: 1 }
+};
+
+// Amounts that don't grow with the number of diners
+const UNSCALED_PATTERNS = [/^snufje\b/i, /^mespunt(je)?\b/i, /^pinch\b/i, /^dash\b/i, /naar smaak/i, /to taste/i, /for garnish/i, /ter garnering/i];
+
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+const NUMBER_PATTERN = '(\\d+\\s*[½¼¾⅓⅔]|\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?|[½¼¾⅓⅔])';
+const QUANTITY_REGEX = new RegExp(`^${NUMBER_PATTERN}(?:\\s*(?:-|–|tot|to)\\s*${NUMBER_PATTERN})?\\s*`, 'i');
+
+const parseNumber = (text) => {
+  if (UNICODE_FRACTIONS[text] !== undefined) {
+    return UNICODE_FRACTIONS[text];
+  }
+  // "1½" or "1 ½"
+  const mixedUnicode = text.match(/^(\d+)\s*([½¼¾⅓⅔])$/);
+  if (mixedUnicode) {
+    return Number(mixedUnicode[1]) + UNICODE_FRACTIONS[mixedUnicode[2]];
+  }
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  }
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[1]) / Number(fraction[2]);
+  }
+  return Number(text.replace(',', '.'));
+};
+
+// Dutch plurals that don't just add an "s", matched at the end of a word so
+// compounds like "scharreleieren" and "cherrytomaten" are covered too
+const DUTCH_PLURAL_ENDINGS = [
+  ['eieren', 'ei'],
+  ['uien', 'ui'],
+  ['tomaten', 'tomaat'],
+  ['appelen', 'appel'],
+  ['wortelen', 'wortel'],
+  ['citroenen', 'citroen'],
+  ['limoenen', 'limoen'],
+  ['bananen', 'banaan'],
+  ['sjalotten', 'sjalot'],
+  ['teentjes', 'teentje'],
+  ["paprika's", 'paprika']
+];
+
+const toSingular = (word) => {
+  const ending = DUTCH_PLURAL_ENDINGS.find(([plural]) => word.endsWith(plural));
+  if (ending) {
+    return word.slice(0, -ending[0].length) + ending[1];
+  }
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+};
+
+// "ui" <-> "uien" for counted items whose sources only had the other form
+const swapLastWord = (name, from, to) => {
+  const words = name.split(' ');
+  const last = words[words.length - 1].toLowerCase();
+  const ending = DUTCH_PLURAL_ENDINGS.find(forms => forms[from] === last);
+  return ending ? [...words.slice(0, -1), ending[to]].join(' ') : name;
+};
+
+const toPluralName = (name) => swapLastWord(name, 1, 0);
+const toSingularName = (name) => swapLastWord(name, 0, 1);
+
+// Plain name used to merge duplicates: no notes, singular words
+const toItemKey = (name) => name
+  .toLowerCase()
+  .split(/[,(]/)[0]
+  .replace(/^(snufje|mespuntje?|pinch of|dash of)\s+/, '')
+  .replace(/\s+(to taste|for garnish|naar smaak|ter garnering)$/, '')
+  .replace(/^(fresh|verse?|grote?|kleine?|large|small)\s+/, '')
+  .trim()
+  .split(/\s+/)
+  .map(toSingular)
+  .join(' ');
+
+const matchesKeyword = (keyword, words) => {
+  if (keyword.includes(' ')) {
+    return ` ${words.join(' ')} `.includes(` ${keyword} `);
+  }
+  return words.some(word => word.startsWith(keyword) ||
+    (keyword.length >= 4 && (word.endsWith(keyword) || toSingular(word).endsWith(keyword))));
+};
+
+/**
+ * Finds the supermarket aisle for an ingredient name
+ * @param {string} name - Ingredient name
+ * @returns {string} - Aisle id from AISLES
+ */
+export const getAisleForIngredient = (name) => {
+  const text = (name || '').toLowerCase();
+  const words = text.split(/[^a-zà-ÿ]+/).filter(Boolean);
+
+  let best = { aisle: 'other', length: 0 };
+  AISLE_KEYWORDS.forEach(([aisle, keywords]) => {
+    keywords.forEach(keyword => {
+      if (keyword.length > best.length && matchesKeyword(keyword, words)) {
+        best = { aisle, length: keyword.length };
+      }
+    });
+  });
+  return best.aisle;
+};
+
+/**
+ * Parses one free-text ingredient line
+ * @param {string|Object} ingredient - "150 g cherrytomaten", or a Tasty component with raw_text
+ * @returns {Object|null} - { text, quantity, unit, name, key, aisle, scalable } or null for empty lines
+ */
+export const parseIngredient = (ingredient) => {
+  const text = (typeof ingredient === 'string' ? ingredient : ingredient?.raw_text || ingredient?.name || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let quantity = null;
+  let unit = null;
+  let rest = text;
+
+  const quantityMatch = rest.match(QUANTITY_REGEX);
+  if (quantityMatch) {
+    // For ranges like "2-3" buy the upper amount
+    quantity = parseNumber(quantityMatch[2] || quantityMatch[1]);
+    rest = rest.slice(quantityMatch[0].length);
+
+    const unitMatch = rest.match(/^([a-zA-Z]+)\.?(?:\s+|$)/);
+    const unitInfo = unitMatch && UNITS[unitMatch[1].toLowerCase()];
+    if (unitInfo) {
+      quantity *= unitInfo.factor;
+      unit = unitInfo.unit;
+      rest = rest.slice(unitMatch[0].length);
+    }
+  }
+
+  const name = rest.trim() || text;
+  const scalable = quantity !== null && !UNSCALED_PATTERNS.some(pattern => pattern.test(text));
+
+  return {
+    text,
+    quantity: scalable ? quantity : null,
+    unit: scalable ? unit : null,
+    name,
+    key: toItemKey(name),
+    aisle: getAisleForIngredient(name),
+    scalable
+  };
+};
+
+// Round to amounts you can actually buy or measure
+const roundQuantity = (quantity, unit) => {
+  if (unit === 'g' || unit === 'ml') {
+    return quantity >= 50 ? Math.ceil(quantity / 5) * 5 : Math.ceil(quantity);
+  }
+  if (unit === 'tbsp' || unit === 'tsp' || unit === 'cup') {
+    return Math.max(0.5, Math.round(quantity * 2) / 2);
+  }
+  return Math.ceil(quantity - 1e-9);
+};
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Formats a quantity and unit for display, e.g. 1500 g -> "1.5 kg"
+ * @param {number|null} quantity - Amount in the canonical unit
+ * @param {string|null} unit - Canonical unit
+ * @returns {string} - Display text, empty when there is no amount
+ */
+export const formatQuantity = (quantity, unit) => {
+  if (quantity === null || quantity === undefined) {
+    return '';
+  }
+  if (unit === 'g' && quantity >= 1000) {
+    return `${formatNumber(quantity / 1000)} kg`;
+  }
+  if (unit === 'ml' && quantity >= 1000) {
+    return `${formatNumber(quantity / 1000)} l`;
+  }
+  if (!unit) {
+    return formatNumber(quantity);
+  }
+  const plural = quantity > 1 && ['cup', 'clove', 'can', 'pack', 'bag', 'bunch'].includes(unit) ? 's' : '';
+  return `${formatNumber(quantity)} ${unit}${plural}`;
+};
+
+/**
+ * Gets the ingredient lines from a recipe or a meal option's meal_data
+ * @param {Object} recipe - recipe_data, or meal_data in Tasty format
+ * @returns {Array} - Ingredient lines
+ */
+export const getRecipeIngredients = (recipe) => {
+  if (!recipe) {
+    return [];
+  }
+  if (Array.isArray(recipe.ingredients)) {
+    return recipe.ingredients;
+  }
+  if (Array.isArray(recipe.originalRecipeData?.ingredients)) {
+    return recipe.originalRecipeData.ingredients;
+  }
+  return (recipe.sections || []).flatMap(section => section.components || []);
+};
+
+/**
+ * Builds a shopping list for a recipe, scaled to the number of diners.
+ * Duplicate ingredients are merged and items are sorted by aisle.
+ * @param {Object} recipe - recipe_data or meal_data
+ * @param {number} dinerCount - Number of people eating
+ * @returns {Object} - { servings, dinerCount, scale, items, aisles }
+ */
+export const buildShoppingList = (recipe, dinerCount) => {
+  const servings = Number(recipe?.servings || recipe?.originalRecipeData?.servings) || DEFAULT_RECIPE_SERVINGS;
+  const diners = Math.max(1, Math.round(Number(dinerCount) || 0));
+  const scale = diners / servings;
+
+  const merged = new Map();
+  getRecipeIngredients(recipe).forEach(line => {
+    const parsed = parseIngredient(line);
+    if (!parsed) {
+      return;
+    }
+
+    const mergeKey = `${parsed.key}|${parsed.scalable ? parsed.unit || 'count' : 'unscaled'}`;
+    // Counted items keep a singular and a plural name, e.g. "1 ui" and "2 uien"
+    const nameField = parsed.scalable && parsed.quantity > 1 ? 'pluralName' : 'singularName';
+    const existing = merged.get(mergeKey);
+    if (existing) {
+      if (parsed.scalable) {
+        existing.rawQuantity += parsed.quantity;
+      }
+      existing[nameField] = existing[nameField] || parsed.name;
+      existing.sources.push(parsed.text);
+      return;
+    }
+
+    merged.set(mergeKey, {
+      key: mergeKey,
+      name: parsed.name,
+      singularName: null,
+      pluralName: null,
+      [nameField]: parsed.name,
+      unit: parsed.unit,
+      aisle: parsed.aisle,
+      scalable: parsed.scalable,
+      rawQuantity: parsed.scalable ? parsed.quantity : null,
+      sources: [parsed.text]
+    });
+  });
+
+  const aisleOrder = AISLES.map(aisle => aisle.id);
+  const items = Array.from(merged.values())
+    .map(({ rawQuantity, singularName, pluralName, ...item }) => {
+      const quantity = item.scalable ? roundQuantity(rawQuantity * scale, item.unit) : null;
+      const amount = formatQuantity(quantity, item.unit);
+      let { name } = item;
+      if (quantity !== null && !item.unit) {
+        name = quantity > 1
+          ? pluralName || toPluralName(singularName)
+          : singularName || toSingularName(pluralName);
+      }
+      return {
+        ...item,
+        name,
+        quantity,
+        text: amount ? `${amount} ${name}` : item.sources[0]
+      };
+    })
+    .sort((a, b) => aisleOrder.indexOf(a.aisle) - aisleOrder.indexOf(b.aisle));
+
+  const aisles = AISLES
+    .map(aisle => ({ ...aisle, items: items.filter(item => item.aisle === aisle.id) }))
+    .filter(aisle => aisle.items.length > 0);
+
+  return { servings, dinerCount: diners, scale, items, aisles };
+};
@@ -0,0 +1,54 @@
+import { supabase } from './supabase';
+import { buildGroupInsights } from './groupInsights';
+
+// The most recent sessions are plenty to see a group's habits
+const INSIGHTS_SESSION_LIMIT = 100;
+
+/**
+ * Gets a group's insights: most-loved recipes, attendance, response times,
+ * declines, busiest dinner days and times, and taste overlap between members
+ * @param {string} groupId - Group ID
+ * @returns {Object} - Success/error response with insights (see buildGroupInsights)
+ */
+export const getGroupInsights = async (groupId) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to view group insights' };
+    }
+
+    const [historyResult, membersResult] = await Promise.all([
+      supabase
+        .from('session_history')
+        .select('id, dinner_date, dinner_time, requested_at, options, winner, diners, member_responses, votes, closed_at')
+        .eq('group_id', groupId)
+        .order('closed_at', { ascending: false })
+        .limit(INSIGHTS_SESSION_LIMIT),
+      supabase
+        .from('group_members')
+        .select('user_id')
+        .eq('group_id', groupId)
+        .eq('is_active', true)
+    ]);
+
+    if (historyResult.error) {
+      throw historyResult.error;
+    }
+    if (membersResult.error) {
+      throw membersResult.error;
+    }
+
+    const memberIds = (membersResult.data || []).map(member => member.user_id);
+    const insights = buildGroupInsights(historyResult.data || [], memberIds);
+
+    console.log(`📈 [INSIGHTS] Built insights from ${insights.sessionCount} sessions`);
+    return { success: true, insights };
+
+  } catch (error) {
+    console.error('❌ [INSIGHTS] Error loading group insights:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load group insights'
+    };
+  }
+};
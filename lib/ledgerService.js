@@ -0,0 +1,147 @@
+import { supabase } from './supabase';
+import { calculateBalances, minimizeTransfers, toCents } from './costSplitting';
+
+/**
+ * Records who paid for the group's last finished dinner.
+ * The eaters and estimated cost come from the terminated session on the server.
+ * @param {string} groupId - Group ID
+ * @param {Object} options
+ * @param {string} options.paidBy - Paying member (defaults to the current user)
+ * @param {number} options.amount - Amount actually paid in euros (defaults to pricePerServing x eaters)
+ * @returns {Object} - Success/error response with expenseId
+ */
+export const recordDinnerExpense = async (groupId, { paidBy = null, amount = null } = {}) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to record a payment' };
+    }
+
+    if (amount !== null && (!Number.isFinite(Number(amount)) || Number(amount) < 0)) {
+      return { success: false, error: 'Enter a valid amount' };
+    }
+
+    console.log('💶 [LEDGER] Recording dinner expense for group:', groupId);
+    const { data: expenseId, error } = await supabase.rpc('record_dinner_expense', {
+      group_uuid: groupId,
+      payer_uuid: paidBy || user.id,
+      paid_amount: amount === null ? null : Number(amount)
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ [LEDGER] Recorded dinner expense:', expenseId);
+    return { success: true, expenseId };
+
+  } catch (error) {
+    console.error('❌ [LEDGER] Error recording dinner expense:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to record the payment'
+    };
+  }
+};
+
+/**
+ * Records a payment from one member to another to settle up
+ * @param {string} groupId - Group ID
+ * @param {string} fromUserId - Member who paid
+ * @param {string} toUserId - Member who received the money
+ * @param {number} amountCents - Amount in cents
+ * @returns {Object} - Success/error response with the settlement
+ */
+export const recordSettlement = async (groupId, fromUserId, toUserId, amountCents) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to settle up' };
+    }
+
+    if (user.id !== fromUserId && user.id !== toUserId) {
+      return { success: false, error: 'Only the people involved can mark a payment as done' };
+    }
+
+    if (!Number.isInteger(amountCents) || amountCents <= 0) {
+      return { success: false, error: 'Enter a valid amount' };
+    }
+
+    const { data, error } = await supabase
+      .from('ledger_settlements')
+      .insert({
+        group_id: groupId,
+        from_user: fromUserId,
+        to_user: toUserId,
+        amount: amountCents / 100,
+        created_by: user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, settlement: data };
+
+  } catch (error) {
+    console.error('❌ [LEDGER] Error recording settlement:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to record the payment'
+    };
+  }
+};
+
+/**
+ * Gets a group's ledger: dinners, settlements, balances and the transfers that settle them
+ * @param {string} groupId - Group ID
+ * @returns {Object} - Success/error response with expenses, settlements, balances and transfers
+ */
+export const getGroupLedger = async (groupId) => {
+  try {
+    const [expensesResult, settlementsResult] = await Promise.all([
+      supabase
+        .from('dinner_expenses')
+        .select('id, paid_by, meal_name, price_per_serving, amount, eater_ids, eater_count, session_terminated_at, created_at')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('ledger_settlements')
+        .select('id, from_user, to_user, amount, created_at')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false })
+    ]);
+
+    if (expensesResult.error) {
+      throw expensesResult.error;
+    }
+    if (settlementsResult.error) {
+      throw settlementsResult.error;
+    }
+
+    const expenses = expensesResult.data || [];
+    const settlements = settlementsResult.data || [];
+    const balanceMap = calculateBalances(expenses, settlements);
+
+    return {
+      success: true,
+      expenses,
+      settlements,
+      balances: Object.entries(balanceMap)
+        .filter(([, cents]) => cents !== 0)
+        .map(([userId, cents]) => ({ userId, cents }))
+        .sort((a, b) => b.cents - a.cents),
+      transfers: minimizeTransfers(balanceMap),
+      totalSpentCents: expenses.reduce((total, expense) => total + toCents(expense.amount), 0)
+    };
+
+  } catch (error) {
+    console.error('❌ [LEDGER] Error loading ledger:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load balances'
+    };
+  }
+};
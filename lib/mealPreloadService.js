@@ -1,5 +1,5 @@
 import { supabase } from './supabase';
-import { fetchRandomMealsForGroup } from './mealRequestService';
+import { fetchRandomMealsForGroup, fetchWeightedMealsForGroup } from './mealRequestService';
 
 // Cache for preloaded meals
 let preloadedMeals = {
@@ -31,9 +31,9 @@ export const preloadAllMeals = async (groups) => {
     const openGroups = groups.filter(group => !group.hasActiveMealRequest);
     console.log('📋 Found', openGroups.length, 'groups without active requests');
 
-    // Preload meals for each open group (25 each)
+    // Preload meals for each open group (25 each), ranked by the group's taste history
     const groupPromises = openGroups.map(group => 
-      fetchRandomMealsForGroup(25)
+      fetchWeightedMealsForGroup(group.group_id, 25)
         .then(meals => {
           preloadedMeals.groups[group.group_id] = meals;
           console.log('✅ Preloaded', meals.length, 'meals for group:', group.group_name);
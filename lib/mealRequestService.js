@@ -1,15 +1,171 @@
 import { supabase } from './supabase';
 import { setupMealRequestTables, testDatabaseConnection } from './databaseSetup';
+import { selectRecipesForGroup, selectWishlistRecipesForGroup } from './mealSelectionService';
+import { tallyMealVotes, VOTING_MODES, SCORE_YES_THRESHOLD, MAX_RANKED_CHOICES, DEFAULT_VETO_BUDGET } from './voteTallyService';
+import { closeSessionIfRulesMet } from './sessionCloseService';
+import { applyDietaryProfile, getRecipeConflicts, hasDietaryLimits, mergeDietaryProfiles, normalizeDietaryProfile } from './dietaryProfile';
+import { getDietaryProfilesForUsers } from './profileService';
+import { isRecipeVisibleInGroup } from './recipesService';
+import { checkGroupPermission } from './groupsService';
+import { GROUP_PERMISSIONS, canManageSession } from './groupPermissions';
+
+// Meal options per voting session for each dinner request recipe type.
+// Swipe sessions use a bigger deck because members swipe through them quickly.
+export const RECIPE_TYPE_MEAL_COUNTS = {
+  random: 10,
+  wishlist: 10,
+  swipe: 20
+};
+
+// Fetch extra candidates when diners have dietary needs, since some get filtered out
+const DIETARY_OVERFETCH = 3;
+
+/**
+ * Convert a recipes table row to the Tasty API meal format used for voting
+ * @param {Object} dbRecipe - Row from the recipes table
+ * @returns {Object} - Meal data
+ */
+export const convertRecipeToMeal = (dbRecipe) => {
+  // Handle the database format: recipe_data is JSONB column
+  const recipe = dbRecipe.recipe_data;
+  
+  if (!recipe) {
+    console.warn('⚠️ Recipe data is null, using database record itself');
+    // Fallback: use the database record directly if recipe_data is empty
+    return {
+      id: dbRecipe.id || `fallback-${Math.random()}`,
+      name: dbRecipe.recipe_id || 'Unknown Recipe',
+      thumbnail_url: 'https://images.unsplash.com/photo-1546548970-71785318a17b?w=400&h=300&fit=crop',
+      total_time_minutes: 30,
+      description: 'Recipe from database (add recipe_data to see full details)',
+      instructions: [],
+      nutrition: {},
+      sections: [],
+      tags: [],
+      originalRecipeData: dbRecipe
+    };
+  }
+  
+  // Convert to Tasty API format that voting expects
+  return {
+    id: recipe.id || dbRecipe.id,
+    name: recipe.title || recipe.name || 'Unknown Recipe',
+    thumbnail_url: recipe.image || recipe.thumbnail_url || 'https://images.unsplash.com/photo-1546548970-71785318a17b?w=400&h=300&fit=crop',
+    total_time_minutes: recipe.readyInMinutes || recipe.total_time_minutes || 30,
+    description: recipe.description || 'A delicious recipe from your database',
+    instructions: recipe.instructions || [],
+    nutrition: recipe.nutrition || {},
+    sections: recipe.ingredients ? [{ components: recipe.ingredients }] : [],
+    tags: recipe.dietary || recipe.tags || [],
+    // Keep original recipe data for reference
+    originalRecipeData: recipe
+  };
+};
+
+/**
+ * Gets the combined dietary profile of everyone who may eat with the group:
+ * active members, minus those who declined the current dinner request.
+ * Members who haven't answered yet are included, as they may still accept.
+ * The group's own dietary needs (group settings) are added on top.
+ * Throws when the profiles can't be loaded, so no session is started blind.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Merged dietary profile
+ */
+const loadDinerDietaryProfile = async (groupId) => {
+  const [membersResult, requestResult, groupResult] = await Promise.all([
+    supabase
+      .from('group_members')
+      .select('user_id')
+      .eq('group_id', groupId)
+      .eq('is_active', true),
+    supabase
+      .from('dinner_requests')
+      .select('id')
+      .eq('group_id', groupId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false })
+      .limit(1),
+    supabase
+      .from('groups')
+      .select('dietary_restrictions, allergens')
+      .eq('id', groupId)
+      .single()
+  ]);
+
+  if (membersResult.error) {
+    throw membersResult.error;
+  }
+  if (requestResult.error) {
+    throw requestResult.error;
+  }
+  if (groupResult.error) {
+    throw groupResult.error;
+  }
+
+  let declinedIds = [];
+  const dinnerRequest = requestResult.data?.[0];
+  if (dinnerRequest) {
+    const { data: declines, error: declinesError } = await supabase
+      .from('dinner_request_responses')
+      .select('user_id')
+      .eq('request_id', dinnerRequest.id)
+      .eq('response', 'declined');
+
+    if (declinesError) {
+      throw declinesError;
+    }
+    declinedIds = (declines || []).map(decline => decline.user_id);
+  }
+
+  const dinerIds = (membersResult.data || [])
+    .map(member => member.user_id)
+    .filter(userId => !declinedIds.includes(userId));
+
+  const profilesResult = await getDietaryProfilesForUsers(dinerIds);
+  if (!profilesResult.success) {
+    throw new Error(profilesResult.error);
+  }
+
+  return mergeDietaryProfiles([...profilesResult.profiles, normalizeDietaryProfile(groupResult.data)]);
+};
+
+/**
+ * Keeps the meals every diner can eat. Dislikes don't rule a dish out for
+ * the whole table, they only move it to the back.
+ * @param {Array} meals - Meal data
+ * @param {Object} dinerProfile - Merged dietary profile (or null)
+ * @param {number} count - Number of meals to keep
+ * @returns {Array} - Meal data
+ */
+const keepMealsForDiners = (meals, dinerProfile, count) => {
+  if (!hasDietaryLimits(dinerProfile)) {
+    return meals.slice(0, count);
+  }
+
+  const allowed = applyDietaryProfile(meals, dinerProfile, { includeDislikes: false });
+  const isDisliked = (meal) => getRecipeConflicts(meal, dinerProfile).dislikes.length > 0;
+  const kept = [...allowed.filter(meal => !isDisliked(meal)), ...allowed.filter(isDisliked)].slice(0, count);
+
+  if (kept.length < meals.length) {
+    console.log(`🥗 [MEAL SERVICE] Kept ${kept.length} of ${meals.length} meals for the diners' dietary needs`);
+  }
+  return kept;
+};
 
 /**
  * Fetch random meals from database recipes (updated to use our recipes table)
  * @param {number} count - Number of meals to fetch (default 12)
+ * @param {string} groupId - Group ID; when given, meals a diner can't eat are left out
  * @returns {Promise<Array>} - Array of meal data in Tasty API format for compatibility
  */
-export const fetchRandomMealsForGroup = async (count = 12) => {
+export const fetchRandomMealsForGroup = async (count = 12, groupId = null) => {
   console.log(`🍽️ [MEAL SERVICE] Fetching ${count} random meals from database for group`);
   
+  let dinerProfile = null;
   try {
+    dinerProfile = groupId ? await loadDinerDietaryProfile(groupId) : null;
+    const fetchCount = hasDietaryLimits(dinerProfile) ? count * DIETARY_OVERFETCH : count;
+
     // Import recipes service (remove dynamic import as it may cause issues)
     const { getRandomRecipes } = require('./recipesService');
     
@@ -21,7 +177,7 @@ export const fetchRandomMealsForGroup = async (count = 12) => {
     const { data: testRecipes, error: testError } = await supabase
       .from('recipes')
       .select('*')
-      .limit(count);
+      .limit(fetchCount);
     
     console.log('📊 Direct database test result:', { testRecipes, testError });
     
@@ -54,45 +210,14 @@ export const fetchRandomMealsForGroup = async (count = 12) => {
          // Transform database recipes to Tasty API format for compatibility
      console.log(`🔧 Converting ${result.recipes.length} database recipes to meal format...`);
      
-     const meals = result.recipes.map(dbRecipe => {
-       console.log('🔍 Processing database recipe:', dbRecipe);
-       
-       // Handle the database format: recipe_data is JSONB column
-       const recipe = dbRecipe.recipe_data;
-       console.log('🔍 Recipe data from JSONB:', recipe);
-       
-       if (!recipe) {
-         console.warn('⚠️ Recipe data is null, using database record itself');
-         // Fallback: use the database record directly if recipe_data is empty
-         return {
-           id: dbRecipe.id || `fallback-${Math.random()}`,
-           name: dbRecipe.recipe_id || 'Unknown Recipe',
-           thumbnail_url: 'https://images.unsplash.com/photo-1546548970-71785318a17b?w=400&h=300&fit=crop',
-           total_time_minutes: 30,
-           description: 'Recipe from database (add recipe_data to see full details)',
-           instructions: [],
-           nutrition: {},
-           sections: [],
-           tags: [],
-           originalRecipeData: dbRecipe
-         };
-       }
-       
-       // Convert to Tasty API format that voting expects
-       return {
-         id: recipe.id || dbRecipe.id,
-         name: recipe.title || recipe.name || 'Unknown Recipe',
-         thumbnail_url: recipe.image || recipe.thumbnail_url || 'https://images.unsplash.com/photo-1546548970-71785318a17b?w=400&h=300&fit=crop',
-         total_time_minutes: recipe.readyInMinutes || recipe.total_time_minutes || 30,
-         description: recipe.description || 'A delicious recipe from your database',
-         instructions: recipe.instructions || [],
-         nutrition: recipe.nutrition || {},
-         sections: recipe.ingredients ? [{ components: recipe.ingredients }] : [],
-         tags: recipe.dietary || recipe.tags || [],
-         // Keep original recipe data for reference
-         originalRecipeData: recipe
-       };
-     });
+     const groupRecipes = groupId
+       ? result.recipes.filter(recipe => isRecipeVisibleInGroup(recipe, groupId))
+       : result.recipes;
+     const meals = keepMealsForDiners(groupRecipes.map(convertRecipeToMeal), dinerProfile, count);
+     
+     if (meals.length === 0) {
+       throw new Error('No recipes suit the diners\' dietary needs');
+     }
     
     console.log(`✅ Converted ${meals.length} meals for voting`);
     return meals;
@@ -100,6 +225,13 @@ export const fetchRandomMealsForGroup = async (count = 12) => {
   } catch (error) {
     console.error('❌ Error fetching meals from database:', error);
     
+    // The fallback recipes have no ingredients, so they can't be offered to
+    // diners whose needs are unknown or who have allergens or a diet
+    if (groupId && !dinerProfile) {
+      console.log('🚫 Diners\' dietary needs unknown, not using fallback recipes');
+      return [];
+    }
+
     // Fallback recipes if database fails
     console.log('🔄 Database failed, using fallback recipes');
     const fallbackRecipes = [
@@ -128,17 +260,103 @@ export const fetchRandomMealsForGroup = async (count = 12) => {
     
     // Shuffle fallback recipes and return requested count
     const shuffled = [...fallbackRecipes].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, Math.min(count, shuffled.length));
+    return keepMealsForDiners(shuffled, dinerProfile, Math.min(count, shuffled.length));
   }
 };
 
+/**
+ * Fetch meals for a group ranked by the group's taste history
+ * (past votes, terminated session results and members' wishlists).
+ * Falls back to fetchRandomMealsForGroup when the selection fails.
+ * @param {string} groupId - Group ID
+ * @param {number} count - Number of meals to fetch (default 12)
+ * @param {Object} options - Ranking options, e.g. { exploreRatio: 1 } for recipes the group hasn't seen
+ * @returns {Promise<Array>} - Array of meal data in Tasty API format
+ */
+export const fetchWeightedMealsForGroup = async (groupId, count = 12, options = {}) => {
+  console.log(`🎯 [MEAL SERVICE] Fetching ${count} weighted meals for group:`, groupId);
+  
+  const selection = await selectRecipesForGroup(groupId, count, options);
+  
+  if (!selection.success || selection.recipes.length === 0) {
+    console.warn('⚠️ Weighted selection failed, falling back to random meals:', selection.error);
+    return fetchRandomMealsForGroup(count, groupId);
+  }
+  
+  return selection.recipes.map(convertRecipeToMeal);
+};
+
+/**
+ * Fetch meals from the active members' wishlists, balanced per member.
+ * Falls back to weighted meals when nobody has a wishlist yet.
+ * @param {string} groupId - Group ID
+ * @param {number} count - Number of meals to fetch (default 12)
+ * @returns {Promise<Array>} - Array of meal data in Tasty API format
+ */
+export const fetchWishlistMealsForGroup = async (groupId, count = 12) => {
+  console.log(`💝 [MEAL SERVICE] Fetching ${count} wishlist meals for group:`, groupId);
+  
+  const selection = await selectWishlistRecipesForGroup(groupId, count);
+  
+  if (!selection.success || selection.recipes.length === 0) {
+    console.warn('⚠️ Wishlist selection failed, falling back to weighted meals:', selection.error);
+    return fetchWeightedMealsForGroup(groupId, count);
+  }
+  
+  return selection.recipes.map(recipe => ({
+    ...convertRecipeToMeal(recipe),
+    wishlisted_by: recipe.wishlisted_by || 0
+  }));
+};
+
+/**
+ * Get meals for a new request based on the recipe type:
+ * - random: preloaded or weighted meals (taste history plus some new recipes)
+ * - wishlist: recipes from the active members' wishlists
+ * - swipe: a discovery deck of recipes the group hasn't voted on or wishlisted yet
+ * Whatever the type, dishes an accepted (or undecided) diner can't eat are left out.
+ * @param {string} groupId - Group ID
+ * @param {number} count - Number of meals needed
+ * @param {string} recipeType - 'random', 'wishlist' or 'swipe'
+ * @returns {Promise<Array>} - Array of meal data
+ */
+const getMealsForRequest = async (groupId, count, recipeType = 'random') => {
+  const dinerProfile = await loadDinerDietaryProfile(groupId);
+  const fetchCount = hasDietaryLimits(dinerProfile) ? count * DIETARY_OVERFETCH : count;
+
+  if (recipeType === 'wishlist') {
+    return keepMealsForDiners(await fetchWishlistMealsForGroup(groupId, fetchCount), dinerProfile, count);
+  }
+  
+  if (recipeType === 'swipe') {
+    return keepMealsForDiners(await fetchWeightedMealsForGroup(groupId, fetchCount, { exploreRatio: 1 }), dinerProfile, count);
+  }
+  
+  // Try to get preloaded meals first
+  const { getPreloadedGroupMeals, clearPreloadedGroupMeals } = require('./mealPreloadService');
+  const preloaded = keepMealsForDiners(getPreloadedGroupMeals(groupId) || [], dinerProfile, count);
+  
+  if (preloaded.length >= count) {
+    // Preloaded meals are already ranked for this group, so keep the best ones
+    console.log('✅ Using preloaded meals for request');
+    clearPreloadedGroupMeals(groupId);
+    return preloaded;
+  }
+  
+  console.log('⚠️ No preloaded meals available, selecting new meals...');
+  return keepMealsForDiners(await fetchWeightedMealsForGroup(groupId, fetchCount), dinerProfile, count);
+};
+
 /**
  * Create a new meal request for a group
  * @param {string} groupId - Group ID
  * @param {number} mealCount - Number of meals to fetch (3-20, default 12)
+ * @param {string} recipeType - 'random', 'wishlist' or 'swipe' (default 'random')
+ * @param {string} votingMode - 'yes_no', 'score' or 'ranked' (default 'yes_no')
+ * @param {number} vetoBudget - Vetoes each member may cast in this session (default 1)
  * @returns {Object} - Success/error response with request data
  */
-export const createMealRequest = async (groupId, mealCount = 12) => {
+export const createMealRequest = async (groupId, mealCount = 12, recipeType = 'random', votingMode = VOTING_MODES.YES_NO, vetoBudget = DEFAULT_VETO_BUDGET) => {
   console.log('🍽️ [MEAL SERVICE] Creating meal request for group:', groupId);
   
   const timeoutPromise = new Promise((_, reject) => {
@@ -162,6 +380,11 @@ export const createMealRequest = async (groupId, mealCount = 12) => {
         };
       }
 
+      const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.START_REQUEST);
+      if (!permission.success) {
+        return permission;
+      }
+
       // Check if there's already an active request for this group
       const { data: existingRequest, error: checkError } = await supabase
         .from('meal_requests')
@@ -218,7 +441,8 @@ export const createMealRequest = async (groupId, mealCount = 12) => {
             createdDate: createdDate,
             createdTime: createdTime,
             totalOptions: existingRequest.total_options,
-            mealOptions: existingRequest.meal_request_options || []
+            mealOptions: existingRequest.meal_request_options || [],
+            canReplace: canManageSession(permission.role, user.id, existingRequest.requested_by)
           }
         };
       }
@@ -227,21 +451,7 @@ export const createMealRequest = async (groupId, mealCount = 12) => {
       const safeMealCount = Math.max(3, Math.min(20, mealCount));
       console.log(`🍽️ Getting ${safeMealCount} meals for request...`);
       
-      // Try to get preloaded meals first
-      const { getPreloadedGroupMeals, clearPreloadedGroupMeals } = require('./mealPreloadService');
-      let meals = getPreloadedGroupMeals(groupId);
-      
-      if (meals && meals.length >= safeMealCount) {
-        // Use first safeMealCount meals from preloaded set
-        console.log('✅ Using preloaded meals for request');
-        meals = meals.slice(0, safeMealCount);
-        // Clear preloaded meals since we're using them
-        clearPreloadedGroupMeals(groupId);
-      } else {
-        // Fallback to fetching new meals if no preloaded meals available
-        console.log('⚠️ No preloaded meals available, fetching new meals...');
-        meals = await fetchRandomMealsForGroup(safeMealCount);
-      }
+      const meals = await getMealsForRequest(groupId, safeMealCount, recipeType);
       
       if (!meals || meals.length === 0) {
         return {
@@ -260,7 +470,10 @@ export const createMealRequest = async (groupId, mealCount = 12) => {
             group_id: groupId,
             requested_by: user.id,
             status: 'active',
-            total_options: meals.length
+            total_options: meals.length,
+            recipe_type: recipeType,
+            voting_mode: votingMode,
+            veto_budget: vetoBudget
           }
         ])
         .select('*')
@@ -341,9 +554,12 @@ export const createMealRequest = async (groupId, mealCount = 12) => {
  * @param {string} groupId - Group ID
  * @param {number} mealCount - Number of meals to fetch (3-20, default 12)
  * @param {string} existingRequestId - ID of the existing request to replace
+ * @param {string} recipeType - 'random', 'wishlist' or 'swipe' (default 'random')
+ * @param {string} votingMode - 'yes_no', 'score' or 'ranked' (default 'yes_no')
+ * @param {number} vetoBudget - Vetoes each member may cast in this session (default 1)
  * @returns {Object} - Success/error response with request data
  */
-export const replaceMealRequest = async (groupId, mealCount = 12, existingRequestId) => {
+export const replaceMealRequest = async (groupId, mealCount = 12, existingRequestId, recipeType = 'random', votingMode = VOTING_MODES.YES_NO, vetoBudget = DEFAULT_VETO_BUDGET) => {
   console.log('🔄 [MEAL SERVICE] Replacing meal request for group:', groupId);
   
   try {
@@ -357,6 +573,23 @@ export const replaceMealRequest = async (groupId, mealCount = 12, existingReques
       };
     }
 
+    const { data: existingRequest, error: existingError } = await supabase
+      .from('meal_requests')
+      .select('requested_by')
+      .eq('id', existingRequestId)
+      .single();
+
+    if (existingError) {
+      throw existingError;
+    }
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.MANAGE_SESSIONS, {
+      requestedBy: existingRequest.requested_by
+    });
+    if (!permission.success) {
+      return permission;
+    }
+
     // First, terminate the existing request
     const { error: terminateError } = await supabase
       .from('meal_requests')
@@ -380,18 +613,7 @@ export const replaceMealRequest = async (groupId, mealCount = 12, existingReques
     // Now create a new request (reuse the existing logic)
     const safeMealCount = Math.max(3, Math.min(20, mealCount));
     
-    // Try to get preloaded meals first
-    const { getPreloadedGroupMeals, clearPreloadedGroupMeals } = require('./mealPreloadService');
-    let meals = getPreloadedGroupMeals(groupId);
-    
-    if (meals && meals.length >= safeMealCount) {
-      console.log('✅ Using preloaded meals for replacement request');
-      meals = meals.slice(0, safeMealCount);
-      clearPreloadedGroupMeals(groupId);
-    } else {
-      console.log('⚠️ No preloaded meals available, fetching new meals...');
-      meals = await fetchRandomMealsForGroup(safeMealCount);
-    }
+    const meals = await getMealsForRequest(groupId, safeMealCount, recipeType);
     
     if (!meals || meals.length === 0) {
       return {
@@ -408,7 +630,10 @@ export const replaceMealRequest = async (groupId, mealCount = 12, existingReques
           group_id: groupId,
           requested_by: user.id,
           status: 'active',
-          total_options: meals.length
+          total_options: meals.length,
+          recipe_type: recipeType,
+          voting_mode: votingMode,
+          veto_budget: vetoBudget
         }
       ])
       .select('*')
@@ -537,6 +762,44 @@ export const getMealOptions = async (requestId) => {
   }
 };
 
+/**
+ * Get the recipe type, voting mode and veto budget a meal request was created with
+ * @param {string} requestId - Request ID
+ * @returns {Object} - Success/error response with recipeType ('random', 'wishlist' or 'swipe'),
+ *                     votingMode ('yes_no', 'score' or 'ranked'), vetoBudget and status
+ */
+export const getMealRequestModes = async (requestId) => {
+  try {
+    const { data, error } = await supabase
+      .from('meal_requests')
+      .select('recipe_type, voting_mode, veto_budget, status')
+      .eq('id', requestId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      recipeType: data?.recipe_type || 'random',
+      votingMode: data?.voting_mode || VOTING_MODES.YES_NO,
+      vetoBudget: data?.veto_budget ?? DEFAULT_VETO_BUDGET,
+      status: data?.status || null
+    };
+
+  } catch (error) {
+    console.error('❌ Error fetching meal request modes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to fetch meal request modes',
+      recipeType: 'random',
+      votingMode: VOTING_MODES.YES_NO,
+      vetoBudget: DEFAULT_VETO_BUDGET
+    };
+  }
+};
+
 /**
  * Get user's existing votes for a meal request
  * @param {string} requestId - Request ID
@@ -621,7 +884,7 @@ export const getUserVotingProgress = async (requestId) => {
     // Get user's existing votes
     const { data: userVotes, error: votesError } = await supabase
       .from('meal_votes')
-      .select('meal_option_id')
+      .select('meal_option_id, vote')
       .eq('request_id', requestId)
       .eq('user_id', user.id);
 
@@ -629,16 +892,27 @@ export const getUserVotingProgress = async (requestId) => {
       throw votesError;
     }
 
+    // In ranked mode one submitted ballot completes the vote
+    const { votingMode, vetoBudget } = await getMealRequestModes(requestId);
+    const vetoesUsed = (userVotes || []).filter(v => v.vote === 'veto').length;
+    const hasSubmittedBallot = votingMode === VOTING_MODES.RANKED && (userVotes?.length || 0) > 0;
+
     const votedMealIds = new Set((userVotes || []).map(v => v.meal_option_id));
-    const nextUnvotedMeal = (allMeals || []).find(meal => !votedMealIds.has(meal.id));
+    const nextUnvotedMeal = hasSubmittedBallot
+      ? undefined
+      : (allMeals || []).find(meal => !votedMealIds.has(meal.id));
     
+    const votedCount = hasSubmittedBallot ? (allMeals?.length || 0) : (userVotes?.length || 0);
     const progress = {
+      votingMode,
+      vetoBudget,
+      vetoesUsed,
       totalMeals: allMeals?.length || 0,
-      votedCount: userVotes?.length || 0,
-      remainingCount: (allMeals?.length || 0) - (userVotes?.length || 0),
+      votedCount,
+      remainingCount: (allMeals?.length || 0) - votedCount,
       nextMealIndex: nextUnvotedMeal ? nextUnvotedMeal.option_order - 1 : -1,
       isComplete: !nextUnvotedMeal,
-      completionPercentage: allMeals?.length ? Math.round(((userVotes?.length || 0) / allMeals.length) * 100) : 0
+      completionPercentage: allMeals?.length ? Math.round((votedCount / allMeals.length) * 100) : 0
     };
 
     console.log(`✅ Voting progress: ${progress.votedCount}/${progress.totalMeals} meals (${progress.completionPercentage}%)`);
@@ -660,15 +934,167 @@ export const getUserVotingProgress = async (requestId) => {
 };
 
 /**
- * Vote on a meal option
+ * Get how far every active member of the group is with voting. Only counts
+ * are returned - nobody's actual votes.
+ * @param {string} requestId - Request ID
+ * @returns {Object} - Success/error response with requestedBy, totalOptions and
+ *                     members ({ userId, votedCount, totalOptions, isComplete, lastVotedAt })
+ */
+export const getGroupVotingProgress = async (requestId) => {
+  try {
+    const [progressResult, requestResult] = await Promise.all([
+      supabase.rpc('get_group_voting_progress', { request_uuid: requestId }),
+      supabase
+        .from('meal_requests')
+        .select('requested_by')
+        .eq('id', requestId)
+        .single()
+    ]);
+
+    if (progressResult.error) {
+      throw progressResult.error;
+    }
+    if (requestResult.error) {
+      throw requestResult.error;
+    }
+
+    const members = (progressResult.data || []).map(row => ({
+      userId: row.member_id,
+      votedCount: row.voted_count,
+      totalOptions: row.total_options,
+      isComplete: row.total_options > 0 && row.voted_count >= row.total_options,
+      lastVotedAt: row.last_voted_at
+    }));
+
+    return {
+      success: true,
+      requestedBy: requestResult.data.requested_by,
+      totalOptions: members[0]?.totalOptions || 0,
+      members
+    };
+
+  } catch (error) {
+    console.error('❌ Error getting group voting progress:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to get voting progress'
+    };
+  }
+};
+
+/**
+ * Reminds a member who is still voting (organiser only, once every 10 minutes)
+ * @param {string} requestId - Request ID
+ * @param {string} userId - Member to nudge
+ * @returns {Object} - Success/error response with nudgeId
+ */
+export const nudgeVoter = async (requestId, userId) => {
+  try {
+    const { data: nudgeId, error } = await supabase.rpc('nudge_voter', {
+      request_uuid: requestId,
+      user_uuid: userId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('👋 [MEAL SERVICE] Nudged member:', userId);
+    return { success: true, nudgeId };
+
+  } catch (error) {
+    console.error('❌ Error nudging member:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to nudge the member'
+    };
+  }
+};
+
+/**
+ * Get the nudges the current user hasn't seen yet, for sessions that are still open
+ * @returns {Object} - Success/error response with nudges ({ id, requestId, groupId, groupName })
+ */
+export const getUnseenVotingNudges = async () => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to check nudges' };
+    }
+
+    const { data, error } = await supabase
+      .from('voting_nudges')
+      .select('id, request_id, group_id, created_at, groups!voting_nudges_group_id_fkey(name), meal_requests!voting_nudges_request_id_fkey(status)')
+      .eq('to_user', user.id)
+      .is('seen_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      nudges: (data || [])
+        .filter(nudge => nudge.meal_requests?.status === 'active')
+        .map(nudge => ({
+          id: nudge.id,
+          requestId: nudge.request_id,
+          groupId: nudge.group_id,
+          groupName: nudge.groups?.name || 'your group'
+        }))
+    };
+
+  } catch (error) {
+    console.error('❌ Error loading nudges:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load nudges'
+    };
+  }
+};
+
+/**
+ * Marks nudges as seen so they aren't shown again
+ * @param {Array} nudgeIds - Nudge IDs
+ * @returns {Object} - Success/error response
+ */
+export const markVotingNudgesSeen = async (nudgeIds) => {
+  try {
+    if (!nudgeIds || nudgeIds.length === 0) {
+      return { success: true };
+    }
+
+    const { error } = await supabase
+      .from('voting_nudges')
+      .update({ seen_at: new Date().toISOString() })
+      .in('id', nudgeIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error marking nudges seen:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update nudges'
+    };
+  }
+};
+
+/**
+ * Save the current user's vote on a meal option (insert or update)
  * @param {string} requestId - Request ID
  * @param {string} mealOptionId - Meal option ID
- * @param {string} vote - 'yes' or 'no'
+ * @param {Object} voteFields - Columns to store: vote, score, rank
  * @returns {Object} - Success/error response
  */
-export const voteMealOption = async (requestId, mealOptionId, vote) => {
+const saveVote = async (requestId, mealOptionId, voteFields) => {
   try {
-    console.log(`🗳️ [MEAL SERVICE] Voting ${vote} on meal option:`, mealOptionId);
+    console.log(`🗳️ [MEAL SERVICE] Voting ${voteFields.score || voteFields.vote} on meal option:`, mealOptionId);
     console.log(`🔍 [MEAL SERVICE] Request ID:`, requestId);
     
     const { data: { user }, error: userError } = await supabase.auth.getUser();
@@ -690,7 +1116,9 @@ export const voteMealOption = async (requestId, mealOptionId, vote) => {
           request_id: requestId,
           meal_option_id: mealOptionId,
           user_id: user.id,
-          vote: vote
+          score: null,
+          rank: null,
+          ...voteFields
         }
       ], { 
         onConflict: 'request_id,meal_option_id,user_id' 
@@ -712,11 +1140,11 @@ export const voteMealOption = async (requestId, mealOptionId, vote) => {
       throw error;
     }
 
-    console.log(`✅ Vote recorded: ${vote}`, data);
+    console.log(`✅ Vote recorded: ${voteFields.score || voteFields.vote}`, data);
     return {
       success: true,
       vote: data,
-      message: `Voted ${vote}!`
+      message: voteFields.score ? `Scored ${voteFields.score}!` : `Voted ${voteFields.vote}!`
     };
 
   } catch (error) {
@@ -742,6 +1170,119 @@ export const voteMealOption = async (requestId, mealOptionId, vote) => {
   }
 };
 
+/**
+ * Closes the session when the vote just recorded meets the group's early-close
+ * rule. A failed check never fails the vote itself.
+ * @param {string} requestId - Request ID
+ * @param {Object} voteResult - Successful vote response
+ * @returns {Object} - The vote response, with sessionClosed and closeReason when it closed
+ */
+const applyCloseRules = async (requestId, voteResult) => {
+  const closeResult = await closeSessionIfRulesMet(requestId);
+  if (!closeResult.success) {
+    console.warn('⚠️ [MEAL SERVICE] Could not check close rules:', closeResult.error);
+    return voteResult;
+  }
+  
+  return closeResult.closed
+    ? { ...voteResult, sessionClosed: true, closeReason: closeResult.ruleReason }
+    : voteResult;
+};
+
+/**
+ * Vote on a meal option. 'veto' works in every mode and takes the meal out of
+ * the running; the database rejects vetoes over the session's budget.
+ * @param {string} requestId - Request ID
+ * @param {string} mealOptionId - Meal option ID
+ * @param {string} vote - 'yes', 'no' or 'veto'
+ * @returns {Object} - Success/error response
+ */
+export const voteMealOption = async (requestId, mealOptionId, vote) => {
+  if (!['yes', 'no', 'veto'].includes(vote)) {
+    return {
+      success: false,
+      error: 'Vote must be yes, no or veto'
+    };
+  }
+  
+  const result = await saveVote(requestId, mealOptionId, { vote });
+  return result.success ? applyCloseRules(requestId, result) : result;
+};
+
+/**
+ * Score a meal option from 1 to 5 (score mode)
+ * @param {string} requestId - Request ID
+ * @param {string} mealOptionId - Meal option ID
+ * @param {number} score - Whole number from 1 to 5
+ * @returns {Object} - Success/error response
+ */
+export const scoreMealOption = async (requestId, mealOptionId, score) => {
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    return {
+      success: false,
+      error: 'Score must be a whole number from 1 to 5'
+    };
+  }
+  
+  const result = await saveVote(requestId, mealOptionId, {
+    vote: score >= SCORE_YES_THRESHOLD ? 'yes' : 'no',
+    score
+  });
+  return result.success ? applyCloseRules(requestId, result) : result;
+};
+
+/**
+ * Submit the current user's ranked ballot (ranked mode), replacing any earlier ballot
+ * @param {string} requestId - Request ID
+ * @param {Array<string>} rankedOptionIds - 1 to 3 meal option IDs, best first
+ * @param {Array<string>} vetoedOptionIds - Meal option IDs the user vetoes (within the veto budget)
+ * @returns {Object} - Success/error response
+ */
+export const submitRankedBallot = async (requestId, rankedOptionIds, vetoedOptionIds = []) => {
+  try {
+    console.log('🗳️ [MEAL SERVICE] Submitting ranked ballot for request:', requestId, rankedOptionIds);
+    
+    const ballot = Array.from(new Set(rankedOptionIds || []));
+    const vetoes = Array.from(new Set(vetoedOptionIds || [])).filter(id => !ballot.includes(id));
+    
+    if (ballot.length === 0 || ballot.length > MAX_RANKED_CHOICES) {
+      return {
+        success: false,
+        error: `Rank between 1 and ${MAX_RANKED_CHOICES} meals`
+      };
+    }
+    
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    
+    if (userError || !user) {
+      return {
+        success: false,
+        error: 'You must be signed in to vote'
+      };
+    }
+
+    const { error } = await supabase
+      .rpc('submit_ranked_ballot', { request_uuid: requestId, option_ids: ballot, veto_ids: vetoes });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`✅ Ranked ballot recorded with ${ballot.length} choices`);
+    return applyCloseRules(requestId, {
+      success: true,
+      message: 'Your ranking has been saved!'
+    });
+
+  } catch (error) {
+    console.error('❌ Error submitting ranked ballot:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to submit ranking'
+    };
+  }
+};
+
 /**
  * Get voting results for a meal request
  * @param {string} requestId - Request ID
@@ -774,25 +1315,67 @@ export const getVotingResults = async (requestId) => {
 };
 
 /**
- * Get top 3 voted meals
+ * Get top 3 voted meals, counted with the request's voting mode
  * @param {string} requestId - Request ID
- * @returns {Object} - Success/error response with top 3 meals
+ * @param {Object} options
+ * @param {string} options.winnerOptionId - Meal that already won by a close rule, listed first
+ * @returns {Object} - Success/error response with top 3 meals and an explanation
+ *                     of how the winner was computed and how ties were broken
  */
-export const getTopVotedMeals = async (requestId) => {
+export const getTopVotedMeals = async (requestId, { winnerOptionId = null } = {}) => {
   try {
     console.log('🏆 [MEAL SERVICE] Fetching top 3 voted meals for request:', requestId);
     
-    const { data, error } = await supabase
-      .rpc('get_top_voted_meals', { request_uuid: requestId });
+    const { data: request, error: requestError } = await supabase
+      .from('meal_requests')
+      .select('id, group_id, voting_mode')
+      .eq('id', requestId)
+      .single();
 
-    if (error) {
-      throw error;
+    if (requestError) {
+      throw requestError;
+    }
+
+    const [optionsResult, votesResult, membersResult] = await Promise.all([
+      supabase
+        .from('meal_request_options')
+        .select('id, meal_data, option_order')
+        .eq('request_id', requestId)
+        .order('option_order'),
+      supabase
+        .from('meal_votes')
+        .select('meal_option_id, user_id, vote, score, rank')
+        .eq('request_id', requestId),
+      supabase
+        .from('group_members')
+        .select('*', { count: 'exact', head: true })
+        .eq('group_id', request.group_id)
+        .eq('is_active', true)
+    ]);
+
+    if (optionsResult.error) {
+      throw optionsResult.error;
+    }
+    if (votesResult.error) {
+      throw votesResult.error;
     }
+    if (membersResult.error) {
+      throw membersResult.error;
+    }
+
+    const { topMeals, explanation } = tallyMealVotes(
+      request.voting_mode || VOTING_MODES.YES_NO,
+      optionsResult.data || [],
+      votesResult.data || [],
+      membersResult.count || 0,
+      { winnerOptionId }
+    );
 
-    console.log(`✅ Fetched top ${data?.length || 0} voted meals`);
+    console.log(`✅ Fetched top ${topMeals.length} voted meals (${explanation.votingMode})`);
     return {
       success: true,
-      topMeals: data || []
+      topMeals,
+      explanation
     };
 
   } catch (error) {
@@ -822,6 +1405,23 @@ export const completeMealRequest = async (requestId) => {
       };
     }
 
+    const { data: request, error: requestError } = await supabase
+      .from('meal_requests')
+      .select('group_id, requested_by')
+      .eq('id', requestId)
+      .single();
+
+    if (requestError) {
+      throw requestError;
+    }
+
+    const permission = await checkGroupPermission(request.group_id, GROUP_PERMISSIONS.MANAGE_SESSIONS, {
+      requestedBy: request.requested_by
+    });
+    if (!permission.success) {
+      return permission;
+    }
+
     // Try using the safer database function first (if available after running the fix)
     try {
       console.log('🔧 Attempting to use safe termination function...');
@@ -992,6 +1592,11 @@ export const completeMealRequest = async (requestId) => {
 export const debugGetActiveRequests = async (groupId) => {
   try {
     console.log('🔍 [DEBUG] Getting all active requests for group:', groupId);
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.USE_DEBUG_TOOLS);
+    if (!permission.success) {
+      return permission;
+    }
     
     const { data, error } = await supabase
       .from('meal_requests')
@@ -1036,6 +1641,11 @@ export const debugCompleteAllActiveRequests = async (groupId) => {
       };
     }
 
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.USE_DEBUG_TOOLS);
+    if (!permission.success) {
+      return permission;
+    }
+
     const { data, error } = await supabase
       .from('meal_requests')
       .update({ 
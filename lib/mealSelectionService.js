@@ -0,0 +1,399 @@
+import { supabase } from './supabase';
+import { isRecipeVisibleInGroup } from './recipesService';
+
+// Tuning for the selection engine
+const CANDIDATE_POOL_SIZE = 150;   // Random recipes considered per selection
+const RECENT_WINNER_SESSIONS = 3;  // Winners of this many past sessions are skipped
+const EXPLORE_RATIO = 0.3;         // Share of options reserved for recipes the group hasn't seen
+const LIKE_WEIGHT = 0.6;
+const WISHLIST_WEIGHT = 0.4;
+const JITTER = 0.15;               // Random spread so equal scores don't always come out in the same order
+
+/**
+ * Key used to match recipes across tables: recipes.recipe_id, wishlist.recipe_id
+ * and meal_request_options.meal_id all hold the original recipe id
+ * @param {Object|string|number} value - Recipe row, meal data object or raw id
+ * @returns {string|null} - Normalized recipe key
+ */
+export const getRecipeKey = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return String(value);
+  const id = value.recipe_id ?? value.recipe_data?.id ?? value.originalRecipeData?.id ?? value.id;
+  return id === null || id === undefined ? null : String(id);
+};
+
+/**
+ * Loads the taste signals of a group: past yes/no votes, top results of
+ * terminated sessions, recent winners and the active members' wishlists
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} - Signals used by rankRecipesForGroup
+ */
+export const loadGroupTasteSignals = async (groupId) => {
+  console.log('📈 [SELECTION] Loading taste history for group:', groupId);
+
+  const voteTally = {};
+  const wishlistCounts = {};
+  const wishlistRecipes = {};
+  const recentWinners = new Set();
+  let memberCount = 0;
+
+  const addVotes = (key, yes, no) => {
+    if (!key) return;
+    const tally = voteTally[key] || { yes: 0, no: 0 };
+    tally.yes += yes;
+    tally.no += no;
+    voteTally[key] = tally;
+  };
+
+  // Past votes on requests that still exist (replaced or completed sessions)
+  try {
+    const { data: votes, error } = await supabase
+      .from('meal_votes')
+      .select('vote, meal_request_options!inner(meal_id), meal_requests!inner(group_id)')
+      .eq('meal_requests.group_id', groupId);
+
+    if (error) throw error;
+
+    (votes || []).forEach(v => {
+      const key = getRecipeKey(v.meal_request_options?.meal_id);
+      // A veto counts as a "no" for future sessions
+      addVotes(key, v.vote === 'yes' ? 1 : 0, v.vote === 'no' || v.vote === 'veto' ? 1 : 0);
+    });
+  } catch (error) {
+    console.warn('⚠️ [SELECTION] Could not load vote history:', error.message);
+  }
+
+  // Top results of terminated sessions keep their tallies after cleanup
+  try {
+    const { data: sessions, error } = await supabase
+      .from('terminated_sessions')
+      .select('top_results, terminated_at')
+      .eq('group_id', groupId)
+      .order('terminated_at', { ascending: false });
+
+    if (error) throw error;
+
+    (sessions || []).forEach((session, index) => {
+      const results = Array.isArray(session.top_results) ? session.top_results : [];
+      results.forEach(result => {
+        addVotes(getRecipeKey(result.meal_data), Number(result.yes_votes) || 0, Number(result.no_votes) || 0);
+      });
+      if (index < RECENT_WINNER_SESSIONS && results.length > 0) {
+        const winnerKey = getRecipeKey(results[0].meal_data);
+        if (winnerKey) recentWinners.add(winnerKey);
+      }
+    });
+  } catch (error) {
+    console.warn('⚠️ [SELECTION] Could not load terminated sessions:', error.message);
+  }
+
+  // Wishlists of active members (private table, read through a database function)
+  try {
+    const { data: wishes, error } = await supabase
+      .rpc('get_group_wishlist_recipes', { group_uuid: groupId });
+
+    if (error) throw error;
+
+    const wishers = {};
+    (wishes || []).forEach(w => {
+      const key = getRecipeKey(w.recipe_id);
+      if (!key) return;
+      wishers[key] = wishers[key] || new Set();
+      wishers[key].add(w.user_id);
+      wishlistRecipes[key] = w.recipe_data;
+    });
+    Object.keys(wishers).forEach(key => {
+      wishlistCounts[key] = wishers[key].size;
+    });
+  } catch (error) {
+    console.warn('⚠️ [SELECTION] Could not load member wishlists:', error.message);
+  }
+
+  try {
+    const { count } = await supabase
+      .from('group_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('group_id', groupId)
+      .eq('is_active', true);
+    memberCount = count || 0;
+  } catch (error) {
+    console.warn('⚠️ [SELECTION] Could not count members:', error.message);
+  }
+
+  console.log(`📈 [SELECTION] History: ${Object.keys(voteTally).length} voted recipes, ${Object.keys(wishlistCounts).length} wishlisted, ${recentWinners.size} recent winners`);
+
+  return {
+    voteTally,
+    wishlistCounts,
+    wishlistRecipes,
+    recentWinners,
+    memberCount
+  };
+};
+
+/**
+ * Ranks candidate recipes for a group. Liked and wishlisted recipes score
+ * high, a share of the slots goes to recipes the group hasn't seen yet, and
+ * recent winners are only used when there is nothing else left.
+ * @param {Array} recipes - Candidate rows from the recipes table
+ * @param {Object} signals - Result of loadGroupTasteSignals
+ * @param {number} count - Number of recipes to select
+ * @param {Object} options - { exploreRatio, random } (random is injectable for predictable ordering)
+ * @returns {Array} - Selected recipe rows, best first, each with a selection_score
+ */
+export const rankRecipesForGroup = (recipes, signals, count, options = {}) => {
+  const exploreRatio = options.exploreRatio ?? EXPLORE_RATIO;
+  const random = options.random || Math.random;
+  const {
+    voteTally = {},
+    wishlistCounts = {},
+    recentWinners = new Set(),
+    memberCount = 0
+  } = signals || {};
+
+  // Deduplicate candidates by recipe key
+  const byKey = new Map();
+  (recipes || []).forEach(recipe => {
+    const key = getRecipeKey(recipe);
+    if (key && !byKey.has(key)) byKey.set(key, recipe);
+  });
+
+  const scored = Array.from(byKey.entries()).map(([key, recipe]) => {
+    const tally = voteTally[key] || { yes: 0, no: 0 };
+    const wishers = wishlistCounts[key] || 0;
+    // Laplace smoothing: an unseen recipe sits at 0.5, one yes out of one vote at 0.67
+    const likeScore = (tally.yes + 1) / (tally.yes + tally.no + 2);
+    const wishlistScore = memberCount > 0 ? Math.min(1, wishers / memberCount) : (wishers > 0 ? 1 : 0);
+    return {
+      recipe,
+      key,
+      seen: tally.yes + tally.no > 0 || wishers > 0,
+      disliked: tally.no > tally.yes && wishers === 0,
+      recentWinner: recentWinners.has(key),
+      score: LIKE_WEIGHT * likeScore + WISHLIST_WEIGHT * wishlistScore + random() * JITTER
+    };
+  });
+
+  const byScore = (a, b) => b.score - a.score;
+  const fresh = scored.filter(s => !s.recentWinner);
+  const liked = fresh.filter(s => s.seen && !s.disliked).sort(byScore);
+  const unseen = fresh.filter(s => !s.seen).sort(byScore);
+  const disliked = fresh.filter(s => s.disliked).sort(byScore);
+  const winners = scored.filter(s => s.recentWinner).sort(byScore);
+
+  const exploreSlots = Math.min(unseen.length, Math.round(count * exploreRatio));
+  const picked = [
+    ...liked.slice(0, count - exploreSlots),
+    ...unseen.slice(0, exploreSlots)
+  ];
+
+  // Top up from whatever is left: more unseen, then liked, then disliked, then recent winners
+  const pickedKeys = new Set(picked.map(p => p.key));
+  [...unseen, ...liked, ...disliked, ...winners].forEach(candidate => {
+    if (picked.length < count && !pickedKeys.has(candidate.key)) {
+      picked.push(candidate);
+      pickedKeys.add(candidate.key);
+    }
+  });
+
+  return picked
+    .sort(byScore)
+    .map(p => ({ ...p.recipe, selection_score: Math.round(p.score * 1000) / 1000 }));
+};
+
+/**
+ * Picks recipes from the members' wishlists so every member is represented
+ * equally: members take turns adding their next wish until the count is
+ * reached. A recipe several members wished for is added once and is tried
+ * first in each of their turns.
+ * @param {Array} wishes - Rows from get_group_wishlist_recipes
+ * @param {number} count - Number of recipes to pick
+ * @param {Object} options - { random } (random is injectable for predictable ordering)
+ * @returns {Array} - Recipe rows ({ recipe_id, recipe_data, wishlisted_by })
+ */
+export const balanceWishlistPicks = (wishes, count, options = {}) => {
+  const random = options.random || Math.random;
+  const keysByMember = new Map();
+  const wishersByKey = new Map();
+  const recipeByKey = new Map();
+
+  (wishes || []).forEach(w => {
+    const key = getRecipeKey(w.recipe_id);
+    if (!key || !w.recipe_data) return;
+    if (!keysByMember.has(w.user_id)) keysByMember.set(w.user_id, []);
+    if (!wishersByKey.has(key)) wishersByKey.set(key, new Set());
+    if (!wishersByKey.get(key).has(w.user_id)) keysByMember.get(w.user_id).push(key);
+    wishersByKey.get(key).add(w.user_id);
+    if (!recipeByKey.has(key)) recipeByKey.set(key, w.recipe_data);
+  });
+
+  // One queue per member: shared wishes first, the rest in random order.
+  // Members are shuffled too so the same person doesn't always go first.
+  const queues = Array.from(keysByMember.values())
+    .map(keys => ({
+      order: random(),
+      keys: keys
+        .map(key => ({ key, shared: wishersByKey.get(key).size, order: random() }))
+        .sort((a, b) => b.shared - a.shared || a.order - b.order)
+        .map(entry => entry.key)
+    }))
+    .sort((a, b) => a.order - b.order)
+    .map(queue => queue.keys);
+
+  const picked = [];
+  const pickedKeys = new Set();
+  let addedInRound = true;
+
+  while (picked.length < count && addedInRound) {
+    addedInRound = false;
+    for (const queue of queues) {
+      if (picked.length >= count) break;
+      while (queue.length > 0 && pickedKeys.has(queue[0])) queue.shift();
+      if (queue.length === 0) continue;
+
+      const key = queue.shift();
+      picked.push(key);
+      pickedKeys.add(key);
+      addedInRound = true;
+    }
+  }
+
+  return picked.map(key => ({
+    recipe_id: key,
+    recipe_data: recipeByKey.get(key),
+    wishlisted_by: wishersByKey.get(key).size
+  }));
+};
+
+/**
+ * Selects recipes for a wishlist session from the active members' wishlists.
+ * When the wishlists hold too few recipes the rest is filled with the
+ * regular taste-based selection.
+ * @param {string} groupId - Group ID
+ * @param {number} count - Number of recipes to select
+ * @returns {Promise<Object>} - Success/error response with recipe rows and wishlistCount
+ */
+export const selectWishlistRecipesForGroup = async (groupId, count = 12) => {
+  console.log(`💝 [SELECTION] Selecting ${count} wishlist recipes for group:`, groupId);
+
+  try {
+    const { data: wishes, error } = await supabase
+      .rpc('get_group_wishlist_recipes', { group_uuid: groupId });
+
+    if (error) throw error;
+
+    const picks = balanceWishlistPicks(wishes, count);
+    console.log(`💝 [SELECTION] ${picks.length} recipes picked from ${wishes?.length || 0} wishlist entries`);
+
+    let recipes = picks;
+    if (picks.length < count) {
+      const pickedKeys = new Set(picks.map(getRecipeKey));
+      const topUp = await selectRecipesForGroup(groupId, count);
+      if (topUp.success) {
+        const extra = topUp.recipes.filter(recipe => !pickedKeys.has(getRecipeKey(recipe)));
+        recipes = [...picks, ...extra].slice(0, count);
+      }
+    }
+
+    if (recipes.length === 0) {
+      return {
+        success: false,
+        error: 'No wishlist recipes found for this group',
+        recipes: []
+      };
+    }
+
+    return {
+      success: true,
+      recipes,
+      wishlistCount: picks.length
+    };
+
+  } catch (error) {
+    console.error('❌ [SELECTION] Error selecting wishlist recipes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to select wishlist recipes',
+      recipes: []
+    };
+  }
+};
+
+/**
+ * Selects recipes for a group's voting session using its taste history
+ * @param {string} groupId - Group ID
+ * @param {number} count - Number of recipes to select
+ * @param {Object} options - Ranking options passed to rankRecipesForGroup
+ * @returns {Promise<Object>} - Success/error response with ranked recipe rows
+ */
+export const selectRecipesForGroup = async (groupId, count = 12, options = {}) => {
+  console.log(`🎯 [SELECTION] Selecting ${count} recipes for group:`, groupId);
+
+  try {
+    const signals = await loadGroupTasteSignals(groupId);
+
+    // Random pool of candidates
+    let pool = [];
+    const { data: randomRecipes, error: randomError } = await supabase
+      .rpc('get_random_recipes', { limit_count: CANDIDATE_POOL_SIZE });
+
+    if (randomError) {
+      console.warn('⚠️ [SELECTION] Random recipe function unavailable, using plain select:', randomError.message);
+      const { data: plainRecipes, error: plainError } = await supabase
+        .from('recipes')
+        .select('*')
+        .limit(CANDIDATE_POOL_SIZE);
+      if (plainError) throw plainError;
+      pool = plainRecipes || [];
+    } else {
+      pool = randomRecipes || [];
+    }
+
+    // Make sure liked and wishlisted recipes are candidates even if the random pool missed them
+    const poolKeys = new Set(pool.map(getRecipeKey));
+    const favouriteKeys = [
+      ...Object.keys(signals.wishlistCounts),
+      ...Object.keys(signals.voteTally).filter(key => signals.voteTally[key].yes > signals.voteTally[key].no)
+    ].filter(key => !poolKeys.has(key));
+
+    if (favouriteKeys.length > 0) {
+      const { data: favourites, error: favouritesError } = await supabase
+        .from('recipes')
+        .select('*')
+        .in('recipe_id', Array.from(new Set(favouriteKeys)).slice(0, 100));
+
+      if (favouritesError) {
+        console.warn('⚠️ [SELECTION] Could not load favourite recipes:', favouritesError.message);
+      } else {
+        pool = [...pool, ...(favourites || [])];
+      }
+    }
+
+    // Recipes shared with one of the user's other groups don't belong here
+    pool = pool.filter(recipe => isRecipeVisibleInGroup(recipe, groupId));
+
+    if (pool.length === 0) {
+      return {
+        success: false,
+        error: 'No recipes found in database',
+        recipes: []
+      };
+    }
+
+    const recipes = rankRecipesForGroup(pool, signals, count, options);
+    console.log(`✅ [SELECTION] Selected ${recipes.length} recipes from a pool of ${pool.length}`);
+
+    return {
+      success: true,
+      recipes
+    };
+
+  } catch (error) {
+    console.error('❌ [SELECTION] Error selecting recipes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to select recipes',
+      recipes: []
+    };
+  }
+};
@@ -0,0 +1,378 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { supabase, supabaseUrl } from './supabase';
+import { voteMealOption, scoreMealOption, submitRankedBallot } from './mealRequestService';
+import { recordUserResponse } from './dinnerRequestService';
+import { addToWishlist, removeFromWishlist } from './wishlistService';
+
+const STORAGE_KEY = 'offline_action_queue_v1';
+const RETRY_DELAY = 30 * 1000;
+const CONNECTION_CHECK_TIMEOUT = 5 * 1000;
+
+export const OFFLINE_ACTIONS = {
+  VOTE: 'vote',
+  SCORE: 'score',
+  RANKED_BALLOT: 'ranked_ballot',
+  DINNER_RESPONSE: 'dinner_response',
+  WISHLIST_ADD: 'wishlist_add',
+  WISHLIST_REMOVE: 'wishlist_remove'
+};
+
+export const OFFLINE_QUEUE_EVENTS = {
+  CHANGED: 'changed',
+  REPLAYED: 'replayed',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+/**
+ * Checks whether the Supabase server can be reached. Any HTTP response counts
+ * as online - only a failed fetch means the phone has no connection.
+ * @returns {boolean}
+ */
+export const isServerReachable = async () => {
+  let timer;
+  try {
+    await Promise.race([
+      fetch(`${supabaseUrl}/auth/v1/health`),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Connection check timed out')), CONNECTION_CHECK_TIMEOUT);
+      })
+    ]);
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Returns why a vote can no longer be replayed, or null when the session is still open
+ * @param {string} requestId - Meal request ID
+ */
+const checkVotingSessionOpen = async ({ requestId }) => {
+  const { data, error } = await supabase
+    .from('meal_requests')
+    .select('status')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data && data.status === 'active' ? null : 'The voting session ended before your vote could be sent';
+};
+
+/**
+ * Returns why a dinner response can no longer be replayed, or null when the request is still open
+ * @param {string} requestId - Dinner request ID
+ */
+const checkDinnerRequestOpen = async ({ requestId }) => {
+  const { data, error } = await supabase
+    .from('dinner_requests')
+    .select('status')
+    .eq('id', requestId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data && data.status === 'pending' ? null : 'The dinner request ended before your response could be sent';
+};
+
+/**
+ * How each action type is sent, which earlier action it replaces (same key)
+ * and how to tell it no longer applies
+ */
+const OFFLINE_ACTION_HANDLERS = {
+  [OFFLINE_ACTIONS.VOTE]: {
+    execute: ({ requestId, mealOptionId, vote }) => voteMealOption(requestId, mealOptionId, vote),
+    key: ({ requestId, mealOptionId }) => `vote:${requestId}:${mealOptionId}`,
+    checkStale: checkVotingSessionOpen
+  },
+  [OFFLINE_ACTIONS.SCORE]: {
+    execute: ({ requestId, mealOptionId, score }) => scoreMealOption(requestId, mealOptionId, score),
+    key: ({ requestId, mealOptionId }) => `vote:${requestId}:${mealOptionId}`,
+    checkStale: checkVotingSessionOpen
+  },
+  [OFFLINE_ACTIONS.RANKED_BALLOT]: {
+    execute: ({ requestId, rankedOptionIds, vetoedOptionIds }) => submitRankedBallot(requestId, rankedOptionIds, vetoedOptionIds),
+    key: ({ requestId }) => `ballot:${requestId}`,
+    checkStale: checkVotingSessionOpen
+  },
+  [OFFLINE_ACTIONS.DINNER_RESPONSE]: {
+    execute: ({ requestId, response }) => recordUserResponse(requestId, response),
+    key: ({ requestId }) => `dinner_response:${requestId}`,
+    checkStale: checkDinnerRequestOpen
+  },
+  [OFFLINE_ACTIONS.WISHLIST_ADD]: {
+    execute: async ({ recipe }) => {
+      const result = await addToWishlist(recipe);
+      // Added from another device in the meantime - that's what we wanted anyway
+      return result.error === 'Recipe is already in your wishlist' ? { success: true } : result;
+    },
+    key: ({ recipe }) => `wishlist:${recipe.id}`
+  },
+  [OFFLINE_ACTIONS.WISHLIST_REMOVE]: {
+    execute: ({ recipeId }) => removeFromWishlist(recipeId),
+    key: ({ recipeId }) => `wishlist:${recipeId}`
+  }
+};
+
+/**
+ * Keeps votes, dinner responses and wishlist changes made without a
+ * connection on the phone and sends them, in order, once the server can be
+ * reached again. A later action on the same thing (changing a vote,
+ * re-answering a request) replaces the queued one.
+ */
+export class OfflineActionQueue {
+  constructor({
+    storage = AsyncStorage,
+    handlers = OFFLINE_ACTION_HANDLERS,
+    checkConnection = isServerReachable,
+    getUserId = async () => (await supabase.auth.getSession()).data.session?.user?.id || null,
+    retryDelay = RETRY_DELAY
+  } = {}) {
+    this.storage = storage;
+    this.handlers = handlers;
+    this.checkConnection = checkConnection;
+    this.getUserId = getUserId;
+    this.retryDelay = retryDelay;
+    this.actions = [];
+    this.loaded = null;
+    this.flushing = null;
+    this.retryTimer = null;
+    this.appStateSubscription = null;
+    this.listeners = new Set();
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const stored = await this.storage.getItem(STORAGE_KEY);
+          this.actions = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('❌ [OFFLINE] Could not read queued actions:', error);
+          this.actions = [];
+        }
+        return this.actions;
+      })();
+    }
+    return this.loaded;
+  }
+
+  async persist() {
+    try {
+      await this.storage.setItem(STORAGE_KEY, JSON.stringify(this.actions));
+    } catch (error) {
+      console.error('❌ [OFFLINE] Could not save queued actions:', error);
+    }
+  }
+
+  /**
+   * @returns {Array} - Queued actions, oldest first ({ id, type, payload, userId, queuedAt })
+   */
+  getPending() {
+    return this.actions.map(action => ({ ...action }));
+  }
+
+  /**
+   * @param {Function} listener - Called with { type, action, error, pending }
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(type, action = null, error = null) {
+    const event = { type, action, error, pending: this.getPending() };
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (listenerError) {
+        console.error('❌ [OFFLINE] Queue listener failed:', listenerError);
+      }
+    });
+  }
+
+  /**
+   * Sends an action now, or queues it when the phone is offline. Actions also
+   * queue behind older ones that are still waiting, so they replay in order.
+   * @param {string} type - One of OFFLINE_ACTIONS
+   * @param {Object} payload - Action arguments
+   * @returns {Object} - The service's response, or { success: true, queued: true }
+   */
+  async perform(type, payload) {
+    const handler = this.handlers[type];
+    if (!handler) {
+      return { success: false, error: `Unknown action: ${type}` };
+    }
+
+    await this.load();
+
+    if (this.actions.length > 0) {
+      await this.enqueue(type, payload);
+      this.flush();
+      return { success: true, queued: true };
+    }
+
+    const result = await handler.execute(payload);
+    if (result.success || await this.checkConnection()) {
+      return result;
+    }
+
+    console.log(`📴 [OFFLINE] No connection, queuing ${type}`);
+    await this.enqueue(type, payload);
+    return { success: true, queued: true };
+  }
+
+  async enqueue(type, payload) {
+    await this.load();
+
+    const key = this.handlers[type].key(payload);
+    const action = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      key,
+      payload,
+      userId: await this.getUserId(),
+      queuedAt: new Date().toISOString()
+    };
+
+    this.actions = [...this.actions.filter(existing => existing.key !== key), action];
+    await this.persist();
+    this.scheduleRetry();
+    this.emit(OFFLINE_QUEUE_EVENTS.CHANGED, action);
+    return action;
+  }
+
+  async remove(action) {
+    this.actions = this.actions.filter(existing => existing.id !== action.id);
+    await this.persist();
+  }
+
+  /**
+   * Replays queued actions in order. Stops at the first one that can't reach
+   * the server and tries again later. Actions that no longer apply (the
+   * session ended, someone else is signed in) are dropped with a conflict event.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.replay().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async replay() {
+    await this.load();
+    if (this.actions.length === 0) {
+      return { replayed: 0, remaining: 0 };
+    }
+
+    if (!await this.checkConnection()) {
+      this.scheduleRetry();
+      return { replayed: 0, remaining: this.actions.length };
+    }
+
+    const userId = await this.getUserId();
+    let replayed = 0;
+
+    while (this.actions.length > 0) {
+      const action = this.actions[0];
+      const handler = this.handlers[action.type];
+
+      if (!handler || action.userId !== userId) {
+        await this.remove(action);
+        this.emit(OFFLINE_QUEUE_EVENTS.CONFLICT, action, 'This change was made while signed in as someone else');
+        continue;
+      }
+
+      try {
+        const staleReason = handler.checkStale ? await handler.checkStale(action.payload) : null;
+        if (staleReason) {
+          console.log(`⚠️ [OFFLINE] Dropping ${action.type}: ${staleReason}`);
+          await this.remove(action);
+          this.emit(OFFLINE_QUEUE_EVENTS.CONFLICT, action, staleReason);
+          continue;
+        }
+
+        const result = await handler.execute(action.payload);
+        if (result.success) {
+          await this.remove(action);
+          replayed++;
+          this.emit(OFFLINE_QUEUE_EVENTS.REPLAYED, action);
+          continue;
+        }
+
+        if (!await this.checkConnection()) {
+          break;
+        }
+
+        // The server said no - retrying won't change that
+        console.warn(`⚠️ [OFFLINE] Replaying ${action.type} failed:`, result.error);
+        await this.remove(action);
+        this.emit(OFFLINE_QUEUE_EVENTS.FAILED, action, result.error);
+      } catch (error) {
+        if (!await this.checkConnection()) {
+          break;
+        }
+        console.error(`❌ [OFFLINE] Error replaying ${action.type}:`, error);
+        await this.remove(action);
+        this.emit(OFFLINE_QUEUE_EVENTS.FAILED, action, error.message);
+      }
+    }
+
+    if (this.actions.length > 0) {
+      this.scheduleRetry();
+    }
+
+    if (replayed > 0) {
+      console.log(`✅ [OFFLINE] Replayed ${replayed} queued action(s)`);
+    }
+    return { replayed, remaining: this.actions.length };
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) {
+      return;
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, this.retryDelay);
+  }
+
+  /**
+   * Loads the queue and replays it now and whenever the app comes back to the foreground
+   */
+  async start() {
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') {
+          this.flush();
+        }
+      });
+    }
+    await this.load();
+    this.emit(OFFLINE_QUEUE_EVENTS.CHANGED);
+    return this.flush();
+  }
+
+  stop() {
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+export const offlineQueue = new OfflineActionQueue();
@@ -1,4 +1,5 @@
 import { supabase } from './supabase';
+import { normalizeDietaryProfile } from './dietaryProfile';
 
 /**
  * Creates or updates a user profile
@@ -178,4 +179,113 @@ export const ensureUserProfile = async () => {
     // Profile doesn't exist, the getCurrentUserProfile function will create it
     return profileResult;
   }
-}; 
\ No newline at end of file
+};
+
+const DIETARY_COLUMNS = 'id, dietary_restrictions, allergens, disliked_ingredients, favorite_cuisines';
+
+/**
+ * Gets the current user's dietary profile
+ * @returns {Object} - Success/error response with profile ({ dietaryRestrictions, allergens, dislikedIngredients, favoriteCuisines })
+ */
+export const getDietaryProfile = async () => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to view your dietary profile' };
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select(DIETARY_COLUMNS)
+      .eq('id', user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, profile: normalizeDietaryProfile(data || {}) };
+
+  } catch (error) {
+    console.error('❌ [PROFILE] Error loading dietary profile:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load dietary profile'
+    };
+  }
+};
+
+/**
+ * Saves the current user's dietary profile
+ * @param {Object} profile - { dietaryRestrictions, allergens, dislikedIngredients, favoriteCuisines }
+ * @returns {Object} - Success/error response with the saved profile
+ */
+export const updateDietaryProfile = async (profile) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to update your dietary profile' };
+    }
+
+    const normalized = normalizeDietaryProfile(profile);
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        dietary_restrictions: normalized.dietaryRestrictions,
+        allergens: normalized.allergens,
+        disliked_ingredients: normalized.dislikedIngredients,
+        favorite_cuisines: normalized.favoriteCuisines
+      })
+      .eq('id', user.id)
+      .select(DIETARY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ [PROFILE] Dietary profile saved');
+    return { success: true, profile: normalizeDietaryProfile(data) };
+
+  } catch (error) {
+    console.error('❌ [PROFILE] Error saving dietary profile:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save dietary profile'
+    };
+  }
+};
+
+/**
+ * Gets the dietary profiles of several users, e.g. everyone eating together
+ * @param {Array} userIds - User IDs
+ * @returns {Object} - Success/error response with profiles (normalized, one per user that has a profile)
+ */
+export const getDietaryProfilesForUsers = async (userIds) => {
+  try {
+    if (!userIds || userIds.length === 0) {
+      return { success: true, profiles: [] };
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select(DIETARY_COLUMNS)
+      .in('id', userIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      profiles: (data || []).map(row => ({ userId: row.id, ...normalizeDietaryProfile(row) }))
+    };
+
+  } catch (error) {
+    console.error('❌ [PROFILE] Error loading dietary profiles:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load dietary profiles'
+    };
+  }
+};
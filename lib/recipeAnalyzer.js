@@ -0,0 +1,291 @@
+/**
+ * Works out diet and allergen flags from a recipe's ingredient lines
+ * (Dutch and English), since recipe_data.dietary is rarely filled in.
+ */
+
+// Bump when the rules change so the backfill analyses every recipe again, along
+// with recipe_analyzer_version() in database-user-recipes.sql
+export const ANALYZER_VERSION = 2;
+
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+// Fewer ingredient lines than this and a clean result is only a low guess
+const MIN_LINES_FOR_MEDIUM_CONFIDENCE = 3;
+const MAX_REASONS = 3;
+
+/**
+ * Ingredient rules per food group.
+ * - terms match anywhere in a line, so Dutch compounds like "zalmfilets" are caught
+ * - prefixes only match at the start of a word ("pastasaus", not "currypasta")
+ * - words only match as a whole word ("ei", not "eikenhout")
+ * - maybe terms often, but not always, contain the group ("bouillon")
+ * - except is removed from the line first ("kokosmelk" isn't dairy)
+ * - lines with a skipLinesWith marker are ignored ("vegetarisch gehakt")
+ */
+const INGREDIENT_RULES = {
+  gluten: {
+    terms: ['gluten', 'tarwe', 'bloem', 'meel', 'volkorenpasta', 'spaghetti', 'penne', 'fusilli', 'macaroni', 'lasagne',
+      'tagliatelle', 'linguine', 'fettuccine', 'pappardelle', 'rigatoni', 'farfalle', 'conchiglie', 'orecchiette',
+      'cannelloni', 'tortellini', 'tortelloni', 'ravioli', 'gnocchi', 'noedel', 'brood', 'paneermeel', 'couscous', 'bulgur',
+      'rogge', 'gerst', 'spelt', 'seitan', 'pita', 'wrap', 'tortilla', 'deeg', 'pizza', 'cracker', 'beschuit', 'ciabatta',
+      'focaccia', 'baguette', 'crouton', 'bier', 'sojasaus', 'ketjap', 'wheat', 'flour', 'bread', 'noodle', 'semolina',
+      'barley', 'rye', 'beer', 'panko', 'soy sauce'],
+    prefixes: ['pasta'],
+    words: ['mie', 'udon', 'ramen', 'orzo', 'naan'],
+    maybe: ['havermout', 'oats', 'bouillon', 'stock', 'soba'],
+    except: ['glutenvrij', 'gluten-free', 'bloemkool', 'maismeel', 'rijstmeel', 'amandelmeel', 'kikkererwtenmeel',
+      'boekweitmeel', 'rijstnoedel', 'rice noodle', 'rice flour', 'corn flour', 'cornflour']
+  },
+  lactose: {
+    terms: ['lactose', 'melk', 'room', 'boter', 'kaas', 'yoghurt', 'kwark', 'zuivel', 'crème fraîche', 'creme fraiche',
+      'mascarpone', 'mozzarella', 'burrata', 'stracciatella', 'parmezaan', 'parmesan', 'parmigiano', 'grana padano',
+      'pecorino', 'gorgonzola', 'halloumi', 'feta', 'ricotta', 'camembert', 'gouda', 'cheddar', 'emmental', 'gruyère',
+      'gruyere', 'manchego', 'roquefort', 'taleggio', 'provolone', 'labneh', 'kefir', 'skyr', 'quark', 'pesto', 'paneer',
+      'milk', 'cream', 'butter', 'cheese', 'yogurt', 'dairy', 'ghee'],
+    prefixes: [],
+    words: ['brie'],
+    maybe: ['chocolade', 'chocolate', 'aardappelpuree', 'mashed potato', 'tortellini', 'tortelloni', 'ravioli'],
+    except: ['lactosevrij', 'lactose-free', 'zuivelvrij', 'dairy-free', 'kokosmelk', 'kokosroom', 'amandelmelk', 'havermelk',
+      'sojamelk', 'rijstmelk', 'pindakaas', 'pindaboter', 'cacaoboter', 'notenboter', 'peanut butter', 'coconut milk',
+      'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'mushroom', 'butternut', 'butter bean']
+  },
+  nuts: {
+    terms: ['noot', 'noten', 'amandel', 'cashew', 'pecan', 'pistache', 'macadamia', 'pijnboompit', 'pesto', 'almond',
+      'walnut', 'hazelnut', 'pistachio', 'pine nut', 'nuts'],
+    prefixes: [],
+    words: ['nut'],
+    maybe: ['granola', 'muesli', 'praline', 'marsepein', 'marzipan', 'chocolade', 'chocolate'],
+    except: ['nootmuskaat', 'kokosnoot', 'nutmeg', 'coconut', 'butternut', 'pindanoot']
+  },
+  peanuts: {
+    terms: ['pinda', 'peanut', 'satésaus', 'satesaus', 'arachide'],
+    prefixes: [],
+    words: [],
+    maybe: [],
+    except: []
+  },
+  fish: {
+    terms: ['zalm', 'tonijn', 'kabeljauw', 'makreel', 'haring', 'ansjovis', 'sardine', 'forel', 'pangasius', 'tilapia',
+      'koolvis', 'schelvis', 'visfilet', 'vissaus', 'visbouillon', 'fish', 'salmon', 'tuna', 'anchov', 'mackerel', 'trout'],
+    prefixes: [],
+    words: ['vis', 'cod'],
+    maybe: ['worcestershire', 'currypasta', 'curry paste', 'sushi', 'zeevruchten', 'seafood'],
+    except: []
+  },
+  shellfish: {
+    terms: ['garnaal', 'garnalen', 'gamba', 'langoustine', 'scampi', 'mossel', 'kreeft', 'krab', 'inktvis', 'calamar',
+      'octopus', 'jakobsschelp', 'coquille', 'kokkel', 'vongole', 'venusschelp', 'zeevruchten', 'schaaldier', 'schelpdier',
+      'shrimp', 'prawn', 'mussel', 'lobster', 'crab', 'clam', 'scallop', 'squid', 'seafood', 'shellfish'],
+    prefixes: ['oester', 'oyster'],
+    words: [],
+    maybe: ['trassi', 'currypasta', 'curry paste'],
+    except: ['oesterzwam', 'oyster mushroom']
+  },
+  egg: {
+    terms: ['eieren', 'eidooier', 'eigeel', 'eiwit', 'mayonaise', 'mayonnaise'],
+    prefixes: ['egg'],
+    words: ['ei', 'mayo'],
+    maybe: ['verse pasta', 'fresh pasta', 'eiernoedel', 'tortellini', 'tortelloni', 'ravioli', 'aioli'],
+    except: ['eggplant']
+  },
+  soy: {
+    terms: ['soja', 'tofu', 'tempeh', 'edamame', 'miso', 'ketjap', 'soy'],
+    prefixes: [],
+    words: [],
+    maybe: [],
+    except: []
+  },
+  meat: {
+    terms: ['vlees', 'gehakt', 'kip', 'spek', 'bacon', 'worst', 'chorizo', 'salami', 'pancetta', 'prosciutto', 'pepperoni',
+      'kalkoen', 'varken', 'biefstuk', 'shoarma', 'gyros', 'kebab', 'ossenhaas', 'gelatine', 'chicken', 'beef', 'pork',
+      'turkey', 'duck', 'sausage', 'steak', 'gelatin'],
+    prefixes: ['meat'],
+    words: ['ham', 'lam', 'lamb', 'eend', 'mince'],
+    maybe: ['bouillon', 'stock', 'jus'],
+    except: ['groentebouillon', 'vegetable stock', 'paddenstoelenbouillon', 'vleestomaat', 'vleestomaten',
+      'beefsteak tomato'],
+    skipLinesWith: ['vegetarisch', 'vegan', 'vega ', 'plantaardig', 'veggie', 'meatless']
+  },
+  honey: {
+    terms: ['honing', 'honey'],
+    prefixes: [],
+    words: [],
+    maybe: [],
+    except: []
+  }
+};
+
+// Each flag is true when none of its food groups are found
+const FLAG_RULES = {
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  vegan: ['meat', 'fish', 'shellfish', 'lactose', 'egg', 'honey'],
+  glutenFree: ['gluten'],
+  lactoseFree: ['lactose'],
+  nutFree: ['nuts', 'peanuts'],
+  fishFree: ['fish']
+};
+
+// Tags used by recipe_data.dietary and the feed's dietary filter
+const FLAG_TAGS = {
+  vegetarian: 'vegetarian',
+  vegan: 'vegan',
+  glutenFree: 'gluten-free',
+  lactoseFree: 'dairy-free',
+  nutFree: 'nut-free',
+  fishFree: 'fish-free'
+};
+
+const componentText = (component) => (typeof component === 'string'
+  ? component
+  : component?.raw_text || component?.ingredient?.name || component?.name || '');
+
+const recipeSource = (recipe) => recipe.meal_data || recipe.recipe_data || recipe.originalRecipeData || recipe;
+
+const getIngredientLines = (recipe) => {
+  const source = recipeSource(recipe);
+  const ingredients = Array.isArray(source.ingredients) && source.ingredients.length > 0
+    ? source.ingredients
+    : (recipe.sections || source.sections || []).flatMap(section => section.components || []);
+
+  return ingredients.map(componentText).filter(Boolean).map(line => String(line).toLowerCase());
+};
+
+/**
+ * Whether a recipe has any ingredient lines to check
+ * @param {Object} recipe
+ * @returns {boolean}
+ */
+export const hasIngredientList = (recipe) => Boolean(recipe) && getIngredientLines(recipe).length > 0;
+
+/**
+ * Collects the title and ingredient lines of a recipe in any of the shapes
+ * the app passes around: recipes rows, recipe_data, feed recipes and meal_data
+ * @param {Object} recipe
+ * @returns {Array} - Lowercase lines
+ */
+export const getRecipeTextLines = (recipe) => {
+  if (!recipe) return [];
+  const source = recipeSource(recipe);
+  return [source.title, source.name]
+    .filter(Boolean)
+    .map(line => String(line).toLowerCase())
+    .concat(getIngredientLines(recipe));
+};
+
+const wordsOf = (line) => line.split(/[^a-zà-ÿ]+/);
+
+const matchLine = (line, rule) => {
+  if (rule.skipLinesWith && rule.skipLinesWith.some(marker => line.includes(marker))) {
+    return null;
+  }
+  const cleaned = rule.except.reduce((text, exception) => text.split(exception).join(' '), line);
+
+  const words = wordsOf(cleaned);
+
+  if (rule.terms.some(term => cleaned.includes(term)) ||
+    words.some(word => rule.words.includes(word)) ||
+    words.some(word => rule.prefixes.some(prefix => word.startsWith(prefix)))) {
+    return 'contains';
+  }
+  if (rule.maybe.some(term => cleaned.includes(term))) {
+    return 'maybe';
+  }
+  return null;
+};
+
+/**
+ * Food groups found in a recipe, with the lines that gave them away
+ * @param {Object} recipe
+ * @returns {Object} - { group: { level: 'contains' | 'maybe', lines } } for each group found
+ */
+export const findFoodGroups = (recipe) => {
+  const lines = getRecipeTextLines(recipe);
+  const found = {};
+
+  Object.entries(INGREDIENT_RULES).forEach(([group, rule]) => {
+    const contains = [];
+    const maybe = [];
+    lines.forEach(line => {
+      const match = matchLine(line, rule);
+      if (match === 'contains') contains.push(line);
+      if (match === 'maybe') maybe.push(line);
+    });
+
+    if (contains.length > 0) {
+      found[group] = { level: 'contains', lines: contains };
+    } else if (maybe.length > 0) {
+      found[group] = { level: 'maybe', lines: maybe };
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Analyses a recipe's ingredients.
+ * A flag is false when one of its food groups is found: with high confidence
+ * for a clear ingredient, medium for one that only might contain it.
+ * A flag is true when nothing was found, but an ingredient the rules don't
+ * know could still hide a food group, so that is never high confidence:
+ * medium for a full ingredient list and low for a short or missing one.
+ * @param {Object} recipe - recipe_data or any recipe shape
+ * @returns {Object} - { version, flags: { name: { value, confidence, reasons } }, contains, mayContain }
+ */
+export const analyzeRecipe = (recipe) => {
+  const found = findFoodGroups(recipe || {});
+  const ingredientCount = recipe ? getIngredientLines(recipe).length : 0;
+
+  const cleanConfidence = ingredientCount < MIN_LINES_FOR_MEDIUM_CONFIDENCE ? CONFIDENCE.LOW : CONFIDENCE.MEDIUM;
+
+  const flags = {};
+  Object.entries(FLAG_RULES).forEach(([flag, groups]) => {
+    const hits = groups.filter(group => found[group]);
+    if (hits.length === 0) {
+      flags[flag] = { value: true, confidence: cleanConfidence, reasons: [] };
+      return;
+    }
+
+    const definite = hits.filter(group => found[group].level === 'contains');
+    const reasons = Array.from(new Set(hits.flatMap(group => found[group].lines))).slice(0, MAX_REASONS);
+    flags[flag] = {
+      value: false,
+      confidence: definite.length > 0 ? CONFIDENCE.HIGH : CONFIDENCE.MEDIUM,
+      reasons
+    };
+  });
+
+  const groups = Object.keys(found);
+  return {
+    version: ANALYZER_VERSION,
+    flags,
+    contains: groups.filter(group => found[group].level === 'contains'),
+    mayContain: groups.filter(group => found[group].level === 'maybe')
+  };
+};
+
+/**
+ * Brings recipe_data.dietary in line with an analysis. Flags that are true
+ * (with more than low confidence) add their tag, flags that are false remove
+ * it, and anything else a recipe was tagged with is kept.
+ * @param {Array} existingTags - Current recipe_data.dietary
+ * @param {Object} analysis - Result of analyzeRecipe
+ * @returns {Array} - Dietary tags
+ */
+export const mergeDietaryTags = (existingTags, analysis) => {
+  const tags = new Set(existingTags || []);
+
+  Object.entries(analysis.flags).forEach(([flag, result]) => {
+    const tag = FLAG_TAGS[flag];
+    if (result.value && result.confidence !== CONFIDENCE.LOW) {
+      tags.add(tag);
+    } else if (!result.value) {
+      tags.delete(tag);
+    }
+  });
+
+  return Array.from(tags);
+};
@@ -0,0 +1,162 @@
+/**
+ * Recipe drafts: what the recipe editor works on before a recipe is saved.
+ */
+import { DIETARY_RESTRICTION_OPTIONS } from './dietaryProfile';
+
+export const RECIPE_VISIBILITY = {
+  EVERYONE: 'everyone',
+  GROUP: 'group'
+};
+
+export const RECIPE_LIMITS = {
+  titleMin: 3,
+  titleMax: 100,
+  descriptionMax: 500,
+  maxIngredients: 50,
+  maxSteps: 30,
+  maxReadyInMinutes: 600,
+  maxPricePerServing: 100
+};
+
+// Shown when a recipe has no photo
+export const DEFAULT_RECIPE_IMAGE = 'https://images.unsplash.com/photo-1546548970-71785318a17b?w=400&h=300&fit=crop';
+
+// Numbers stay text while editing so the inputs can be cleared
+export const EMPTY_RECIPE_DRAFT = {
+  title: '',
+  image: '',
+  description: '',
+  ingredients: [''],
+  instructions: [''],
+  readyInMinutes: '',
+  pricePerServing: '',
+  dietary: [],
+  sourceUrl: ''
+};
+
+const filledLines = (lines) => (lines || []).map(line => String(line).trim()).filter(Boolean);
+
+// Accepts "3,50" as well as "3.50"
+const parseNumber = (value) => {
+  const text = String(value ?? '').trim().replace(',', '.');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Checks a draft before it is saved
+ * @param {Object} draft - Recipe draft
+ * @returns {Object} - { valid, errors: { field: message } }
+ */
+export const validateRecipeDraft = (draft) => {
+  const errors = {};
+  const title = (draft.title || '').trim();
+
+  if (title.length < RECIPE_LIMITS.titleMin) {
+    errors.title = `Give the recipe a title of at least ${RECIPE_LIMITS.titleMin} characters`;
+  } else if (title.length > RECIPE_LIMITS.titleMax) {
+    errors.title = `Keep the title under ${RECIPE_LIMITS.titleMax} characters`;
+  }
+
+  const image = (draft.image || '').trim();
+  if (image && !/^https?:\/\/\S+$/i.test(image)) {
+    errors.image = 'The photo must be a web address starting with http:// or https://';
+  }
+
+  if ((draft.description || '').trim().length > RECIPE_LIMITS.descriptionMax) {
+    errors.description = `Keep the description under ${RECIPE_LIMITS.descriptionMax} characters`;
+  }
+
+  const ingredients = filledLines(draft.ingredients);
+  if (ingredients.length === 0) {
+    errors.ingredients = 'Add at least one ingredient';
+  } else if (ingredients.length > RECIPE_LIMITS.maxIngredients) {
+    errors.ingredients = `A recipe can have up to ${RECIPE_LIMITS.maxIngredients} ingredients`;
+  }
+
+  const steps = filledLines(draft.instructions);
+  if (steps.length === 0) {
+    errors.instructions = 'Add at least one step';
+  } else if (steps.length > RECIPE_LIMITS.maxSteps) {
+    errors.instructions = `A recipe can have up to ${RECIPE_LIMITS.maxSteps} steps`;
+  }
+
+  const minutes = parseNumber(draft.readyInMinutes);
+  if (minutes === null) {
+    errors.readyInMinutes = 'Enter how long the recipe takes';
+  } else if (!Number.isInteger(minutes) || minutes < 1 || minutes > RECIPE_LIMITS.maxReadyInMinutes) {
+    errors.readyInMinutes = `Enter a whole number of minutes between 1 and ${RECIPE_LIMITS.maxReadyInMinutes}`;
+  }
+
+  const price = parseNumber(draft.pricePerServing);
+  if (price !== null && (Number.isNaN(price) || price < 0 || price > RECIPE_LIMITS.maxPricePerServing)) {
+    errors.pricePerServing = `Enter a price between 0 and ${RECIPE_LIMITS.maxPricePerServing}`;
+  }
+
+  if ((draft.dietary || []).some(tag => !DIETARY_RESTRICTION_OPTIONS.includes(tag))) {
+    errors.dietary = 'Unknown dietary tag';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * A new recipe_id for a user-submitted recipe
+ * @returns {string}
+ */
+export const createRecipeId = () => `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Turns a valid draft into recipe_data, in the same shape as the seeded recipes
+ * @param {Object} draft - Recipe draft
+ * @param {string} recipeId - recipe_id of the recipe
+ * @param {Object} existingData - The recipe_data being edited, if any (other fields are kept)
+ * @returns {Object} - recipe_data
+ */
+export const draftToRecipeData = (draft, recipeId, existingData = {}) => {
+  const price = parseNumber(draft.pricePerServing);
+  const steps = filledLines(draft.instructions);
+
+  return {
+    ...existingData,
+    id: recipeId,
+    tastyId: existingData.tastyId || recipeId,
+    title: draft.title.trim(),
+    image: draft.image.trim() || DEFAULT_RECIPE_IMAGE,
+    description: draft.description.trim(),
+    sourceUrl: (draft.sourceUrl || '').trim() || existingData.sourceUrl || `#recipe-${recipeId}`,
+    readyInMinutes: parseNumber(draft.readyInMinutes),
+    pricePerServing: price === null ? null : Math.round(price * 100) / 100,
+    dietary: draft.dietary || [],
+    ingredients: filledLines(draft.ingredients),
+    instructions: steps.map((step, index) => `${index + 1}. ${step}`).join('\n')
+  };
+};
+
+/**
+ * Turns recipe_data back into a draft for editing
+ * @param {Object} recipeData - recipe_data
+ * @returns {Object} - Recipe draft
+ */
+export const recipeDataToDraft = (recipeData = {}) => {
+  const rawSteps = Array.isArray(recipeData.instructions)
+    ? recipeData.instructions.map(step => (typeof step === 'string' ? step : step?.display_text || ''))
+    : String(recipeData.instructions || '').split('\n');
+  // Steps are stored as "1. Do this", the editor numbers them itself
+  const steps = filledLines(rawSteps).map(step => step.replace(/^\d+[.)]\s*/, ''));
+  const ingredients = filledLines(recipeData.ingredients);
+
+  return {
+    title: recipeData.title || recipeData.name || '',
+    image: recipeData.image && recipeData.image !== DEFAULT_RECIPE_IMAGE ? recipeData.image : '',
+    description: recipeData.description || '',
+    ingredients: ingredients.length > 0 ? ingredients : [''],
+    instructions: steps.length > 0 ? steps : [''],
+    readyInMinutes: recipeData.readyInMinutes != null ? String(recipeData.readyInMinutes) : '',
+    pricePerServing: recipeData.pricePerServing != null ? String(recipeData.pricePerServing) : '',
+    dietary: (recipeData.dietary || []).filter(tag => DIETARY_RESTRICTION_OPTIONS.includes(tag)),
+    // "#recipe-..." placeholders aren't real pages
+    sourceUrl: /^https?:\/\//i.test(recipeData.sourceUrl || '') ? recipeData.sourceUrl : ''
+  };
+};
@@ -0,0 +1,271 @@
+/**
+ * Turns a recipe web page into a recipe draft. Reads schema.org Recipe data,
+ * from JSON-LD first and microdata otherwise.
+ * Pure functions on the page's HTML, so saved pages can be checked without
+ * network access; fetching the page is left to the caller.
+ */
+import { EMPTY_RECIPE_DRAFT, RECIPE_LIMITS } from './recipeDraft';
+
+// schema.org suitableForDiet values we have a tag for
+const DIET_TAGS = {
+  VegetarianDiet: 'vegetarian',
+  VeganDiet: 'vegan',
+  GlutenFreeDiet: 'gluten-free',
+  LowLactoseDiet: 'dairy-free'
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  eacute: 'é',
+  egrave: 'è',
+  euml: 'ë',
+  iuml: 'ï',
+  ouml: 'ö',
+  uuml: 'ü',
+  deg: '°',
+  frac12: '½',
+  frac14: '¼',
+  frac34: '¾'
+};
+
+const decodeEntities = (text) => String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Tags out, entities decoded, whitespace collapsed
+const cleanText = (value) => decodeEntities(
+  String(value ?? '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+).replace(/[ \t ]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+/**
+ * Minutes in an ISO 8601 duration such as "PT1H30M" or "P0DT45M"
+ * @param {string} duration
+ * @returns {number|null}
+ */
+export const parseIsoDuration = (duration) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(duration || '').trim());
+  if (!match || match[0].toUpperCase() === 'P' || match[0].toUpperCase() === 'PT') return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => (part === undefined ? 0 : part));
+  const total = Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes) + Math.round(Number(seconds) / 60);
+  return total > 0 ? total : null;
+};
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const hasType = (node, type) => asArray(node?.['@type']).some(value => (
+  String(value).replace(/^https?:\/\/schema\.org\//, '') === type
+));
+
+// ============================================
+// JSON-LD
+// ============================================
+
+const findRecipeNode = (node) => {
+  if (!node || typeof node !== 'object') return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findRecipeNode(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (hasType(node, 'Recipe')) return node;
+  return findRecipeNode(node['@graph']) || findRecipeNode(node.mainEntity) || findRecipeNode(node.mainEntityOfPage);
+};
+
+const parseJsonLdBlocks = (html) => {
+  const blocks = [];
+  const pattern = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const raw = match[1].replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').replace(/^\s*<!--|-->\s*$/g, '').trim();
+    try {
+      blocks.push(JSON.parse(raw));
+    } catch (error) {
+      // Sites sometimes ship broken JSON-LD; the next block or microdata may still work
+      console.warn('⚠️ [IMPORT] Skipping unreadable JSON-LD block:', error.message);
+    }
+  }
+  return blocks;
+};
+
+const imageUrl = (image) => {
+  const first = asArray(image)[0];
+  if (!first) return '';
+  if (typeof first === 'string') return first;
+  return first.url || first.contentUrl || first['@id'] || '';
+};
+
+// Instructions come as one text, a list of texts, HowToSteps or HowToSections
+const instructionSteps = (instructions) => asArray(instructions).flatMap(step => {
+  if (typeof step === 'string') {
+    return cleanText(step).split('\n');
+  }
+  if (hasType(step, 'HowToSection') || step.itemListElement) {
+    return instructionSteps(step.itemListElement);
+  }
+  return [cleanText(step.text || step.name || '')];
+});
+
+const fromJsonLd = (recipe) => ({
+  title: recipe.name || recipe.headline,
+  image: imageUrl(recipe.image),
+  description: recipe.description,
+  ingredients: asArray(recipe.recipeIngredient || recipe.ingredients),
+  instructions: instructionSteps(recipe.recipeInstructions),
+  totalTime: recipe.totalTime,
+  prepTime: recipe.prepTime,
+  cookTime: recipe.cookTime,
+  diets: asArray(recipe.suitableForDiet).map(diet => (typeof diet === 'string' ? diet : diet?.['@id'] || ''))
+});
+
+// ============================================
+// MICRODATA
+// ============================================
+
+const attribute = (tag, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+};
+
+// Everything inside the element that starts at openIndex, nested tags of the same name included
+const elementContent = (html, tagName, openEnd) => {
+  const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = openEnd;
+  let depth = 1;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return html.slice(openEnd, match.index);
+  }
+  return html.slice(openEnd);
+};
+
+const VOID_TAGS = ['meta', 'img', 'link', 'source', 'input', 'br'];
+
+const microdataValues = (scope, property) => {
+  const values = [];
+  const pattern = new RegExp(`<([a-z0-9]+)\\b[^>]*\\sitemprop\\s*=\\s*["']?[^"'>]*\\b${property}\\b[^"'>]*["']?[^>]*>`, 'gi');
+  let match;
+  while ((match = pattern.exec(scope)) !== null) {
+    const tag = match[0];
+    const tagName = match[1].toLowerCase();
+    const value = attribute(tag, 'content') ?? attribute(tag, 'datetime') ??
+      (['img', 'source'].includes(tagName) ? attribute(tag, 'src') : null) ??
+      (['link', 'a'].includes(tagName) && property === 'image' ? attribute(tag, 'href') : null);
+
+    if (value !== null) {
+      values.push(value);
+    } else if (!VOID_TAGS.includes(tagName)) {
+      values.push(elementContent(scope, tagName, match.index + tag.length));
+    }
+  }
+  return values;
+};
+
+const findMicrodataScope = (html) => {
+  const match = /<([a-z0-9]+)\b[^>]*itemtype\s*=\s*["']?https?:\/\/schema\.org\/Recipe["']?[^>]*>/i.exec(html);
+  if (!match) return null;
+  return elementContent(html, match[1], match.index + match[0].length);
+};
+
+// A recipeInstructions block may hold a whole list of steps
+const splitSteps = (block) => {
+  const items = block.match(/<li\b[^>]*>[\s\S]*?<\/li>/gi);
+  return items ? items.map(cleanText) : cleanText(block).split('\n');
+};
+
+const fromMicrodata = (scope) => ({
+  title: cleanText(microdataValues(scope, 'name')[0] || ''),
+  image: microdataValues(scope, 'image')[0] || '',
+  description: microdataValues(scope, 'description')[0],
+  ingredients: [...microdataValues(scope, 'recipeIngredient'), ...microdataValues(scope, 'ingredients')],
+  instructions: microdataValues(scope, 'recipeInstructions').flatMap(splitSteps),
+  totalTime: microdataValues(scope, 'totalTime')[0],
+  prepTime: microdataValues(scope, 'prepTime')[0],
+  cookTime: microdataValues(scope, 'cookTime')[0],
+  diets: microdataValues(scope, 'suitableForDiet')
+});
+
+// ============================================
+// DRAFT
+// ============================================
+
+const absoluteUrl = (url, pageUrl) => {
+  if (!url) return '';
+  if (/^https?:\/\//i.test(url)) return url;
+  if (url.startsWith('//')) return `https:${url}`;
+  const origin = /^(https?:\/\/[^/]+)/i.exec(pageUrl || '');
+  return origin && url.startsWith('/') ? `${origin[1]}${url}` : '';
+};
+
+const readyInMinutes = (found) => {
+  const total = parseIsoDuration(found.totalTime);
+  if (total) return total;
+  const parts = [parseIsoDuration(found.prepTime), parseIsoDuration(found.cookTime)].filter(Boolean);
+  return parts.length > 0 ? parts.reduce((sum, minutes) => sum + minutes, 0) : null;
+};
+
+const toDraft = (found, pageUrl) => {
+  const lines = (values, max) => values.map(cleanText).filter(Boolean).slice(0, max);
+  const ingredients = lines(found.ingredients, RECIPE_LIMITS.maxIngredients);
+  // Steps are numbered by the editor
+  const steps = lines(found.instructions, RECIPE_LIMITS.maxSteps).map(step => step.replace(/^\d+[.)]\s*/, ''));
+  const minutes = readyInMinutes(found);
+  const dietary = Array.from(new Set(found.diets
+    .map(diet => DIET_TAGS[String(diet).replace(/^https?:\/\/schema\.org\//, '')])
+    .filter(Boolean)));
+
+  return {
+    ...EMPTY_RECIPE_DRAFT,
+    title: cleanText(found.title || '').slice(0, RECIPE_LIMITS.titleMax),
+    image: absoluteUrl(cleanText(found.image), pageUrl),
+    description: cleanText(found.description || '').slice(0, RECIPE_LIMITS.descriptionMax),
+    ingredients: ingredients.length > 0 ? ingredients : [''],
+    instructions: steps.length > 0 ? steps : [''],
+    readyInMinutes: minutes ? String(minutes) : '',
+    dietary,
+    sourceUrl: pageUrl || ''
+  };
+};
+
+/**
+ * Reads the recipe on a web page into a draft for the recipe editor (and
+ * from there addRecipe). The draft still goes through validateRecipeDraft,
+ * so a page with missing data can be completed by hand.
+ * @param {string} html - The page's HTML
+ * @param {string} pageUrl - Where the page came from; kept as sourceUrl and used for relative image links
+ * @returns {Object} - Success/error response with draft and source ('json-ld' or 'microdata')
+ */
+export const extractRecipeFromHtml = (html, pageUrl = '') => {
+  if (!html || typeof html !== 'string') {
+    return { success: false, error: 'The page is empty' };
+  }
+
+  const jsonLdRecipe = findRecipeNode(parseJsonLdBlocks(html));
+  if (jsonLdRecipe) {
+    return { success: true, source: 'json-ld', draft: toDraft(fromJsonLd(jsonLdRecipe), pageUrl) };
+  }
+
+  const scope = findMicrodataScope(html);
+  if (scope) {
+    return { success: true, source: 'microdata', draft: toDraft(fromMicrodata(scope), pageUrl) };
+  }
+
+  return { success: false, error: 'No recipe found on this page' };
+};
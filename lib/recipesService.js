@@ -1,4 +1,25 @@
 import { supabase } from './supabase';
+import { analyzeRecipe, mergeDietaryTags, ANALYZER_VERSION } from './recipeAnalyzer';
+import { RECIPE_VISIBILITY } from './recipeDraft';
+import { extractRecipeFromHtml } from './recipeImporter';
+
+// Recipes analysed per round trip by the backfill
+const ANALYSIS_BATCH_SIZE = 50;
+
+/**
+ * Runs the ingredient analyser on a recipe and returns the columns to save:
+ * recipe_data with its dietary tags brought up to date, and the analysis
+ * @param {Object} recipeData - The recipe object
+ * @returns {Object} - { recipe_data, dietary_analysis, analyzed_at }
+ */
+const withDietaryAnalysis = (recipeData) => {
+  const analysis = analyzeRecipe(recipeData);
+  return {
+    recipe_data: { ...recipeData, dietary: mergeDietaryTags(recipeData.dietary, analysis) },
+    dietary_analysis: analysis,
+    analyzed_at: new Date().toISOString()
+  };
+};
 
 /**
  * Gets random recipes from the database
@@ -48,12 +69,13 @@ export const getAllRecipes = async (offset = 0, limit = 20) => {
   try {
     console.log('📄 Getting recipes with offset:', offset, 'limit:', limit);
     
-    // Use simple select as shown in your API documentation
-    const { data: recipes, error } = await supabase
+    // Only fetch the requested page instead of the whole table
+    const { data: recipes, error, count } = await supabase
       .from('recipes')
-      .select('*');
-
-    console.log('📊 Raw database response:', { recipes, error });
+      .select('*', { count: 'exact' })
+      .order('added_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
 
     if (error) {
       console.error('❌ Database error:', error);
@@ -63,7 +85,9 @@ export const getAllRecipes = async (offset = 0, limit = 20) => {
     console.log('✅ Loaded recipes:', recipes?.length || 0, 'items');
     return {
       success: true,
-      recipes: recipes || []
+      recipes: recipes || [],
+      totalCount: count ?? null,
+      hasMore: count != null ? offset + (recipes?.length || 0) < count : (recipes?.length || 0) === limit
     };
 
   } catch (error) {
@@ -77,11 +101,34 @@ export const getAllRecipes = async (offset = 0, limit = 20) => {
 };
 
 /**
- * Adds a new recipe to the database
+ * Columns for who can see a recipe
+ * @param {Object} sharing - { visibility: 'everyone' | 'group', groupId }
+ * @returns {Object} - { visibility, group_id }
+ */
+const sharingColumns = ({ visibility = RECIPE_VISIBILITY.EVERYONE, groupId = null } = {}) => (
+  visibility === RECIPE_VISIBILITY.GROUP
+    ? { visibility: RECIPE_VISIBILITY.GROUP, group_id: groupId }
+    : { visibility: RECIPE_VISIBILITY.EVERYONE, group_id: null }
+);
+
+/**
+ * Whether a recipe row may be offered in a group's session: recipes shared
+ * with another group stay out, even when the user can see them
+ * @param {Object} recipe - recipes row
+ * @param {string} groupId - Group ID
+ * @returns {boolean}
+ */
+export const isRecipeVisibleInGroup = (recipe, groupId) => (
+  recipe.visibility !== RECIPE_VISIBILITY.GROUP || recipe.group_id === groupId
+);
+
+/**
+ * Adds a new recipe to the database, owned by the current user
  * @param {Object} recipeData - The recipe object to add
+ * @param {Object} sharing - { visibility: 'everyone' | 'group', groupId } (default everyone)
  * @returns {Promise<Object>} - Success/error response
  */
-export const addRecipe = async (recipeData) => {
+export const addRecipe = async (recipeData, sharing = {}) => {
   try {
     const { data: { user }, error: userError } = await supabase.auth.getUser();
     
@@ -116,7 +163,9 @@ export const addRecipe = async (recipeData) => {
       .insert([
         {
           recipe_id: recipeData.id.toString(),
-          recipe_data: recipeData
+          ...withDietaryAnalysis(recipeData),
+          ...sharingColumns(sharing),
+          owner_id: user.id
         }
       ])
       .select()
@@ -142,12 +191,13 @@ export const addRecipe = async (recipeData) => {
 };
 
 /**
- * Updates an existing recipe
+ * Updates an existing recipe. Only its owner can do this.
  * @param {string} recipeId - The ID of the recipe to update
  * @param {Object} recipeData - The updated recipe data
+ * @param {Object} sharing - New { visibility, groupId }, or null to leave it as is
  * @returns {Promise<Object>} - Success/error response
  */
-export const updateRecipe = async (recipeId, recipeData) => {
+export const updateRecipe = async (recipeId, recipeData, sharing = null) => {
   try {
     const { data: { user }, error: userError } = await supabase.auth.getUser();
     
@@ -158,18 +208,29 @@ export const updateRecipe = async (recipeId, recipeData) => {
       };
     }
 
-    const { error } = await supabase
+    const { data: updated, error } = await supabase
       .from('recipes')
       .update({ 
-        recipe_data: recipeData,
-        recipe_id: recipeData.id.toString()
+        ...withDietaryAnalysis(recipeData),
+        ...(sharing ? sharingColumns(sharing) : {}),
+        recipe_id: recipeData.id.toString(),
+        updated_at: new Date().toISOString()
       })
-      .eq('recipe_id', recipeId);
+      .eq('recipe_id', recipeId)
+      .select('id');
 
     if (error) {
       throw error;
     }
 
+    // RLS skips rows the user doesn't own instead of failing
+    if (!updated || updated.length === 0) {
+      return {
+        success: false,
+        error: 'You can only edit recipes you added yourself'
+      };
+    }
+
     console.log('✅ Updated recipe:', recipeData.title || recipeData.name);
     return {
       success: true
@@ -185,7 +246,134 @@ export const updateRecipe = async (recipeId, recipeData) => {
 };
 
 /**
- * Deletes a recipe from the database
+ * Downloads a recipe web page and reads it into a draft for the recipe editor
+ * @param {string} url - The page's address
+ * @returns {Promise<Object>} - Success/error response with draft and source ('json-ld' or 'microdata')
+ */
+export const importRecipeFromUrl = async (url) => {
+  try {
+    const pageUrl = (url || '').trim();
+    if (!/^https?:\/\/\S+$/i.test(pageUrl)) {
+      return {
+        success: false,
+        error: 'Enter a web address starting with http:// or https://'
+      };
+    }
+
+    const response = await fetch(pageUrl);
+    if (!response.ok) {
+      throw new Error(`The page could not be loaded (${response.status})`);
+    }
+
+    const result = extractRecipeFromHtml(await response.text(), pageUrl);
+    if (result.success) {
+      console.log(`✅ Imported recipe from ${result.source}:`, result.draft.title);
+    }
+    return result;
+
+  } catch (error) {
+    console.error('❌ Error importing recipe:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to import recipe'
+    };
+  }
+};
+
+/**
+ * Analyses every recipe that has no analysis yet, or one from an older
+ * analyser version. Safe to run again; recipes already up to date are skipped.
+ * In the app this covers the user's own recipes. Seeded recipes have no owner
+ * and only the service role may save their analysis (see
+ * database-user-recipes.sql), so they are done from a maintenance script with
+ * a service-role client and seededRecipes set - that key never ships in the app.
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client to use
+ * @param {boolean} options.seededRecipes - Analyse the seeded recipes instead of the user's own
+ * @returns {Promise<Object>} - Success/error response with checked and analyzed counts
+ */
+export const backfillRecipeAnalysis = async ({ client = supabase, seededRecipes = false } = {}) => {
+  try {
+    let ownerId = null;
+
+    if (!seededRecipes) {
+      const { data: { user }, error: userError } = await client.auth.getUser();
+
+      if (userError || !user) {
+        return {
+          success: false,
+          error: 'You must be signed in to analyse recipes'
+        };
+      }
+      ownerId = user.id;
+    }
+
+    let lastId = 0;
+    let checked = 0;
+    let analyzed = 0;
+
+    while (true) {
+      let query = client
+        .from('recipes')
+        .select('id, owner_id, recipe_data, dietary_analysis')
+        .gt('id', lastId);
+      query = seededRecipes ? query.is('owner_id', null) : query.eq('owner_id', ownerId);
+
+      const { data: batch, error } = await query
+        .order('id', { ascending: true })
+        .limit(ANALYSIS_BATCH_SIZE);
+
+      if (error) {
+        throw error;
+      }
+      if (!batch || batch.length === 0) {
+        break;
+      }
+
+      for (const recipe of batch) {
+        checked += 1;
+        if (!recipe.recipe_data || (recipe.dietary_analysis?.version || 0) >= ANALYZER_VERSION) {
+          continue;
+        }
+
+        // Saved through the function that may only touch the analysis
+        // (see database-user-recipes.sql)
+        const { recipe_data: analyzedData, dietary_analysis: analysis } = withDietaryAnalysis(recipe.recipe_data);
+        const { data: saved, error: updateError } = await client.rpc('save_recipe_analysis', {
+          recipe_row_id: recipe.id,
+          analysis,
+          dietary_tags: analyzedData.dietary
+        });
+
+        if (updateError) {
+          throw updateError;
+        }
+        if (saved) {
+          analyzed += 1;
+        }
+      }
+
+      lastId = batch[batch.length - 1].id;
+    }
+
+    console.log(`✅ Analysed ${analyzed} of ${checked} recipes`);
+    return {
+      success: true,
+      checked,
+      analyzed
+    };
+
+  } catch (error) {
+    console.error('❌ Error analysing recipes:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to analyse recipes'
+    };
+  }
+};
+
+/**
+ * Deletes a recipe from the database. Only its owner can do this.
  * @param {string} recipeId - The ID of the recipe to delete
  * @returns {Promise<Object>} - Success/error response
  */
@@ -200,15 +388,23 @@ export const deleteRecipe = async (recipeId) => {
       };
     }
 
-    const { error } = await supabase
+    const { data: deleted, error } = await supabase
       .from('recipes')
       .delete()
-      .eq('recipe_id', recipeId);
+      .eq('recipe_id', recipeId)
+      .select('id');
 
     if (error) {
       throw error;
     }
 
+    if (!deleted || deleted.length === 0) {
+      return {
+        success: false,
+        error: 'You can only delete recipes you added yourself'
+      };
+    }
+
     console.log('✅ Deleted recipe:', recipeId);
     return {
       success: true
@@ -255,29 +451,87 @@ export const getRecipeById = async (recipeId) => {
   }
 };
 
+// Sort orders understood by the search_recipes database function
+export const RECIPE_SORT_OPTIONS = ['newest', 'quickest', 'cheapest', 'title'];
+
+/**
+ * Empty filter set for searchRecipes
+ */
+export const DEFAULT_RECIPE_FILTERS = {
+  searchTerm: '',
+  dietary: [],
+  maxReadyInMinutes: null,
+  maxPricePerServing: null,
+  includeIngredients: [],
+  excludeIngredients: [],
+  sortBy: 'newest'
+};
+
+/**
+ * Checks whether any filter (other than sort order) is set
+ * @param {Object} filters - Filters in the DEFAULT_RECIPE_FILTERS shape
+ * @returns {boolean} - True if at least one filter narrows the results
+ */
+export const hasActiveRecipeFilters = (filters = {}) => {
+  return Boolean(
+    filters.searchTerm?.trim() ||
+    filters.dietary?.length ||
+    filters.maxReadyInMinutes ||
+    filters.maxPricePerServing ||
+    filters.includeIngredients?.length ||
+    filters.excludeIngredients?.length
+  );
+};
+
+const cleanTerms = (terms) => {
+  const cleaned = (terms || []).map(term => term.trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : null;
+};
+
 /**
- * Search recipes by title or ingredients
- * @param {string} searchTerm - The term to search for
+ * Search recipes server-side with filters and range pagination
+ * @param {Object|string} filters - Filters in the DEFAULT_RECIPE_FILTERS shape (a plain string is treated as searchTerm)
+ * @param {number} offset - Starting point for pagination
  * @param {number} limit - Number of results to return
- * @returns {Promise<Object>} - Success/error response with recipes
+ * @returns {Promise<Object>} - Success/error response with recipes, totalCount and hasMore
  */
-export const searchRecipes = async (searchTerm, limit = 20) => {
+export const searchRecipes = async (filters = {}, offset = 0, limit = 20) => {
+  const appliedFilters = typeof filters === 'string'
+    ? { ...DEFAULT_RECIPE_FILTERS, searchTerm: filters }
+    : { ...DEFAULT_RECIPE_FILTERS, ...filters };
+
   try {
-    const { data: recipes, error } = await supabase
-      .from('recipes')
-      .select('*')
-      .or(`recipe_data->>'title'.ilike.%${searchTerm}%,recipe_data->>'description'.ilike.%${searchTerm}%`)
-      .order('added_at', { ascending: false })
-      .limit(limit);
+    console.log('🔍 Searching recipes with filters:', appliedFilters, 'offset:', offset, 'limit:', limit);
+
+    const sortBy = RECIPE_SORT_OPTIONS.includes(appliedFilters.sortBy) ? appliedFilters.sortBy : 'newest';
+
+    const { data, error } = await supabase
+      .rpc('search_recipes', {
+        search_term: appliedFilters.searchTerm?.trim() || null,
+        dietary_tags: cleanTerms(appliedFilters.dietary),
+        max_ready_minutes: appliedFilters.maxReadyInMinutes || null,
+        max_price: appliedFilters.maxPricePerServing || null,
+        include_ingredients: cleanTerms(appliedFilters.includeIngredients),
+        exclude_ingredients: cleanTerms(appliedFilters.excludeIngredients),
+        sort_by: sortBy,
+        offset_count: offset,
+        limit_count: limit
+      });
 
     if (error) {
       throw error;
     }
 
-    console.log('✅ Found recipes:', recipes?.length || 0, 'items for:', searchTerm);
+    const rows = data || [];
+    const totalCount = rows.length > 0 ? Number(rows[0].total_count) : offset;
+    const recipes = rows.map(({ total_count, ...recipe }) => recipe);
+
+    console.log('✅ Found recipes:', recipes.length, 'of', totalCount);
     return {
       success: true,
-      recipes: recipes || []
+      recipes,
+      totalCount,
+      hasMore: offset + recipes.length < totalCount
     };
 
   } catch (error) {
@@ -285,7 +539,9 @@ export const searchRecipes = async (searchTerm, limit = 20) => {
     return {
       success: false,
       error: error.message || 'Failed to search recipes',
-      recipes: []
+      recipes: [],
+      totalCount: 0,
+      hasMore: false
     };
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,226 @@
+/**
+ * Date maths for recurring dinner request schedules.
+ * Dates are YYYY-MM-DD keys and times HH:MM(:SS) in local time, the same
+ * wall-clock format dinner_requests stores.
+ */
+
+export const WEEKDAY_PRESETS = {
+  WEEKDAYS: [1, 2, 3, 4, 5],
+  WEEKEND: [0, 6],
+  EVERY_DAY: [0, 1, 2, 3, 4, 5, 6]
+};
+
+const WEEKDAY_NAMES = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'];
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+/**
+ * @param {Date} date - Local date
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS (defaults to midnight)
+ * @returns {Date} - Local date and time
+ */
+export const fromDateKey = (dateKey, time = '00:00') => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours || 0, minutes || 0);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Easter Sunday for a year (anonymous Gregorian algorithm)
+ * @param {number} year
+ * @returns {Date}
+ */
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+const holidayCache = new Map();
+
+/**
+ * Dutch public holidays - the days student houses usually aren't home for dinner
+ * @param {number} year
+ * @returns {Set} - YYYY-MM-DD keys
+ */
+export const getPublicHolidays = (year) => {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const easter = getEasterSunday(year);
+  // King's Day moves to the Saturday when 27 April is a Sunday
+  const kingsDay = new Date(year, 3, 27);
+  if (kingsDay.getDay() === 0) {
+    kingsDay.setDate(26);
+  }
+
+  const holidays = new Set([
+    toDateKey(new Date(year, 0, 1)),
+    toDateKey(addDays(easter, -2)),
+    toDateKey(easter),
+    toDateKey(addDays(easter, 1)),
+    toDateKey(kingsDay),
+    toDateKey(new Date(year, 4, 5)),
+    toDateKey(addDays(easter, 39)),
+    toDateKey(addDays(easter, 49)),
+    toDateKey(addDays(easter, 50)),
+    toDateKey(new Date(year, 11, 25)),
+    toDateKey(new Date(year, 11, 26))
+  ]);
+
+  holidayCache.set(year, holidays);
+  return holidays;
+};
+
+/**
+ * Whether a schedule has a dinner on a date
+ * @param {Object} schedule - dinner_request_schedules row
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isScheduledOn = (schedule, dateKey) => {
+  if (dateKey < schedule.starts_on || (schedule.ends_on && dateKey > schedule.ends_on)) {
+    return false;
+  }
+
+  const date = fromDateKey(dateKey);
+  if (!(schedule.weekdays || []).includes(date.getDay())) {
+    return false;
+  }
+
+  if ((schedule.skip_dates || []).includes(dateKey)) {
+    return false;
+  }
+
+  if (schedule.skip_holidays && getPublicHolidays(date.getFullYear()).has(dateKey)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Works out the request times for one occurrence
+ * @param {Object} schedule - dinner_request_schedules row
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object} - { date, time, deadlineTime, dinnerAt, deadlineAt, opensAt }
+ */
+export const getOccurrenceTimes = (schedule, dateKey) => {
+  const dinnerAt = fromDateKey(dateKey, schedule.dinner_time);
+  const deadlineAt = new Date(dinnerAt.getTime() - schedule.deadline_minutes_before * 60 * 1000);
+  const opensAt = new Date(dinnerAt.getTime() - schedule.opens_hours_before * 60 * 60 * 1000);
+
+  // dinner_requests keeps the deadline on the dinner's own date
+  const deadlineTime = toDateKey(deadlineAt) === dateKey
+    ? `${pad(deadlineAt.getHours())}:${pad(deadlineAt.getMinutes())}:00`
+    : '00:00:00';
+
+  return {
+    date: dateKey,
+    time: `${pad(dinnerAt.getHours())}:${pad(dinnerAt.getMinutes())}:00`,
+    deadlineTime,
+    dinnerAt,
+    deadlineAt,
+    opensAt
+  };
+};
+
+/**
+ * Lists the next dinners of a schedule
+ * @param {Object} schedule - dinner_request_schedules row
+ * @param {Date} from - Start looking from this moment
+ * @param {number} count - How many occurrences to return
+ * @returns {Array} - Occurrence times, soonest first
+ */
+export const getUpcomingOccurrences = (schedule, from = new Date(), count = 1) => {
+  const occurrences = [];
+  let day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+
+  // A year ahead is plenty for any weekly pattern, even with many skips
+  for (let i = 0; i < 366 && occurrences.length < count; i++) {
+    const dateKey = toDateKey(day);
+    if (isScheduledOn(schedule, dateKey)) {
+      const times = getOccurrenceTimes(schedule, dateKey);
+      if (times.deadlineAt > from) {
+        occurrences.push(times);
+      }
+    }
+    day = addDays(day, 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * The occurrence whose request should be out right now, if any: the window
+ * opens opens_hours_before dinner and closes at the response deadline.
+ * @param {Object} schedule - dinner_request_schedules row
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Occurrence times, or null when nothing is due
+ */
+export const getDueOccurrence = (schedule, now = new Date()) => {
+  if (!schedule.is_active) {
+    return null;
+  }
+
+  const [next] = getUpcomingOccurrences(schedule, now, 1);
+  if (!next || next.opensAt > now) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Human readable summary, e.g. "Every weekday at 18:30" or "Sundays at 17:00"
+ * @param {Object} schedule - dinner_request_schedules row
+ * @returns {string}
+ */
+export const describeSchedule = (schedule) => {
+  const days = [...(schedule.weekdays || [])].sort();
+  const time = (schedule.dinner_time || '').slice(0, 5);
+  const sameDays = (preset) => preset.length === days.length && preset.every(day => days.includes(day));
+
+  let dayText;
+  if (sameDays(WEEKDAY_PRESETS.EVERY_DAY)) {
+    dayText = 'Every day';
+  } else if (sameDays(WEEKDAY_PRESETS.WEEKDAYS)) {
+    dayText = 'Every weekday';
+  } else if (sameDays(WEEKDAY_PRESETS.WEEKEND)) {
+    dayText = 'Weekends';
+  } else {
+    // Monday first reads more naturally
+    const ordered = [...days.filter(day => day !== 0), ...days.filter(day => day === 0)];
+    const names = ordered.map(day => WEEKDAY_NAMES[day]);
+    dayText = names.length > 1
+      ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+      : names[0];
+  }
+
+  return `${dayText} at ${time}`;
+};
@@ -0,0 +1,286 @@
+import { supabase } from './supabase';
+import { saveDinnerRequest } from './dinnerRequestService';
+import { getActiveMealRequest } from './mealRequestService';
+import { getGroupSettings } from './groupSettingsService';
+import { getDueOccurrence, toDateKey } from './recurrence';
+
+/**
+ * Creates a recurring dinner request schedule for a group
+ * @param {Object} scheduleData
+ * @param {string} scheduleData.groupId - Group ID
+ * @param {Array} scheduleData.weekdays - Weekdays (0 = Sunday ... 6 = Saturday)
+ * @param {string} scheduleData.time - Dinner time in HH:MM:SS format
+ * @param {string} scheduleData.recipeType - Recipe type for each voting session
+ * @param {string} scheduleData.votingMode - Voting mode for each voting session
+ * @param {number} scheduleData.vetoBudget - Vetoes per member for each voting session
+ * @param {number} scheduleData.deadlineMinutesBefore - When replies close, in minutes before dinner (defaults to 15)
+ * @param {string} scheduleData.startsOn - First date in YYYY-MM-DD format (defaults to today)
+ * @param {boolean} scheduleData.skipHolidays - Skip public holidays (defaults to true)
+ * @returns {Object} - Success/error response with the schedule
+ */
+export const createRecurringSchedule = async (scheduleData) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to schedule dinners' };
+    }
+
+    if (!scheduleData.weekdays || scheduleData.weekdays.length === 0) {
+      return { success: false, error: 'Pick at least one day for the dinner to repeat on' };
+    }
+
+    const { data, error } = await supabase
+      .from('dinner_request_schedules')
+      .insert({
+        group_id: scheduleData.groupId,
+        created_by: user.id,
+        weekdays: Array.from(new Set(scheduleData.weekdays)).sort(),
+        dinner_time: scheduleData.time,
+        recipe_type: scheduleData.recipeType || 'random',
+        voting_mode: scheduleData.votingMode || 'yes_no',
+        veto_budget: scheduleData.vetoBudget ?? 1,
+        deadline_minutes_before: scheduleData.deadlineMinutesBefore ?? 15,
+        starts_on: scheduleData.startsOn || toDateKey(new Date()),
+        skip_holidays: scheduleData.skipHolidays !== false
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('🔁 [RECURRING] Created schedule:', data.id);
+    return { success: true, schedule: data };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error creating schedule:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create the recurring dinner'
+    };
+  }
+};
+
+/**
+ * Gets the recurring schedules of all the current user's groups
+ * @returns {Object} - Success/error response with schedules (groupName included)
+ */
+export const getRecurringSchedules = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('dinner_request_schedules')
+      .select('*, groups!dinner_request_schedules_group_id_fkey(name)')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      schedules: (data || []).map(({ groups, ...schedule }) => ({
+        ...schedule,
+        groupName: groups?.name || 'Unknown Group'
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error loading schedules:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load recurring dinners'
+    };
+  }
+};
+
+/**
+ * Pauses or resumes a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} active - Whether occurrences should be created
+ * @returns {Object} - Success/error response
+ */
+export const setScheduleActive = async (scheduleId, active) => {
+  try {
+    const { error } = await supabase
+      .from('dinner_request_schedules')
+      .update({ is_active: active, updated_at: new Date().toISOString() })
+      .eq('id', scheduleId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error updating schedule:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update the recurring dinner'
+    };
+  }
+};
+
+/**
+ * Skips (or un-skips) a single date of a schedule
+ * @param {Object} schedule - Schedule as returned by getRecurringSchedules
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {boolean} skip - true to skip the date, false to bring it back
+ * @returns {Object} - Success/error response with the new skip dates
+ */
+export const setScheduleDateSkipped = async (schedule, dateKey, skip = true) => {
+  try {
+    const current = schedule.skip_dates || [];
+    // Old exceptions are dropped so the list doesn't grow forever
+    const today = toDateKey(new Date());
+    const skipDates = (skip ? [...current, dateKey] : current.filter(date => date !== dateKey))
+      .filter((date, index, dates) => date >= today && dates.indexOf(date) === index)
+      .sort();
+
+    const { error } = await supabase
+      .from('dinner_request_schedules')
+      .update({ skip_dates: skipDates, updated_at: new Date().toISOString() })
+      .eq('id', schedule.id);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, skipDates };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error updating skipped dates:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to skip the dinner'
+    };
+  }
+};
+
+/**
+ * Deletes a schedule. Dinner requests it already created stay.
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Object} - Success/error response
+ */
+export const deleteRecurringSchedule = async (scheduleId) => {
+  try {
+    const { error } = await supabase
+      .from('dinner_request_schedules')
+      .delete()
+      .eq('id', scheduleId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error deleting schedule:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete the recurring dinner'
+    };
+  }
+};
+
+/**
+ * Creates the dinner request and voting session for every schedule whose
+ * request window is open. Each occurrence is claimed first, so when several
+ * members are online only one of them creates it. A group that is still
+ * voting is left alone; the occurrence is retried on the next run.
+ * @param {Date} now - Current time
+ * @returns {Object} - Success/error response with the created occurrences
+ */
+export const createDueOccurrences = async (now = new Date()) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to create scheduled dinners' };
+    }
+
+    const schedulesResult = await getRecurringSchedules();
+    if (!schedulesResult.success) {
+      throw new Error(schedulesResult.error);
+    }
+
+    const created = [];
+    for (const schedule of schedulesResult.schedules) {
+      const occurrence = getDueOccurrence(schedule, now);
+      if (!occurrence) {
+        continue;
+      }
+
+      const { data: claimed, error: claimError } = await supabase.rpc('claim_schedule_occurrence', {
+        schedule_uuid: schedule.id,
+        occurrence_day: occurrence.date
+      });
+
+      if (claimError) {
+        console.warn('⚠️ [RECURRING] Could not claim occurrence:', claimError);
+        continue;
+      }
+      if (!claimed) {
+        continue;
+      }
+
+      const release = () => supabase.rpc('release_schedule_occurrence', {
+        schedule_uuid: schedule.id,
+        occurrence_day: occurrence.date
+      });
+
+      // Don't end a vote that is still going - saveDinnerRequest would clear it
+      const activeResult = await getActiveMealRequest(schedule.group_id);
+      if (activeResult.success && activeResult.hasActiveRequest) {
+        console.log(`⏳ [RECURRING] ${schedule.groupName} is still voting, retrying later`);
+        await release();
+        continue;
+      }
+
+      // Without a chosen count the recipe type's meal count is used
+      const settingsResult = await getGroupSettings(schedule.group_id);
+
+      console.log(`🔁 [RECURRING] Creating ${occurrence.date} dinner for ${schedule.groupName}`);
+      const result = await saveDinnerRequest({
+        groupId: schedule.group_id,
+        date: occurrence.date,
+        time: occurrence.time,
+        recipeType: schedule.recipe_type,
+        votingMode: schedule.voting_mode,
+        vetoBudget: schedule.veto_budget,
+        mealCount: settingsResult.success ? settingsResult.settings.mealCount : undefined,
+        deadlineTime: occurrence.deadlineTime
+      });
+
+      if (!result.success || !result.dinnerRequestId) {
+        console.warn('⚠️ [RECURRING] Could not create scheduled dinner:', result.error);
+        await release();
+        continue;
+      }
+
+      await supabase.rpc('complete_schedule_occurrence', {
+        schedule_uuid: schedule.id,
+        occurrence_day: occurrence.date,
+        request_uuid: result.dinnerRequestId
+      });
+
+      created.push({
+        scheduleId: schedule.id,
+        groupId: schedule.group_id,
+        groupName: schedule.groupName,
+        date: occurrence.date,
+        dinnerRequestId: result.dinnerRequestId
+      });
+    }
+
+    return { success: true, created };
+
+  } catch (error) {
+    console.error('❌ [RECURRING] Error creating scheduled dinners:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create scheduled dinners'
+    };
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * Picks who cooks (and washes up) for a dinner request.
+ * Pure functions so every device makes the same pick from the same history.
+ */
+
+export const ROTA_ROLES = {
+  COOK: 'cook',
+  DISHWASHER: 'dishwasher'
+};
+
+export const ROTA_ROLE_LABELS = {
+  cook: 'Cook',
+  dishwasher: 'Dishes'
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @param {string} requestDate - Date in YYYY-MM-DD format
+ * @returns {number} - Weekday (0 = Sunday ... 6 = Saturday), or -1 when the date is invalid
+ */
+export const getWeekday = (requestDate) => {
+  const [year, month, day] = String(requestDate || '').split('-').map(Number);
+  if (!year || !month || !day) {
+    return -1;
+  }
+  // Build the date in local time so the weekday doesn't shift with the timezone
+  return new Date(year, month - 1, day).getDay();
+};
+
+/**
+ * Counts the turns each member actually took. Released turns (the member
+ * declined and someone else stepped in) don't count, so declining never
+ * gets anyone out of their next turn.
+ * @param {Array} history - rota_assignments rows ({ user_id, role, status, request_date })
+ * @returns {Object} - userId -> { cook, dishwasher, lastCook, lastDishwasher }
+ */
+export const countRotaTurns = (history = []) => {
+  const turns = {};
+
+  history.forEach(assignment => {
+    if (assignment.status !== 'assigned') {
+      return;
+    }
+
+    const entry = turns[assignment.user_id] || (turns[assignment.user_id] = {
+      cook: 0,
+      dishwasher: 0,
+      lastCook: null,
+      lastDishwasher: null
+    });
+    const lastKey = assignment.role === ROTA_ROLES.COOK ? 'lastCook' : 'lastDishwasher';
+
+    entry[assignment.role] = (entry[assignment.role] || 0) + 1;
+    if (!entry[lastKey] || assignment.request_date > entry[lastKey]) {
+      entry[lastKey] = assignment.request_date;
+    }
+  });
+
+  return turns;
+};
+
+/**
+ * Picks the fairest member for a role. Members who can't make that weekday or
+ * declined the dinner are skipped. Among the rest the one with the fewest
+ * turns in the role goes first, then whoever had it longest ago, then whoever
+ * did the fewest chores overall.
+ * @param {Object} options
+ * @param {string} options.role - One of ROTA_ROLES
+ * @param {Array} options.members - [{ user_id, unavailable_weekdays }]
+ * @param {Array} options.history - Past rota_assignments rows for the group
+ * @param {string} options.requestDate - Dinner date in YYYY-MM-DD format
+ * @param {Array} options.excludeUserIds - Members who declined or already have a role
+ * @returns {string|null} - User ID of the pick, or null when nobody can do it
+ */
+export const pickRotaMember = ({ role, members = [], history = [], requestDate, excludeUserIds = [] }) => {
+  const excluded = new Set(excludeUserIds);
+  const weekday = getWeekday(requestDate);
+  const candidates = members.filter(member => !excluded.has(member.user_id));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const available = candidates.filter(member => !(member.unavailable_weekdays || []).includes(weekday));
+  // Someone still has to cook when nobody marked the day as free
+  const pool = available.length > 0 ? available : candidates;
+
+  const turns = countRotaTurns(history);
+  const lastKey = role === ROTA_ROLES.COOK ? 'lastCook' : 'lastDishwasher';
+  const statsFor = (userId) => turns[userId] || { cook: 0, dishwasher: 0, lastCook: null, lastDishwasher: null };
+
+  const ranked = [...pool].sort((a, b) => {
+    const aStats = statsFor(a.user_id);
+    const bStats = statsFor(b.user_id);
+
+    if (aStats[role] !== bStats[role]) {
+      return aStats[role] - bStats[role];
+    }
+
+    const aLast = aStats[lastKey] || '';
+    const bLast = bStats[lastKey] || '';
+    if (aLast !== bLast) {
+      return aLast < bLast ? -1 : 1;
+    }
+
+    const aTotal = aStats.cook + aStats.dishwasher;
+    const bTotal = bStats.cook + bStats.dishwasher;
+    if (aTotal !== bTotal) {
+      return aTotal - bTotal;
+    }
+
+    return a.user_id.localeCompare(b.user_id);
+  });
+
+  return ranked[0].user_id;
+};
+
+/**
+ * Plans the roles still open for a dinner request
+ * @param {Object} options
+ * @param {Array} options.members - [{ user_id, unavailable_weekdays }]
+ * @param {Array} options.history - Past rota_assignments rows for the group
+ * @param {string} options.requestDate - Dinner date in YYYY-MM-DD format
+ * @param {boolean} options.dishwasherEnabled - Whether the group rotates the washing up too
+ * @param {Array} options.declinedUserIds - Members who declined this dinner
+ * @param {Object} options.current - Roles already filled (role -> userId)
+ * @returns {Object} - role -> userId for each role that needs filling
+ */
+export const planRota = ({ members = [], history = [], requestDate, dishwasherEnabled = false, declinedUserIds = [], current = {} }) => {
+  const roles = dishwasherEnabled ? [ROTA_ROLES.COOK, ROTA_ROLES.DISHWASHER] : [ROTA_ROLES.COOK];
+  const taken = Object.values(current).filter(Boolean);
+  const plan = {};
+
+  roles.forEach(role => {
+    if (current[role]) {
+      return;
+    }
+
+    const userId = pickRotaMember({
+      role,
+      members,
+      history,
+      requestDate,
+      excludeUserIds: [...declinedUserIds, ...taken]
+    });
+
+    if (userId) {
+      plan[role] = userId;
+      taken.push(userId);
+    }
+  });
+
+  return plan;
+};
@@ -0,0 +1,429 @@
+import { supabase } from './supabase';
+import { planRota, countRotaTurns, ROTA_ROLES } from './rotaPlanner';
+import { checkGroupPermission } from './groupsService';
+import { GROUP_PERMISSIONS } from './groupPermissions';
+
+/**
+ * Looks up display names for a list of user IDs
+ * @param {Array} userIds - User IDs
+ * @returns {Object} - userId -> name
+ */
+const getUserNames = async (userIds) => {
+  const ids = Array.from(new Set(userIds.filter(Boolean)));
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase.rpc('get_users_by_ids', { user_ids: ids });
+  if (error) {
+    console.warn('⚠️ [ROTA] Could not load member names:', error);
+    return {};
+  }
+
+  return (data || []).reduce((names, profile) => {
+    names[profile.id] = profile.full_name || profile.user_name || profile.email?.split('@')[0] || 'Group Member';
+    return names;
+  }, {});
+};
+
+/**
+ * Fills the open rota roles for a dinner request. Safe to call more than
+ * once - roles someone already holds are left alone.
+ * @param {string} requestId - Dinner request ID
+ * @returns {Object} - Success/error response with the assigned roles (role -> userId)
+ */
+export const assignRotaForDinnerRequest = async (requestId) => {
+  try {
+    const { data: request, error: requestError } = await supabase
+      .from('dinner_requests')
+      .select('id, group_id, request_date, groups!dinner_requests_group_id_fkey(rota_enabled, rota_dishwasher_enabled)')
+      .eq('id', requestId)
+      .single();
+
+    if (requestError) {
+      throw requestError;
+    }
+
+    if (request.groups && request.groups.rota_enabled === false) {
+      return { success: true, assigned: {} };
+    }
+
+    const [membersResult, historyResult, declinesResult] = await Promise.all([
+      supabase
+        .from('group_members')
+        .select('user_id, unavailable_weekdays')
+        .eq('group_id', request.group_id)
+        .eq('is_active', true),
+      supabase
+        .from('rota_assignments')
+        .select('dinner_request_id, role, user_id, status, request_date')
+        .eq('group_id', request.group_id),
+      supabase
+        .from('dinner_request_responses')
+        .select('user_id')
+        .eq('request_id', requestId)
+        .eq('response', 'declined')
+    ]);
+
+    if (membersResult.error) {
+      throw membersResult.error;
+    }
+    if (historyResult.error) {
+      throw historyResult.error;
+    }
+    if (declinesResult.error) {
+      throw declinesResult.error;
+    }
+
+    const history = historyResult.data || [];
+    const current = history
+      .filter(assignment => assignment.dinner_request_id === requestId && assignment.status === 'assigned')
+      .reduce((roles, assignment) => ({ ...roles, [assignment.role]: assignment.user_id }), {});
+
+    const plan = planRota({
+      members: membersResult.data || [],
+      // The request's own turns are already in `current`
+      history: history.filter(assignment => assignment.dinner_request_id !== requestId),
+      requestDate: request.request_date,
+      dishwasherEnabled: !!request.groups?.rota_dishwasher_enabled,
+      declinedUserIds: (declinesResult.data || []).map(response => response.user_id),
+      current
+    });
+
+    const assigned = { ...current };
+    for (const [role, userId] of Object.entries(plan)) {
+      const { error } = await supabase.rpc('assign_rota_role', {
+        request_uuid: requestId,
+        rota_role: role,
+        user_uuid: userId
+      });
+
+      if (error) {
+        throw error;
+      }
+      assigned[role] = userId;
+    }
+
+    console.log('🧑‍🍳 [ROTA] Rota for dinner request:', assigned);
+    return { success: true, assigned };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error assigning rota:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to assign the cooking rota'
+    };
+  }
+};
+
+/**
+ * Gives up the current user's turns on a dinner request they declined and
+ * hands them to the next member in line
+ * @param {string} requestId - Dinner request ID
+ * @returns {Object} - Success/error response with the released roles
+ */
+export const releaseRotaTurnsForDecline = async (requestId) => {
+  try {
+    const released = [];
+    for (const role of Object.values(ROTA_ROLES)) {
+      const { data, error } = await supabase.rpc('release_rota_turn', {
+        request_uuid: requestId,
+        rota_role: role
+      });
+
+      if (error) {
+        throw error;
+      }
+      if (data) {
+        released.push(data);
+      }
+    }
+
+    if (released.length > 0) {
+      console.log('🔁 [ROTA] Released turns after decline:', released);
+      const reassignResult = await assignRotaForDinnerRequest(requestId);
+      if (!reassignResult.success) {
+        console.warn('⚠️ [ROTA] Could not hand the turn to someone else:', reassignResult.error);
+      }
+    }
+
+    return { success: true, released };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error releasing rota turn:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to release your rota turn'
+    };
+  }
+};
+
+/**
+ * Gets who cooks and washes up for each of the given dinner requests
+ * @param {Array} requestIds - Dinner request IDs
+ * @returns {Object} - Success/error response with rotas (requestId -> { cook, dishwasher })
+ */
+export const getDinnerRequestRotas = async (requestIds) => {
+  try {
+    if (!requestIds || requestIds.length === 0) {
+      return { success: true, rotas: {} };
+    }
+
+    const { data, error } = await supabase
+      .from('rota_assignments')
+      .select('id, dinner_request_id, role, user_id')
+      .in('dinner_request_id', requestIds)
+      .eq('status', 'assigned');
+
+    if (error) {
+      throw error;
+    }
+
+    const names = await getUserNames((data || []).map(assignment => assignment.user_id));
+    const rotas = (data || []).reduce((result, assignment) => {
+      const rota = result[assignment.dinner_request_id] || (result[assignment.dinner_request_id] = {});
+      rota[assignment.role] = {
+        assignmentId: assignment.id,
+        userId: assignment.user_id,
+        name: names[assignment.user_id] || 'Group Member'
+      };
+      return result;
+    }, {});
+
+    return { success: true, rotas };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error loading dinner request rotas:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the cooking rota'
+    };
+  }
+};
+
+/**
+ * Gets a group's rota: the current turns, open swaps, everyone's turn counts
+ * and the rota settings
+ * @param {string} groupId - Group ID
+ * @returns {Object} - Success/error response with the rota
+ */
+export const getGroupRota = async (groupId) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to view the rota' };
+    }
+
+    const [groupResult, membersResult, historyResult, requestResult] = await Promise.all([
+      supabase
+        .from('groups')
+        .select('rota_enabled, rota_dishwasher_enabled')
+        .eq('id', groupId)
+        .single(),
+      supabase
+        .from('group_members')
+        .select('user_id, unavailable_weekdays')
+        .eq('group_id', groupId)
+        .eq('is_active', true),
+      supabase
+        .from('rota_assignments')
+        .select('id, dinner_request_id, role, user_id, status, request_date')
+        .eq('group_id', groupId),
+      supabase
+        .from('dinner_requests')
+        .select('id, request_date')
+        .eq('group_id', groupId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .limit(1)
+    ]);
+
+    if (groupResult.error) {
+      throw groupResult.error;
+    }
+    if (membersResult.error) {
+      throw membersResult.error;
+    }
+    if (historyResult.error) {
+      throw historyResult.error;
+    }
+    if (requestResult.error) {
+      throw requestResult.error;
+    }
+
+    const history = historyResult.data || [];
+    const currentRequest = (requestResult.data || [])[0] || null;
+    const currentAssignments = currentRequest
+      ? history.filter(assignment => assignment.dinner_request_id === currentRequest.id && assignment.status === 'assigned')
+      : [];
+
+    let swaps = [];
+    if (currentAssignments.length > 0) {
+      const { data: swapData, error: swapError } = await supabase
+        .from('rota_swap_requests')
+        .select('id, assignment_id, from_user, to_user, created_at')
+        .in('assignment_id', currentAssignments.map(assignment => assignment.id))
+        .eq('status', 'pending');
+
+      if (swapError) {
+        throw swapError;
+      }
+      swaps = swapData || [];
+    }
+
+    const turns = countRotaTurns(history);
+    const me = (membersResult.data || []).find(member => member.user_id === user.id);
+
+    return {
+      success: true,
+      rotaEnabled: groupResult.data.rota_enabled !== false,
+      dishwasherEnabled: !!groupResult.data.rota_dishwasher_enabled,
+      currentRequest,
+      current: currentAssignments.map(assignment => ({
+        assignmentId: assignment.id,
+        role: assignment.role,
+        userId: assignment.user_id
+      })),
+      swaps: swaps.map(swap => ({
+        id: swap.id,
+        assignmentId: swap.assignment_id,
+        role: currentAssignments.find(assignment => assignment.id === swap.assignment_id)?.role,
+        fromUserId: swap.from_user,
+        toUserId: swap.to_user,
+        createdAt: swap.created_at
+      })),
+      turnCounts: (membersResult.data || []).map(member => ({
+        userId: member.user_id,
+        cook: turns[member.user_id]?.cook || 0,
+        dishwasher: turns[member.user_id]?.dishwasher || 0
+      })),
+      myUnavailableWeekdays: me?.unavailable_weekdays || []
+    };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error loading group rota:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the cooking rota'
+    };
+  }
+};
+
+/**
+ * Offers one of the current user's turns to another member
+ * @param {string} assignmentId - Rota assignment ID
+ * @param {string} toUserId - Member who would take the turn
+ * @returns {Object} - Success/error response with swapId
+ */
+export const proposeRotaSwap = async (assignmentId, toUserId) => {
+  try {
+    const { data: swapId, error } = await supabase.rpc('propose_rota_swap', {
+      assignment_uuid: assignmentId,
+      to_user_uuid: toUserId
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('🔄 [ROTA] Proposed swap:', swapId);
+    return { success: true, swapId };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error proposing swap:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to propose the swap'
+    };
+  }
+};
+
+/**
+ * Accepts or declines a swap offered to the current user
+ * @param {string} swapId - Swap request ID
+ * @param {boolean} accept - Whether to take over the turn
+ * @returns {Object} - Success/error response with the new swap status
+ */
+export const respondToRotaSwap = async (swapId, accept) => {
+  try {
+    const { data: status, error } = await supabase.rpc('respond_rota_swap', {
+      swap_uuid: swapId,
+      accept_swap: accept
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`✅ [ROTA] Swap ${status}:`, swapId);
+    return { success: true, status };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error responding to swap:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to respond to the swap'
+    };
+  }
+};
+
+/**
+ * Saves the weekdays the current user can't take a rota turn
+ * @param {string} groupId - Group ID
+ * @param {Array} weekdays - Weekdays (0 = Sunday ... 6 = Saturday)
+ * @returns {Object} - Success/error response
+ */
+export const setRotaAvailability = async (groupId, weekdays) => {
+  try {
+    const { error } = await supabase.rpc('set_rota_availability', {
+      group_uuid: groupId,
+      weekdays: Array.from(new Set(weekdays)).sort()
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error saving availability:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save your availability'
+    };
+  }
+};
+
+/**
+ * Turns the washing-up rota on or off for a group (group admins only)
+ * @param {string} groupId - Group ID
+ * @param {boolean} enabled - Whether a dishwasher is assigned too
+ * @returns {Object} - Success/error response
+ */
+export const setDishwasherRotaEnabled = async (groupId, enabled) => {
+  try {
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.EDIT_GROUP);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase
+      .from('groups')
+      .update({ rota_dishwasher_enabled: enabled })
+      .eq('id', groupId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ [ROTA] Error updating rota settings:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update the rota settings'
+    };
+  }
+};
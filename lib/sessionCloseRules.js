@@ -0,0 +1,103 @@
+import { VOTING_MODES } from './voteTallyService';
+
+// When a voting session may close itself, stored per group
+export const CLOSE_RULES = {
+  MANUAL: 'manual',
+  ALL_VOTED: 'all_voted',
+  YES_THRESHOLD: 'yes_threshold'
+};
+
+export const CLOSE_RULE_LABELS = {
+  manual: 'Manually',
+  all_voted: 'When everyone voted',
+  yes_threshold: 'When a meal wins'
+};
+
+export const DEFAULT_CLOSE_YES_PERCENT = 75;
+export const CLOSE_YES_PERCENT_OPTIONS = [50, 60, 75, 90, 100];
+export const MIN_QUORUM_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Members who have finished voting: a vote on every option, or a submitted
+ * ballot in ranked mode
+ * @param {Array} votes - meal_votes rows ({ user_id, meal_option_id })
+ * @param {number} optionCount - Options in the session
+ * @param {string} votingMode - One of VOTING_MODES
+ * @returns {Set} - User IDs
+ */
+export const getFinishedVoters = (votes, optionCount, votingMode) => {
+  const votedOptions = new Map();
+  (votes || []).forEach(vote => {
+    if (!votedOptions.has(vote.user_id)) {
+      votedOptions.set(vote.user_id, new Set());
+    }
+    votedOptions.get(vote.user_id).add(vote.meal_option_id);
+  });
+
+  const finished = new Set();
+  votedOptions.forEach((options, userId) => {
+    if (votingMode === VOTING_MODES.RANKED || (optionCount > 0 && options.size >= optionCount)) {
+      finished.add(userId);
+    }
+  });
+  return finished;
+};
+
+// In ranked mode only a first choice counts as a clear yes
+const isYesVote = (vote, votingMode) => (
+  votingMode === VOTING_MODES.RANKED ? vote.rank === 1 : vote.vote === 'yes'
+);
+
+/**
+ * Checks a group's close rules against the votes so far
+ * @param {Object} params
+ * @param {Object} params.rules - { rule, yesPercent, minQuorum }
+ * @param {string} params.votingMode - One of VOTING_MODES
+ * @param {Array} params.options - meal_request_options rows ({ id, meal_data })
+ * @param {Array} params.votes - meal_votes rows ({ user_id, meal_option_id, vote, rank })
+ * @param {Array} params.acceptedUserIds - Members who accepted the dinner request
+ * @returns {Object} - { shouldClose, quorumMet, finishedCount, reason, winnerOptionId };
+ *   winnerOptionId is the meal that met the yes threshold
+ */
+export const evaluateCloseRules = ({ rules, votingMode, options, votes, acceptedUserIds }) => {
+  const optionList = options || [];
+  const finished = getFinishedVoters(votes, optionList.length, votingMode);
+  const quorumMet = finished.size >= (rules.minQuorum || 0);
+  const result = { shouldClose: false, quorumMet, finishedCount: finished.size, reason: null, winnerOptionId: null };
+
+  // Nothing to decide before the quorum has voted or while nobody is coming
+  if (!quorumMet || rules.rule === CLOSE_RULES.MANUAL || acceptedUserIds.length === 0) {
+    return result;
+  }
+
+  if (rules.rule === CLOSE_RULES.ALL_VOTED) {
+    if (acceptedUserIds.every(userId => finished.has(userId))) {
+      return { ...result, shouldClose: true, reason: 'Everyone who is eating has voted' };
+    }
+    return result;
+  }
+
+  if (rules.rule === CLOSE_RULES.YES_THRESHOLD) {
+    const accepted = new Set(acceptedUserIds);
+    const vetoed = new Set((votes || []).filter(vote => vote.vote === 'veto').map(vote => vote.meal_option_id));
+    const yesCounts = new Map();
+
+    (votes || []).forEach(vote => {
+      if (accepted.has(vote.user_id) && !vetoed.has(vote.meal_option_id) && isYesVote(vote, votingMode)) {
+        yesCounts.set(vote.meal_option_id, (yesCounts.get(vote.meal_option_id) || 0) + 1);
+      }
+    });
+
+    const needed = rules.yesPercent || DEFAULT_CLOSE_YES_PERCENT;
+    const winner = optionList.find(option => (
+      ((yesCounts.get(option.id) || 0) / acceptedUserIds.length) * 100 >= needed
+    ));
+
+    if (winner) {
+      const name = winner.meal_data?.name || 'A meal';
+      return { ...result, shouldClose: true, reason: `${name} reached ${needed}% yes`, winnerOptionId: winner.id };
+    }
+  }
+
+  return result;
+};
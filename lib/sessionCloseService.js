@@ -0,0 +1,385 @@
+import { supabase } from './supabase';
+import { getTopVotedMeals, getVotingResults } from './mealRequestService';
+import { terminatedSessionsService } from './terminatedSessionsService';
+import { createShoppingListForWinner } from './shoppingListService';
+import { recordSessionHistory } from './sessionHistoryService';
+import { evaluateCloseRules, CLOSE_RULES, DEFAULT_CLOSE_YES_PERCENT } from './sessionCloseRules';
+import { checkGroupPermission } from './groupsService';
+import { GROUP_PERMISSIONS } from './groupPermissions';
+
+export const SESSION_CLOSE_REASONS = {
+  MANUAL: 'manual',
+  DEADLINE: 'deadline',
+  RULE: 'rule'
+};
+
+// Moves the given meal to the front of a full ranking, then keeps the top 3
+const withWinnerFirst = (results, winnerOptionId) => {
+  const winner = winnerOptionId && results.find(result => result.meal_option_id === winnerOptionId);
+  const ordered = winner
+    ? [winner, ...results.filter(result => result !== winner)]
+    : results;
+  return ordered.slice(0, 3);
+};
+
+/**
+ * Gets the top 3 meals for a meal request, falling back to raw voting results
+ * @param {string} mealRequestId - Meal request ID
+ * @param {string} winnerOptionId - Option that has already won (e.g. by the yes threshold), listed first
+ * @returns {Array} - Top meals (empty when nothing could be loaded)
+ */
+const getTopResultsForRequest = async (mealRequestId, winnerOptionId = null) => {
+  if (!mealRequestId) {
+    return [];
+  }
+
+  const topResultsResponse = await getTopVotedMeals(mealRequestId, { winnerOptionId });
+  if (topResultsResponse.success && topResultsResponse.topMeals && topResultsResponse.topMeals.length > 0) {
+    return topResultsResponse.topMeals;
+  }
+
+  console.warn('⚠️ [SESSION CLOSE] Could not get top results, falling back to voting results:', topResultsResponse.error);
+  const votingResultsResponse = await getVotingResults(mealRequestId);
+  if (votingResultsResponse.success && votingResultsResponse.results && votingResultsResponse.results.length > 0) {
+    const sorted = [...votingResultsResponse.results]
+      .sort((a, b) => (b.yes_votes || 0) - (a.yes_votes || 0));
+    return withWinnerFirst(sorted, winnerOptionId);
+  }
+
+  console.warn('⚠️ [SESSION CLOSE] Could not get voting results either:', votingResultsResponse.error);
+  return [];
+};
+
+/**
+ * Gets the final member responses for a dinner request, no-shows included
+ * @param {string} dinnerRequestId - Dinner request ID
+ * @returns {Array} - Member responses in the shape the groups screen uses
+ */
+const getFinalMemberResponses = async (dinnerRequestId) => {
+  if (!dinnerRequestId) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('dinner_request_responses')
+    .select('user_id, response, responded_at')
+    .eq('request_id', dinnerRequestId);
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(response => ({
+    userId: response.user_id,
+    response: response.response,
+    respondedAt: response.responded_at
+  }));
+};
+
+/**
+ * Closes a group's voting session: saves the top results and member responses
+ * as the terminated session, appends the session to the group's history,
+ * builds the shopping list for the winner, then removes the active session data.
+ * Safe to call from several clients at once - only the one that wins the
+ * close claim does the work, the others get closed: false. Once the results
+ * are saved the claim is marked closed rather than released, so nobody
+ * closes the same session again even when the cleanup fell short.
+ * @param {string} groupId - Group ID
+ * @param {string} groupName - Group name stored with the terminated session
+ * @param {string} reason - One of SESSION_CLOSE_REASONS
+ * @param {Object} options
+ * @param {string} options.winnerOptionId - Meal that met the close rule; it becomes the winner
+ *   even when the tally would rank another meal higher
+ * @returns {Object} - Success/error response with topResults, memberResponses and shoppingList when closed;
+ *   quorumNotMet, notDue, noDeadline or permissionDenied when the close was refused
+ */
+export const closeGroupSession = async (groupId, groupName, reason = SESSION_CLOSE_REASONS.MANUAL, { winnerOptionId = null } = {}) => {
+  let claimed = false;
+
+  try {
+    console.log(`🛑 [SESSION CLOSE] Closing session for group ${groupName} (${reason})`);
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to end a voting session' };
+    }
+
+    const { data: claim, error: claimError } = await supabase
+      .rpc('claim_session_close', { group_uuid: groupId, close_reason: reason });
+
+    if (claimError) {
+      if (claimError.message?.startsWith('Waiting for quorum')) {
+        return { success: false, quorumNotMet: true, error: claimError.message };
+      }
+      if (claimError.message?.startsWith('The deadline for this dinner has not passed')) {
+        return { success: false, notDue: true, error: claimError.message };
+      }
+      if (claimError.message?.startsWith('This dinner request has no deadline')) {
+        return { success: false, noDeadline: true, error: claimError.message };
+      }
+      // Manual closes need the session's starter, a moderator or an admin
+      if (claimError.code === '42501') {
+        return { success: false, permissionDenied: true, error: claimError.message };
+      }
+      throw claimError;
+    }
+
+    if (!claim || claim.length === 0) {
+      console.log('ℹ️ [SESSION CLOSE] Session already closed or being closed by another member');
+      return { success: true, closed: false };
+    }
+
+    claimed = true;
+    const { dinner_request_id: dinnerRequestId, meal_request_id: mealRequestId, no_shows: noShows } = claim[0];
+    console.log(`🔒 [SESSION CLOSE] Claimed close, ${noShows || 0} no-shows recorded`);
+
+    const topResults = await getTopResultsForRequest(mealRequestId, winnerOptionId);
+    const memberResponses = await getFinalMemberResponses(dinnerRequestId);
+
+    const saveResult = await terminatedSessionsService.saveTerminatedSession(groupId, groupName, topResults, memberResponses);
+    if (!saveResult.success) {
+      throw saveResult.error || new Error('Failed to save session results');
+    }
+
+    const finalTopResults = saveResult.topResults || topResults;
+
+    // The results are saved, so from here on the claim is kept and marked
+    // closed instead of released
+    claimed = false;
+    let shoppingList = null;
+
+    try {
+      // Recorded before the cleanup below deletes the votes it is built from
+      const historyResult = await recordSessionHistory({
+        groupId,
+        mealRequestId,
+        dinnerRequestId,
+        closeReason: reason,
+        topResults: finalTopResults,
+        memberResponses
+      });
+      if (!historyResult.success) {
+        console.warn('⚠️ [SESSION CLOSE] Could not record session history:', historyResult.error);
+      }
+
+      // A missing shopping list shouldn't undo the close
+      if (finalTopResults.length > 0) {
+        const shoppingResult = await createShoppingListForWinner(groupId, finalTopResults[0], memberResponses);
+        if (shoppingResult.success) {
+          shoppingList = shoppingResult.list;
+        } else {
+          console.warn('⚠️ [SESSION CLOSE] Could not create shopping list:', shoppingResult.error);
+        }
+      }
+
+      const cleanupResult = await terminatedSessionsService.cleanupActiveSession(groupId);
+      if (!cleanupResult.success) {
+        // The claim stays marked closed, so leftover rows don't reopen the session
+        console.warn('⚠️ [SESSION CLOSE] Cleanup was not complete:', cleanupResult.error);
+      }
+    } finally {
+      // Marked last because the claim holder needs its rights for the cleanup
+      const { error: markError } = await supabase.rpc('mark_session_closed', { group_uuid: groupId });
+      if (markError) {
+        console.warn('⚠️ [SESSION CLOSE] Could not mark the session closed:', markError);
+      }
+    }
+
+    console.log('✅ [SESSION CLOSE] Session closed and saved');
+    return {
+      success: true,
+      closed: true,
+      reason,
+      topResults: finalTopResults,
+      memberResponses,
+      shoppingList
+    };
+
+  } catch (error) {
+    console.error('❌ [SESSION CLOSE] Error closing session:', error);
+
+    // Nothing was saved yet, so let another member (or a retry) pick the close up straight away
+    if (claimed) {
+      await supabase.rpc('release_session_close', { group_uuid: groupId });
+    }
+
+    return {
+      success: false,
+      error: error.message || 'Failed to close the voting session'
+    };
+  }
+};
+
+/**
+ * Gets a group's early-close rules
+ * @param {string} groupId - Group ID
+ * @returns {Object} - Success/error response with rules ({ rule, yesPercent, minQuorum })
+ */
+export const getSessionCloseRules = async (groupId) => {
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('close_rule, close_yes_percent, min_quorum')
+      .eq('id', groupId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      rules: {
+        rule: data.close_rule || CLOSE_RULES.MANUAL,
+        yesPercent: data.close_yes_percent || DEFAULT_CLOSE_YES_PERCENT,
+        minQuorum: data.min_quorum || 0
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ [SESSION CLOSE] Error loading close rules:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load the voting rules'
+    };
+  }
+};
+
+/**
+ * Saves a group's early-close rules (group admins only)
+ * @param {string} groupId - Group ID
+ * @param {Object} rules - { rule, yesPercent, minQuorum }
+ * @returns {Object} - Success/error response
+ */
+export const setSessionCloseRules = async (groupId, rules) => {
+  try {
+    if (!Object.values(CLOSE_RULES).includes(rules.rule)) {
+      return { success: false, error: 'Unknown voting rule' };
+    }
+
+    const permission = await checkGroupPermission(groupId, GROUP_PERMISSIONS.EDIT_GROUP);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const { error } = await supabase
+      .from('groups')
+      .update({
+        close_rule: rules.rule,
+        close_yes_percent: rules.yesPercent,
+        min_quorum: rules.minQuorum
+      })
+      .eq('id', groupId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ [SESSION CLOSE] Error saving close rules:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save the voting rules'
+    };
+  }
+};
+
+/**
+ * Checks the group's early-close rule for a meal request and closes the
+ * session when it is met. Called after every recorded vote.
+ * @param {string} mealRequestId - Meal request ID
+ * @returns {Object} - Success/error response; closed, ruleReason and the close results when it closed
+ */
+export const closeSessionIfRulesMet = async (mealRequestId) => {
+  try {
+    const { data: request, error: requestError } = await supabase
+      .from('meal_requests')
+      .select('id, group_id, status, voting_mode, groups!meal_requests_group_id_fkey(name, close_rule, close_yes_percent, min_quorum)')
+      .eq('id', mealRequestId)
+      .single();
+
+    if (requestError) {
+      throw requestError;
+    }
+
+    const group = request.groups || {};
+    if (request.status !== 'active' || !group.close_rule || group.close_rule === CLOSE_RULES.MANUAL) {
+      return { success: true, closed: false };
+    }
+
+    const [optionsResult, votesResult, dinnerResult] = await Promise.all([
+      supabase
+        .from('meal_request_options')
+        .select('id, meal_data, option_order')
+        .eq('request_id', mealRequestId)
+        .order('option_order'),
+      supabase
+        .from('meal_votes')
+        .select('user_id, meal_option_id, vote, rank')
+        .eq('request_id', mealRequestId),
+      supabase
+        .from('dinner_requests')
+        .select('id')
+        .eq('group_id', request.group_id)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .limit(1)
+    ]);
+
+    if (optionsResult.error) {
+      throw optionsResult.error;
+    }
+    if (votesResult.error) {
+      throw votesResult.error;
+    }
+    if (dinnerResult.error) {
+      throw dinnerResult.error;
+    }
+
+    const dinnerRequestId = (dinnerResult.data || [])[0]?.id;
+    let acceptedUserIds = [];
+    if (dinnerRequestId) {
+      const { data: responses, error: responsesError } = await supabase
+        .from('dinner_request_responses')
+        .select('user_id')
+        .eq('request_id', dinnerRequestId)
+        .eq('response', 'accepted');
+
+      if (responsesError) {
+        throw responsesError;
+      }
+      acceptedUserIds = (responses || []).map(response => response.user_id);
+    }
+
+    const evaluation = evaluateCloseRules({
+      rules: {
+        rule: group.close_rule,
+        yesPercent: group.close_yes_percent,
+        minQuorum: group.min_quorum
+      },
+      votingMode: request.voting_mode,
+      options: optionsResult.data || [],
+      votes: votesResult.data || [],
+      acceptedUserIds
+    });
+
+    if (!evaluation.shouldClose) {
+      return { success: true, closed: false };
+    }
+
+    console.log(`🏁 [SESSION CLOSE] Close rule met for ${group.name}: ${evaluation.reason}`);
+    const closeResult = await closeGroupSession(request.group_id, group.name, SESSION_CLOSE_REASONS.RULE, {
+      winnerOptionId: evaluation.winnerOptionId
+    });
+    return { ...closeResult, groupId: request.group_id, ruleReason: evaluation.reason };
+
+  } catch (error) {
+    console.error('❌ [SESSION CLOSE] Error checking close rules:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to check the voting rules'
+    };
+  }
+};
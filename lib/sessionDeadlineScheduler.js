@@ -0,0 +1,237 @@
+import { closeGroupSession, SESSION_CLOSE_REASONS } from './sessionCloseService';
+
+// setTimeout overflows past ~24.8 days, so longer waits are chained
+const MAX_TIMER_DELAY = 2147483647;
+const RETRY_DELAY = 30000;
+const MAX_CLOSE_ATTEMPTS = 5;
+
+// Owner used when a caller doesn't name one
+export const DEFAULT_SCHEDULE_OWNER = 'default';
+
+// Refusals that retrying won't change: a request without deadline_at and no
+// permission. notDue isn't one of them - it means our clock runs ahead of the
+// server's, and the deadline will pass there shortly.
+const isPermanentFailure = (result) => Boolean(result.noDeadline || result.permissionDenied);
+
+/**
+ * Closes voting sessions when their dinner request deadline passes.
+ * Runs on every open client; closeGroupSession makes sure only one of them
+ * actually closes each session. Nothing closes a session while no member has
+ * the app open; the first one to open it afterwards closes it, and the
+ * server refuses deadline closes before the deadline (see
+ * database-session-deadline.sql).
+ *
+ * Several screens schedule closes on the shared instance, so every schedule
+ * belongs to one or more owners and only stops once all of them cancel it.
+ * A failed close is retried a few times, unless the server refused it for
+ * good; the same deadline is then not scheduled again. A close the server
+ * calls early is retried until its clock catches up.
+ *
+ * The clock, timers and close function can all be swapped out, so the
+ * scheduler can be driven without a backend or real time passing.
+ */
+export class SessionDeadlineScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.closeSession - (groupId, groupName) => Promise<{success, closed}>
+   * @param {Function} options.now - Returns the current time in ms
+   * @param {Function} options.setTimer - setTimeout replacement
+   * @param {Function} options.clearTimer - clearTimeout replacement
+   */
+  constructor({
+    closeSession = (groupId, groupName) => closeGroupSession(groupId, groupName, SESSION_CLOSE_REASONS.DEADLINE),
+    now = () => Date.now(),
+    setTimer = (callback, delay) => setTimeout(callback, delay),
+    clearTimer = (timer) => clearTimeout(timer)
+  } = {}) {
+    this.closeSession = closeSession;
+    this.now = now;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.sessions = new Map(); // groupId -> { groupName, deadline, timer, owners, attempts }
+    this.abandoned = new Map(); // groupId -> deadline given up on
+    this.closing = new Set();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Schedules (or reschedules) the close for a group's session
+   * @param {string} groupId - Group ID
+   * @param {string} groupName - Group name
+   * @param {string|number|Date} deadline - Dinner request deadline
+   * @param {string} owner - Who wants the close, e.g. a screen
+   * @returns {boolean} - Whether a close is scheduled
+   */
+  schedule(groupId, groupName, deadline, owner = DEFAULT_SCHEDULE_OWNER) {
+    const deadlineMs = new Date(deadline).getTime();
+    if (!groupId || Number.isNaN(deadlineMs) || this.abandoned.get(groupId) === deadlineMs) {
+      return false;
+    }
+
+    const existing = this.sessions.get(groupId);
+    if (existing && existing.deadline === deadlineMs) {
+      existing.groupName = groupName;
+      existing.owners.add(owner);
+      return true;
+    }
+
+    // A new deadline replaces the old one for every owner
+    const owners = existing ? existing.owners : new Set();
+    owners.add(owner);
+    this.stop(groupId);
+    this.abandoned.delete(groupId);
+    this.sessions.set(groupId, { groupName, deadline: deadlineMs, timer: null, owners, attempts: 0 });
+    this.armTimer(groupId, deadlineMs - this.now());
+    console.log(`⏰ [DEADLINE] Scheduled close for ${groupName} at ${new Date(deadlineMs).toISOString()}`);
+    return true;
+  }
+
+  /**
+   * Drops an owner's interest in a group's deadline; the close stays
+   * scheduled while another owner still wants it
+   * @param {string} groupId - Group ID
+   * @param {string} owner - Owner passed to schedule
+   */
+  cancel(groupId, owner = DEFAULT_SCHEDULE_OWNER) {
+    const session = this.sessions.get(groupId);
+    if (session) {
+      session.owners.delete(owner);
+      if (session.owners.size === 0) {
+        this.stop(groupId);
+      }
+    }
+  }
+
+  /**
+   * Cancels every schedule of one owner
+   * @param {string} owner - Owner passed to schedule
+   */
+  cancelAll(owner = DEFAULT_SCHEDULE_OWNER) {
+    this.getScheduled(owner).forEach(({ groupId }) => this.cancel(groupId, owner));
+  }
+
+  /**
+   * @param {string} owner - Only this owner's schedules; all of them when left out
+   * @returns {Array} - Scheduled sessions as { groupId, groupName, deadline }
+   */
+  getScheduled(owner = null) {
+    return Array.from(this.sessions.entries())
+      .filter(([, session]) => !owner || session.owners.has(owner))
+      .map(([groupId, session]) => ({
+        groupId,
+        groupName: session.groupName,
+        deadline: session.deadline
+      }));
+  }
+
+  stop(groupId) {
+    const session = this.sessions.get(groupId);
+    if (session) {
+      if (session.timer) {
+        this.clearTimer(session.timer);
+      }
+      this.sessions.delete(groupId);
+    }
+  }
+
+  /**
+   * Registers a listener called with (groupId, result) after each close attempt
+   * @param {Function} listener - Listener
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Closes every scheduled session whose deadline has passed without waiting
+   * for the timers, e.g. when the app comes back to the foreground or after
+   * moving a fake clock.
+   * @returns {Promise<Array>} - Close results as { groupId, result }
+   */
+  async runDue() {
+    const due = Array.from(this.sessions.entries())
+      .filter(([, session]) => session.deadline <= this.now());
+
+    const outcomes = [];
+    for (const [groupId, session] of due) {
+      const result = await this.closeDue(groupId, session);
+      if (result) {
+        outcomes.push({ groupId, result });
+      }
+    }
+    return outcomes;
+  }
+
+  armTimer(groupId, delay) {
+    const session = this.sessions.get(groupId);
+    if (!session) {
+      return;
+    }
+
+    if (session.timer) {
+      this.clearTimer(session.timer);
+    }
+
+    const waitFor = Math.min(Math.max(delay, 0), MAX_TIMER_DELAY);
+    session.timer = this.setTimer(() => {
+      session.timer = null;
+      if (this.sessions.get(groupId) !== session) {
+        return;
+      }
+      if (session.deadline > this.now()) {
+        this.armTimer(groupId, session.deadline - this.now());
+        return;
+      }
+      this.closeDue(groupId, session);
+    }, waitFor);
+  }
+
+  async closeDue(groupId, session) {
+    // Already closing, or cancelled while an earlier close was in flight
+    if (this.closing.has(groupId) || this.sessions.get(groupId) !== session) {
+      return null;
+    }
+
+    this.closing.add(groupId);
+    let result;
+
+    try {
+      console.log(`⏰ [DEADLINE] Deadline passed for ${session.groupName}, closing session`);
+      result = await this.closeSession(groupId, session.groupName);
+    } catch (error) {
+      result = { success: false, error: error.message || 'Failed to close the voting session' };
+    } finally {
+      this.closing.delete(groupId);
+    }
+
+    if (this.sessions.get(groupId) === session) {
+      if (!result.notDue) {
+        session.attempts += 1;
+      }
+      if (result.success) {
+        this.sessions.delete(groupId);
+      } else if (isPermanentFailure(result) || session.attempts >= MAX_CLOSE_ATTEMPTS) {
+        console.warn(`⚠️ [DEADLINE] Close for ${session.groupName} failed, giving up:`, result.error);
+        this.abandoned.set(groupId, session.deadline);
+        this.stop(groupId);
+      } else {
+        console.warn('⚠️ [DEADLINE] Close failed, retrying shortly:', result.error);
+        this.armTimer(groupId, RETRY_DELAY);
+      }
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(groupId, result);
+      } catch (error) {
+        console.error('❌ [DEADLINE] Listener error:', error);
+      }
+    });
+
+    return result;
+  }
+}
+
+export const sessionDeadlineScheduler = new SessionDeadlineScheduler();
@@ -0,0 +1,221 @@
+import { supabase } from './supabase';
+import { buildOptionStats, VOTING_MODES } from './voteTallyService';
+
+export const HISTORY_PAGE_SIZE = 10;
+
+const mealName = (meal) => meal?.meal_data?.name || meal?.meal_data?.title || meal?.name || 'Unnamed meal';
+
+/**
+ * Keeps the tally numbers of an option and just enough of the meal to show it later
+ * @param {Object} stats - Option stats from buildOptionStats
+ * @returns {Object}
+ */
+const toHistoryOption = (stats) => ({
+  meal_option_id: stats.meal_option_id,
+  recipe_id: stats.meal_data?.id || null,
+  name: mealName(stats),
+  option_order: stats.option_order,
+  yes_votes: stats.yes_votes,
+  no_votes: stats.no_votes,
+  veto_votes: stats.veto_votes,
+  total_votes: stats.total_votes,
+  average_score: stats.average_score,
+  score_count: stats.score_count,
+  first_choice_votes: stats.first_choice_votes,
+  ranked_votes: stats.ranked_votes
+});
+
+/**
+ * One-line vote count of a history option, worded for the session's voting mode
+ * @param {Object} option - Option from a history entry
+ * @param {string} votingMode - One of VOTING_MODES
+ * @returns {string}
+ */
+export const describeHistoryTally = (option, votingMode) => {
+  const vetoes = option.veto_votes > 0 ? ` • ${option.veto_votes} veto${option.veto_votes === 1 ? '' : 'es'}` : '';
+  if (votingMode === VOTING_MODES.SCORE) {
+    return `avg ${(option.average_score || 0).toFixed(1)} / 5 • ${option.score_count || 0} ${option.score_count === 1 ? 'score' : 'scores'}${vetoes}`;
+  }
+  if (votingMode === VOTING_MODES.RANKED) {
+    return `${option.first_choice_votes || 0} first ${option.first_choice_votes === 1 ? 'choice' : 'choices'} • ranked by ${option.ranked_votes || 0}${vetoes}`;
+  }
+  return `${option.yes_votes || 0} yes • ${option.no_votes || 0} no${vetoes}`;
+};
+
+/**
+ * Appends a closed session to the group's history. Must run before the
+ * session's requests and votes are cleaned up.
+ * @param {Object} session
+ * @param {string} session.groupId - Group ID
+ * @param {string} session.mealRequestId - Closed meal request (may be null)
+ * @param {string} session.dinnerRequestId - Closed dinner request (may be null)
+ * @param {string} session.closeReason - One of SESSION_CLOSE_REASONS
+ * @param {Array} session.topResults - Final top results, winner first
+ * @param {Array} session.memberResponses - Final member responses ({ userId, response })
+ * @returns {Object} - Success/error response with the history entry ID
+ */
+export const recordSessionHistory = async ({ groupId, mealRequestId, dinnerRequestId, closeReason, topResults = [], memberResponses = [] }) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to record a session' };
+    }
+
+    let mealRequest = null;
+    let options = [];
+    let votes = [];
+    if (mealRequestId) {
+      const [requestResult, optionsResult, votesResult, membersResult] = await Promise.all([
+        supabase
+          .from('meal_requests')
+          .select('requested_by, voting_mode')
+          .eq('id', mealRequestId)
+          .maybeSingle(),
+        supabase
+          .from('meal_request_options')
+          .select('id, meal_data, option_order')
+          .eq('request_id', mealRequestId)
+          .order('option_order'),
+        supabase
+          .from('meal_votes')
+          .select('meal_option_id, user_id, vote, score, rank')
+          .eq('request_id', mealRequestId),
+        supabase
+          .from('group_members')
+          .select('*', { count: 'exact', head: true })
+          .eq('group_id', groupId)
+          .eq('is_active', true)
+      ]);
+
+      if (requestResult.error) {
+        throw requestResult.error;
+      }
+      if (optionsResult.error) {
+        throw optionsResult.error;
+      }
+      if (votesResult.error) {
+        throw votesResult.error;
+      }
+
+      mealRequest = requestResult.data;
+      votes = (votesResult.data || []).map(vote => ({
+        user_id: vote.user_id,
+        meal_option_id: vote.meal_option_id,
+        vote: vote.vote,
+        score: vote.score || null,
+        rank: vote.rank || null
+      }));
+      options = buildOptionStats(optionsResult.data || [], votesResult.data || [], membersResult.count || 0)
+        .map(toHistoryOption);
+    }
+
+    let dinnerRequest = null;
+    if (dinnerRequestId) {
+      const { data, error } = await supabase
+        .from('dinner_requests')
+        .select('requester_id, request_date, request_time, created_at')
+        .eq('id', dinnerRequestId)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+      dinnerRequest = data;
+    }
+
+    const winner = topResults[0];
+    const { data, error } = await supabase
+      .from('session_history')
+      .insert({
+        group_id: groupId,
+        meal_request_id: mealRequestId || null,
+        dinner_request_id: dinnerRequestId || null,
+        dinner_date: dinnerRequest?.request_date || null,
+        dinner_time: dinnerRequest?.request_time || null,
+        requested_at: dinnerRequest?.created_at || null,
+        requested_by: dinnerRequest?.requester_id || mealRequest?.requested_by || null,
+        voting_mode: mealRequest?.voting_mode || (mealRequestId ? VOTING_MODES.YES_NO : null),
+        close_reason: closeReason,
+        options,
+        winner: winner
+          ? { meal_option_id: winner.meal_option_id || null, name: mealName(winner), result_summary: winner.result_summary || null }
+          : null,
+        diners: memberResponses
+          .filter(response => response.response === 'accepted')
+          .map(response => response.userId),
+        member_responses: memberResponses,
+        votes,
+        closed_by: user.id
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      // Recorded by an earlier attempt at this close
+      if (error.code === '23505') {
+        return { success: true, duplicate: true };
+      }
+      throw error;
+    }
+
+    console.log('📜 [HISTORY] Recorded session:', data.id);
+    return { success: true, id: data.id };
+
+  } catch (error) {
+    console.error('❌ [HISTORY] Error recording session:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to record the session'
+    };
+  }
+};
+
+/**
+ * Gets one page of a group's past sessions, newest first
+ * @param {string} groupId - Group ID
+ * @param {number} page - Page number, starting at 0
+ * @param {number} pageSize - Sessions per page
+ * @returns {Object} - Success/error response with sessions and hasMore
+ */
+export const getSessionHistory = async (groupId, page = 0, pageSize = HISTORY_PAGE_SIZE) => {
+  try {
+    const from = page * pageSize;
+
+    // One extra row tells us whether there is another page
+    const { data, error } = await supabase
+      .from('session_history')
+      .select('id, dinner_date, requested_by, voting_mode, close_reason, options, winner, diners, closed_at')
+      .eq('group_id', groupId)
+      .order('closed_at', { ascending: false })
+      .range(from, from + pageSize);
+
+    if (error) {
+      throw error;
+    }
+
+    const rows = data || [];
+    return {
+      success: true,
+      hasMore: rows.length > pageSize,
+      sessions: rows.slice(0, pageSize).map(row => ({
+        id: row.id,
+        dinnerDate: row.dinner_date,
+        closedAt: row.closed_at,
+        requestedBy: row.requested_by,
+        votingMode: row.voting_mode,
+        closeReason: row.close_reason,
+        // Sessions from before the history existed carry whole top results
+        winner: row.winner ? { ...row.winner, name: mealName(row.winner) } : null,
+        options: (row.options || []).map(option => ({ ...option, name: mealName(option) })),
+        diners: row.diners || []
+      }))
+    };
+
+  } catch (error) {
+    console.error('❌ [HISTORY] Error loading session history:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load past sessions'
+    };
+  }
+};
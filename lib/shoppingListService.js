@@ -0,0 +1,156 @@
+import { supabase } from './supabase';
+import { AISLES, buildShoppingList } from './ingredientParser';
+
+/**
+ * Groups saved shopping list items by aisle, in AISLES order
+ * @param {Array} items - shopping_list_items rows
+ * @returns {Array} - [{ id, label, items }]
+ */
+const groupItemsByAisle = (items) => AISLES
+  .map(aisle => ({ ...aisle, items: items.filter(item => (item.aisle || 'other') === aisle.id) }))
+  .filter(aisle => aisle.items.length > 0);
+
+/**
+ * Creates the group's shopping list from the winning meal, scaled to the
+ * members who accepted the dinner request. Replaces the previous list.
+ * @param {string} groupId - Group ID
+ * @param {Object} winningMeal - Top result ({ meal_data, ... }) of the closed session
+ * @param {Array} memberResponses - Final member responses ({ userId, response })
+ * @returns {Object} - Success/error response with the saved list
+ */
+export const createShoppingListForWinner = async (groupId, winningMeal, memberResponses = []) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to create a shopping list' };
+    }
+
+    const mealData = winningMeal?.meal_data || winningMeal;
+    if (!mealData) {
+      return { success: false, error: 'There is no winning meal to shop for' };
+    }
+
+    const dinerCount = memberResponses.filter(response => response.response === 'accepted').length;
+    const shoppingList = buildShoppingList(mealData, dinerCount);
+    const mealName = mealData.name || mealData.title || 'Dinner';
+
+    console.log(`🛒 [SHOPPING] Building list for ${mealName}: ${shoppingList.items.length} items for ${shoppingList.dinerCount} diners`);
+
+    const { data: listId, error } = await supabase.rpc('replace_group_shopping_list', {
+      group_uuid: groupId,
+      list_meal_name: mealName,
+      list_diner_count: shoppingList.dinerCount,
+      items: shoppingList.items.map(item => ({
+        item_key: item.key,
+        name: item.name,
+        quantity: item.quantity,
+        unit: item.unit,
+        aisle: item.aisle,
+        display_text: item.text
+      }))
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ [SHOPPING] Saved shopping list:', listId);
+    return getGroupShoppingList(groupId);
+
+  } catch (error) {
+    console.error('❌ [SHOPPING] Error creating shopping list:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to create shopping list'
+    };
+  }
+};
+
+/**
+ * Gets a group's shopping list with its items grouped by aisle
+ * @param {string} groupId - Group ID
+ * @returns {Object} - Success/error response with list (null when the group has none)
+ */
+export const getGroupShoppingList = async (groupId) => {
+  try {
+    const { data: list, error: listError } = await supabase
+      .from('shopping_lists')
+      .select('id, group_id, meal_name, diner_count, created_at')
+      .eq('group_id', groupId)
+      .maybeSingle();
+
+    if (listError) {
+      throw listError;
+    }
+
+    if (!list) {
+      return { success: true, list: null };
+    }
+
+    const { data: items, error: itemsError } = await supabase
+      .from('shopping_list_items')
+      .select('id, item_key, name, quantity, unit, aisle, display_text, position, checked, checked_by, checked_at')
+      .eq('list_id', list.id)
+      .order('position');
+
+    if (itemsError) {
+      throw itemsError;
+    }
+
+    return {
+      success: true,
+      list: {
+        ...list,
+        items: items || [],
+        aisles: groupItemsByAisle(items || []),
+        checkedCount: (items || []).filter(item => item.checked).length
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ [SHOPPING] Error loading shopping list:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to load shopping list'
+    };
+  }
+};
+
+/**
+ * Ticks a shopping list item off (or back on) for the whole group
+ * @param {string} itemId - Shopping list item ID
+ * @param {boolean} checked - Whether the item has been bought
+ * @returns {Object} - Success/error response with the updated item
+ */
+export const setShoppingItemChecked = async (itemId, checked) => {
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return { success: false, error: 'You must be signed in to update the shopping list' };
+    }
+
+    const { data, error } = await supabase
+      .from('shopping_list_items')
+      .update({
+        checked,
+        checked_by: checked ? user.id : null,
+        checked_at: checked ? new Date().toISOString() : null
+      })
+      .eq('id', itemId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true, item: data };
+
+  } catch (error) {
+    console.error('❌ [SHOPPING] Error updating shopping list item:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update shopping list'
+    };
+  }
+};
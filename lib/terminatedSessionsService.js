@@ -2,12 +2,40 @@ import { supabase } from './supabase';
 
 export const terminatedSessionsService = {
   /**
-   * Save terminated session results to permanent storage
+   * Drop results whose meal option was vetoed by any member
+   */
+  async removeVetoedResults(topResults) {
+    const optionIds = (topResults || []).map(r => r.meal_option_id).filter(Boolean);
+    if (optionIds.length === 0) return topResults || [];
+    
+    const { data: vetoes, error } = await supabase
+      .from('meal_votes')
+      .select('meal_option_id')
+      .in('meal_option_id', optionIds)
+      .eq('vote', 'veto');
+    
+    if (error) {
+      console.warn('⚠️ [TERMINATED] Could not check vetoes, saving results as given:', error.message);
+      return topResults;
+    }
+    
+    const vetoedIds = new Set((vetoes || []).map(v => v.meal_option_id));
+    if (vetoedIds.size > 0) {
+      console.log(`🚫 [TERMINATED] Leaving out ${vetoedIds.size} vetoed meal(s)`);
+    }
+    return topResults.filter(r => !vetoedIds.has(r.meal_option_id));
+  },
+
+  /**
+   * Save terminated session results to permanent storage.
+   * Vetoed meals never end up in the saved top results.
    */
   async saveTerminatedSession(groupId, groupName, topResults, memberResponses) {
     try {
       console.log('💾 [TERMINATED] Saving terminated session for group:', groupName);
       
+      const eligibleResults = await this.removeVetoedResults(topResults);
+      
       // First, check if there's already a terminated session for this group
       const { data: existingSession, error: checkError } = await supabase
         .from('terminated_sessions')
@@ -23,7 +51,7 @@ export const terminatedSessionsService = {
       const sessionData = {
         group_id: groupId,
         group_name: groupName,
-        top_results: topResults,
+        top_results: eligibleResults,
         member_responses: memberResponses,
         terminated_at: new Date().toISOString()
       };
@@ -48,7 +76,7 @@ export const terminatedSessionsService = {
       }
       
       console.log('✅ [TERMINATED] Successfully saved terminated session');
-      return { success: true, data: result.data };
+      return { success: true, data: result.data, topResults: eligibleResults };
       
     } catch (error) {
       console.error('Error in saveTerminatedSession:', error);
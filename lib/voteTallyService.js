@@ -0,0 +1,356 @@
+// Voting modes a meal request can use
+export const VOTING_MODES = {
+  YES_NO: 'yes_no',
+  SCORE: 'score',
+  RANKED: 'ranked'
+};
+
+export const VOTING_MODE_LABELS = {
+  yes_no: 'Yes / No',
+  score: 'Score 1–5',
+  ranked: 'Top 3'
+};
+
+// Scores of 4 and 5 count as a "yes" so taste history and yes/no stats keep working
+export const SCORE_YES_THRESHOLD = 4;
+export const MAX_RANKED_CHOICES = 3;
+
+// Vetoes each member may cast per session unless the request sets its own budget
+export const DEFAULT_VETO_BUDGET = 1;
+export const VETO_BUDGET_OPTIONS = [0, 1, 2, 3];
+
+const TOP_RESULTS = 3;
+
+// Sort keys per mode, most important first. Every key after the first is a tie-break.
+const RANKING_KEYS = {
+  yes_no: [
+    { field: 'yes_votes', higherIsBetter: true, label: 'yes votes' },
+    { field: 'no_votes', higherIsBetter: false, label: 'no votes' },
+    { field: 'option_order', higherIsBetter: false, label: 'deck position' }
+  ],
+  score: [
+    { field: 'average_score', higherIsBetter: true, label: 'average score' },
+    { field: 'score_count', higherIsBetter: true, label: 'number of scores' },
+    { field: 'fan_votes', higherIsBetter: true, label: 'scores of 4 or 5' },
+    { field: 'option_order', higherIsBetter: false, label: 'deck position' }
+  ]
+};
+
+// Points per rank, used to break ties when eliminating in the instant runoff
+const RANK_POINTS = { 1: 3, 2: 2, 3: 1 };
+
+const mealName = (option) => option?.meal_data?.name || 'Unnamed meal';
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+/**
+ * Builds per-option stats shared by all modes
+ * @param {Array} options - meal_request_options rows
+ * @param {Array} votes - meal_votes rows for the request
+ * @param {number} memberCount - Active members of the group
+ * @returns {Array} - One stats object per option
+ */
+export const buildOptionStats = (options, votes, memberCount) => {
+  const stats = new Map();
+
+  (options || []).forEach(option => {
+    stats.set(option.id, {
+      meal_option_id: option.id,
+      meal_data: option.meal_data,
+      option_order: option.option_order || 0,
+      yes_votes: 0,
+      no_votes: 0,
+      veto_votes: 0,
+      total_votes: 0,
+      score_sum: 0,
+      score_count: 0,
+      average_score: 0,
+      fan_votes: 0,
+      first_choice_votes: 0,
+      ranked_votes: 0,
+      rank_points: 0
+    });
+  });
+
+  (votes || []).forEach(v => {
+    const entry = stats.get(v.meal_option_id);
+    if (!entry) return;
+
+    entry.total_votes += 1;
+    if (v.vote === 'yes') entry.yes_votes += 1;
+    if (v.vote === 'no') entry.no_votes += 1;
+    if (v.vote === 'veto') entry.veto_votes += 1;
+
+    if (v.score) {
+      entry.score_sum += v.score;
+      entry.score_count += 1;
+      if (v.score >= SCORE_YES_THRESHOLD) entry.fan_votes += 1;
+    }
+
+    if (v.rank) {
+      entry.ranked_votes += 1;
+      entry.rank_points += RANK_POINTS[v.rank] || 0;
+      if (v.rank === 1) entry.first_choice_votes += 1;
+    }
+  });
+
+  return Array.from(stats.values()).map(entry => {
+    const voters = Math.max(memberCount, entry.total_votes);
+    return {
+      ...entry,
+      average_score: entry.score_count > 0 ? Math.round((entry.score_sum / entry.score_count) * 100) / 100 : 0,
+      yes_percentage: percentage(entry.yes_votes, voters),
+      no_percentage: percentage(entry.no_votes, voters),
+      not_voted_percentage: percentage(voters - entry.total_votes, voters)
+    };
+  });
+};
+
+const compareByKeys = (keys) => (a, b) => {
+  for (const key of keys) {
+    const diff = a[key.field] - b[key.field];
+    if (diff !== 0) return key.higherIsBetter ? -diff : diff;
+  }
+  return 0;
+};
+
+/**
+ * Explains why one of two neighbouring results ranks above the other when
+ * they are level on the main count
+ */
+const describeTieBreak = (keys, higher, lower) => {
+  const [primary, ...tieBreaks] = keys;
+  if (higher[primary.field] !== lower[primary.field]) return null;
+
+  const decidingKey = tieBreaks.find(key => higher[key.field] !== lower[key.field]);
+  if (!decidingKey) return null;
+
+  if (decidingKey.field === 'option_order') {
+    return `${mealName(higher)} and ${mealName(lower)} were level on every count, so ${mealName(higher)} ranks higher because it came earlier in the voting deck.`;
+  }
+
+  return `${mealName(higher)} and ${mealName(lower)} had the same ${primary.label} (${higher[primary.field]}); ${mealName(higher)} ranks higher on ${decidingKey.label} (${higher[decidingKey.field]} vs ${lower[decidingKey.field]}).`;
+};
+
+/**
+ * Ranks options by sort keys (yes/no and score modes)
+ */
+const tallyBySortKeys = (votingMode, stats, limit) => {
+  const keys = RANKING_KEYS[votingMode];
+  const sorted = [...stats].sort(compareByKeys(keys));
+  const topMeals = sorted.slice(0, limit);
+
+  // Explain ties between the places shown, and with the first option left out
+  const tieBreaks = [];
+  for (let i = 0; i < Math.min(TOP_RESULTS, sorted.length - 1); i++) {
+    const text = describeTieBreak(keys, sorted[i], sorted[i + 1]);
+    if (text) tieBreaks.push(text);
+  }
+
+  const winner = topMeals[0];
+  let summary = 'No votes have been cast yet.';
+
+  if (winner && votingMode === VOTING_MODES.SCORE && winner.score_count > 0) {
+    summary = `${mealName(winner)} won with the highest average score: ${winner.average_score.toFixed(1)} out of 5 from ${winner.score_count} ${winner.score_count === 1 ? 'score' : 'scores'}.`;
+  } else if (winner && votingMode === VOTING_MODES.YES_NO && winner.total_votes > 0) {
+    summary = `${mealName(winner)} won with the most yes votes (${winner.yes_votes} yes, ${winner.no_votes} no).`;
+  }
+
+  return {
+    topMeals: topMeals.map(meal => ({
+      ...meal,
+      result_summary: votingMode === VOTING_MODES.SCORE
+        ? `avg ${meal.average_score.toFixed(1)} / 5 • ${meal.score_count} ${meal.score_count === 1 ? 'score' : 'scores'}`
+        : `${meal.yes_votes} yes • ${meal.no_votes} no`
+    })),
+    explanation: {
+      votingMode,
+      method: votingMode === VOTING_MODES.SCORE
+        ? 'Highest average score. Ties go to the meal with more scores, then more scores of 4 or 5.'
+        : 'Most yes votes. Ties go to the meal with fewer no votes.',
+      summary,
+      tieBreaks,
+      rounds: []
+    }
+  };
+};
+
+/**
+ * Runs one instant runoff count. Each round every ballot counts for its
+ * highest-ranked meal still in the race; a meal with more than half of the
+ * counted ballots wins, otherwise the meal with the fewest is eliminated.
+ * Ties for last place eliminate the meal with fewer rank points
+ * (1st = 3, 2nd = 2, 3rd = 1), then the one later in the voting deck.
+ * @param {Array} ballots - Arrays of meal option IDs, best first
+ * @param {Array} candidates - Stats of the meals in the race
+ * @returns {Object|null} - { winner, rounds, tieBreaks, finalVotes, finalBallots }
+ */
+export const runInstantRunoff = (ballots, candidates) => {
+  if (!candidates || candidates.length === 0) return null;
+
+  const byId = new Map(candidates.map(c => [c.meal_option_id, c]));
+  const continuing = new Set(byId.keys());
+  const rounds = [];
+  const tieBreaks = [];
+
+  while (continuing.size > 0) {
+    const counts = new Map(Array.from(continuing).map(id => [id, 0]));
+    let counted = 0;
+
+    ballots.forEach(ballot => {
+      const choice = ballot.find(id => continuing.has(id));
+      if (choice) {
+        counts.set(choice, counts.get(choice) + 1);
+        counted += 1;
+      }
+    });
+
+    const standings = Array.from(counts.entries())
+      .map(([id, votes]) => ({ id, votes }))
+      .sort((a, b) => b.votes - a.votes || byId.get(a.id).option_order - byId.get(b.id).option_order);
+
+    const round = {
+      round: rounds.length + 1,
+      ballots: counted,
+      counts: standings.map(s => ({ meal_option_id: s.id, name: mealName(byId.get(s.id)), votes: s.votes })),
+      eliminated: null
+    };
+    rounds.push(round);
+
+    const leader = standings[0];
+    if (continuing.size === 1 || leader.votes * 2 > counted) {
+      return {
+        winner: byId.get(leader.id),
+        rounds,
+        tieBreaks,
+        finalVotes: leader.votes,
+        finalBallots: counted
+      };
+    }
+
+    // Eliminate the meal with the fewest ballots
+    const fewest = standings[standings.length - 1].votes;
+    const lowest = standings
+      .filter(s => s.votes === fewest)
+      .map(s => byId.get(s.id))
+      .sort((a, b) => a.rank_points - b.rank_points || b.option_order - a.option_order);
+    const eliminated = lowest[0];
+
+    if (lowest.length > 1) {
+      const names = lowest.map(mealName);
+      const tied = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+      const reason = lowest[1].rank_points !== eliminated.rank_points
+        ? `it had fewer rank points (${eliminated.rank_points} vs ${lowest[1].rank_points})`
+        : 'it was level on rank points and came later in the voting deck';
+      tieBreaks.push(`Round ${round.round}: ${tied} tied for last with ${fewest} ${fewest === 1 ? 'ballot' : 'ballots'}; ${mealName(eliminated)} was eliminated because ${reason}.`);
+    }
+
+    round.eliminated = mealName(eliminated);
+    continuing.delete(eliminated.meal_option_id);
+  }
+
+  return null;
+};
+
+/**
+ * Ranked top-3 mode: the winner is found by instant runoff, then the runoff
+ * is repeated without the winner for 2nd place, and again for 3rd
+ */
+const tallyRankedChoice = (stats, votes, limit) => {
+  const ballotsByUser = new Map();
+  (votes || [])
+    .filter(v => v.rank)
+    .forEach(v => {
+      if (!ballotsByUser.has(v.user_id)) ballotsByUser.set(v.user_id, []);
+      ballotsByUser.get(v.user_id).push(v);
+    });
+
+  const ballots = Array.from(ballotsByUser.values())
+    .map(ranks => ranks.sort((a, b) => a.rank - b.rank).map(v => v.meal_option_id));
+
+  let candidates = stats.filter(s => s.ranked_votes > 0);
+  const topMeals = [];
+  const tieBreaks = [];
+  let firstRun = null;
+
+  while (topMeals.length < limit && candidates.length > 0) {
+    const run = runInstantRunoff(ballots, candidates);
+    if (!run) break;
+    if (!firstRun) firstRun = run;
+
+    const place = topMeals.length + 1;
+    if (place <= TOP_RESULTS) {
+      run.tieBreaks.forEach(text => {
+        tieBreaks.push(place === 1 ? text : `For place ${place}: ${text}`);
+      });
+    }
+
+    topMeals.push({
+      ...run.winner,
+      runoff_round: run.rounds.length,
+      final_round_votes: run.finalVotes,
+      result_summary: `${run.winner.first_choice_votes} first ${run.winner.first_choice_votes === 1 ? 'choice' : 'choices'} • ${run.finalVotes} of ${run.finalBallots} in round ${run.rounds.length}`
+    });
+    candidates = candidates.filter(c => c.meal_option_id !== run.winner.meal_option_id);
+  }
+
+  let summary = 'No rankings have been submitted yet.';
+  if (firstRun) {
+    const winnerName = mealName(firstRun.winner);
+    summary = firstRun.rounds.length === 1
+      ? `${winnerName} won outright with ${firstRun.finalVotes} of ${firstRun.finalBallots} first choices.`
+      : `${winnerName} won the instant runoff in round ${firstRun.rounds.length} with ${firstRun.finalVotes} of ${firstRun.finalBallots} ballots.`;
+  }
+
+  return {
+    topMeals,
+    explanation: {
+      votingMode: VOTING_MODES.RANKED,
+      method: 'Instant runoff on everyone\'s top 3. The meal with the fewest first choices is eliminated each round and its ballots move to their next choice, until one meal has a majority.',
+      summary,
+      tieBreaks,
+      rounds: firstRun ? firstRun.rounds : []
+    }
+  };
+};
+
+/**
+ * Computes the top meals of a request for its voting mode. Vetoed meals
+ * are left out and listed in explanation.vetoed.
+ * @param {string} votingMode - 'yes_no', 'score' or 'ranked'
+ * @param {Array} options - meal_request_options rows
+ * @param {Array} votes - meal_votes rows for the request
+ * @param {number} memberCount - Active members of the group
+ * @param {Object} settings
+ * @param {string} settings.winnerOptionId - Meal that already won (e.g. by the yes threshold); it is
+ *   listed first even when the tally ranks it below the top 3
+ * @returns {Object} - { topMeals, explanation }
+ */
+export const tallyMealVotes = (votingMode, options, votes, memberCount = 0, { winnerOptionId = null } = {}) => {
+  const stats = buildOptionStats(options, votes, memberCount);
+
+  // A single veto takes a meal out of the running
+  const vetoed = stats.filter(s => s.veto_votes > 0);
+  const eligible = stats.filter(s => s.veto_votes === 0);
+
+  // A fixed winner can rank anywhere, so everything is ranked before the top 3 are kept
+  const limit = winnerOptionId ? Infinity : TOP_RESULTS;
+  const result = votingMode === VOTING_MODES.RANKED
+    ? tallyRankedChoice(eligible, votes, limit)
+    : tallyBySortKeys(RANKING_KEYS[votingMode] ? votingMode : VOTING_MODES.YES_NO, eligible, limit);
+
+  const winner = winnerOptionId && result.topMeals.find(meal => meal.meal_option_id === winnerOptionId);
+  if (winner && winner !== result.topMeals[0]) {
+    result.topMeals = [winner, ...result.topMeals.filter(meal => meal !== winner)];
+    result.explanation.summary = `${mealName(winner)} won because enough of the diners voted for it to close the vote early.`;
+  }
+  result.topMeals = result.topMeals.slice(0, TOP_RESULTS);
+
+  result.explanation.vetoed = vetoed.map(s => ({
+    meal_option_id: s.meal_option_id,
+    name: mealName(s),
+    vetoes: s.veto_votes
+  }));
+
+  return result;
+};